@@ -0,0 +1,183 @@
+/**
+ * Chaincode access control for the Ayurvedic Herb Traceability ledger
+ *
+ * Every state-changing transaction is authorized here from the submitting identity
+ * (MSP ID and certificate attributes), so the rules hold even if an API server is
+ * compromised and submits with whatever identity it holds.
+ *
+ * Certificates issued by the organization CAs carry a `role` attribute and
+ * `hf.EnrollmentID`. When present they must match the MSP and the participant the
+ * transaction claims to act for. Identities without attributes (e.g. cryptogen
+ * admins) are authorized by MSP alone.
+ */
+
+const TransactionClock = require('./transaction-clock');
+
+// Role attribute expected in certificates of each organization
+const MSP_ROLES = {
+    FarmerMSP: 'farmer',
+    ProcessorMSP: 'processor',
+    LabMSP: 'lab',
+    DistributorMSP: 'distributor',
+    RegulatorMSP: 'regulator'
+};
+
+// Organizations allowed to call each transaction
+const TRANSACTION_POLICIES = {
+    'GeoFencingContract:addGeoFencingZone': { msps: ['RegulatorMSP'], message: 'Only regulators can add geofencing zones' },
+    'GeoFencingContract:amendZone': { msps: ['RegulatorMSP'], message: 'Only regulators can amend geofencing zones' },
+    'GeoFencingContract:scheduleZoneClosure': { msps: ['RegulatorMSP'], message: 'Only regulators can close geofencing zones' },
+    'GeoFencingContract:liftZoneClosure': { msps: ['RegulatorMSP'], message: 'Only regulators can lift zone closures' },
+    'GeoFencingContract:updateZoneStatus': { msps: ['RegulatorMSP'], message: 'Only regulators can update zone status' },
+    'GeoFencingContract:importGeoJsonZones': { msps: ['RegulatorMSP'], message: 'Only regulators can import geofencing zones' },
+    'GeoFencingContract:exportZonesAsGeoJson': { msps: ['RegulatorMSP'], message: 'Only regulators can export geofencing zones' },
+    'GeoFencingContract:getAllZones': { msps: ['RegulatorMSP'], message: 'Only regulators can view all zones' },
+    'GeoFencingContract:rebuildZoneIndexes': { msps: ['RegulatorMSP'], message: 'Only regulators can rebuild indexes' },
+
+    'HarvestValidationContract:getZoneUtilizationReport': { msps: ['RegulatorMSP'], message: 'Only regulators can view zone utilization' },
+    'HarvestValidationContract:updateQuotaLimits': { msps: ['RegulatorMSP'], message: 'Only regulators can update quota limits' },
+
+    'QualityTestContract:submitTestResults': { msps: ['LabMSP'], message: 'Only certified labs can submit test results' },
+    'QualityTestContract:updateQualityStandards': { msps: ['RegulatorMSP'], message: 'Only regulators can update quality standards' },
+    'QualityTestContract:setPesticideMrl': { msps: ['RegulatorMSP'], message: 'Only regulators can set pesticide residue limits' },
+    'QualityTestContract:migrateQualityStandards': { msps: ['RegulatorMSP'], message: 'Only regulators can migrate quality standards' },
+    'QualityTestContract:registerLabCertification': { msps: ['RegulatorMSP'], message: 'Only regulators can register lab certifications' },
+    'QualityTestContract:suspendLabCertification': { msps: ['RegulatorMSP'], message: 'Only regulators can suspend lab certifications' },
+    'QualityTestContract:reinstateLabCertification': { msps: ['RegulatorMSP'], message: 'Only regulators can reinstate lab certifications' },
+    'QualityTestContract:renewLabCertification': { msps: ['RegulatorMSP'], message: 'Only regulators can renew lab certifications' },
+    'QualityTestContract:updateLabTestScope': { msps: ['RegulatorMSP'], message: 'Only regulators can change a lab\'s test scope' },
+    'QualityTestContract:rebuildTestIndexes': { msps: ['RegulatorMSP'], message: 'Only regulators can rebuild indexes' },
+
+    'ProvenanceContract:recordHarvest': { msps: ['FarmerMSP'], message: 'Only farmers can record harvests' },
+    'ProvenanceContract:addProcessingStep': { msps: ['ProcessorMSP'], message: 'Only processors can add processing steps' },
+    'ProvenanceContract:addQualityTestResult': { msps: ['LabMSP'], message: 'Only labs can add quality test results' },
+    'ProvenanceContract:finalizePackaging': { msps: ['DistributorMSP'], message: 'Only distributors can finalize packaging' },
+    'ProvenanceContract:updateDistributionStatus': { msps: ['DistributorMSP'], message: 'Only distributors can update distribution status' },
+    'ProvenanceContract:splitBatch': { msps: ['ProcessorMSP', 'DistributorMSP'], message: 'Only processors and distributors can split batches' },
+    'ProvenanceContract:mergeBatches': { msps: ['ProcessorMSP'], message: 'Only processors can merge batches' },
+    'ProvenanceContract:rebuildBatchIndexes': { msps: ['RegulatorMSP'], message: 'Only regulators can rebuild indexes' },
+
+    'ActorRegistryContract:registerActorKey': { msps: ['FarmerMSP', 'ProcessorMSP', 'LabMSP', 'RegulatorMSP'], message: 'Only farmers, processors, labs and regulators can register signing keys' },
+    'ActorRegistryContract:rotateActorKey': { msps: ['FarmerMSP', 'ProcessorMSP', 'LabMSP', 'RegulatorMSP'], message: 'Only farmers, processors, labs and regulators can rotate signing keys' },
+    'ActorRegistryContract:revokeActorKey': { msps: ['RegulatorMSP'], message: 'Only regulators can revoke signing keys' },
+
+    'HerbRegistryContract:registerHerb': { msps: ['RegulatorMSP'], message: 'Only regulators can register herbs' },
+    'HerbRegistryContract:updateHerb': { msps: ['RegulatorMSP'], message: 'Only regulators can update herbs' },
+
+    'RecallContract:issueRecall': { msps: ['RegulatorMSP'], message: 'Only regulators can issue recalls' },
+    'RecallContract:closeRecall': { msps: ['RegulatorMSP'], message: 'Only regulators can close recalls' }
+};
+
+// Organizations allowed to move a batch into each status
+const STATUS_POLICIES = {
+    'Collected': ['FarmerMSP'],
+    'In-Processing': ['ProcessorMSP'],
+    'Quality-Testing': ['LabMSP'],
+    'Tested-Pass': ['LabMSP'],
+    'Tested-Fail': ['LabMSP'],
+    'Packaged': ['DistributorMSP'],
+    'Distributed': ['DistributorMSP'],
+    'Recalled': ['RegulatorMSP']
+};
+
+class AccessControl {
+
+    /**
+     * Describe the submitting identity
+     * @param {Context} ctx - Transaction context
+     * @returns {Object} MSP ID, client ID and certificate attributes
+     */
+    static getCaller(ctx) {
+        const identity = ctx.clientIdentity;
+        return {
+            mspId: identity.getMSPID(),
+            clientId: identity.getID(),
+            role: identity.getAttributeValue('role'),
+            enrollmentId: identity.getAttributeValue('hf.EnrollmentID')
+        };
+    }
+
+    /**
+     * Check the caller against a transaction policy
+     * @param {Context} ctx - Transaction context
+     * @param {string} transaction - Policy key, e.g. ProvenanceContract:addProcessingStep
+     * @returns {Object} Caller description
+     */
+    static assertAuthorized(ctx, transaction) {
+        const policy = TRANSACTION_POLICIES[transaction];
+        if (!policy) {
+            throw new Error(`No access policy defined for ${transaction}`);
+        }
+
+        const caller = AccessControl.getCaller(ctx);
+        if (!policy.msps.includes(caller.mspId)) {
+            throw new Error(policy.message);
+        }
+
+        AccessControl.assertRoleAttribute(caller);
+        return caller;
+    }
+
+    /**
+     * Check that the caller's organization may move a batch into a status
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @param {string} newStatus - Target status
+     */
+    static assertStatusChange(ctx, batchId, newStatus) {
+        const allowedMsps = STATUS_POLICIES[newStatus];
+        if (!allowedMsps) {
+            throw new Error(`Unknown batch status ${newStatus}`);
+        }
+
+        const caller = AccessControl.getCaller(ctx);
+        if (!allowedMsps.includes(caller.mspId)) {
+            throw new Error(`${caller.mspId} cannot set batch ${batchId} to ${newStatus}`);
+        }
+
+        AccessControl.assertRoleAttribute(caller);
+    }
+
+    /**
+     * Check that the caller is the participant a transaction claims to act for,
+     * e.g. the farmerId of a harvest or the labId of a test
+     * @param {Context} ctx - Transaction context
+     * @param {string} participantId - Participant identifier in the submitted data
+     * @param {string} label - Field name for the error message
+     */
+    static assertActingAs(ctx, participantId, label) {
+        const caller = AccessControl.getCaller(ctx);
+        if (caller.enrollmentId && caller.enrollmentId !== participantId) {
+            throw new Error(`${label} ${participantId} does not match the submitting identity ${caller.enrollmentId}`);
+        }
+    }
+
+    /**
+     * Reject certificates whose role attribute does not belong to their organization
+     * @param {Object} caller - Caller description
+     */
+    static assertRoleAttribute(caller) {
+        if (caller.role && caller.role !== MSP_ROLES[caller.mspId]) {
+            throw new Error(`Certificate role ${caller.role} is not valid for ${caller.mspId}`);
+        }
+    }
+
+    /**
+     * Build the lastModifiedBy stamp stored on records
+     * @param {Context} ctx - Transaction context
+     * @returns {Object} Modifier details
+     */
+    static modifiedBy(ctx) {
+        const caller = AccessControl.getCaller(ctx);
+        return {
+            mspId: caller.mspId,
+            enrollmentId: caller.enrollmentId || null,
+            txId: ctx.stub.getTxID(),
+            modifiedAt: TransactionClock.nowISO(ctx)
+        };
+    }
+}
+
+module.exports = AccessControl;
+module.exports.TRANSACTION_POLICIES = TRANSACTION_POLICIES;
+module.exports.STATUS_POLICIES = STATUS_POLICIES;
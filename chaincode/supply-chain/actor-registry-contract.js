@@ -0,0 +1,282 @@
+const { Contract } = require('fabric-contract-api');
+const crypto = require('crypto');
+const AccessControl = require('./access-control');
+const ChaincodeEvents = require('./events');
+const TraceabilityUtils = require('./utils');
+const TransactionClock = require('./transaction-clock');
+const DOC_TYPES = require('./doc-types');
+const { EVENT_TYPES } = ChaincodeEvents;
+const { actorKeySchema } = require('./schemas');
+
+// Organization whose members register keys for each actor type (regulators may register any)
+const ACTOR_TYPE_MSPS = {
+    Farmer: 'FarmerMSP',
+    ProcessingFacility: 'ProcessorMSP',
+    Lab: 'LabMSP'
+};
+
+// Key types crypto.createVerify('SHA256') can check
+const SUPPORTED_KEY_TYPES = ['ec', 'rsa'];
+
+/**
+ * Actor Registry Smart Contract for Ayurvedic Herb Traceability
+ * Binds signing public keys to farmers, processing facilities and labs so the
+ * digitalSignature on collection, processing and test records can be verified
+ */
+class ActorRegistryContract extends Contract {
+
+    constructor() {
+        super('ActorRegistryContract');
+    }
+
+    /**
+     * Register the signing key of an actor
+     * @param {Context} ctx - Transaction context
+     * @param {string} actorData - JSON string with actorId, actorType and PEM publicKey
+     * @returns {Object} Registered key
+     */
+    async registerActorKey(ctx, actorData) {
+        console.info('============= START : Register Actor Key ===========');
+
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ActorRegistryContract:registerActorKey');
+
+        const { error, value } = actorKeySchema.validate(JSON.parse(actorData));
+        if (error) {
+            throw new Error(`Invalid actor key data: ${error.details[0].message}`);
+        }
+        ActorRegistryContract.assertMayManageKey(ctx, value.actorType, value.actorId);
+
+        const existing = await ActorRegistryContract.readActorKey(ctx, value.actorId);
+        if (existing && existing.status === 'Active') {
+            throw new Error(`Actor ${value.actorId} already has an active signing key. Use rotateActorKey to replace it`);
+        }
+
+        const keyDetails = ActorRegistryContract.describePublicKey(value.publicKey);
+        const registeredAt = TransactionClock.nowISO(ctx);
+        const actorKey = {
+            docType: DOC_TYPES.ACTOR_KEY,
+            actorId: value.actorId,
+            actorType: value.actorType,
+            ...keyDetails,
+            status: 'Active',
+            registeredAt,
+            previousKeys: existing ? [...(existing.previousKeys || []), ActorRegistryContract.retireKey(existing, registeredAt)] : [],
+            lastModifiedBy: AccessControl.modifiedBy(ctx)
+        };
+
+        await ctx.stub.putState(ActorRegistryContract.keyFor(value.actorId), Buffer.from(JSON.stringify(actorKey)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ACTOR_KEY_REGISTERED, {
+            actorId: value.actorId,
+            actorType: value.actorType,
+            fingerprint: actorKey.fingerprint
+        });
+
+        console.info('============= END : Register Actor Key ===========');
+        return {
+            success: true,
+            actorId: value.actorId,
+            fingerprint: actorKey.fingerprint,
+            message: `Signing key registered for ${value.actorType} ${value.actorId}`
+        };
+    }
+
+    /**
+     * Replace an actor's signing key; the old key is kept in previousKeys
+     * @param {Context} ctx - Transaction context
+     * @param {string} actorId - Actor identifier
+     * @param {string} publicKey - New PEM public key
+     * @returns {Object} Rotation result
+     */
+    async rotateActorKey(ctx, actorId, publicKey) {
+        console.info('============= START : Rotate Actor Key ===========');
+
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ActorRegistryContract:rotateActorKey');
+
+        const actorKey = await this.getActorKey(ctx, actorId);
+        ActorRegistryContract.assertMayManageKey(ctx, actorKey.actorType, actorId);
+
+        if (actorKey.status !== 'Active') {
+            throw new Error(`Signing key of ${actorId} has been revoked. Register a new key instead`);
+        }
+
+        const keyDetails = ActorRegistryContract.describePublicKey(publicKey);
+        if (keyDetails.fingerprint === actorKey.fingerprint) {
+            throw new Error(`New key for ${actorId} is the same as the current key`);
+        }
+
+        const rotatedAt = TransactionClock.nowISO(ctx);
+        actorKey.previousKeys = [...(actorKey.previousKeys || []), ActorRegistryContract.retireKey(actorKey, rotatedAt)];
+        Object.assign(actorKey, keyDetails, { registeredAt: rotatedAt });
+        actorKey.lastModifiedBy = AccessControl.modifiedBy(ctx);
+
+        await ctx.stub.putState(ActorRegistryContract.keyFor(actorId), Buffer.from(JSON.stringify(actorKey)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ACTOR_KEY_ROTATED, {
+            actorId,
+            actorType: actorKey.actorType,
+            fingerprint: actorKey.fingerprint
+        });
+
+        console.info('============= END : Rotate Actor Key ===========');
+        return {
+            success: true,
+            actorId,
+            fingerprint: actorKey.fingerprint,
+            message: `Signing key rotated for ${actorId}`
+        };
+    }
+
+    /**
+     * Revoke an actor's signing key (e.g. after a key compromise)
+     * Records signed by the actor are rejected until a new key is registered
+     * @param {Context} ctx - Transaction context
+     * @param {string} actorId - Actor identifier
+     * @param {string} reason - Revocation reason
+     * @returns {Object} Revocation result
+     */
+    async revokeActorKey(ctx, actorId, reason) {
+        // Check permissions - only regulators can revoke keys
+        AccessControl.assertAuthorized(ctx, 'ActorRegistryContract:revokeActorKey');
+
+        if (!reason) {
+            throw new Error('A reason is required to revoke a signing key');
+        }
+
+        const actorKey = await this.getActorKey(ctx, actorId);
+        if (actorKey.status === 'Revoked') {
+            throw new Error(`Signing key of ${actorId} is already revoked`);
+        }
+
+        actorKey.status = 'Revoked';
+        actorKey.revocation = { reason, revokedAt: TransactionClock.nowISO(ctx) };
+        actorKey.lastModifiedBy = AccessControl.modifiedBy(ctx);
+
+        await ctx.stub.putState(ActorRegistryContract.keyFor(actorId), Buffer.from(JSON.stringify(actorKey)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ACTOR_KEY_REVOKED, { actorId, actorType: actorKey.actorType, reason });
+
+        return {
+            success: true,
+            actorId,
+            status: actorKey.status,
+            message: `Signing key of ${actorId} revoked`
+        };
+    }
+
+    /**
+     * Get an actor's registered signing key
+     * @param {Context} ctx - Transaction context
+     * @param {string} actorId - Actor identifier
+     * @returns {Object} Actor key record
+     */
+    async getActorKey(ctx, actorId) {
+        const actorKey = await ActorRegistryContract.readActorKey(ctx, actorId);
+        if (!actorKey) {
+            throw new Error(`No signing key registered for ${actorId}`);
+        }
+        return actorKey;
+    }
+
+    /**
+     * Reject a record unless its digitalSignature verifies against the actor's active key
+     * The signature covers the canonical JSON of the record as submitted, without the signature field
+     * @param {Context} ctx - Transaction context
+     * @param {string} actorType - Farmer, ProcessingFacility or Lab
+     * @param {string} actorId - Actor that must have signed the record
+     * @param {Object} record - Record as submitted (before schema defaults and conversions)
+     */
+    static async assertRecordSignature(ctx, actorType, actorId, record) {
+        const actorKey = await ActorRegistryContract.readActorKey(ctx, actorId);
+        if (!actorKey) {
+            throw new Error(`No signing key registered for ${actorType} ${actorId}`);
+        }
+        if (actorKey.actorType !== actorType) {
+            throw new Error(`Signing key of ${actorId} is registered for a ${actorKey.actorType}, not a ${actorType}`);
+        }
+        if (actorKey.status !== 'Active') {
+            throw new Error(`Signing key of ${actorType} ${actorId} has been revoked`);
+        }
+
+        const payload = TraceabilityUtils.getSignedPayload(record);
+        if (!record.digitalSignature ||
+            !TraceabilityUtils.validateDigitalSignature(payload, record.digitalSignature, actorKey.publicKey)) {
+            throw new Error(`Digital signature does not verify against the registered key of ${actorType} ${actorId}`);
+        }
+    }
+
+    /**
+     * Check that the caller may manage keys for an actor
+     * @param {Context} ctx - Transaction context
+     * @param {string} actorType - Actor type
+     * @param {string} actorId - Actor identifier
+     */
+    static assertMayManageKey(ctx, actorType, actorId) {
+        const caller = AccessControl.getCaller(ctx);
+        if (caller.mspId === 'RegulatorMSP') {
+            return;
+        }
+
+        if (ACTOR_TYPE_MSPS[actorType] !== caller.mspId) {
+            throw new Error(`${caller.mspId} cannot manage signing keys for a ${actorType}`);
+        }
+        AccessControl.assertActingAs(ctx, actorId, 'actorId');
+    }
+
+    /**
+     * Parse a PEM public key and compute its fingerprint
+     * @param {string} publicKey - PEM public key
+     * @returns {Object} { publicKey, keyType, fingerprint }
+     */
+    static describePublicKey(publicKey) {
+        let keyObject;
+        try {
+            keyObject = crypto.createPublicKey(publicKey);
+        } catch (error) {
+            throw new Error(`Invalid public key: ${error.message}`);
+        }
+
+        if (!SUPPORTED_KEY_TYPES.includes(keyObject.asymmetricKeyType)) {
+            throw new Error(`Unsupported key type ${keyObject.asymmetricKeyType}. Supported: ${SUPPORTED_KEY_TYPES.join(', ')}`);
+        }
+
+        const der = keyObject.export({ type: 'spki', format: 'der' });
+        return {
+            publicKey: keyObject.export({ type: 'spki', format: 'pem' }),
+            keyType: keyObject.asymmetricKeyType,
+            fingerprint: crypto.createHash('sha256').update(der).digest('hex')
+        };
+    }
+
+    /**
+     * Summarize a key that is being replaced
+     * @param {Object} actorKey - Actor key record
+     * @param {string} retiredAt - ISO timestamp
+     * @returns {Object} Previous key entry
+     */
+    static retireKey(actorKey, retiredAt) {
+        return {
+            fingerprint: actorKey.fingerprint,
+            publicKey: actorKey.publicKey,
+            registeredAt: actorKey.registeredAt,
+            retiredAt,
+            status: actorKey.status
+        };
+    }
+
+    static keyFor(actorId) {
+        return `ACTOR_KEY_${actorId}`;
+    }
+
+    static async readActorKey(ctx, actorId) {
+        const keyBuffer = await ctx.stub.getState(ActorRegistryContract.keyFor(actorId));
+        if (!keyBuffer || keyBuffer.length === 0) {
+            return null;
+        }
+        return JSON.parse(keyBuffer.toString());
+    }
+}
+
+module.exports = ActorRegistryContract;
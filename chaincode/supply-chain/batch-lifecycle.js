@@ -0,0 +1,155 @@
+/**
+ * Batch lifecycle state machine for the Ayurvedic Herb Traceability ledger
+ *
+ * Lists every allowed change of a batch's `currentStatus` and the guards that must
+ * hold on the record before the change is made. All state-changing transactions
+ * move batches through BatchLifecycle.transition so an illegal jump (e.g.
+ * Collected → Distributed, or out of Recalled) fails with the same error everywhere,
+ * and every actual change raises a StatusChanged event.
+ */
+
+const AccessControl = require('./access-control');
+const ChaincodeEvents = require('./events');
+const LedgerIndexes = require('./indexes');
+const { BATCH_STATUSES } = require('./schemas');
+
+// Conditions checked on the updated record before it enters a status
+const GUARDS = {
+    hasPassingTest: {
+        message: 'must have at least one passing quality test',
+        check: record => (record.qualityTests || []).some(test => test.overallResult === 'Pass')
+    },
+    hasFailingTest: {
+        message: 'must have at least one failed quality test',
+        check: record => (record.qualityTests || []).some(test => test.overallResult === 'Fail')
+    },
+    hasPackagingDetails: {
+        message: 'must have packaging details with a QR code',
+        check: record => !!(record.distributionInfo && record.distributionInfo.qrCodeId)
+    }
+};
+
+// Allowed transitions: current status → { next status: [guard names] }
+// Recalled is final; every other status can be recalled by a regulator
+const TRANSITIONS = {
+    'Collected': {
+        'In-Processing': [],
+        'Quality-Testing': [],
+        'Tested-Pass': ['hasPassingTest'],
+        'Tested-Fail': ['hasFailingTest'],
+        'Recalled': []
+    },
+    'In-Processing': {
+        'In-Processing': [],
+        'Quality-Testing': [],
+        'Tested-Pass': ['hasPassingTest'],
+        'Tested-Fail': ['hasFailingTest'],
+        'Recalled': []
+    },
+    'Quality-Testing': {
+        'Quality-Testing': [],
+        'Tested-Pass': ['hasPassingTest'],
+        'Tested-Fail': ['hasFailingTest'],
+        'Recalled': []
+    },
+    'Tested-Pass': {
+        'In-Processing': [],
+        'Quality-Testing': [],
+        'Tested-Pass': ['hasPassingTest'],
+        'Tested-Fail': ['hasFailingTest'],
+        'Packaged': ['hasPassingTest', 'hasPackagingDetails'],
+        'Recalled': []
+    },
+    // Failed material has to be reprocessed before it can be tested again
+    'Tested-Fail': {
+        'In-Processing': [],
+        'Recalled': []
+    },
+    'Packaged': {
+        'Distributed': ['hasPackagingDetails'],
+        'Recalled': []
+    },
+    'Distributed': {
+        'Recalled': []
+    },
+    'Recalled': {}
+};
+
+// Fail at load time rather than on the first transaction if the status enum and the machine drift apart
+BATCH_STATUSES.forEach(status => {
+    if (!TRANSITIONS[status]) {
+        throw new Error(`Batch lifecycle has no transitions for status ${status}`);
+    }
+});
+
+class BatchLifecycle {
+
+    /**
+     * Get the statuses a batch can move to from a status
+     * @param {string} status - Current status
+     * @returns {Array} Next statuses
+     */
+    static getAllowedTransitions(status) {
+        return Object.keys(TRANSITIONS[status] || {});
+    }
+
+    /**
+     * Check that a batch may move to a new status without changing it
+     * @param {Object} record - Provenance record (with the transaction's changes applied)
+     * @param {string} newStatus - Target status
+     */
+    static assertTransition(record, newStatus) {
+        const currentStatus = record.currentStatus;
+        if (!BATCH_STATUSES.includes(newStatus)) {
+            throw new Error(`Unknown batch status ${newStatus}. Valid statuses: ${BATCH_STATUSES.join(', ')}`);
+        }
+
+        const allowed = TRANSITIONS[currentStatus] || {};
+        const guards = allowed[newStatus];
+        if (!guards) {
+            const next = Object.keys(allowed);
+            throw new Error(
+                `Batch ${record.batchId} cannot move from ${currentStatus} to ${newStatus}. ` +
+                (next.length > 0 ? `Allowed next statuses: ${next.join(', ')}` : `${currentStatus} is a final status`)
+            );
+        }
+
+        for (const guardName of guards) {
+            const guard = GUARDS[guardName];
+            if (!guard.check(record)) {
+                throw new Error(`Batch ${record.batchId} cannot move from ${currentStatus} to ${newStatus}: batch ${guard.message}`);
+            }
+        }
+    }
+
+    /**
+     * Move a batch to a new status and update the status index
+     * The caller is responsible for writing the record
+     * @param {Context} ctx - Transaction context
+     * @param {Object} record - Provenance record (with the transaction's changes applied)
+     * @param {string} newStatus - Target status
+     * @returns {string} Previous status
+     */
+    static async transition(ctx, record, newStatus) {
+        BatchLifecycle.assertTransition(record, newStatus);
+        AccessControl.assertStatusChange(ctx, record.batchId, newStatus);
+
+        const previousStatus = record.currentStatus;
+        record.currentStatus = newStatus;
+        await LedgerIndexes.updateStatusIndex(ctx, record.batchId, previousStatus, newStatus);
+
+        if (previousStatus !== newStatus) {
+            ChaincodeEvents.emit(ctx, ChaincodeEvents.EVENT_TYPES.STATUS_CHANGED, {
+                batchId: record.batchId,
+                previousStatus,
+                newStatus
+            });
+        }
+
+        return previousStatus;
+    }
+}
+
+module.exports = BatchLifecycle;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.GUARDS = GUARDS;
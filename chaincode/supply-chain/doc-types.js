@@ -0,0 +1,28 @@
+/**
+ * docType discriminators for world-state records
+ *
+ * Every JSON record carries one of these in its `docType` field so CouchDB rich
+ * queries can select a single record type instead of matching on field shapes.
+ */
+const DOC_TYPES = {
+    BATCH: 'batch',
+    QR_MAPPING: 'qrMapping',
+    ZONE: 'zone',
+    ZONE_VERSION: 'zoneVersion',
+    BATCH_HARVEST_ZONE: 'batchHarvestZone',
+    QUALITY_TEST: 'qualityTest',
+    BATCH_TEST_HISTORY: 'batchTestHistory',
+    LAB_CERTIFICATION: 'labCertification',
+    QUALITY_STANDARDS: 'qualityStandards',
+    QUALITY_STANDARDS_VERSION: 'qualityStandardsVersion',
+    PESTICIDE_MRL: 'pesticideMrl',
+    SUSTAINABILITY_TRACKER: 'sustainabilityTracker',
+    FARMER_HARVEST_HISTORY: 'farmerHarvestHistory',
+    ZONE_HARVEST_HISTORY: 'zoneHarvestHistory',
+    RECALL: 'recall',
+    ACTOR_KEY: 'actorKey',
+    HERB: 'herb',
+    CONFIG: 'config'
+};
+
+module.exports = DOC_TYPES;
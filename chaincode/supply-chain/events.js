@@ -0,0 +1,87 @@
+/**
+ * Chaincode events for the Ayurvedic Herb Traceability ledger
+ *
+ * Fabric keeps only the last setEvent call of a transaction, so events raised during
+ * a transaction are collected per transaction and published together as a single
+ * `TraceabilityEvents` chaincode event:
+ *
+ *   { txId, timestamp, events: [{ type, ...payload }] }
+ *
+ * Off-chain listeners (see client/fabric-service.js) unpack the list and dispatch
+ * each entry by type.
+ */
+
+const TransactionClock = require('./transaction-clock');
+
+const CHAINCODE_EVENT_NAME = 'TraceabilityEvents';
+
+const EVENT_TYPES = {
+    HARVEST_RECORDED: 'HarvestRecorded',
+    PROCESSING_STEP_ADDED: 'ProcessingStepAdded',
+    TEST_SUBMITTED: 'TestSubmitted',
+    BATCH_PACKAGED: 'BatchPackaged',
+    STATUS_CHANGED: 'StatusChanged',
+    BATCH_SPLIT: 'BatchSplit',
+    BATCHES_MERGED: 'BatchesMerged',
+    QUOTA_USAGE_UPDATED: 'QuotaUsageUpdated',
+    QUOTA_LIMITS_UPDATED: 'QuotaLimitsUpdated',
+    ZONE_HARVEST_RECORDED: 'ZoneHarvestRecorded',
+    QUALITY_STANDARDS_UPDATED: 'QualityStandardsUpdated',
+    PESTICIDE_MRL_SET: 'PesticideMrlSet',
+    LAB_CERTIFICATION_REGISTERED: 'LabCertificationRegistered',
+    LAB_CERTIFICATION_SUSPENDED: 'LabCertificationSuspended',
+    LAB_CERTIFICATION_REINSTATED: 'LabCertificationReinstated',
+    LAB_CERTIFICATION_RENEWED: 'LabCertificationRenewed',
+    LAB_TEST_SCOPE_CHANGED: 'LabTestScopeChanged',
+    ZONE_ADDED: 'ZoneAdded',
+    ZONE_STATUS_UPDATED: 'ZoneStatusUpdated',
+    ZONE_AMENDED: 'ZoneAmended',
+    ZONE_CLOSURE_SCHEDULED: 'ZoneClosureScheduled',
+    ZONE_CLOSURE_LIFTED: 'ZoneClosureLifted',
+    RECALL_ISSUED: 'RecallIssued',
+    RECALL_CLOSED: 'RecallClosed',
+    ACTOR_KEY_REGISTERED: 'ActorKeyRegistered',
+    ACTOR_KEY_ROTATED: 'ActorKeyRotated',
+    ACTOR_KEY_REVOKED: 'ActorKeyRevoked',
+    HERB_REGISTERED: 'HerbRegistered',
+    HERB_UPDATED: 'HerbUpdated'
+};
+
+// Events raised so far in each transaction, keyed by the transaction's stub
+const pendingEvents = new WeakMap();
+
+class ChaincodeEvents {
+
+    /**
+     * Add an event to the transaction's chaincode event
+     * @param {Context} ctx - Transaction context
+     * @param {string} type - Event type from EVENT_TYPES
+     * @param {Object} payload - Event data
+     */
+    static emit(ctx, type, payload = {}) {
+        const events = pendingEvents.get(ctx.stub) || [];
+        events.push({ type, ...payload });
+        pendingEvents.set(ctx.stub, events);
+
+        // Each call republishes the full list; the last one is what gets committed
+        const envelope = {
+            txId: ctx.stub.getTxID(),
+            timestamp: TransactionClock.nowISO(ctx),
+            events
+        };
+        ctx.stub.setEvent(CHAINCODE_EVENT_NAME, Buffer.from(JSON.stringify(envelope)));
+    }
+
+    /**
+     * Get the events raised so far in the current transaction
+     * @param {Context} ctx - Transaction context
+     * @returns {Array} Events
+     */
+    static getPending(ctx) {
+        return pendingEvents.get(ctx.stub) || [];
+    }
+}
+
+module.exports = ChaincodeEvents;
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.CHAINCODE_EVENT_NAME = CHAINCODE_EVENT_NAME;
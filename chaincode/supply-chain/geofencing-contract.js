@@ -1,6 +1,33 @@
 const { Contract } = require('fabric-contract-api');
+const AccessControl = require('./access-control');
+const ChaincodeEvents = require('./events');
+const HarvestValidationContract = require('./harvest-validation-contract');
+const SeasonCalendar = require('./season-calendar');
+const HerbRegistryContract = require('./herb-registry-contract');
 const TraceabilityUtils = require('./utils');
-const { geoFencingZoneSchema } = require('./schemas');
+const TransactionClock = require('./transaction-clock');
+const LedgerIndexes = require('./indexes');
+const DOC_TYPES = require('./doc-types');
+const { INDEXES } = LedgerIndexes;
+const { EVENT_TYPES } = ChaincodeEvents;
+const { geoFencingZoneSchema, zoneClosureSchema } = require('./schemas');
+
+// Features accepted by a single importGeoJsonZones transaction
+const MAX_IMPORT_FEATURES = 200;
+
+// Fields that describe a zone's area; amending any of them replaces the whole area
+const ZONE_SHAPE_FIELDS = ['geometry', 'boundaries', 'centerPoint', 'radius'];
+
+// Zone fields amendZone refuses to change, with the transaction that changes them instead
+const FIXED_ZONE_FIELDS = {
+    zoneId: null,
+    createdAt: null,
+    isActive: 'updateZoneStatus',
+    closures: 'scheduleZoneClosure'
+};
+
+// Points accepted by a single getPointsInZone query
+const MAX_ZONE_POINTS = 1000;
 
 /**
  * GeoFencing Smart Contract for Ayurvedic Herb Traceability
@@ -20,24 +47,26 @@ class GeoFencingContract extends Contract {
         console.info('============= START : Initialize GeoFencing Ledger ===========');
 
         // Sample geofencing zones for different regions
+        const surveyedAt = TransactionClock.nowISO(ctx);
         const zones = [
             {
                 zoneId: 'ZONE001',
                 zoneName: 'Kerala Highlands - Ashwagandha Zone',
                 herbTypes: ['Ashwagandha', 'Brahmi', 'Shatavari'],
-                centerPoint: { latitude: 10.1632, longitude: 76.6413, accuracy: 10, timestamp: new Date().toISOString() },
+                centerPoint: { latitude: 10.1632, longitude: 76.6413, accuracy: 10, timestamp: surveyedAt },
                 radius: 50000, // 50km radius
                 altitude: { min: 500, max: 1500 },
                 soilType: 'Red laterite soil',
                 climateZone: 'Tropical highland',
                 seasonalRestrictions: {
-                    allowedSeasons: ['Winter', 'Spring'],
+                    allowedSeasons: ['Hemanta', 'Shishira', 'Vasanta'],
                     harvestWindow: { startDate: '11-01', endDate: '04-30' }
                 },
                 sustainabilityLimits: {
                     maxAnnualHarvest: 10000, // 10 tons per year
                     minRegenerationPeriod: 90, // 3 months between harvests
-                    maxHarvestPercentage: 30
+                    maxHarvestPercentage: 30,
+                    estimatedStockKg: { Ashwagandha: 20000, Brahmi: 6000, Shatavari: 8000 }
                 },
                 isActive: true
             },
@@ -45,18 +74,19 @@ class GeoFencingContract extends Contract {
                 zoneId: 'ZONE002',
                 zoneName: 'Tamil Nadu Plains - Turmeric Zone',
                 herbTypes: ['Turmeric', 'Ginger'],
-                centerPoint: { latitude: 11.1271, longitude: 78.6569, accuracy: 10, timestamp: new Date().toISOString() },
+                centerPoint: { latitude: 11.1271, longitude: 78.6569, accuracy: 10, timestamp: surveyedAt },
                 radius: 30000, // 30km radius
                 soilType: 'Alluvial soil',
                 climateZone: 'Tropical plains',
                 seasonalRestrictions: {
-                    allowedSeasons: ['Winter', 'Spring'],
+                    allowedSeasons: ['Rabi', 'Zaid'],
                     harvestWindow: { startDate: '12-01', endDate: '05-31' }
                 },
                 sustainabilityLimits: {
                     maxAnnualHarvest: 15000,
                     minRegenerationPeriod: 120,
-                    maxHarvestPercentage: 25
+                    maxHarvestPercentage: 25,
+                    estimatedStockKg: { Turmeric: 40000, Ginger: 20000 }
                 },
                 isActive: true
             },
@@ -65,12 +95,12 @@ class GeoFencingContract extends Contract {
                 zoneName: 'Maharashtra Western Ghats - Medicinal Zone',
                 herbTypes: ['Tulsi', 'Neem', 'Arjuna', 'Amla'],
                 boundaries: [
-                    { latitude: 18.5204, longitude: 73.8567, accuracy: 10, timestamp: new Date().toISOString() },
-                    { latitude: 18.6298, longitude: 73.7997, accuracy: 10, timestamp: new Date().toISOString() },
-                    { latitude: 18.5678, longitude: 73.9123, accuracy: 10, timestamp: new Date().toISOString() },
-                    { latitude: 18.4891, longitude: 73.8789, accuracy: 10, timestamp: new Date().toISOString() }
+                    { latitude: 18.5204, longitude: 73.8567, accuracy: 10, timestamp: surveyedAt },
+                    { latitude: 18.6298, longitude: 73.7997, accuracy: 10, timestamp: surveyedAt },
+                    { latitude: 18.5678, longitude: 73.9123, accuracy: 10, timestamp: surveyedAt },
+                    { latitude: 18.4891, longitude: 73.8789, accuracy: 10, timestamp: surveyedAt }
                 ],
-                centerPoint: { latitude: 18.5518, longitude: 73.8567, accuracy: 10, timestamp: new Date().toISOString() },
+                centerPoint: { latitude: 18.5518, longitude: 73.8567, accuracy: 10, timestamp: surveyedAt },
                 altitude: { min: 200, max: 800 },
                 soilType: 'Black cotton soil',
                 climateZone: 'Semi-arid tropical',
@@ -80,9 +110,12 @@ class GeoFencingContract extends Contract {
 
         for (let i = 0; i < zones.length; i++) {
             const zone = zones[i];
-            zone.createdAt = new Date().toISOString();
+            zone.docType = DOC_TYPES.ZONE;
+            zone.version = 1;
+            zone.createdAt = surveyedAt;
             
             await ctx.stub.putState(zone.zoneId, Buffer.from(JSON.stringify(zone)));
+            await LedgerIndexes.indexZone(ctx, zone);
             console.info(`Added geofencing zone: ${zone.zoneName}`);
         }
 
@@ -99,46 +132,263 @@ class GeoFencingContract extends Contract {
         console.info('============= START : Add GeoFencing Zone ===========');
 
         // Check permissions - only regulators can add zones
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'RegulatorMSP') {
-            throw new Error('Only regulators can add geofencing zones');
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:addGeoFencingZone');
+
+        const value = await this.prepareZone(ctx, JSON.parse(zoneData));
+        const overlaps = await this.findOverlappingZones(ctx, value);
+        await this.storeZone(ctx, value);
+
+        console.info('============= END : Add GeoFencing Zone ===========');
+        return {
+            success: true,
+            message: `Geofencing zone ${value.zoneId} added successfully` +
+                (overlaps.length > 0 ? `. Overlaps ${overlaps.map(zone => zone.zoneId).join(', ')}` : ''),
+            zoneId: value.zoneId,
+            overlaps
+        };
+    }
+
+    /**
+     * Import zones from a GeoJSON FeatureCollection (for regulators)
+     * Each feature's Polygon/MultiPolygon geometry becomes the zone geometry and its
+     * properties supply the remaining zone fields (zoneId, zoneName, herbTypes, ...).
+     * The import is all-or-nothing: any invalid feature fails the whole transaction
+     * @param {Context} ctx - Transaction context
+     * @param {string} featureCollection - GeoJSON FeatureCollection JSON string
+     * @returns {Object} Imported zone IDs
+     */
+    async importGeoJsonZones(ctx, featureCollection) {
+        console.info('============= START : Import GeoJSON Zones ===========');
+
+        // Check permissions - only regulators can add zones
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:importGeoJsonZones');
+
+        const collection = JSON.parse(featureCollection);
+        if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+            throw new Error('Zone import must be a GeoJSON FeatureCollection');
+        }
+        if (collection.features.length === 0 || collection.features.length > MAX_IMPORT_FEATURES) {
+            throw new Error(`Zone import must contain between 1 and ${MAX_IMPORT_FEATURES} features`);
         }
 
-        const zone = JSON.parse(zoneData);
+        // Reads do not see this transaction's writes, so duplicates within the file are checked here
+        const zones = [];
+        const zoneIds = new Set();
+        for (const [index, feature] of collection.features.entries()) {
+            if (!feature || feature.type !== 'Feature') {
+                throw new Error(`Feature ${index} is not a GeoJSON Feature`);
+            }
 
-        // Validate schema
-        const { error, value } = geoFencingZoneSchema.validate(zone);
-        if (error) {
-            throw new Error(`Invalid zone data: ${error.details[0].message}`);
+            const zone = { ...(feature.properties || {}) };
+            if (zone.zoneId === undefined && feature.id !== undefined) {
+                zone.zoneId = String(feature.id);
+            }
+            if (feature.geometry && feature.geometry.type === 'Point') {
+                // Circular zones are exported as a Point with a radius property
+                const [longitude, latitude] = feature.geometry.coordinates;
+                zone.centerPoint = { latitude, longitude, timestamp: TransactionClock.nowISO(ctx) };
+            } else {
+                zone.geometry = feature.geometry;
+            }
+
+            let value;
+            try {
+                // Mapping tools add their own properties (styling etc.), which are dropped
+                value = await this.prepareZone(ctx, zone, { stripUnknown: true });
+            } catch (error) {
+                throw new Error(`Feature ${index}: ${error.message}`);
+            }
+            if (zoneIds.has(value.zoneId)) {
+                throw new Error(`Feature ${index}: zone ${value.zoneId} appears more than once in the import`);
+            }
+            zoneIds.add(value.zoneId);
+            zones.push(value);
+        }
+
+        const overlaps = {};
+        for (const [index, zone] of zones.entries()) {
+            const zoneOverlaps = await this.findOverlappingZones(ctx, zone, zones.slice(0, index));
+            if (zoneOverlaps.length > 0) {
+                overlaps[zone.zoneId] = zoneOverlaps;
+            }
+        }
+
+        for (const zone of zones) {
+            await this.storeZone(ctx, zone);
+        }
+
+        console.info('============= END : Import GeoJSON Zones ===========');
+        return {
+            success: true,
+            importedCount: zones.length,
+            zoneIds: [...zoneIds],
+            overlaps,
+            message: `Imported ${zones.length} geofencing zone(s)`
+        };
+    }
+
+    /**
+     * Export zones as a GeoJSON FeatureCollection for mapping tools (for regulators)
+     * Zones without a geometry are exported from their boundaries, or as a Point
+     * with a radius property for circular zones
+     * @param {Context} ctx - Transaction context
+     * @param {string} filter - JSON string { zoneIds?, herbType?, includeInactive? }; empty exports all zones
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    async exportZonesAsGeoJson(ctx, filter = '{}') {
+        // Check permissions - only regulators can view all zones
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:exportZonesAsGeoJson');
+
+        const { zoneIds, herbType, includeInactive = false } = JSON.parse(filter || '{}');
+
+        let zones;
+        if (Array.isArray(zoneIds) && zoneIds.length > 0) {
+            zones = [];
+            for (const zoneId of zoneIds) {
+                zones.push(await this.getZone(ctx, zoneId));
+            }
+        } else if (herbType) {
+            const herbId = await HerbRegistryContract.canonicalHerbType(ctx, herbType);
+            zones = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.HERB_ZONE, [herbId]);
+        } else {
+            zones = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.ZONE, []);
         }
 
+        return {
+            type: 'FeatureCollection',
+            features: zones
+                .filter(zone => includeInactive || zone.isActive)
+                .map(zone => GeoFencingContract.zoneToFeature(zone))
+        };
+    }
+
+    /**
+     * Validate a new zone and normalize it for storage
+     * @param {Context} ctx - Transaction context
+     * @param {Object} zone - Zone data
+     * @param {Object} validationOptions - Joi validation options
+     * @returns {Object} Validated zone
+     */
+    async prepareZone(ctx, zone, validationOptions = {}) {
+        const value = await this.normalizeZone(ctx, zone, validationOptions);
+
         // Check if zone already exists
         const existingZone = await ctx.stub.getState(value.zoneId);
         if (existingZone && existingZone.length > 0) {
             throw new Error(`Zone ${value.zoneId} already exists`);
         }
 
+        return value;
+    }
+
+    /**
+     * Validate zone fields, check the geometry and resolve herb names to herb IDs
+     * @param {Context} ctx - Transaction context
+     * @param {Object} zone - Zone data
+     * @param {Object} validationOptions - Joi validation options
+     * @returns {Object} Validated zone
+     */
+    async normalizeZone(ctx, zone, validationOptions = {}) {
+        // Validate schema
+        const { error, value } = geoFencingZoneSchema.validate(zone, validationOptions);
+        if (error) {
+            throw new Error(`Invalid zone data: ${error.details[0].message}`);
+        }
+
+        if (value.geometry) {
+            const geometryValidation = TraceabilityUtils.validateGeometry(value.geometry);
+            if (!geometryValidation.isValid) {
+                throw new Error(`Invalid zone geometry: ${geometryValidation.errors.join('; ')}`);
+            }
+            value.centerPoint = value.centerPoint || TraceabilityUtils.getGeometryCenter(value.geometry);
+        }
+
+        // Store canonical herb IDs so lookups by any herb name find the zone
+        const herbIds = [];
+        for (const herbType of value.herbTypes) {
+            herbIds.push((await HerbRegistryContract.requireHerb(ctx, herbType)).herbId);
+        }
+        value.herbTypes = [...new Set(herbIds)];
+
+        // Stock estimates are keyed by herb as well
+        const limits = value.sustainabilityLimits;
+        if (limits && limits.estimatedStockKg) {
+            const estimatedStockKg = {};
+            for (const [herbType, stockKg] of Object.entries(limits.estimatedStockKg)) {
+                const herbId = (await HerbRegistryContract.requireHerb(ctx, herbType)).herbId;
+                if (!value.herbTypes.includes(herbId)) {
+                    throw new Error(`Stock estimate given for ${herbId}, which is not approved in zone ${value.zoneId}`);
+                }
+                estimatedStockKg[herbId] = stockKg;
+            }
+            limits.estimatedStockKg = estimatedStockKg;
+        }
+
+        return value;
+    }
+
+    /**
+     * Find active zones approved for any of a zone's herbs whose area overlaps it
+     * @param {Context} ctx - Transaction context
+     * @param {Object} zone - Zone being added or amended
+     * @param {Array} pendingZones - Zones written earlier in the same transaction
+     * @returns {Array} Overlapping zones with the herbs they share
+     */
+    async findOverlappingZones(ctx, zone, pendingZones = []) {
+        const candidates = new Map(pendingZones.map(other => [other.zoneId, other]));
+        for (const herbType of zone.herbTypes) {
+            for (const other of await this.getActiveZonesForHerb(ctx, herbType)) {
+                if (!candidates.has(other.zoneId)) {
+                    candidates.set(other.zoneId, other);
+                }
+            }
+        }
+        candidates.delete(zone.zoneId);
+
+        const geometry = GeoFencingContract.getZoneGeometry(zone);
+        const overlaps = [];
+        for (const other of candidates.values()) {
+            const sharedHerbTypes = other.herbTypes.filter(herbType => zone.herbTypes.includes(herbType));
+            if (sharedHerbTypes.length > 0 &&
+                TraceabilityUtils.geometriesOverlap(geometry, GeoFencingContract.getZoneGeometry(other))) {
+                overlaps.push({ zoneId: other.zoneId, zoneName: other.zoneName, sharedHerbTypes });
+            }
+        }
+        return overlaps;
+    }
+
+    /**
+     * Write a validated zone and its indexes
+     * @param {Context} ctx - Transaction context
+     * @param {Object} zone - Zone returned by prepareZone
+     */
+    async storeZone(ctx, zone) {
         // Add timestamp
-        value.createdAt = new Date().toISOString();
+        zone.docType = DOC_TYPES.ZONE;
+        zone.version = 1;
+        zone.createdAt = TransactionClock.nowISO(ctx);
 
-        await ctx.stub.putState(value.zoneId, Buffer.from(JSON.stringify(value)));
+        await ctx.stub.putState(zone.zoneId, Buffer.from(JSON.stringify(zone)));
+        await LedgerIndexes.indexZone(ctx, zone);
 
-        console.info('============= END : Add GeoFencing Zone ===========');
-        return {
-            success: true,
-            message: `Geofencing zone ${value.zoneId} added successfully`,
-            zoneId: value.zoneId
-        };
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ZONE_ADDED, {
+            zoneId: zone.zoneId,
+            herbTypes: zone.herbTypes
+        });
     }
 
     /**
      * Validate if GPS coordinates are within approved zones for a herb type
+     * A zone accepts the harvest only if every constraint it defines passes: boundary
+     * (with the GPS accuracy radius fully inside the zone), altitude, seasons, harvest
+     * window and sustainability limits. Each rejected zone lists the constraints that failed
      * @param {Context} ctx - Transaction context
      * @param {string} herbType - Type of herb being harvested
-     * @param {string} gpsData - JSON string containing GPS coordinates
+     * @param {string} gpsData - JSON string containing GPS coordinates (accuracy and altitude in meters)
+     * @param {string} harvestData - JSON string { collectionDate, quantityKg, state }; date defaults to the GPS timestamp
      * @returns {Object} Validation result
      */
-    async validateGPSCoordinates(ctx, herbType, gpsData) {
+    async validateGPSCoordinates(ctx, herbType, gpsData, harvestData = '{}') {
         console.info('============= START : Validate GPS Coordinates ===========');
 
         const coordinates = JSON.parse(gpsData);
@@ -148,69 +398,143 @@ class GeoFencingContract extends Contract {
             throw new Error('Invalid GPS coordinates: latitude and longitude required');
         }
 
-        // Get all active zones
-        const iterator = await ctx.stub.getStateByRange('', '');
-        const zones = [];
-        
-        while (true) {
-            const res = await iterator.next();
-            if (res.value && res.value.value.toString()) {
-                const zone = JSON.parse(res.value.value.toString());
-                if (zone.isActive && zone.herbTypes && zone.herbTypes.includes(herbType)) {
-                    zones.push(zone);
-                }
-            }
-            if (res.done) {
-                await iterator.close();
-                break;
-            }
-        }
+        const harvest = JSON.parse(harvestData || '{}');
+        const harvestDate = new Date(harvest.collectionDate || coordinates.timestamp || TransactionClock.nowISO(ctx));
+        const quantityKg = parseFloat(harvest.quantityKg) || 0;
+        const season = SeasonCalendar.getSeason(harvestDate, { latitude, longitude, state: harvest.state });
+
+        herbType = await HerbRegistryContract.canonicalHerbType(ctx, herbType);
+
+        // Get active zones for this herb from the herb~zoneId index
+        const zones = await this.getActiveZonesForHerb(ctx, herbType);
 
         if (zones.length === 0) {
             return {
                 isValid: false,
                 message: `No active geofencing zones found for herb type: ${herbType}`,
-                validZones: []
+                validZones: [],
+                rejectedZones: []
             };
         }
 
         // Check each applicable zone
         const validZones = [];
+        const rejectedZones = [];
         for (const zone of zones) {
-            let isInZone = false;
-
-            if (zone.boundaries && zone.boundaries.length >= 3) {
-                // Polygon-based zone
-                isInZone = TraceabilityUtils.isPointInPolygon(coordinates, zone.boundaries);
-            } else if (zone.centerPoint && zone.radius) {
-                // Circular zone
-                isInZone = TraceabilityUtils.isPointInCircularZone(coordinates, zone);
-            }
+            const failedConstraints = await this.checkZoneConstraints(ctx, zone, herbType, coordinates, harvestDate, quantityKg, season);
+            const zoneResult = {
+                zoneId: zone.zoneId,
+                zoneName: zone.zoneName,
+                zoneVersion: zone.version || 1,
+                distance: zone.centerPoint ?
+                    TraceabilityUtils.calculateDistance(coordinates, zone.centerPoint) : null
+            };
 
-            if (isInZone) {
-                validZones.push({
-                    zoneId: zone.zoneId,
-                    zoneName: zone.zoneName,
-                    distance: zone.centerPoint ? 
-                        TraceabilityUtils.calculateDistance(coordinates, zone.centerPoint) : null
-                });
+            if (failedConstraints.length === 0) {
+                validZones.push(zoneResult);
+            } else {
+                rejectedZones.push({ ...zoneResult, failedConstraints });
             }
         }
 
         const isValid = validZones.length > 0;
 
+        // Zones the point is inside of explain the rejection better than zones it is nowhere near
+        const nearZones = rejectedZones.filter(zone =>
+            !zone.failedConstraints.some(failure => failure.constraint === 'boundary'));
+        let message = `GPS coordinates validated for ${herbType} in ${validZones.length} zone(s)`;
+        if (!isValid) {
+            message = nearZones.length > 0 ?
+                `Harvest not allowed for ${herbType}: ${nearZones.map(zone =>
+                    `${zone.zoneId} (${zone.failedConstraints.map(failure => failure.message).join('; ')})`).join(', ')}` :
+                `GPS coordinates not valid for ${herbType} - outside all approved zones`;
+        }
+
         console.info('============= END : Validate GPS Coordinates ===========');
         return {
             isValid,
-            message: isValid ? 
-                `GPS coordinates validated for ${herbType} in ${validZones.length} zone(s)` :
-                `GPS coordinates not valid for ${herbType} - outside all approved zones`,
+            message,
             validZones,
+            rejectedZones,
             coordinates: { latitude, longitude },
+            season,
             herbType
         };
     }
 
+    /**
+     * Check a harvest against every constraint a zone defines
+     * @param {Context} ctx - Transaction context
+     * @param {Object} zone - GeoFencing zone
+     * @param {string} herbType - Canonical herb ID
+     * @param {Object} coordinates - GPS coordinates
+     * @param {Date} harvestDate - Harvest date
+     * @param {number} quantityKg - Harvest quantity (0 when only the location is being checked)
+     * @param {Object} season - Season of the harvest from SeasonCalendar.getSeason
+     * @returns {Array} Failed constraints as { constraint, message }
+     */
+    async checkZoneConstraints(ctx, zone, herbType, coordinates, harvestDate, quantityKg, season) {
+        const failures = [];
+        const accuracy = coordinates.accuracy || 0;
+
+        // Boundary: the whole accuracy circle around the point must lie inside the zone
+        const edgeDistance = GeoFencingContract.getDistanceInsideZone(zone, coordinates);
+        if (edgeDistance < 0) {
+            failures.push({ constraint: 'boundary', message: 'Location is outside the zone boundary' });
+            return failures;
+        }
+        if (edgeDistance < accuracy) {
+            failures.push({
+                constraint: 'accuracy',
+                message: `GPS accuracy of ${accuracy}m exceeds the ${Math.floor(edgeDistance)}m distance to the zone boundary`
+            });
+        }
+
+        const closure = GeoFencingContract.getClosureAt(zone, harvestDate);
+        if (closure) {
+            failures.push({
+                constraint: 'closure',
+                message: `Zone is closed from ${closure.startDate} until ${closure.endsAt}: ${closure.reason}`
+            });
+        }
+
+        // Altitude: only checked when the device reports one
+        if (zone.altitude && coordinates.altitude !== undefined) {
+            const { min, max } = zone.altitude;
+            if ((min !== undefined && coordinates.altitude < min) || (max !== undefined && coordinates.altitude > max)) {
+                failures.push({
+                    constraint: 'altitude',
+                    message: `Altitude ${coordinates.altitude}m is outside the zone range ${min !== undefined ? min : '-'}-${max !== undefined ? max : '-'}m`
+                });
+            }
+        }
+
+        const restrictions = zone.seasonalRestrictions || {};
+        if (restrictions.allowedSeasons && restrictions.allowedSeasons.length > 0 &&
+            !SeasonCalendar.isAllowed(season, restrictions.allowedSeasons)) {
+            failures.push({
+                constraint: 'season',
+                message: `${SeasonCalendar.describe(season)} harvests are not allowed in this zone. Allowed seasons: ${SeasonCalendar.normalizeList(restrictions.allowedSeasons).join(', ')}`
+            });
+        }
+        if (restrictions.harvestWindow && !TraceabilityUtils.isDateInHarvestWindow(harvestDate, restrictions.harvestWindow)) {
+            failures.push({
+                constraint: 'harvestWindow',
+                message: `Harvest date is outside the zone harvest window ${restrictions.harvestWindow.startDate || '01-01'} to ${restrictions.harvestWindow.endDate || '12-31'}`
+            });
+        }
+
+        if (zone.sustainabilityLimits) {
+            const usage = await HarvestValidationContract.getZoneUsage(ctx, zone.zoneId, herbType, harvestDate);
+            const limitValidation = TraceabilityUtils.validateSustainabilityLimits(zone, herbType, quantityKg, usage, harvestDate);
+            for (const violation of limitValidation.violations) {
+                failures.push({ constraint: violation.limit, message: violation.message });
+            }
+        }
+
+        return failures;
+    }
+
     /**
      * Get zone details by zone ID
      * @param {Context} ctx - Transaction context
@@ -232,24 +556,308 @@ class GeoFencingContract extends Contract {
      * @returns {Array} Array of applicable zones
      */
     async getZonesForHerbType(ctx, herbType) {
-        const iterator = await ctx.stub.getStateByRange('', '');
-        const zones = [];
-        
-        while (true) {
-            const res = await iterator.next();
-            if (res.value && res.value.value.toString()) {
-                const zone = JSON.parse(res.value.value.toString());
-                if (zone.isActive && zone.herbTypes && zone.herbTypes.includes(herbType)) {
-                    zones.push(zone);
-                }
-            }
-            if (res.done) {
-                await iterator.close();
-                break;
+        return await this.getActiveZonesForHerb(ctx, herbType);
+    }
+
+    /**
+     * Get one page of zones for a specific herb type, including inactive zones
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbType - Type of herb
+     * @param {string} pageSize - Zones per page
+     * @param {string} bookmark - Bookmark returned by the previous page
+     * @returns {Object} Page of zones with bookmark
+     */
+    async getZonesForHerbTypeWithPagination(ctx, herbType, pageSize, bookmark = '') {
+        const herbId = await HerbRegistryContract.canonicalHerbType(ctx, herbType);
+        const page = await LedgerIndexes.getIndexedRecordsWithPagination(
+            ctx, INDEXES.HERB_ZONE, [herbId], pageSize, bookmark
+        );
+
+        return {
+            zones: page.records,
+            fetchedRecordsCount: page.fetchedRecordsCount,
+            bookmark: page.bookmark,
+            pageSize: page.pageSize
+        };
+    }
+
+    /**
+     * Load active zones approved for a herb type
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbType - Type of herb
+     * @returns {Array} Active zones
+     */
+    async getActiveZonesForHerb(ctx, herbType) {
+        const herbId = await HerbRegistryContract.canonicalHerbType(ctx, herbType);
+        const zones = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.HERB_ZONE, [herbId]);
+        return zones.filter(zone => zone.isActive);
+    }
+
+    /**
+     * Amend a zone: redraw its area, change its herbs, restrictions or limits (for regulators)
+     * The zone as it was is kept as a numbered version so harvests validated against it
+     * can still be checked against the area that applied at the time
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} amendmentData - JSON string with the fields to change and a reason
+     * @returns {Object} Amendment result with the new version and any overlaps
+     */
+    async amendZone(ctx, zoneId, amendmentData) {
+        console.info('============= START : Amend GeoFencing Zone ===========');
+
+        // Check permissions - only regulators can amend zones
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:amendZone');
+
+        const { reason, ...changes } = JSON.parse(amendmentData);
+        if (!reason) {
+            throw new Error('A reason is required to amend a zone');
+        }
+        for (const [field, hint] of Object.entries(FIXED_ZONE_FIELDS)) {
+            if (changes[field] !== undefined) {
+                throw new Error(`${field} cannot be amended${hint ? `; use ${hint}` : ''}`);
             }
         }
 
-        return zones;
+        const current = await this.getZone(ctx, zoneId);
+        const currentVersion = current.version || 1;
+        const { docType, version, createdAt, lastUpdated, amendment, lastModifiedBy, closures, ...fields } = current;
+
+        // A new area replaces the old one whichever way it was described
+        if (ZONE_SHAPE_FIELDS.some(field => changes[field] !== undefined)) {
+            ZONE_SHAPE_FIELDS.forEach(field => delete fields[field]);
+        }
+        const value = await this.normalizeZone(ctx, { ...fields, ...changes });
+
+        // Keep the outgoing version
+        await ctx.stub.putState(
+            GeoFencingContract.versionKey(zoneId, currentVersion),
+            Buffer.from(JSON.stringify({ ...current, docType: DOC_TYPES.ZONE_VERSION, version: currentVersion }))
+        );
+
+        const amendedAt = TransactionClock.nowISO(ctx);
+        const amended = {
+            ...value,
+            docType: DOC_TYPES.ZONE,
+            version: currentVersion + 1,
+            createdAt,
+            ...(closures ? { closures } : {}),
+            lastUpdated: amendedAt,
+            amendment: {
+                reason,
+                amendedFields: Object.keys(changes),
+                amendedAt
+            },
+            lastModifiedBy: AccessControl.modifiedBy(ctx)
+        };
+
+        await ctx.stub.putState(zoneId, Buffer.from(JSON.stringify(amended)));
+        await LedgerIndexes.indexZone(ctx, amended, current.herbTypes);
+
+        const overlaps = await this.findOverlappingZones(ctx, amended);
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ZONE_AMENDED, {
+            zoneId,
+            version: amended.version,
+            amendedFields: amended.amendment.amendedFields,
+            herbTypes: amended.herbTypes
+        });
+
+        console.info('============= END : Amend GeoFencing Zone ===========');
+        return {
+            success: true,
+            zoneId,
+            version: amended.version,
+            overlaps,
+            message: `Zone ${zoneId} amended to version ${amended.version}`
+        };
+    }
+
+    /**
+     * Get a zone as it was at a given version
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} version - Version number
+     * @returns {Object} Zone version
+     */
+    async getZoneVersion(ctx, zoneId, version) {
+        const zone = await this.getZone(ctx, zoneId);
+        const versionNumber = parseInt(version, 10);
+        if (versionNumber === (zone.version || 1)) {
+            return zone;
+        }
+
+        const versionBuffer = await ctx.stub.getState(GeoFencingContract.versionKey(zoneId, versionNumber));
+        if (!versionBuffer || versionBuffer.length === 0) {
+            throw new Error(`Zone ${zoneId} has no version ${version}`);
+        }
+        return JSON.parse(versionBuffer.toString());
+    }
+
+    /**
+     * Get every version of a zone, oldest first
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @returns {Array} Zone versions
+     */
+    async getZoneHistory(ctx, zoneId) {
+        const zone = await this.getZone(ctx, zoneId);
+        const versionKeys = [];
+        for (let version = 1; version < (zone.version || 1); version++) {
+            versionKeys.push(GeoFencingContract.versionKey(zoneId, version));
+        }
+
+        const versions = await LedgerIndexes.loadRecords(ctx, versionKeys);
+        versions.push(zone);
+        return versions;
+    }
+
+    /**
+     * Close a zone to harvesting for a period, e.g. after a flood or fire or during a
+     * conservation survey (for regulators). The zone reopens by itself at endDate
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} closureData - JSON string with startDate, endDate and reason
+     * @returns {Object} Scheduled closure
+     */
+    async scheduleZoneClosure(ctx, zoneId, closureData) {
+        console.info('============= START : Schedule Zone Closure ===========');
+
+        // Check permissions - only regulators can close zones
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:scheduleZoneClosure');
+
+        const { error, value } = zoneClosureSchema.validate(JSON.parse(closureData));
+        if (error) {
+            throw new Error(`Invalid closure data: ${error.details[0].message}`);
+        }
+        if (value.endDate <= TransactionClock.now(ctx)) {
+            throw new Error('Closure endDate must be in the future');
+        }
+
+        const caller = AccessControl.getCaller(ctx);
+        const zone = await this.getZone(ctx, zoneId);
+        const closures = zone.closures || [];
+        const closure = {
+            closureId: `${zoneId}-CL${String(closures.length + 1).padStart(3, '0')}`,
+            startDate: value.startDate.toISOString(),
+            endDate: value.endDate.toISOString(),
+            reason: value.reason,
+            issuedBy: {
+                regulatorId: value.regulatorId,
+                regulatorName: value.regulatorName,
+                mspId: caller.mspId,
+                clientId: caller.clientId,
+                enrollmentId: caller.enrollmentId || null
+            },
+            issuedAt: TransactionClock.nowISO(ctx)
+        };
+
+        zone.closures = [...closures, closure];
+        zone.lastUpdated = closure.issuedAt;
+        await ctx.stub.putState(zoneId, Buffer.from(JSON.stringify(zone)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ZONE_CLOSURE_SCHEDULED, {
+            zoneId,
+            zoneName: zone.zoneName,
+            closureId: closure.closureId,
+            startDate: closure.startDate,
+            endDate: closure.endDate,
+            reason: closure.reason
+        });
+
+        console.info('============= END : Schedule Zone Closure ===========');
+        return {
+            success: true,
+            zoneId,
+            closure,
+            message: `Zone ${zoneId} closed from ${closure.startDate} to ${closure.endDate}`
+        };
+    }
+
+    /**
+     * End a closure early, or cancel it before it starts (for regulators)
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} closureId - Closure identifier
+     * @param {string} reason - Reason for lifting the closure
+     * @returns {Object} Lifted closure
+     */
+    async liftZoneClosure(ctx, zoneId, closureId, reason) {
+        // Check permissions - only regulators can reopen zones
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:liftZoneClosure');
+
+        if (!reason) {
+            throw new Error('A reason is required to lift a zone closure');
+        }
+
+        const zone = await this.getZone(ctx, zoneId);
+        const closure = (zone.closures || []).find(entry => entry.closureId === closureId);
+        if (!closure) {
+            throw new Error(`Zone ${zoneId} has no closure ${closureId}`);
+        }
+
+        const liftedAt = TransactionClock.nowISO(ctx);
+        if (closure.liftedAt) {
+            throw new Error(`Closure ${closureId} was already lifted on ${closure.liftedAt}`);
+        }
+        if (closure.endDate <= liftedAt) {
+            throw new Error(`Closure ${closureId} already ended on ${closure.endDate}`);
+        }
+
+        closure.liftedAt = liftedAt;
+        closure.liftReason = reason;
+        closure.liftedBy = AccessControl.modifiedBy(ctx);
+        zone.lastUpdated = liftedAt;
+        await ctx.stub.putState(zoneId, Buffer.from(JSON.stringify(zone)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ZONE_CLOSURE_LIFTED, {
+            zoneId,
+            zoneName: zone.zoneName,
+            closureId,
+            reason
+        });
+
+        return {
+            success: true,
+            zoneId,
+            closure,
+            message: `Closure ${closureId} of zone ${zoneId} lifted`
+        };
+    }
+
+    /**
+     * Get the closures of a zone that have not yet ended
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} includePast - 'true' to include ended and lifted closures
+     * @returns {Array} Closures with their effective end
+     */
+    async getZoneClosures(ctx, zoneId, includePast = 'false') {
+        const zone = await this.getZone(ctx, zoneId);
+        const now = TransactionClock.nowISO(ctx);
+
+        return (zone.closures || [])
+            .map(closure => ({ ...closure, endsAt: GeoFencingContract.getClosureEnd(closure) }))
+            .filter(closure => includePast === 'true' || includePast === true || closure.endsAt > now);
+    }
+
+    /**
+     * Find which of a set of points lie inside a zone's boundary
+     * Used off-chain to find the farmers affected by a closure
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} pointsData - JSON array of { id, latitude, longitude }
+     * @returns {Array} IDs of the points inside the zone
+     */
+    async getPointsInZone(ctx, zoneId, pointsData) {
+        const points = JSON.parse(pointsData);
+        if (!Array.isArray(points) || points.length > MAX_ZONE_POINTS) {
+            throw new Error(`Points must be an array of at most ${MAX_ZONE_POINTS} entries`);
+        }
+
+        const zone = await this.getZone(ctx, zoneId);
+        return points
+            .filter(point => GeoFencingContract.getDistanceInsideZone(zone, point) >= 0)
+            .map(point => point.id);
     }
 
     /**
@@ -261,10 +869,7 @@ class GeoFencingContract extends Contract {
      */
     async updateZoneStatus(ctx, zoneId, isActive) {
         // Check permissions - only regulators can update zones
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'RegulatorMSP') {
-            throw new Error('Only regulators can update zone status');
-        }
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:updateZoneStatus');
 
         const zoneBuffer = await ctx.stub.getState(zoneId);
         if (!zoneBuffer || zoneBuffer.length === 0) {
@@ -273,10 +878,12 @@ class GeoFencingContract extends Contract {
 
         const zone = JSON.parse(zoneBuffer.toString());
         zone.isActive = isActive === 'true' || isActive === true;
-        zone.lastUpdated = new Date().toISOString();
+        zone.lastUpdated = TransactionClock.nowISO(ctx);
 
         await ctx.stub.putState(zoneId, Buffer.from(JSON.stringify(zone)));
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ZONE_STATUS_UPDATED, { zoneId, isActive: zone.isActive });
+
         return {
             success: true,
             message: `Zone ${zoneId} ${zone.isActive ? 'activated' : 'deactivated'} successfully`
@@ -290,27 +897,125 @@ class GeoFencingContract extends Contract {
      */
     async getAllZones(ctx) {
         // Check permissions - only regulators can view all zones
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'RegulatorMSP') {
-            throw new Error('Only regulators can view all zones');
-        }
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:getAllZones');
 
-        const iterator = await ctx.stub.getStateByRange('', '');
-        const zones = [];
-        
-        while (true) {
-            const res = await iterator.next();
-            if (res.value && res.value.value.toString()) {
-                const zone = JSON.parse(res.value.value.toString());
-                zones.push(zone);
-            }
-            if (res.done) {
-                await iterator.close();
-                break;
+        return await LedgerIndexes.getIndexedRecords(ctx, INDEXES.ZONE, []);
+    }
+
+    /**
+     * Rebuild zone indexes for zones written before indexing existed (for regulators)
+     * Processes the world state in slices; call again with nextStartKey until it is null
+     * @param {Context} ctx - Transaction context
+     * @param {string} startKey - Key to resume from
+     * @param {string} limit - Maximum keys to process in this transaction
+     * @returns {Object} Rebuild progress
+     */
+    async rebuildZoneIndexes(ctx, startKey = '', limit = '500') {
+        AccessControl.assertAuthorized(ctx, 'GeoFencingContract:rebuildZoneIndexes');
+
+        const { entries, nextStartKey } = await LedgerIndexes.scanRange(ctx, startKey, limit);
+        let indexedZones = 0;
+
+        for (const { key, record } of entries) {
+            if (record.zoneId !== key || !Array.isArray(record.herbTypes)) {
+                continue;
             }
+            await LedgerIndexes.indexZone(ctx, record);
+            indexedZones++;
+        }
+
+        return {
+            success: true,
+            scannedKeys: entries.length,
+            indexedZones,
+            nextStartKey
+        };
+    }
+
+    /**
+     * Distance from a point to the nearest edge of a zone, or -1 if the point is outside it
+     * @param {Object} zone - Zone record
+     * @param {Object} point - {latitude, longitude}
+     * @returns {number} Distance in meters
+     */
+    static getDistanceInsideZone(zone, point) {
+        if (zone.geometry || (zone.boundaries && zone.boundaries.length >= 3)) {
+            const geometry = zone.geometry || TraceabilityUtils.boundariesToGeometry(zone.boundaries);
+            return TraceabilityUtils.isPointInGeometry(point, geometry) ?
+                TraceabilityUtils.distanceToGeometryEdge(point, geometry) : -1;
+        }
+        if (zone.centerPoint && zone.radius) {
+            const distance = zone.radius - TraceabilityUtils.calculateDistance(point, zone.centerPoint);
+            return distance >= 0 ? distance : -1;
+        }
+        return -1;
+    }
+
+    /**
+     * Get the closure in force on a zone at a date, if any
+     * @param {Object} zone - Zone record
+     * @param {Date} date - Date to check
+     * @returns {Object|null} Closure with its effective end as endsAt
+     */
+    static getClosureAt(zone, date) {
+        const timestamp = new Date(date).toISOString();
+        const closure = (zone.closures || []).find(entry =>
+            entry.startDate <= timestamp && timestamp < GeoFencingContract.getClosureEnd(entry));
+        return closure ? { ...closure, endsAt: GeoFencingContract.getClosureEnd(closure) } : null;
+    }
+
+    /**
+     * A closure ends at its endDate, or earlier if it was lifted
+     * @param {Object} closure - Zone closure
+     * @returns {string} ISO timestamp
+     */
+    static getClosureEnd(closure) {
+        return closure.liftedAt && closure.liftedAt < closure.endDate ? closure.liftedAt : closure.endDate;
+    }
+
+    /**
+     * Get a zone's area as a GeoJSON geometry; circular zones are approximated by a polygon
+     * @param {Object} zone - Zone record
+     * @returns {Object} GeoJSON Polygon or MultiPolygon
+     */
+    static getZoneGeometry(zone) {
+        if (zone.geometry) {
+            return zone.geometry;
         }
+        if (zone.boundaries && zone.boundaries.length >= 3) {
+            return TraceabilityUtils.boundariesToGeometry(zone.boundaries);
+        }
+        return TraceabilityUtils.circleToGeometry(zone.centerPoint, zone.radius);
+    }
 
-        return zones;
+    static versionKey(zoneId, version) {
+        return `ZONE_VERSION_${zoneId}_${version}`;
+    }
+
+    /**
+     * Convert a zone to a GeoJSON Feature; zone fields other than the shape become properties
+     * @param {Object} zone - Zone record
+     * @returns {Object} GeoJSON Feature
+     */
+    static zoneToFeature(zone) {
+        const { geometry, boundaries, centerPoint, radius, docType, amendment, lastModifiedBy, ...properties } = zone;
+
+        let featureGeometry;
+        if (geometry) {
+            featureGeometry = geometry;
+        } else if (boundaries && boundaries.length >= 3) {
+            featureGeometry = TraceabilityUtils.boundariesToGeometry(boundaries);
+        } else {
+            featureGeometry = { type: 'Point', coordinates: [centerPoint.longitude, centerPoint.latitude] };
+            properties.radius = radius;
+        }
+
+        return {
+            type: 'Feature',
+            id: zone.zoneId,
+            geometry: featureGeometry,
+            properties
+        };
     }
 }
 
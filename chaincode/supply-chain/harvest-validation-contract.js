@@ -1,5 +1,24 @@
 const { Contract } = require('fabric-contract-api');
+const AccessControl = require('./access-control');
+const ChaincodeEvents = require('./events');
+const HerbRegistryContract = require('./herb-registry-contract');
+const SeasonCalendar = require('./season-calendar');
 const TraceabilityUtils = require('./utils');
+const TransactionClock = require('./transaction-clock');
+const LedgerIndexes = require('./indexes');
+const DOC_TYPES = require('./doc-types');
+const { INDEXES } = LedgerIndexes;
+const { EVENT_TYPES } = ChaincodeEvents;
+
+// Quotas of a newly opened year; herbs without a default quota in the herb registry share the Other quota
+const DEFAULT_TOTAL_QUOTA_KG = 100000; // 100 tons per year
+const OTHER_HERBS_QUOTA_KG = 22000;
+const OTHER_HERBS = 'Other';
+
+// Zone utilization (%) at which the utilization report flags a zone as close to exhaustion
+const DEFAULT_EXHAUSTION_THRESHOLD = 80;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
 
 /**
  * Harvest Validation Smart Contract for Ayurvedic Herb Traceability
@@ -19,22 +38,11 @@ class HarvestValidationContract extends Contract {
         console.info('============= START : Initialize Harvest Validation Ledger ===========');
 
         // Initialize sustainability tracking data structure
+        // Quota years are opened on first use with the herb registry's default quotas
         const sustainabilityTracker = {
-            lastUpdated: new Date().toISOString(),
-            yearlyQuotas: {
-                '2024': {
-                    totalQuota: 100000, // 100 tons total for all herbs
-                    usedQuota: 0,
-                    herbQuotas: {
-                        'Ashwagandha': { quota: 20000, used: 0 },
-                        'Turmeric': { quota: 25000, used: 0 },
-                        'Tulsi': { quota: 15000, used: 0 },
-                        'Neem': { quota: 10000, used: 0 },
-                        'Brahmi': { quota: 8000, used: 0 },
-                        'Other': { quota: 22000, used: 0 }
-                    }
-                }
-            }
+            docType: DOC_TYPES.SUSTAINABILITY_TRACKER,
+            lastUpdated: TransactionClock.nowISO(ctx),
+            yearlyQuotas: {}
         };
 
         await ctx.stub.putState('SUSTAINABILITY_TRACKER', Buffer.from(JSON.stringify(sustainabilityTracker)));
@@ -47,74 +55,54 @@ class HarvestValidationContract extends Contract {
      * @param {Context} ctx - Transaction context
      * @param {string} herbType - Type of herb being harvested
      * @param {string} harvestDate - ISO date string of harvest
-     * @param {string} gpsData - GPS coordinates JSON string
+     * @param {string} gpsData - GPS coordinates JSON string, optionally with the harvest's state
      * @returns {Object} Validation result
      */
     async validateHarvestSeason(ctx, herbType, harvestDate, gpsData = null) {
         console.info('============= START : Validate Harvest Season ===========');
 
+        const herb = await HerbRegistryContract.requireHerb(ctx, herbType);
         const harvestDateObj = new Date(harvestDate);
-        const coordinates = gpsData ? JSON.parse(gpsData) : null;
+        const location = gpsData ? JSON.parse(gpsData) : {};
         
-        // Determine hemisphere and current season
-        const hemisphere = (coordinates && coordinates.latitude < 0) ? 'south' : 'north';
-        const season = TraceabilityUtils.getCurrentSeason(harvestDateObj, hemisphere);
+        // Ritu and crop season for the harvest date, shifted for the state it was harvested in
+        const season = SeasonCalendar.getSeason(harvestDateObj, location);
         
-        // Validate against seasonal rules
-        const seasonValidation = TraceabilityUtils.validateHarvestSeason(herbType, season, harvestDateObj);
+        // Validate against the herb's registered seasons
+        const seasonValidation = TraceabilityUtils.validateHarvestSeason(herb, season);
         
         // Additional time-based validation
-        const currentDate = new Date();
-        const harvestMonth = harvestDateObj.getMonth() + 1;
+        const currentDate = TransactionClock.now(ctx);
+        const harvestMonth = harvestDateObj.getUTCMonth() + 1;
         
         // Check if harvest date is not in future
         if (harvestDateObj > currentDate) {
             return {
                 isValid: false,
                 message: 'Harvest date cannot be in the future',
-                season,
+                season: season.ritu,
                 harvestDate: harvestDate
             };
         }
 
         // Check if harvest is too old (more than 1 year)
-        const daysDifference = (currentDate - harvestDateObj) / (1000 * 60 * 60 * 24);
+        const daysDifference = TransactionClock.daysSince(ctx, harvestDateObj);
         if (daysDifference > 365) {
             return {
                 isValid: false,
                 message: 'Harvest date is too old (more than 1 year)',
-                season,
+                season: season.ritu,
                 harvestDate: harvestDate
             };
         }
 
-        // Herb-specific seasonal restrictions
-        const herbSeasonalRules = {
-            'Ashwagandha': {
-                optimalMonths: [11, 12, 1, 2, 3, 4], // Nov-Apr
-                message: 'Ashwagandha should be harvested in winter/spring (Nov-Apr) for optimal potency'
-            },
-            'Turmeric': {
-                optimalMonths: [12, 1, 2, 3, 4, 5], // Dec-May
-                message: 'Turmeric should be harvested after 8-9 months of planting (Dec-May)'
-            },
-            'Tulsi': {
-                optimalMonths: [6, 7, 8, 9, 10], // Jun-Oct
-                message: 'Tulsi leaves are best harvested during summer and monsoon (Jun-Oct)'
-            },
-            'Neem': {
-                optimalMonths: [5, 6, 7, 8, 9], // May-Sep
-                message: 'Neem is typically harvested during summer and early monsoon (May-Sep)'
-            }
-        };
-
-        const herbRule = herbSeasonalRules[herbType];
+        // Herb-specific optimal months from the herb registry
         let isOptimalSeason = true;
         let seasonMessage = seasonValidation.message;
 
-        if (herbRule && !herbRule.optimalMonths.includes(harvestMonth)) {
+        if (herb.optimalMonths && !herb.optimalMonths.includes(harvestMonth)) {
             isOptimalSeason = false;
-            seasonMessage += `. Warning: ${herbRule.message}`;
+            seasonMessage += `. Warning: ${herb.harvestAdvisory || `${herb.herbId} is best harvested in months ${herb.optimalMonths.join(', ')}`}`;
         }
 
         console.info('============= END : Validate Harvest Season ===========');
@@ -122,7 +110,10 @@ class HarvestValidationContract extends Contract {
             isValid: seasonValidation.isValid,
             isOptimalSeason,
             message: seasonMessage,
-            season,
+            herbType: herb.herbId,
+            season: season.ritu,
+            cropSeason: season.cropSeason,
+            region: season.region,
             harvestMonth,
             harvestDate: harvestDate,
             allowedSeasons: seasonValidation.allowedSeasons
@@ -141,7 +132,9 @@ class HarvestValidationContract extends Contract {
     async validateSustainabilityQuota(ctx, herbType, quantity, farmerId, harvestDate) {
         console.info('============= START : Validate Sustainability Quota ===========');
 
-        const harvestYear = new Date(harvestDate).getFullYear().toString();
+        const herb = await HerbRegistryContract.requireHerb(ctx, herbType);
+        herbType = herb.herbId;
+        const harvestYear = TransactionClock.yearOf(harvestDate);
         const quantityNum = parseFloat(quantity);
 
         if (quantityNum <= 0) {
@@ -149,37 +142,9 @@ class HarvestValidationContract extends Contract {
         }
 
         // Get current sustainability tracker
-        const trackerBuffer = await ctx.stub.getState('SUSTAINABILITY_TRACKER');
-        let tracker;
-        
-        if (!trackerBuffer || trackerBuffer.length === 0) {
-            // Initialize if not exists
-            tracker = {
-                lastUpdated: new Date().toISOString(),
-                yearlyQuotas: {}
-            };
-        } else {
-            tracker = JSON.parse(trackerBuffer.toString());
-        }
-
-        // Initialize year if not exists
-        if (!tracker.yearlyQuotas[harvestYear]) {
-            tracker.yearlyQuotas[harvestYear] = {
-                totalQuota: 100000, // 100 tons per year default
-                usedQuota: 0,
-                herbQuotas: {
-                    'Ashwagandha': { quota: 20000, used: 0 },
-                    'Turmeric': { quota: 25000, used: 0 },
-                    'Tulsi': { quota: 15000, used: 0 },
-                    'Neem': { quota: 10000, used: 0 },
-                    'Brahmi': { quota: 8000, used: 0 },
-                    'Other': { quota: 22000, used: 0 }
-                }
-            };
-        }
-
-        const yearData = tracker.yearlyQuotas[harvestYear];
-        const herbQuota = yearData.herbQuotas[herbType] || yearData.herbQuotas['Other'];
+        const tracker = await this.readTracker(ctx);
+        const yearData = await this.getYearQuotas(ctx, tracker, harvestYear);
+        const herbQuota = this.getHerbQuota(yearData, herb);
 
         // Check if quota is available
         const remainingQuota = herbQuota.quota - herbQuota.used;
@@ -259,7 +224,8 @@ class HarvestValidationContract extends Contract {
     }
 
     /**
-     * Update sustainability quota usage after successful harvest
+     * Update sustainability quota usage after successful harvest. Not a transaction:
+     * quota is only consumed by ProvenanceContract:recordHarvest
      * @param {Context} ctx - Transaction context
      * @param {string} herbType - Type of herb
      * @param {number} quantity - Harvested quantity in kg
@@ -267,39 +233,51 @@ class HarvestValidationContract extends Contract {
      * @param {string} harvestDate - Harvest date
      * @returns {Object} Update result
      */
-    async updateQuotaUsage(ctx, herbType, quantity, farmerId, harvestDate) {
+    async _updateQuotaUsage(ctx, herbType, quantity, farmerId, harvestDate) {
         console.info('============= START : Update Quota Usage ===========');
 
-        const harvestYear = new Date(harvestDate).getFullYear().toString();
+        // Only the harvesting farmer can record quota usage
+        AccessControl.assertActingAs(ctx, farmerId, 'farmerId');
+
+        const herb = await HerbRegistryContract.requireHerb(ctx, herbType);
+        herbType = herb.herbId;
+        const harvestYear = TransactionClock.yearOf(harvestDate);
         const quantityNum = parseFloat(quantity);
 
         // Get and update sustainability tracker
-        const trackerBuffer = await ctx.stub.getState('SUSTAINABILITY_TRACKER');
-        const tracker = JSON.parse(trackerBuffer.toString());
-        
-        const yearData = tracker.yearlyQuotas[harvestYear];
-        const herbQuota = yearData.herbQuotas[herbType] || yearData.herbQuotas['Other'];
+        const tracker = await this.readTracker(ctx);
+        const yearData = await this.getYearQuotas(ctx, tracker, harvestYear);
+        const herbQuota = this.getHerbQuota(yearData, herb);
 
         // Update herb-specific quota
         herbQuota.used += quantityNum;
         yearData.usedQuota += quantityNum;
-        tracker.lastUpdated = new Date().toISOString();
+        tracker.lastUpdated = TransactionClock.nowISO(ctx);
 
         // Update farmer history
         const farmerHarvestKey = `FARMER_HARVEST_${farmerId}_${harvestYear}`;
         const farmerHistoryBuffer = await ctx.stub.getState(farmerHarvestKey);
         let farmerHistory = farmerHistoryBuffer && farmerHistoryBuffer.length > 0 ? 
             JSON.parse(farmerHistoryBuffer.toString()) : 
-            { farmerId, year: harvestYear, totalHarvest: 0, herbHarvests: {}, lastUpdated: new Date().toISOString() };
+            { docType: DOC_TYPES.FARMER_HARVEST_HISTORY, farmerId, year: harvestYear, totalHarvest: 0, herbHarvests: {}, lastUpdated: TransactionClock.nowISO(ctx) };
 
         farmerHistory.totalHarvest += quantityNum;
         farmerHistory.herbHarvests[herbType] = (farmerHistory.herbHarvests[herbType] || 0) + quantityNum;
-        farmerHistory.lastUpdated = new Date().toISOString();
+        farmerHistory.lastUpdated = TransactionClock.nowISO(ctx);
 
         // Save updated data
         await ctx.stub.putState('SUSTAINABILITY_TRACKER', Buffer.from(JSON.stringify(tracker)));
         await ctx.stub.putState(farmerHarvestKey, Buffer.from(JSON.stringify(farmerHistory)));
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.QUOTA_USAGE_UPDATED, {
+            farmerId,
+            herbType,
+            year: harvestYear,
+            quantityKg: quantityNum,
+            used: herbQuota.used,
+            remaining: herbQuota.quota - herbQuota.used
+        });
+
         console.info('============= END : Update Quota Usage ===========');
         return {
             success: true,
@@ -325,7 +303,7 @@ class HarvestValidationContract extends Contract {
      * @returns {Object} Quota status
      */
     async getQuotaStatus(ctx, year = null) {
-        const targetYear = year || new Date().getFullYear().toString();
+        const targetYear = year || TransactionClock.year(ctx);
         
         const trackerBuffer = await ctx.stub.getState('SUSTAINABILITY_TRACKER');
         if (!trackerBuffer || trackerBuffer.length === 0) {
@@ -369,7 +347,7 @@ class HarvestValidationContract extends Contract {
      * @returns {Object} Farmer harvest history
      */
     async getFarmerHarvestHistory(ctx, farmerId, year = null) {
-        const targetYear = year || new Date().getFullYear().toString();
+        const targetYear = year || TransactionClock.year(ctx);
         const farmerHarvestKey = `FARMER_HARVEST_${farmerId}_${targetYear}`;
         
         const farmerHistoryBuffer = await ctx.stub.getState(farmerHarvestKey);
@@ -386,6 +364,99 @@ class HarvestValidationContract extends Contract {
         return JSON.parse(farmerHistoryBuffer.toString());
     }
 
+    /**
+     * Get the harvests recorded in a geofencing zone
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} year - Year to check (optional, defaults to current year)
+     * @returns {Object} Zone harvest history
+     */
+    async getZoneHarvestHistory(ctx, zoneId, year = null) {
+        const targetYear = year || TransactionClock.year(ctx);
+        const history = await HarvestValidationContract.readZoneHistory(ctx, zoneId, targetYear);
+        if (!history) {
+            return {
+                zoneId,
+                year: targetYear,
+                totalHarvest: 0,
+                herbHarvests: {},
+                lastHarvests: {},
+                message: 'No harvests recorded in this zone in the specified year'
+            };
+        }
+        return history;
+    }
+
+    /**
+     * Report how much of each zone's sustainability limits has been used (for regulators)
+     * Zones are sorted by utilization; those at or above the threshold are flagged as near exhaustion
+     * @param {Context} ctx - Transaction context
+     * @param {string} year - Year to report (optional, defaults to current year)
+     * @param {string} threshold - Utilization percentage that flags a zone (default 80)
+     * @returns {Object} Zone utilization report
+     */
+    async getZoneUtilizationReport(ctx, year = null, threshold = null) {
+        // Check permissions - only regulators can view zone utilization
+        AccessControl.assertAuthorized(ctx, 'HarvestValidationContract:getZoneUtilizationReport');
+
+        const targetYear = year || TransactionClock.year(ctx);
+        const exhaustionThreshold = threshold ? parseFloat(threshold) : DEFAULT_EXHAUSTION_THRESHOLD;
+        const percent = (used, limit) => limit ? parseFloat((used / limit * 100).toFixed(2)) : null;
+
+        const zones = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.ZONE, []);
+        const report = [];
+
+        for (const zone of zones) {
+            const limits = zone.sustainabilityLimits || {};
+            const history = await HarvestValidationContract.readZoneHistory(ctx, zone.zoneId, targetYear) ||
+                { totalHarvest: 0, herbHarvests: {}, lastHarvests: {} };
+
+            const herbs = {};
+            for (const herbType of zone.herbTypes) {
+                const harvested = history.herbHarvests[herbType] || 0;
+                const estimatedStock = limits.estimatedStockKg && limits.estimatedStockKg[herbType];
+                const maxHarvest = estimatedStock && limits.maxHarvestPercentage !== undefined ?
+                    estimatedStock * limits.maxHarvestPercentage / 100 : null;
+                const lastHarvest = history.lastHarvests[herbType];
+
+                herbs[herbType] = {
+                    harvested,
+                    maxHarvest,
+                    utilization: percent(harvested, maxHarvest),
+                    lastHarvestDate: lastHarvest ? lastHarvest.harvestDate : null,
+                    regenerationEndsOn: lastHarvest && limits.minRegenerationPeriod ?
+                        new Date(new Date(lastHarvest.harvestDate).getTime() + limits.minRegenerationPeriod * MS_PER_DAY).toISOString() :
+                        null
+                };
+            }
+
+            const utilization = percent(history.totalHarvest, limits.maxAnnualHarvest);
+            const peakUtilization = Math.max(utilization || 0, ...Object.values(herbs).map(herb => herb.utilization || 0));
+
+            report.push({
+                zoneId: zone.zoneId,
+                zoneName: zone.zoneName,
+                isActive: zone.isActive,
+                totalHarvest: history.totalHarvest,
+                maxAnnualHarvest: limits.maxAnnualHarvest || null,
+                remaining: limits.maxAnnualHarvest ? limits.maxAnnualHarvest - history.totalHarvest : null,
+                utilization,
+                peakUtilization,
+                nearExhaustion: peakUtilization >= exhaustionThreshold,
+                herbs
+            });
+        }
+
+        report.sort((a, b) => b.peakUtilization - a.peakUtilization);
+
+        return {
+            year: targetYear,
+            threshold: exhaustionThreshold,
+            nearExhaustion: report.filter(zone => zone.nearExhaustion).map(zone => zone.zoneId),
+            zones: report
+        };
+    }
+
     /**
      * Update quota limits (admin function)
      * @param {Context} ctx - Transaction context
@@ -394,30 +465,23 @@ class HarvestValidationContract extends Contract {
      */
     async updateQuotaLimits(ctx, quotaData) {
         // Check permissions - only regulators can update quotas
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'RegulatorMSP') {
-            throw new Error('Only regulators can update quota limits');
-        }
+        AccessControl.assertAuthorized(ctx, 'HarvestValidationContract:updateQuotaLimits');
 
         const newQuotas = JSON.parse(quotaData);
-        const year = newQuotas.year || new Date().getFullYear().toString();
+        const year = newQuotas.year || TransactionClock.year(ctx);
 
-        const trackerBuffer = await ctx.stub.getState('SUSTAINABILITY_TRACKER');
-        const tracker = JSON.parse(trackerBuffer.toString());
+        const tracker = await this.readTracker(ctx);
 
         // Update quota limits
-        if (!tracker.yearlyQuotas[year]) {
-            tracker.yearlyQuotas[year] = { totalQuota: 0, usedQuota: 0, herbQuotas: {} };
-        }
-
-        const yearData = tracker.yearlyQuotas[year];
+        const yearData = await this.getYearQuotas(ctx, tracker, year);
         
         if (newQuotas.totalQuota) {
             yearData.totalQuota = newQuotas.totalQuota;
         }
 
         if (newQuotas.herbQuotas) {
-            for (const [herbType, quota] of Object.entries(newQuotas.herbQuotas)) {
+            for (const [name, quota] of Object.entries(newQuotas.herbQuotas)) {
+                const herbType = name === OTHER_HERBS ? OTHER_HERBS : (await HerbRegistryContract.requireHerb(ctx, name)).herbId;
                 if (!yearData.herbQuotas[herbType]) {
                     yearData.herbQuotas[herbType] = { quota: 0, used: 0 };
                 }
@@ -425,15 +489,156 @@ class HarvestValidationContract extends Contract {
             }
         }
 
-        tracker.lastUpdated = new Date().toISOString();
+        tracker.lastUpdated = TransactionClock.nowISO(ctx);
         await ctx.stub.putState('SUSTAINABILITY_TRACKER', Buffer.from(JSON.stringify(tracker)));
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.QUOTA_LIMITS_UPDATED, { year });
+
         return {
             success: true,
             message: `Quota limits updated for year ${year}`,
             updatedQuotas: yearData
         };
     }
+
+    /**
+     * Read the sustainability tracker, or an empty one if it was never initialized
+     * @param {Context} ctx - Transaction context
+     * @returns {Object} Sustainability tracker
+     */
+    async readTracker(ctx) {
+        const trackerBuffer = await ctx.stub.getState('SUSTAINABILITY_TRACKER');
+        if (!trackerBuffer || trackerBuffer.length === 0) {
+            return {
+                docType: DOC_TYPES.SUSTAINABILITY_TRACKER,
+                lastUpdated: TransactionClock.nowISO(ctx),
+                yearlyQuotas: {}
+            };
+        }
+        return JSON.parse(trackerBuffer.toString());
+    }
+
+    /**
+     * Get a year's quotas, opening the year with the herb registry's default quotas
+     * The caller saves the tracker if the year should be kept
+     * @param {Context} ctx - Transaction context
+     * @param {Object} tracker - Sustainability tracker
+     * @param {string} year - Quota year
+     * @returns {Object} Year quota data
+     */
+    async getYearQuotas(ctx, tracker, year) {
+        if (!tracker.yearlyQuotas[year]) {
+            const herbQuotas = {};
+            const herbs = await HerbRegistryContract.getActiveHerbs(ctx);
+            for (const herb of herbs) {
+                if (herb.defaultQuotaKg) {
+                    herbQuotas[herb.herbId] = { quota: herb.defaultQuotaKg, used: 0 };
+                }
+            }
+            herbQuotas[OTHER_HERBS] = { quota: OTHER_HERBS_QUOTA_KG, used: 0 };
+
+            tracker.yearlyQuotas[year] = {
+                totalQuota: DEFAULT_TOTAL_QUOTA_KG,
+                usedQuota: 0,
+                herbQuotas
+            };
+        }
+        return tracker.yearlyQuotas[year];
+    }
+
+    /**
+     * Get the quota a herb's harvests count against
+     * @param {Object} yearData - Year quota data
+     * @param {Object} herb - Herb from the herb registry
+     * @returns {Object} { quota, used }
+     */
+    getHerbQuota(yearData, herb) {
+        if (!yearData.herbQuotas[herb.herbId]) {
+            if (herb.defaultQuotaKg) {
+                // Herb registered after the year was opened
+                yearData.herbQuotas[herb.herbId] = { quota: herb.defaultQuotaKg, used: 0 };
+            } else if (!yearData.herbQuotas[OTHER_HERBS]) {
+                yearData.herbQuotas[OTHER_HERBS] = { quota: 0, used: 0 };
+            }
+        }
+        return yearData.herbQuotas[herb.herbId] || yearData.herbQuotas[OTHER_HERBS];
+    }
+
+    /**
+     * Get what has been harvested in a zone, for checking its sustainability limits
+     * The last harvest may fall in the previous year, which still counts toward regeneration
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone identifier
+     * @param {string} herbType - Canonical herb ID
+     * @param {Date} harvestDate - Date of the requested harvest
+     * @returns {Object} { totalHarvest, herbHarvest, lastHarvestDate }
+     */
+    static async getZoneUsage(ctx, zoneId, herbType, harvestDate) {
+        const year = harvestDate.getUTCFullYear();
+        const history = await HarvestValidationContract.readZoneHistory(ctx, zoneId, String(year));
+        const previousHistory = await HarvestValidationContract.readZoneHistory(ctx, zoneId, String(year - 1));
+
+        const lastHarvest = (history && history.lastHarvests[herbType]) ||
+            (previousHistory && previousHistory.lastHarvests[herbType]);
+
+        return {
+            totalHarvest: history ? history.totalHarvest : 0,
+            herbHarvest: history ? (history.herbHarvests[herbType] || 0) : 0,
+            lastHarvestDate: lastHarvest ? lastHarvest.harvestDate : null
+        };
+    }
+
+    /**
+     * Add a harvest to a zone's harvest history
+     * Called from ProvenanceContract.recordHarvest in the harvest's own transaction
+     * @param {Context} ctx - Transaction context
+     * @param {string} zoneId - Zone the harvest is accounted to
+     * @param {string} herbType - Canonical herb ID
+     * @param {number} quantityKg - Harvested quantity
+     * @param {string} harvestDate - ISO date of the harvest
+     * @param {string} batchId - Harvested batch
+     * @returns {Object} Updated zone harvest history
+     */
+    static async recordZoneHarvest(ctx, zoneId, herbType, quantityKg, harvestDate, batchId) {
+        const year = TransactionClock.yearOf(harvestDate);
+        const history = await HarvestValidationContract.readZoneHistory(ctx, zoneId, year) ||
+            { docType: DOC_TYPES.ZONE_HARVEST_HISTORY, zoneId, year, totalHarvest: 0, harvestCount: 0, herbHarvests: {}, lastHarvests: {} };
+
+        history.totalHarvest += quantityKg;
+        history.harvestCount += 1;
+        history.herbHarvests[herbType] = (history.herbHarvests[herbType] || 0) + quantityKg;
+
+        const lastHarvest = history.lastHarvests[herbType];
+        if (!lastHarvest || new Date(harvestDate) >= new Date(lastHarvest.harvestDate)) {
+            history.lastHarvests[herbType] = { batchId, harvestDate, quantityKg };
+        }
+        history.lastUpdated = TransactionClock.nowISO(ctx);
+
+        await ctx.stub.putState(HarvestValidationContract.zoneHistoryKey(zoneId, year), Buffer.from(JSON.stringify(history)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.ZONE_HARVEST_RECORDED, {
+            zoneId,
+            herbType,
+            year,
+            batchId,
+            quantityKg,
+            totalHarvest: history.totalHarvest
+        });
+
+        return history;
+    }
+
+    static zoneHistoryKey(zoneId, year) {
+        return `ZONE_HARVEST_${zoneId}_${year}`;
+    }
+
+    static async readZoneHistory(ctx, zoneId, year) {
+        const historyBuffer = await ctx.stub.getState(HarvestValidationContract.zoneHistoryKey(zoneId, year));
+        if (!historyBuffer || historyBuffer.length === 0) {
+            return null;
+        }
+        return JSON.parse(historyBuffer.toString());
+    }
 }
 
 module.exports = HarvestValidationContract;
\ No newline at end of file
@@ -0,0 +1,397 @@
+const { Contract } = require('fabric-contract-api');
+const AccessControl = require('./access-control');
+const ChaincodeEvents = require('./events');
+const TransactionClock = require('./transaction-clock');
+const LedgerIndexes = require('./indexes');
+const DOC_TYPES = require('./doc-types');
+const { INDEXES } = LedgerIndexes;
+const { EVENT_TYPES } = ChaincodeEvents;
+const { herbSchema } = require('./schemas');
+
+/**
+ * Herb Registry Smart Contract for Ayurvedic Herb Traceability
+ * Canonical catalog of herbs: botanical and local names, SMS codes, harvest seasons,
+ * default quotas and the quality standards each herb is tested against.
+ * Other contracts resolve every herb name through this registry so that e.g.
+ * "Giloy", "GILOY" and "Tinospora cordifolia" are all recorded as Guduchi.
+ */
+class HerbRegistryContract extends Contract {
+
+    constructor() {
+        super('HerbRegistryContract');
+    }
+
+    /**
+     * Initialize contract with the default herb catalog
+     * @param {Context} ctx - Transaction context
+     */
+    async initLedger(ctx) {
+        console.info('============= START : Initialize Herb Registry Ledger ===========');
+
+        const herbs = [
+            {
+                herbId: 'Ashwagandha',
+                botanicalName: 'Withania somnifera',
+                family: 'Solanaceae',
+                synonyms: ['Indian Ginseng', 'Winter Cherry'],
+                vernacularNames: { hindi: 'Asgandh', tamil: 'Amukkara', malayalam: 'Amukkuram' },
+                smsCodes: ['ASHWA'],
+                allowedSeasons: ['Hemanta', 'Shishira', 'Vasanta'],
+                optimalMonths: [11, 12, 1, 2, 3, 4],
+                harvestAdvisory: 'Ashwagandha should be harvested in winter/spring (Nov-Apr) for optimal potency',
+                defaultQuotaKg: 20000
+            },
+            {
+                herbId: 'Turmeric',
+                botanicalName: 'Curcuma longa',
+                family: 'Zingiberaceae',
+                synonyms: ['Haridra'],
+                vernacularNames: { hindi: 'Haldi', tamil: 'Manjal' },
+                smsCodes: ['TURMERIC', 'TURM'],
+                allowedSeasons: ['Rabi', 'Zaid'],
+                optimalMonths: [12, 1, 2, 3, 4, 5],
+                harvestAdvisory: 'Turmeric should be harvested after 8-9 months of planting (Dec-May)',
+                defaultQuotaKg: 25000
+            },
+            {
+                herbId: 'Ginger',
+                botanicalName: 'Zingiber officinale',
+                family: 'Zingiberaceae',
+                synonyms: ['Ardraka', 'Shunthi'],
+                vernacularNames: { hindi: 'Adrak', tamil: 'Inji' },
+                smsCodes: ['GINGER'],
+                allowedSeasons: ['Rabi', 'Zaid']
+            },
+            {
+                herbId: 'Tulsi',
+                botanicalName: 'Ocimum tenuiflorum',
+                family: 'Lamiaceae',
+                synonyms: ['Holy Basil', 'Ocimum sanctum'],
+                vernacularNames: { tamil: 'Thulasi' },
+                smsCodes: ['TULSI'],
+                allowedSeasons: ['Grishma', 'Varsha', 'Sharad'],
+                optimalMonths: [6, 7, 8, 9, 10],
+                harvestAdvisory: 'Tulsi leaves are best harvested during summer and monsoon (Jun-Oct)',
+                defaultQuotaKg: 15000
+            },
+            {
+                herbId: 'Neem',
+                botanicalName: 'Azadirachta indica',
+                family: 'Meliaceae',
+                synonyms: ['Nimba', 'Indian Lilac'],
+                vernacularNames: { tamil: 'Vembu' },
+                smsCodes: ['NEEM'],
+                allowedSeasons: ['Grishma', 'Varsha'],
+                optimalMonths: [5, 6, 7, 8, 9],
+                harvestAdvisory: 'Neem is typically harvested during summer and early monsoon (May-Sep)',
+                defaultQuotaKg: 10000
+            },
+            {
+                herbId: 'Brahmi',
+                botanicalName: 'Bacopa monnieri',
+                family: 'Plantaginaceae',
+                synonyms: ['Water Hyssop'],
+                vernacularNames: { tamil: 'Neer Brahmi' },
+                smsCodes: ['BRAHMI'],
+                allowedSeasons: ['Grishma', 'Varsha', 'Sharad'],
+                defaultQuotaKg: 8000
+            },
+            {
+                herbId: 'Amla',
+                botanicalName: 'Phyllanthus emblica',
+                family: 'Phyllanthaceae',
+                synonyms: ['Amalaki', 'Indian Gooseberry', 'Emblica officinalis'],
+                vernacularNames: { tamil: 'Nellikai' },
+                smsCodes: ['AMLA'],
+                allowedSeasons: ['Hemanta', 'Shishira', 'Vasanta']
+            },
+            {
+                herbId: 'Arjuna',
+                botanicalName: 'Terminalia arjuna',
+                family: 'Combretaceae',
+                vernacularNames: { hindi: 'Arjun', tamil: 'Marutham' },
+                smsCodes: ['ARJUNA'],
+                allowedSeasons: ['Vasanta', 'Grishma']
+            },
+            {
+                herbId: 'Shatavari',
+                botanicalName: 'Asparagus racemosus',
+                family: 'Asparagaceae',
+                synonyms: ['Satavar'],
+                vernacularNames: { hindi: 'Shatavar' },
+                smsCodes: ['SHATA'],
+                allowedSeasons: ['Vasanta', 'Grishma', 'Sharad']
+            },
+            {
+                herbId: 'Guduchi',
+                botanicalName: 'Tinospora cordifolia',
+                family: 'Menispermaceae',
+                synonyms: ['Giloy', 'Amrita', 'Heart-leaved Moonseed'],
+                vernacularNames: { hindi: 'Giloy', tamil: 'Seenthil' },
+                smsCodes: ['GILOY', 'GUDUCHI'],
+                allowedSeasons: ['Grishma', 'Varsha']
+            }
+        ];
+
+        for (const herbData of herbs) {
+            const { error, value } = herbSchema.validate(herbData);
+            if (error) {
+                throw new Error(`Invalid herb ${herbData.herbId}: ${error.details[0].message}`);
+            }
+            await this.saveHerb(ctx, value, null);
+        }
+
+        console.info('============= END : Initialize Herb Registry Ledger ===========');
+    }
+
+    /**
+     * Register a herb (for regulators)
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbData - JSON string of herb data
+     * @returns {Object} Registered herb
+     */
+    async registerHerb(ctx, herbData) {
+        console.info('============= START : Register Herb ===========');
+
+        // Check permissions - only regulators can manage the herb catalog
+        AccessControl.assertAuthorized(ctx, 'HerbRegistryContract:registerHerb');
+
+        const { error, value } = herbSchema.validate(JSON.parse(herbData));
+        if (error) {
+            throw new Error(`Invalid herb data: ${error.details[0].message}`);
+        }
+
+        const existing = await HerbRegistryContract.readHerb(ctx, value.herbId);
+        if (existing) {
+            throw new Error(`Herb ${value.herbId} already exists`);
+        }
+
+        const herb = await this.saveHerb(ctx, value, null);
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.HERB_REGISTERED, {
+            herbId: herb.herbId,
+            botanicalName: herb.botanicalName
+        });
+
+        console.info('============= END : Register Herb ===========');
+        return {
+            success: true,
+            herbId: herb.herbId,
+            herb,
+            message: `Herb ${herb.herbId} registered successfully`
+        };
+    }
+
+    /**
+     * Update a herb (for regulators)
+     * Fields not given keep their current values; the herbId cannot change
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbId - Canonical herb identifier
+     * @param {string} herbData - JSON string of fields to change
+     * @returns {Object} Updated herb
+     */
+    async updateHerb(ctx, herbId, herbData) {
+        console.info('============= START : Update Herb ===========');
+
+        // Check permissions - only regulators can manage the herb catalog
+        AccessControl.assertAuthorized(ctx, 'HerbRegistryContract:updateHerb');
+
+        const existing = await HerbRegistryContract.readHerb(ctx, herbId);
+        if (!existing) {
+            throw new Error(`Herb ${herbId} does not exist`);
+        }
+
+        const { docType, createdAt, lastUpdated, lastModifiedBy, ...current } = existing;
+        const { error, value } = herbSchema.validate({ ...current, ...JSON.parse(herbData), herbId });
+        if (error) {
+            throw new Error(`Invalid herb data: ${error.details[0].message}`);
+        }
+
+        const herb = await this.saveHerb(ctx, value, existing);
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.HERB_UPDATED, {
+            herbId,
+            isActive: herb.isActive
+        });
+
+        console.info('============= END : Update Herb ===========');
+        return {
+            success: true,
+            herbId,
+            herb,
+            message: `Herb ${herbId} updated successfully`
+        };
+    }
+
+    /**
+     * Get a herb by canonical ID or any of its names and SMS codes
+     * @param {Context} ctx - Transaction context
+     * @param {string} name - Herb ID, botanical name, synonym, vernacular name or SMS code
+     * @returns {Object} Herb
+     */
+    async getHerb(ctx, name) {
+        const herb = await HerbRegistryContract.resolveHerb(ctx, name);
+        if (!herb) {
+            throw new Error(`Unknown herb ${name}`);
+        }
+        return herb;
+    }
+
+    /**
+     * Get the herb catalog
+     * @param {Context} ctx - Transaction context
+     * @param {string} includeInactive - 'true' to include deactivated herbs
+     * @returns {Array} Herbs
+     */
+    async getAllHerbs(ctx, includeInactive = 'false') {
+        if (includeInactive === 'true' || includeInactive === true) {
+            return await LedgerIndexes.getIndexedRecords(ctx, INDEXES.HERB, []);
+        }
+        return await HerbRegistryContract.getActiveHerbs(ctx);
+    }
+
+    /**
+     * Write a herb and index all of its names
+     * @param {Context} ctx - Transaction context
+     * @param {Object} value - Validated herb data
+     * @param {Object} existing - Current herb record (null for new herbs)
+     * @returns {Object} Stored herb record
+     */
+    async saveHerb(ctx, value, existing) {
+        const herbKey = HerbRegistryContract.keyFor(value.herbId);
+        const now = TransactionClock.nowISO(ctx);
+        const herb = {
+            docType: DOC_TYPES.HERB,
+            ...value,
+            standardsRef: value.standardsRef || value.herbId,
+            createdAt: existing ? existing.createdAt : now,
+            lastUpdated: now,
+            lastModifiedBy: AccessControl.modifiedBy(ctx)
+        };
+
+        // A name may only ever point at one herb
+        const aliases = HerbRegistryContract.getAliases(herb);
+        for (const alias of aliases) {
+            const owners = await LedgerIndexes.getIndexedKeys(ctx, INDEXES.HERB_ALIAS, [alias]);
+            const otherKey = owners.find(key => key !== herbKey);
+            if (otherKey) {
+                throw new Error(`Name "${alias}" of ${value.herbId} is already used by herb ${otherKey.replace(/^HERB_/, '')}`);
+            }
+        }
+
+        if (existing) {
+            for (const alias of HerbRegistryContract.getAliases(existing)) {
+                if (!aliases.includes(alias)) {
+                    await LedgerIndexes.deleteIndex(ctx, INDEXES.HERB_ALIAS, [alias, herbKey]);
+                }
+            }
+        }
+
+        await ctx.stub.putState(herbKey, Buffer.from(JSON.stringify(herb)));
+        await LedgerIndexes.putIndex(ctx, INDEXES.HERB, [herbKey]);
+        for (const alias of aliases) {
+            await LedgerIndexes.putIndex(ctx, INDEXES.HERB_ALIAS, [alias, herbKey]);
+        }
+
+        return herb;
+    }
+
+    /**
+     * Find a herb by any of its names
+     * @param {Context} ctx - Transaction context
+     * @param {string} name - Herb ID, botanical name, synonym, vernacular name or SMS code
+     * @returns {Object|null} Herb, or null if no herb has that name
+     */
+    static async resolveHerb(ctx, name) {
+        const alias = HerbRegistryContract.normalizeName(name);
+        if (!alias) {
+            return null;
+        }
+
+        const herbs = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.HERB_ALIAS, [alias]);
+        return herbs[0] || null;
+    }
+
+    /**
+     * Find an active herb by any of its names, failing for unknown or deactivated herbs
+     * Used where a herb enters the ledger (harvests, zones)
+     * @param {Context} ctx - Transaction context
+     * @param {string} name - Herb name
+     * @returns {Object} Herb
+     */
+    static async requireHerb(ctx, name) {
+        const herb = await HerbRegistryContract.resolveHerb(ctx, name);
+        if (!herb) {
+            throw new Error(`Unknown herb ${name}. Herbs must be registered in the herb registry`);
+        }
+        if (!herb.isActive) {
+            throw new Error(`Herb ${herb.herbId} is deactivated in the herb registry`);
+        }
+        return herb;
+    }
+
+    /**
+     * Load all active herbs
+     * @param {Context} ctx - Transaction context
+     * @returns {Array} Active herbs
+     */
+    static async getActiveHerbs(ctx) {
+        const herbs = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.HERB, []);
+        return herbs.filter(herb => herb.isActive);
+    }
+
+    /**
+     * Get the canonical herb ID for a name, or the name unchanged if it is not registered
+     * Used by queries so that lookups by synonym find records stored under the herb ID
+     * @param {Context} ctx - Transaction context
+     * @param {string} name - Herb name
+     * @returns {string} Herb ID
+     */
+    static async canonicalHerbType(ctx, name) {
+        const herb = await HerbRegistryContract.resolveHerb(ctx, name);
+        return herb ? herb.herbId : name;
+    }
+
+    /**
+     * List the normalized names a herb can be found by
+     * @param {Object} herb - Herb record
+     * @returns {Array} Unique normalized names
+     */
+    static getAliases(herb) {
+        const names = [
+            herb.herbId,
+            herb.botanicalName,
+            ...(herb.synonyms || []),
+            ...Object.values(herb.vernacularNames || {}),
+            ...(herb.smsCodes || [])
+        ];
+        return [...new Set(names.map(HerbRegistryContract.normalizeName).filter(Boolean))];
+    }
+
+    /**
+     * Normalize a herb name for lookup: case, spaces and punctuation are ignored
+     * Letters of any script are kept so Devanagari or Tamil names can be registered
+     * @param {string} name - Herb name
+     * @returns {string} Normalized name
+     */
+    static normalizeName(name) {
+        if (name === undefined || name === null) {
+            return '';
+        }
+        return String(name).normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+    }
+
+    static keyFor(herbId) {
+        return `HERB_${herbId}`;
+    }
+
+    static async readHerb(ctx, herbId) {
+        const herbBuffer = await ctx.stub.getState(HerbRegistryContract.keyFor(herbId));
+        if (!herbBuffer || herbBuffer.length === 0) {
+            return null;
+        }
+        return JSON.parse(herbBuffer.toString());
+    }
+}
+
+module.exports = HerbRegistryContract;
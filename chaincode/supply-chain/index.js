@@ -8,6 +8,12 @@
  * - Harvest validation with seasonality and sustainability checks
  * - Quality testing management with lab result validation
  * - Complete provenance tracking from farm to consumer
+ * - Regulator-issued recalls propagated to all derived batches
+ * - Per-transaction access control from the submitting identity's MSP and certificate attributes
+ * - Batch lifecycle state machine guarding every status change
+ * - Chaincode events for every state change, one TraceabilityEvents event per transaction
+ * - Actor key registry; collection, processing and test records must carry a verifiable signature
+ * - Herb registry that every contract resolves herb names, seasons, quotas and standards through
  * 
  * The system ensures transparency, authenticity, and compliance across
  * the entire Ayurvedic herb supply chain.
@@ -17,15 +23,24 @@ const GeoFencingContract = require('./geofencing-contract');
 const HarvestValidationContract = require('./harvest-validation-contract');
 const QualityTestContract = require('./quality-test-contract');
 const ProvenanceContract = require('./provenance-contract');
+const RecallContract = require('./recall-contract');
+const ActorRegistryContract = require('./actor-registry-contract');
+const HerbRegistryContract = require('./herb-registry-contract');
 
 module.exports.contracts = [
     GeoFencingContract,
     HarvestValidationContract,
     QualityTestContract,
-    ProvenanceContract
+    ProvenanceContract,
+    RecallContract,
+    ActorRegistryContract,
+    HerbRegistryContract
 ];
 
 module.exports.GeoFencingContract = GeoFencingContract;
 module.exports.HarvestValidationContract = HarvestValidationContract;
 module.exports.QualityTestContract = QualityTestContract;
-module.exports.ProvenanceContract = ProvenanceContract;
\ No newline at end of file
+module.exports.ProvenanceContract = ProvenanceContract;
+module.exports.RecallContract = RecallContract;
+module.exports.ActorRegistryContract = ActorRegistryContract;
+module.exports.HerbRegistryContract = HerbRegistryContract;
\ No newline at end of file
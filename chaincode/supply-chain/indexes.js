@@ -0,0 +1,253 @@
+/**
+ * Composite-key indexes for the Ayurvedic Herb Traceability ledger
+ *
+ * Each index entry is a composite key whose last attribute is the world-state key
+ * of the indexed record, stored with an empty value. Lookups read only the index
+ * range instead of scanning and parsing the whole world state.
+ */
+
+// Index names - attributes are listed in key order
+const INDEXES = {
+    STATUS_BATCH: 'status~batchId',
+    FARMER_BATCH: 'farmer~batchId',
+    HERB_ZONE: 'herb~zoneId',
+    ZONE: 'zone~zoneId',
+    BATCH_TEST: 'batch~testId',
+    HERB: 'herb~herbKey',
+    HERB_ALIAS: 'herbAlias~herbKey',
+    STANDARDS: 'standards~standardsKey',
+    PESTICIDE_MRL: 'pesticideMrl~mrlKey'
+};
+
+// Index entries carry no data; Fabric rejects empty values so a single null byte is stored
+const INDEX_VALUE = Buffer.from('\u0000');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+class LedgerIndexes {
+
+    /**
+     * Add an index entry
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index name, e.g. status~batchId
+     * @param {Array} attributes - Index attributes ending with the record key
+     */
+    static async putIndex(ctx, indexName, attributes) {
+        const indexKey = ctx.stub.createCompositeKey(indexName, attributes.map(String));
+        await ctx.stub.putState(indexKey, INDEX_VALUE);
+    }
+
+    /**
+     * Remove an index entry
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index name
+     * @param {Array} attributes - Index attributes ending with the record key
+     */
+    static async deleteIndex(ctx, indexName, attributes) {
+        const indexKey = ctx.stub.createCompositeKey(indexName, attributes.map(String));
+        await ctx.stub.deleteState(indexKey);
+    }
+
+    /**
+     * Move a batch between status~batchId entries
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @param {string} previousStatus - Status before the change (null for new batches)
+     * @param {string} newStatus - Status after the change
+     */
+    static async updateStatusIndex(ctx, batchId, previousStatus, newStatus) {
+        if (previousStatus === newStatus) {
+            return;
+        }
+        if (previousStatus) {
+            await this.deleteIndex(ctx, INDEXES.STATUS_BATCH, [previousStatus, batchId]);
+        }
+        await this.putIndex(ctx, INDEXES.STATUS_BATCH, [newStatus, batchId]);
+    }
+
+    /**
+     * Index a zone by ID and by each herb it is approved for
+     * @param {Context} ctx - Transaction context
+     * @param {Object} zone - GeoFencing zone
+     * @param {Array} previousHerbTypes - Herb types indexed before this update
+     */
+    static async indexZone(ctx, zone, previousHerbTypes = []) {
+        for (const herbType of previousHerbTypes) {
+            if (!zone.herbTypes.includes(herbType)) {
+                await this.deleteIndex(ctx, INDEXES.HERB_ZONE, [herbType, zone.zoneId]);
+            }
+        }
+        for (const herbType of zone.herbTypes) {
+            await this.putIndex(ctx, INDEXES.HERB_ZONE, [herbType, zone.zoneId]);
+        }
+        await this.putIndex(ctx, INDEXES.ZONE, [zone.zoneId]);
+    }
+
+    /**
+     * Get the record keys stored under an index prefix
+     * Safe to use from submit transactions
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index name
+     * @param {Array} attributes - Leading index attributes
+     * @returns {Array} Record keys
+     */
+    static async getIndexedKeys(ctx, indexName, attributes = []) {
+        const iterator = await ctx.stub.getStateByPartialCompositeKey(indexName, attributes);
+        const keys = [];
+
+        while (true) {
+            const res = await iterator.next();
+            if (res.value && res.value.key) {
+                keys.push(this.getRecordKey(ctx, res.value.key));
+            }
+            if (res.done) {
+                await iterator.close();
+                break;
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * Count the entries under an index prefix without loading records
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index name
+     * @param {Array} attributes - Leading index attributes
+     * @returns {number} Entry count
+     */
+    static async countIndexed(ctx, indexName, attributes = []) {
+        const keys = await this.getIndexedKeys(ctx, indexName, attributes);
+        return keys.length;
+    }
+
+    /**
+     * Load the records stored under an index prefix
+     * Safe to use from submit transactions
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index name
+     * @param {Array} attributes - Leading index attributes
+     * @returns {Array} Parsed records
+     */
+    static async getIndexedRecords(ctx, indexName, attributes = []) {
+        const keys = await this.getIndexedKeys(ctx, indexName, attributes);
+        return this.loadRecords(ctx, keys);
+    }
+
+    /**
+     * Load one page of records stored under an index prefix
+     * Fabric only allows paginated queries in read-only (evaluate) transactions
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexName - Index name
+     * @param {Array} attributes - Leading index attributes
+     * @param {number|string} pageSize - Records per page
+     * @param {string} bookmark - Bookmark returned by the previous page
+     * @returns {Object} Records with pagination metadata
+     */
+    static async getIndexedRecordsWithPagination(ctx, indexName, attributes, pageSize, bookmark = '') {
+        const size = this.normalizePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getStateByPartialCompositeKeyWithPagination(
+            indexName, attributes, size, bookmark || ''
+        );
+
+        const keys = [];
+        while (true) {
+            const res = await iterator.next();
+            if (res.value && res.value.key) {
+                keys.push(this.getRecordKey(ctx, res.value.key));
+            }
+            if (res.done) {
+                await iterator.close();
+                break;
+            }
+        }
+
+        return {
+            records: await this.loadRecords(ctx, keys),
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark,
+            pageSize: size
+        };
+    }
+
+    /**
+     * Load and parse records by world-state key, skipping keys that no longer exist
+     * @param {Context} ctx - Transaction context
+     * @param {Array} keys - Record keys
+     * @returns {Array} Parsed records
+     */
+    static async loadRecords(ctx, keys) {
+        const records = [];
+        for (const key of keys) {
+            const buffer = await ctx.stub.getState(key);
+            if (buffer && buffer.length > 0) {
+                records.push(JSON.parse(buffer.toString()));
+            }
+        }
+        return records;
+    }
+
+    /**
+     * Extract the record key (last attribute) from an index key
+     * @param {Context} ctx - Transaction context
+     * @param {string} indexKey - Composite index key
+     * @returns {string} Record key
+     */
+    static getRecordKey(ctx, indexKey) {
+        const { attributes } = ctx.stub.splitCompositeKey(indexKey);
+        return attributes[attributes.length - 1];
+    }
+
+    /**
+     * Clamp a requested page size
+     * @param {number|string} pageSize - Requested page size
+     * @returns {number} Page size within limits
+     */
+    static normalizePageSize(pageSize) {
+        const size = parseInt(pageSize, 10);
+        if (!size || size < 1) {
+            return DEFAULT_PAGE_SIZE;
+        }
+        return Math.min(size, MAX_PAGE_SIZE);
+    }
+
+    /**
+     * Read a slice of plain (non-composite) world-state keys for index rebuilds
+     * @param {Context} ctx - Transaction context
+     * @param {string} startKey - First key to read
+     * @param {number|string} limit - Maximum keys to read
+     * @returns {Object} Records with their keys and the key to resume from
+     */
+    static async scanRange(ctx, startKey = '', limit = MAX_PAGE_SIZE) {
+        const maxKeys = this.normalizePageSize(limit);
+        const iterator = await ctx.stub.getStateByRange(startKey || '', '');
+        const entries = [];
+        let nextStartKey = null;
+
+        while (true) {
+            const res = await iterator.next();
+            if (res.value && res.value.value.toString()) {
+                if (entries.length === maxKeys) {
+                    nextStartKey = res.value.key;
+                    await iterator.close();
+                    break;
+                }
+                try {
+                    entries.push({ key: res.value.key, record: JSON.parse(res.value.value.toString()) });
+                } catch (parseError) {
+                    // Non-JSON values are not indexed
+                }
+            }
+            if (res.done) {
+                await iterator.close();
+                break;
+            }
+        }
+
+        return { entries, nextStartKey };
+    }
+}
+
+module.exports = LedgerIndexes;
+module.exports.INDEXES = INDEXES;
@@ -1,12 +1,30 @@
 const { Contract } = require('fabric-contract-api');
+const AccessControl = require('./access-control');
+const ActorRegistryContract = require('./actor-registry-contract');
+const BatchLifecycle = require('./batch-lifecycle');
+const ChaincodeEvents = require('./events');
+const HerbRegistryContract = require('./herb-registry-contract');
+const SeasonCalendar = require('./season-calendar');
 const TraceabilityUtils = require('./utils');
+const TransactionClock = require('./transaction-clock');
+const LedgerIndexes = require('./indexes');
+const DOC_TYPES = require('./doc-types');
+const GeoFencingContract = require('./geofencing-contract');
+const HarvestValidationContract = require('./harvest-validation-contract');
+const { INDEXES } = LedgerIndexes;
+const { EVENT_TYPES } = ChaincodeEvents;
 const { 
     collectionEventSchema, 
     processingStepSchema, 
     qualityTestSchema, 
-    provenanceRecordSchema 
+    provenanceRecordSchema,
+    batchSplitSchema,
+    batchMergeSchema
 } = require('./schemas');
 
+// Rounding slack allowed when checking split/merge quantities against the source batch
+const MASS_BALANCE_TOLERANCE_KG = 0.001;
+
 /**
  * Provenance Smart Contract for Ayurvedic Herb Traceability
  * Links all steps (collection → processing → testing → packaging)
@@ -15,6 +33,9 @@ class ProvenanceContract extends Contract {
 
     constructor() {
         super('ProvenanceContract');
+        // Reused so recordHarvest validates and deducts quota inside the same transaction
+        this.geofencing = new GeoFencingContract();
+        this.harvestValidation = new HarvestValidationContract();
     }
 
     /**
@@ -26,8 +47,9 @@ class ProvenanceContract extends Contract {
         
         // Initialize provenance tracking system
         const systemConfig = {
+            docType: DOC_TYPES.CONFIG,
             version: '1.0.0',
-            initialized: new Date().toISOString(),
+            initialized: TransactionClock.nowISO(ctx),
             totalBatches: 0,
             activeStatuses: [
                 'Collected', 'In-Processing', 'Quality-Testing', 
@@ -40,12 +62,13 @@ class ProvenanceContract extends Contract {
     }
 
     /**
-     * Create a new provenance record from collection event
+     * Create a new provenance record from collection event. Not a transaction: only
+     * recordHarvest may call it, after the zone, season and quota checks have passed
      * @param {Context} ctx - Transaction context
      * @param {string} collectionData - JSON string containing collection event data
      * @returns {Object} Created provenance record
      */
-    async createProvenanceRecord(ctx, collectionData) {
+    async _createProvenanceRecord(ctx, collectionData) {
         console.info('============= START : Create Provenance Record ===========');
 
         const collectionEvent = JSON.parse(collectionData);
@@ -55,6 +78,21 @@ class ProvenanceContract extends Contract {
         if (error) {
             throw new Error(`Invalid collection data: ${error.details[0].message}`);
         }
+        AccessControl.assertActingAs(ctx, value.farmerId, 'farmerId');
+        await ActorRegistryContract.assertRecordSignature(ctx, 'Farmer', value.farmerId, collectionEvent);
+
+        // Record the canonical herb ID whatever name the farmer used
+        const herb = await HerbRegistryContract.requireHerb(ctx, value.herbType);
+        value.herbType = herb.herbId;
+
+        // The season is derived from date and location; a season reported by the collector must agree with it
+        const season = SeasonCalendar.getSeason(value.collectionDate, ProvenanceContract.getHarvestLocation(value));
+        if (value.harvestSeason && !SeasonCalendar.isAllowed(season, [value.harvestSeason])) {
+            throw new Error(`Reported harvest season ${value.harvestSeason} does not match ${SeasonCalendar.describe(season)}, the season of the collection date and location`);
+        }
+        value.harvestSeason = season.ritu;
+        value.season = season;
+        value.createdAt = TransactionClock.nowISO(ctx);
 
         // Check if batch already exists
         const existingRecord = await ctx.stub.getState(value.batchId);
@@ -64,9 +102,14 @@ class ProvenanceContract extends Contract {
 
         // Create initial provenance record
         const provenanceRecord = {
+            docType: DOC_TYPES.BATCH,
             batchId: value.batchId,
             currentStatus: 'Collected',
             collectionEvent: value,
+            herbType: value.herbType,
+            availableQuantityKg: value.quantityKg,
+            parentBatchIds: [],
+            childBatchIds: [],
             processingSteps: [],
             qualityTests: [],
             distributionInfo: null,
@@ -80,8 +123,9 @@ class ProvenanceContract extends Contract {
             sustainability: {
                 sustainabilityScore: value.sustainabilityScore || 0
             },
-            createdAt: new Date().toISOString(),
-            lastUpdated: new Date().toISOString(),
+            createdAt: TransactionClock.nowISO(ctx),
+            lastUpdated: TransactionClock.nowISO(ctx),
+            lastModifiedBy: AccessControl.modifiedBy(ctx),
             version: 1
         };
 
@@ -92,10 +136,20 @@ class ProvenanceContract extends Contract {
         }
 
         await ctx.stub.putState(value.batchId, Buffer.from(JSON.stringify(provenanceRecord)));
+        await LedgerIndexes.updateStatusIndex(ctx, value.batchId, null, provenanceRecord.currentStatus);
+        await LedgerIndexes.putIndex(ctx, INDEXES.FARMER_BATCH, [value.farmerId, value.batchId]);
 
         // Update system statistics
         await this.updateSystemStats(ctx, 'batch_created');
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.HARVEST_RECORDED, {
+            batchId: value.batchId,
+            farmerId: value.farmerId,
+            herbType: value.herbType,
+            quantityKg: value.quantityKg,
+            status: provenanceRecord.currentStatus
+        });
+
         console.info('============= END : Create Provenance Record ===========');
         return {
             success: true,
@@ -105,6 +159,88 @@ class ProvenanceContract extends Contract {
         };
     }
 
+    /**
+     * Record a harvest in a single transaction: validate geofence, season and quota,
+     * create the provenance record and deduct the quota
+     * The sustainability tracker is read and written by the same transaction, so two
+     * concurrent harvests drawing on the same quota fail MVCC validation instead of
+     * both being committed
+     * @param {Context} ctx - Transaction context
+     * @param {string} collectionData - JSON string containing collection event data
+     * @returns {Object} Created batch with the validation results
+     */
+    async recordHarvest(ctx, collectionData) {
+        console.info('============= START : Record Harvest ===========');
+
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:recordHarvest');
+
+        const { error, value } = collectionEventSchema.validate(JSON.parse(collectionData));
+        if (error) {
+            throw new Error(`Invalid collection data: ${error.details[0].message}`);
+        }
+        const gpsData = JSON.stringify(value.gpsCoordinates);
+        const collectionDate = value.collectionDate.toISOString();
+        const { state } = ProvenanceContract.getHarvestLocation(value);
+
+        const gpsValidation = await this.geofencing.validateGPSCoordinates(
+            ctx, value.herbType, gpsData, JSON.stringify({ collectionDate, quantityKg: value.quantityKg, state })
+        );
+        if (!gpsValidation.isValid) {
+            throw new Error(`GPS validation failed: ${gpsValidation.message}`);
+        }
+
+        const seasonValidation = await this.harvestValidation.validateHarvestSeason(
+            ctx, value.herbType, collectionDate, JSON.stringify(ProvenanceContract.getHarvestLocation(value))
+        );
+        if (!seasonValidation.isValid) {
+            throw new Error(`Season validation failed: ${seasonValidation.message}`);
+        }
+
+        const quotaValidation = await this.harvestValidation.validateSustainabilityQuota(
+            ctx, value.herbType, value.quantityKg.toString(), value.farmerId, collectionDate
+        );
+        if (!quotaValidation.isValid) {
+            throw new Error(`Sustainability quota validation failed: ${quotaValidation.message}`);
+        }
+
+        // The signature is checked against the record exactly as submitted
+        const record = await this._createProvenanceRecord(ctx, collectionData);
+        const quotaUsage = await this.harvestValidation._updateQuotaUsage(
+            ctx, value.herbType, value.quantityKg.toString(), value.farmerId, collectionDate
+        );
+
+        // Account the harvest to the first zone that accepted it (zones are ordered by zoneId)
+        const harvestZone = gpsValidation.validZones[0];
+        await HarvestValidationContract.recordZoneHarvest(
+            ctx, harvestZone.zoneId, gpsValidation.herbType, value.quantityKg, collectionDate, record.batchId
+        );
+
+        // Keep the zone version the harvest was validated against; the zone may be amended later
+        await ctx.stub.putState(ProvenanceContract.harvestZoneKey(record.batchId), Buffer.from(JSON.stringify({
+            docType: DOC_TYPES.BATCH_HARVEST_ZONE,
+            batchId: record.batchId,
+            zoneId: harvestZone.zoneId,
+            zoneVersion: harvestZone.zoneVersion,
+            herbType: gpsValidation.herbType,
+            validatedAt: collectionDate
+        })));
+
+        console.info('============= END : Record Harvest ===========');
+        return {
+            success: true,
+            batchId: record.batchId,
+            status: record.status,
+            harvestZoneId: harvestZone.zoneId,
+            harvestZoneVersion: harvestZone.zoneVersion,
+            gpsValidation,
+            seasonValidation,
+            quotaValidation,
+            updatedQuota: quotaUsage.updatedQuota,
+            message: `Harvest recorded for batch ${record.batchId}`
+        };
+    }
+
     /**
      * Add processing step to provenance record
      * @param {Context} ctx - Transaction context
@@ -115,6 +251,9 @@ class ProvenanceContract extends Contract {
     async addProcessingStep(ctx, batchId, processingData) {
         console.info('============= START : Add Processing Step ===========');
 
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:addProcessingStep');
+
         const processingStep = JSON.parse(processingData);
 
         // Validate processing step schema
@@ -122,6 +261,8 @@ class ProvenanceContract extends Contract {
         if (error) {
             throw new Error(`Invalid processing data: ${error.details[0].message}`);
         }
+        AccessControl.assertActingAs(ctx, value.facilityId, 'facilityId');
+        await ActorRegistryContract.assertRecordSignature(ctx, 'ProcessingFacility', value.facilityId, processingStep);
 
         // Ensure batch ID consistency
         if (value.batchId !== batchId) {
@@ -143,9 +284,13 @@ class ProvenanceContract extends Contract {
         }
 
         // Add processing step
+        value.yieldPercentage = (value.outputQuantityKg / value.inputQuantityKg) * 100;
+        value.createdAt = TransactionClock.nowISO(ctx);
         provenanceRecord.processingSteps.push(value);
-        provenanceRecord.currentStatus = 'In-Processing';
-        provenanceRecord.lastUpdated = new Date().toISOString();
+        provenanceRecord.availableQuantityKg = value.outputQuantityKg;
+        await BatchLifecycle.transition(ctx, provenanceRecord, 'In-Processing');
+        provenanceRecord.lastUpdated = TransactionClock.nowISO(ctx);
+        provenanceRecord.lastModifiedBy = AccessControl.modifiedBy(ctx);
         provenanceRecord.version += 1;
 
         // Calculate sustainability metrics
@@ -153,6 +298,14 @@ class ProvenanceContract extends Contract {
 
         await ctx.stub.putState(batchId, Buffer.from(JSON.stringify(provenanceRecord)));
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.PROCESSING_STEP_ADDED, {
+            batchId,
+            stepId: value.stepId,
+            facilityId: value.facilityId,
+            processType: value.processType,
+            outputQuantityKg: value.outputQuantityKg
+        });
+
         console.info('============= END : Add Processing Step ===========');
         return {
             success: true,
@@ -174,6 +327,9 @@ class ProvenanceContract extends Contract {
     async addQualityTestResult(ctx, batchId, testData) {
         console.info('============= START : Add Quality Test Result ===========');
 
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:addQualityTestResult');
+
         const testResult = JSON.parse(testData);
 
         // Validate test result schema
@@ -181,12 +337,22 @@ class ProvenanceContract extends Contract {
         if (error) {
             throw new Error(`Invalid test data: ${error.details[0].message}`);
         }
+        AccessControl.assertActingAs(ctx, value.labId, 'labId');
+        // failedChecks comes from QualityTestContract's validation and is not part of what the lab signed
+        const { failedChecks, ...signedResult } = testResult;
+        await ActorRegistryContract.assertRecordSignature(ctx, 'Lab', value.labId, signedResult);
 
         // Ensure batch ID consistency
         if (value.batchId !== batchId) {
             throw new Error('Batch ID mismatch between parameters and test data');
         }
 
+        // The verdict is the one QualityTestContract reached, never the one the lab reports
+        const storedTest = await ProvenanceContract.requireJudgedTest(ctx, value);
+        value.overallResult = storedTest.overallResult;
+        value.failedChecks = storedTest.failedChecks || [];
+        value.standardsVersion = storedTest.standardsVersion;
+
         // Get existing provenance record
         const recordBuffer = await ctx.stub.getState(batchId);
         if (!recordBuffer || recordBuffer.length === 0) {
@@ -202,18 +368,20 @@ class ProvenanceContract extends Contract {
         }
 
         // Add quality test
+        value.createdAt = TransactionClock.nowISO(ctx);
         provenanceRecord.qualityTests.push(value);
         
         // Update status based on test result
+        let newStatus = 'Quality-Testing';
         if (value.overallResult === 'Pass') {
-            provenanceRecord.currentStatus = 'Tested-Pass';
+            newStatus = 'Tested-Pass';
         } else if (value.overallResult === 'Fail') {
-            provenanceRecord.currentStatus = 'Tested-Fail';
-        } else {
-            provenanceRecord.currentStatus = 'Quality-Testing';
+            newStatus = 'Tested-Fail';
         }
+        await BatchLifecycle.transition(ctx, provenanceRecord, newStatus);
 
-        provenanceRecord.lastUpdated = new Date().toISOString();
+        provenanceRecord.lastUpdated = TransactionClock.nowISO(ctx);
+        provenanceRecord.lastModifiedBy = AccessControl.modifiedBy(ctx);
         provenanceRecord.version += 1;
 
         // Update compliance based on test results
@@ -221,6 +389,14 @@ class ProvenanceContract extends Contract {
 
         await ctx.stub.putState(batchId, Buffer.from(JSON.stringify(provenanceRecord)));
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.TEST_SUBMITTED, {
+            batchId,
+            testId: value.testId,
+            labId: value.labId,
+            testType: value.testType,
+            overallResult: value.overallResult
+        });
+
         console.info('============= END : Add Quality Test Result ===========');
         return {
             success: true,
@@ -233,6 +409,24 @@ class ProvenanceContract extends Contract {
         };
     }
 
+    /**
+     * Load the test QualityTestContract:submitTestResults stored and judged for a result
+     * @param {Context} ctx - Transaction context
+     * @param {Object} testResult - Test result being added to the batch
+     * @returns {Object} Stored test
+     */
+    static async requireJudgedTest(ctx, testResult) {
+        const testBuffer = await ctx.stub.getState(testResult.testId);
+        const storedTest = testBuffer && testBuffer.length > 0 ? JSON.parse(testBuffer.toString()) : null;
+        if (!storedTest || storedTest.docType !== DOC_TYPES.QUALITY_TEST) {
+            throw new Error(`Test ${testResult.testId} has not been submitted to QualityTestContract`);
+        }
+        if (storedTest.batchId !== testResult.batchId || storedTest.labId !== testResult.labId) {
+            throw new Error(`Test ${testResult.testId} was submitted by lab ${storedTest.labId} for batch ${storedTest.batchId}`);
+        }
+        return storedTest;
+    }
+
     /**
      * Finalize packaging and prepare for distribution
      * @param {Context} ctx - Transaction context
@@ -243,6 +437,9 @@ class ProvenanceContract extends Contract {
     async finalizePackaging(ctx, batchId, distributionData) {
         console.info('============= START : Finalize Packaging ===========');
 
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:finalizePackaging');
+
         const distributionInfo = JSON.parse(distributionData);
 
         // Get existing provenance record
@@ -253,37 +450,41 @@ class ProvenanceContract extends Contract {
 
         const provenanceRecord = JSON.parse(recordBuffer.toString());
 
-        // Check if batch is ready for packaging (must have passed quality tests)
-        if (provenanceRecord.currentStatus !== 'Tested-Pass') {
-            throw new Error(`Batch ${batchId} must pass quality tests before packaging. Current status: ${provenanceRecord.currentStatus}`);
-        }
-
         // Generate QR code for traceability
-        const qrCodeData = TraceabilityUtils.generateQRCodeData(batchId);
+        const qrCodeData = TraceabilityUtils.generateQRCodeData(batchId, ctx.stub.getTxID(), TransactionClock.nowISO(ctx));
         
         // Update distribution information
         provenanceRecord.distributionInfo = {
             ...distributionInfo,
-            packageDate: new Date().toISOString(),
+            packageDate: TransactionClock.nowISO(ctx),
             qrCodeId: qrCodeData.qrCodeId,
             qrCodeUrl: qrCodeData.url
         };
 
-        provenanceRecord.currentStatus = 'Packaged';
-        provenanceRecord.lastUpdated = new Date().toISOString();
+        // Only batches that passed quality testing can be packaged
+        await BatchLifecycle.transition(ctx, provenanceRecord, 'Packaged');
+        provenanceRecord.lastUpdated = TransactionClock.nowISO(ctx);
+        provenanceRecord.lastModifiedBy = AccessControl.modifiedBy(ctx);
         provenanceRecord.version += 1;
 
         await ctx.stub.putState(batchId, Buffer.from(JSON.stringify(provenanceRecord)));
 
         // Store QR code mapping
         const qrMapping = {
+            docType: DOC_TYPES.QR_MAPPING,
             qrCodeId: qrCodeData.qrCodeId,
             batchId,
             url: qrCodeData.url,
-            generatedAt: new Date().toISOString()
+            generatedAt: TransactionClock.nowISO(ctx)
         };
         await ctx.stub.putState(`QR_${qrCodeData.qrCodeId}`, Buffer.from(JSON.stringify(qrMapping)));
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.BATCH_PACKAGED, {
+            batchId,
+            qrCodeId: qrCodeData.qrCodeId,
+            distributorId: provenanceRecord.distributionInfo.distributorId || null
+        });
+
         console.info('============= END : Finalize Packaging ===========');
         return {
             success: true,
@@ -303,7 +504,15 @@ class ProvenanceContract extends Contract {
      * @returns {Object} Updated status
      */
     async updateDistributionStatus(ctx, batchId, newStatus) {
-        const validStatuses = ['Packaged', 'Distributed', 'Recalled'];
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:updateDistributionStatus');
+
+        // Recalls need a reason, severity and propagation to derived batches
+        if (newStatus === 'Recalled') {
+            throw new Error('Batches cannot be recalled through a status update. Use RecallContract:issueRecall');
+        }
+
+        const validStatuses = ['Packaged', 'Distributed'];
         if (!validStatuses.includes(newStatus)) {
             throw new Error(`Invalid status. Valid statuses: ${validStatuses.join(', ')}`);
         }
@@ -314,8 +523,10 @@ class ProvenanceContract extends Contract {
         }
 
         const provenanceRecord = JSON.parse(recordBuffer.toString());
-        provenanceRecord.currentStatus = newStatus;
-        provenanceRecord.lastUpdated = new Date().toISOString();
+
+        await BatchLifecycle.transition(ctx, provenanceRecord, newStatus);
+        provenanceRecord.lastUpdated = TransactionClock.nowISO(ctx);
+        provenanceRecord.lastModifiedBy = AccessControl.modifiedBy(ctx);
         provenanceRecord.version += 1;
 
         await ctx.stub.putState(batchId, Buffer.from(JSON.stringify(provenanceRecord)));
@@ -329,26 +540,365 @@ class ProvenanceContract extends Contract {
     }
 
     /**
-     * Get complete provenance record
+     * Split a batch into several child batches (e.g. dried output shared across packagers)
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Parent batch identifier
+     * @param {string} splitData - JSON string with splits [{batchId?, quantityKg}], lossKg, facilityId, operatorId, reason
+     * @returns {Object} Split result with child batch IDs
+     */
+    async splitBatch(ctx, batchId, splitData) {
+        console.info('============= START : Split Batch ===========');
+
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:splitBatch');
+
+        const { error, value } = batchSplitSchema.validate(JSON.parse(splitData));
+        if (error) {
+            throw new Error(`Invalid split data: ${error.details[0].message}`);
+        }
+        const { splits, lossKg, facilityId, operatorId, reason } = value;
+
+        const parentRecord = await this.getBatchRecord(ctx, batchId);
+        this.assertBatchDerivable(parentRecord);
+
+        const availableQuantity = this.getBatchQuantity(parentRecord);
+        const allocatedQuantity = splits.reduce((sum, split) => sum + split.quantityKg, 0);
+
+        // Mass balance: everything allocated to children plus recorded loss must come out of the parent
+        if (allocatedQuantity + lossKg > availableQuantity + MASS_BALANCE_TOLERANCE_KG) {
+            throw new Error(`Mass balance violated for batch ${batchId}. Available: ${availableQuantity}kg, Allocated: ${allocatedQuantity}kg, Loss: ${lossKg}kg`);
+        }
+
+        // Reads do not see this transaction's writes, so putDerivedRecord cannot catch
+        // two children with the same ID; generated IDs may also collide with given ones
+        const previousChildren = (parentRecord.childBatchIds || []).length;
+        const childIds = splits.map((split, i) => split.batchId || `${batchId}-S${previousChildren + i + 1}`);
+        const duplicateId = childIds.find((childId, i) => childIds.indexOf(childId) !== i);
+        if (duplicateId) {
+            throw new Error(`Split creates batch ${duplicateId} more than once`);
+        }
+
+        const derivedAt = TransactionClock.nowISO(ctx);
+        const childBatchIds = [];
+
+        for (let i = 0; i < splits.length; i++) {
+            const childBatchId = childIds[i];
+            const quantityKg = splits[i].quantityKg;
+
+            // Children inherit the parent's status and test results so tested material stays releasable
+            const childRecord = this.buildDerivedRecord(ctx, childBatchId, parentRecord.currentStatus, {
+                herbType: this.getHerbType(parentRecord),
+                quantityKg,
+                parentBatchIds: [batchId],
+                derivation: {
+                    type: 'Split',
+                    sourceBatches: [{ batchId, quantityKg }],
+                    lossKg: 0,
+                    facilityId,
+                    operatorId,
+                    reason,
+                    derivedAt
+                },
+                qualityTests: parentRecord.qualityTests,
+                compliance: parentRecord.compliance
+            });
+
+            await this.putDerivedRecord(ctx, childRecord);
+            childBatchIds.push(childBatchId);
+        }
+
+        parentRecord.childBatchIds = [...(parentRecord.childBatchIds || []), ...childBatchIds];
+        parentRecord.availableQuantityKg = this.roundQuantity(availableQuantity - allocatedQuantity - lossKg);
+        parentRecord.lastUpdated = derivedAt;
+        parentRecord.lastModifiedBy = AccessControl.modifiedBy(ctx);
+        parentRecord.version += 1;
+
+        await ctx.stub.putState(batchId, Buffer.from(JSON.stringify(parentRecord)));
+        await this.updateSystemStats(ctx, 'batch_derived', childBatchIds.length);
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.BATCH_SPLIT, {
+            batchId,
+            childBatchIds,
+            allocatedQuantityKg: allocatedQuantity,
+            lossKg: lossKg
+        });
+
+        console.info('============= END : Split Batch ===========');
+        return {
+            success: true,
+            batchId,
+            childBatchIds,
+            allocatedQuantityKg: allocatedQuantity,
+            lossKg: lossKg,
+            remainingQuantityKg: parentRecord.availableQuantityKg,
+            message: `Batch ${batchId} split into ${childBatchIds.length} batch(es)`
+        };
+    }
+
+    /**
+     * Merge several batches into one new batch (e.g. multiple farmers' lots in one drying run)
+     * @param {Context} ctx - Transaction context
+     * @param {string} mergeData - JSON string with batchId?, sourceBatches [{batchId, quantityKg?}], lossKg, facilityId, operatorId, reason
+     * @returns {Object} Merge result with the new batch ID
+     */
+    async mergeBatches(ctx, mergeData) {
+        console.info('============= START : Merge Batches ===========');
+
+        // Check permissions
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:mergeBatches');
+
+        const { error, value } = batchMergeSchema.validate(JSON.parse(mergeData));
+        if (error) {
+            throw new Error(`Invalid merge data: ${error.details[0].message}`);
+        }
+        const { batchId, sourceBatches, lossKg, facilityId, operatorId, reason } = value;
+        const sourceIds = sourceBatches.map(source => source.batchId);
+
+        const mergedBatchId = batchId || `MRG-${ctx.stub.getTxID().slice(0, 16).toUpperCase()}`;
+        const existingRecord = await ctx.stub.getState(mergedBatchId);
+        if (existingRecord && existingRecord.length > 0) {
+            throw new Error(`Batch ${mergedBatchId} already exists`);
+        }
+
+        const parents = [];
+        let herbType = null;
+
+        for (const source of sourceBatches) {
+            const parentRecord = await this.getBatchRecord(ctx, source.batchId);
+            this.assertBatchDerivable(parentRecord);
+
+            const parentHerbType = this.getHerbType(parentRecord);
+            if (herbType && parentHerbType !== herbType) {
+                throw new Error(`Cannot merge ${parentHerbType} batch ${source.batchId} with ${herbType} batches`);
+            }
+            herbType = parentHerbType;
+
+            const availableQuantity = this.getBatchQuantity(parentRecord);
+            const quantityKg = source.quantityKg !== undefined ? source.quantityKg : availableQuantity;
+
+            if (!(quantityKg > 0) || quantityKg > availableQuantity + MASS_BALANCE_TOLERANCE_KG) {
+                throw new Error(`Invalid quantity ${quantityKg}kg from batch ${source.batchId}. Available: ${availableQuantity}kg`);
+            }
+
+            parents.push({ record: parentRecord, quantityKg, availableQuantity });
+        }
+
+        const inputQuantity = parents.reduce((sum, parent) => sum + parent.quantityKg, 0);
+        const mergedQuantity = this.roundQuantity(inputQuantity - lossKg);
+        if (!(mergedQuantity > 0)) {
+            throw new Error(`Mass balance violated: loss ${lossKg}kg exceeds merged input ${inputQuantity}kg`);
+        }
+
+        const derivedAt = TransactionClock.nowISO(ctx);
+
+        // A merged lot is new material and has to go through testing again
+        const mergedRecord = this.buildDerivedRecord(ctx, mergedBatchId, 'In-Processing', {
+            herbType,
+            quantityKg: mergedQuantity,
+            parentBatchIds: sourceIds,
+            derivation: {
+                type: 'Merge',
+                sourceBatches: parents.map(parent => ({
+                    batchId: parent.record.batchId,
+                    quantityKg: parent.quantityKg
+                })),
+                lossKg: lossKg,
+                facilityId,
+                operatorId,
+                reason,
+                derivedAt
+            },
+            compliance: {
+                organicCertified: parents.every(parent => parent.record.compliance && parent.record.compliance.organicCertified)
+            }
+        });
+
+        await this.putDerivedRecord(ctx, mergedRecord);
+
+        for (const parent of parents) {
+            parent.record.childBatchIds = [...(parent.record.childBatchIds || []), mergedBatchId];
+            parent.record.availableQuantityKg = this.roundQuantity(parent.availableQuantity - parent.quantityKg);
+            parent.record.lastUpdated = derivedAt;
+            parent.record.lastModifiedBy = AccessControl.modifiedBy(ctx);
+            parent.record.version += 1;
+            await ctx.stub.putState(parent.record.batchId, Buffer.from(JSON.stringify(parent.record)));
+        }
+
+        await this.updateSystemStats(ctx, 'batch_derived', 1);
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.BATCHES_MERGED, {
+            batchId: mergedBatchId,
+            parentBatchIds: sourceIds,
+            quantityKg: mergedQuantity,
+            lossKg: lossKg
+        });
+
+        console.info('============= END : Merge Batches ===========');
+        return {
+            success: true,
+            batchId: mergedBatchId,
+            parentBatchIds: sourceIds,
+            inputQuantityKg: inputQuantity,
+            lossKg: lossKg,
+            quantityKg: mergedQuantity,
+            status: mergedRecord.currentStatus,
+            message: `${sourceIds.length} batches merged into ${mergedBatchId}`
+        };
+    }
+
+    /**
+     * Get complete provenance record, including every batch it was split or merged from
      * @param {Context} ctx - Transaction context
      * @param {string} batchId - Batch identifier
      * @returns {Object} Complete provenance record
      */
     async getProvenanceRecord(ctx, batchId) {
-        const recordBuffer = await ctx.stub.getState(batchId);
-        if (!recordBuffer || recordBuffer.length === 0) {
-            throw new Error(`Batch ${batchId} not found`);
-        }
+        const provenanceRecord = await this.getBatchRecord(ctx, batchId);
+        const lineage = await this.collectLineage(ctx, provenanceRecord);
 
-        const provenanceRecord = JSON.parse(recordBuffer.toString());
-        
         // Add computed fields for better presentation
-        provenanceRecord.timeline = this.generateTimeline(provenanceRecord);
+        provenanceRecord.lineage = {
+            parentBatchIds: provenanceRecord.parentBatchIds || [],
+            childBatchIds: provenanceRecord.childBatchIds || [],
+            ancestors: lineage.ancestors.map(record => this.summarizeBatch(record)),
+            descendants: lineage.descendants.map(record => this.summarizeBatch(record)),
+            contributingFarms: this.getContributingFarms([provenanceRecord, ...lineage.ancestors])
+        };
+        provenanceRecord.timeline = this.generateTimeline(provenanceRecord, lineage.ancestors);
         provenanceRecord.completionScore = this.calculateCompletionScore(provenanceRecord);
-        
+
         return provenanceRecord;
     }
 
+    /**
+     * Get the zone a harvest was validated against, as the zone was at the time
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Harvest zone record with the zone version it refers to
+     */
+    async getBatchHarvestZone(ctx, batchId) {
+        const harvestZoneBuffer = await ctx.stub.getState(ProvenanceContract.harvestZoneKey(batchId));
+        if (!harvestZoneBuffer || harvestZoneBuffer.length === 0) {
+            throw new Error(`No harvest zone recorded for batch ${batchId}`);
+        }
+
+        const harvestZone = JSON.parse(harvestZoneBuffer.toString());
+        harvestZone.zone = await this.geofencing.getZoneVersion(ctx, harvestZone.zoneId, String(harvestZone.zoneVersion));
+        return harvestZone;
+    }
+
+    /**
+     * Get the participants of a batch, used by the API to decide who may view it
+     * Farmers of batches it was split or merged from count as its farmers
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Farmer, processor, lab and distributor identifiers
+     */
+    async getBatchParticipants(ctx, batchId) {
+        const record = await this.getBatchRecord(ctx, batchId);
+        const { ancestors } = await this.collectLineage(ctx, record);
+
+        const farmerIds = new Set();
+        const processorIds = new Set();
+        const labIds = new Set();
+        const distributorIds = new Set();
+
+        for (const linkedRecord of [record, ...ancestors]) {
+            if (linkedRecord.collectionEvent) {
+                farmerIds.add(linkedRecord.collectionEvent.farmerId);
+            }
+        }
+
+        for (const step of record.processingSteps || []) {
+            processorIds.add(step.facilityId);
+            processorIds.add(step.operatorId);
+        }
+        if (record.derivation) {
+            [record.derivation.facilityId, record.derivation.operatorId]
+                .filter(Boolean)
+                .forEach(id => processorIds.add(id));
+        }
+
+        for (const test of record.qualityTests || []) {
+            labIds.add(test.labId);
+        }
+
+        if (record.distributionInfo && record.distributionInfo.distributorId) {
+            distributorIds.add(record.distributionInfo.distributorId);
+        }
+
+        return {
+            batchId,
+            status: record.currentStatus,
+            farmerIds: [...farmerIds],
+            processorIds: [...processorIds],
+            labIds: [...labIds],
+            distributorIds: [...distributorIds]
+        };
+    }
+
+    /**
+     * Get every version of a batch record with who changed what and when
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Versions, oldest first, each with txId, timestamp, submitting MSP and field changes
+     */
+    async getBatchHistory(ctx, batchId) {
+        const versions = await this.readBatchVersions(ctx, batchId);
+
+        let previousRecord = {};
+        const history = versions.map(version => {
+            const record = version.record || {};
+            const entry = {
+                txId: version.txId,
+                timestamp: version.timestamp,
+                isDelete: version.isDelete,
+                version: record.version,
+                status: record.currentStatus,
+                submittedBy: this.getVersionSubmitter(version),
+                changes: TraceabilityUtils.diffObjects(previousRecord, record)
+            };
+            previousRecord = record;
+            return entry;
+        });
+
+        return {
+            batchId,
+            totalVersions: history.length,
+            history
+        };
+    }
+
+    /**
+     * Get a batch record as it was at a point in time
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @param {string} asOf - ISO date/time
+     * @returns {Object} Record version in effect at asOf
+     */
+    async getBatchStateAsOf(ctx, batchId, asOf) {
+        const asOfTime = new Date(asOf);
+        if (!asOf || isNaN(asOfTime.getTime())) {
+            throw new Error(`Invalid asOf date: ${asOf}`);
+        }
+
+        const versions = await this.readBatchVersions(ctx, batchId);
+        const version = versions.filter(entry => new Date(entry.timestamp) <= asOfTime).pop();
+        if (!version) {
+            throw new Error(`Batch ${batchId} did not exist at ${asOfTime.toISOString()}`);
+        }
+
+        return {
+            batchId,
+            asOf: asOfTime.toISOString(),
+            txId: version.txId,
+            timestamp: version.timestamp,
+            isDelete: version.isDelete,
+            submittedBy: this.getVersionSubmitter(version),
+            record: version.record
+        };
+    }
+
     /**
      * Get provenance history by QR code
      * @param {Context} ctx - Transaction context
@@ -362,7 +912,14 @@ class ProvenanceContract extends Contract {
         }
 
         const qrMapping = JSON.parse(qrBuffer.toString());
-        return await this.getProvenanceRecord(ctx, qrMapping.batchId);
+        const provenanceRecord = await this.getProvenanceRecord(ctx, qrMapping.batchId);
+
+        // Surface recalls prominently so a consumer scan cannot miss them
+        if (qrMapping.recalled) {
+            provenanceRecord.recallWarning = qrMapping.recall;
+        }
+
+        return provenanceRecord;
     }
 
     /**
@@ -372,32 +929,33 @@ class ProvenanceContract extends Contract {
      * @returns {Array} Array of batch records for the farmer
      */
     async getBatchesByFarmer(ctx, farmerId) {
-        const iterator = await ctx.stub.getStateByRange('', '');
-        const batches = [];
-        
-        while (true) {
-            const res = await iterator.next();
-            if (res.value && res.value.value.toString()) {
-                const record = JSON.parse(res.value.value.toString());
-                if (record.collectionEvent && record.collectionEvent.farmerId === farmerId) {
-                    batches.push({
-                        batchId: record.batchId,
-                        herbType: record.collectionEvent.herbType,
-                        status: record.currentStatus,
-                        collectionDate: record.collectionEvent.collectionDate,
-                        quantity: record.collectionEvent.quantityKg
-                    });
-                }
-            }
-            if (res.done) {
-                await iterator.close();
-                break;
-            }
-        }
+        const records = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.FARMER_BATCH, [farmerId]);
+        const batches = records.map(record => this.summarizeFarmerBatch(record));
 
         return batches.sort((a, b) => new Date(b.collectionDate) - new Date(a.collectionDate));
     }
 
+    /**
+     * Get one page of batches by farmer
+     * @param {Context} ctx - Transaction context
+     * @param {string} farmerId - Farmer identifier
+     * @param {string} pageSize - Batches per page
+     * @param {string} bookmark - Bookmark returned by the previous page
+     * @returns {Object} Page of farmer batches with bookmark
+     */
+    async getBatchesByFarmerWithPagination(ctx, farmerId, pageSize, bookmark = '') {
+        const page = await LedgerIndexes.getIndexedRecordsWithPagination(
+            ctx, INDEXES.FARMER_BATCH, [farmerId], pageSize, bookmark
+        );
+
+        return {
+            batches: page.records.map(record => this.summarizeFarmerBatch(record)),
+            fetchedRecordsCount: page.fetchedRecordsCount,
+            bookmark: page.bookmark,
+            pageSize: page.pageSize
+        };
+    }
+
     /**
      * Get batches by status
      * @param {Context} ctx - Transaction context
@@ -405,22 +963,70 @@ class ProvenanceContract extends Contract {
      * @returns {Array} Array of batch records with the specified status
      */
     async getBatchesByStatus(ctx, status) {
-        const iterator = await ctx.stub.getStateByRange('', '');
+        const records = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.STATUS_BATCH, [status]);
+        const batches = records.map(record => this.summarizeStatusBatch(record));
+
+        return batches.sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
+    }
+
+    /**
+     * Get one page of batches by status
+     * @param {Context} ctx - Transaction context
+     * @param {string} status - Batch status
+     * @param {string} pageSize - Batches per page
+     * @param {string} bookmark - Bookmark returned by the previous page
+     * @returns {Object} Page of batches with bookmark
+     */
+    async getBatchesByStatusWithPagination(ctx, status, pageSize, bookmark = '') {
+        const page = await LedgerIndexes.getIndexedRecordsWithPagination(
+            ctx, INDEXES.STATUS_BATCH, [status], pageSize, bookmark
+        );
+
+        return {
+            batches: page.records.map(record => this.summarizeStatusBatch(record)),
+            fetchedRecordsCount: page.fetchedRecordsCount,
+            bookmark: page.bookmark,
+            pageSize: page.pageSize
+        };
+    }
+
+    /**
+     * Query batches with ad-hoc criteria (CouchDB rich query, read-only)
+     * @param {Context} ctx - Transaction context
+     * @param {string} queryData - JSON string with criteria: herbType, status, farmerId, district, state,
+     *   village, collectedFrom, collectedTo, failedCheck, testResult, organicCertified
+     * @param {string} pageSize - Batches per page
+     * @param {string} bookmark - Bookmark returned by the previous page
+     * @returns {Object} Page of matching batches with bookmark
+     */
+    async queryProvenanceRecords(ctx, queryData, pageSize, bookmark = '') {
+        const criteria = JSON.parse(queryData || '{}');
+        if (criteria.herbType) {
+            criteria.herbType = await HerbRegistryContract.canonicalHerbType(ctx, criteria.herbType);
+        }
+        const query = {
+            selector: this.buildBatchSelector(criteria),
+            use_index: this.selectBatchQueryIndex(criteria)
+        };
+
+        const size = LedgerIndexes.normalizePageSize(pageSize);
+        const { iterator, metadata } = await ctx.stub.getQueryResultWithPagination(
+            JSON.stringify(query), size, bookmark || ''
+        );
+
         const batches = [];
-        
         while (true) {
             const res = await iterator.next();
             if (res.value && res.value.value.toString()) {
                 const record = JSON.parse(res.value.value.toString());
-                if (record.currentStatus === status) {
-                    batches.push({
-                        batchId: record.batchId,
-                        status: record.currentStatus,
-                        herbType: record.collectionEvent ? record.collectionEvent.herbType : 'Unknown',
-                        lastUpdated: record.lastUpdated,
-                        version: record.version
-                    });
-                }
+                batches.push({
+                    ...this.summarizeStatusBatch(record),
+                    farmerId: record.collectionEvent ? record.collectionEvent.farmerId : null,
+                    collectionDate: record.collectionEvent ? record.collectionEvent.collectionDate : null,
+                    harvestLocation: record.collectionEvent ? record.collectionEvent.harvestLocation : null,
+                    quantityKg: this.getBatchQuantity(record),
+                    failedChecks: [...new Set((record.qualityTests || []).flatMap(test => test.failedChecks || []))]
+                });
             }
             if (res.done) {
                 await iterator.close();
@@ -428,68 +1034,487 @@ class ProvenanceContract extends Contract {
             }
         }
 
-        return batches.sort((a, b) => new Date(b.lastUpdated) - new Date(a.lastUpdated));
+        return {
+            batches,
+            criteria,
+            fetchedRecordsCount: metadata.fetchedRecordsCount,
+            bookmark: metadata.bookmark,
+            pageSize: size
+        };
+    }
+
+    /**
+     * Build a CouchDB selector for batch queries from whitelisted criteria
+     * @param {Object} criteria - Query criteria
+     * @returns {Object} CouchDB selector
+     */
+    buildBatchSelector(criteria) {
+        const selector = { docType: DOC_TYPES.BATCH };
+
+        if (criteria.herbType) selector.herbType = String(criteria.herbType);
+        if (criteria.status) selector.currentStatus = String(criteria.status);
+        if (criteria.farmerId) selector['collectionEvent.farmerId'] = String(criteria.farmerId);
+        if (criteria.village) selector['collectionEvent.harvestLocation.village'] = String(criteria.village);
+        if (criteria.district) selector['collectionEvent.harvestLocation.district'] = String(criteria.district);
+        if (criteria.state) selector['collectionEvent.harvestLocation.state'] = String(criteria.state);
+        if (criteria.organicCertified !== undefined) {
+            selector['compliance.organicCertified'] = criteria.organicCertified === true || criteria.organicCertified === 'true';
+        }
+
+        // Dates are stored as ISO strings, so range comparisons work lexically
+        if (criteria.collectedFrom || criteria.collectedTo) {
+            const dateRange = {};
+            if (criteria.collectedFrom) dateRange.$gte = this.toQueryDate(criteria.collectedFrom, false);
+            if (criteria.collectedTo) dateRange.$lte = this.toQueryDate(criteria.collectedTo, true);
+            selector['collectionEvent.collectionDate'] = dateRange;
+        }
+
+        if (criteria.failedCheck || criteria.testResult) {
+            const testMatch = {};
+            if (criteria.failedCheck) testMatch.failedChecks = { $elemMatch: { $eq: String(criteria.failedCheck) } };
+            if (criteria.testResult) testMatch.overallResult = String(criteria.testResult);
+            selector.qualityTests = { $elemMatch: testMatch };
+        }
+
+        return selector;
+    }
+
+    /**
+     * Convert a query date to the ISO form records are stored in
+     * @param {string} value - ISO date or YYYY-MM-DD
+     * @param {boolean} endOfDay - Whether a bare date should cover the whole day
+     * @returns {string} ISO timestamp
+     */
+    toQueryDate(value, endOfDay) {
+        const isBareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = new Date(isBareDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date in query: ${value}`);
+        }
+        return date.toISOString();
+    }
+
+    /**
+     * Pick the CouchDB index (META-INF/statedb/couchdb/indexes) that best fits the criteria
+     * @param {Object} criteria - Query criteria
+     * @returns {Array} Design document and index name
+     */
+    selectBatchQueryIndex(criteria) {
+        if (criteria.district) {
+            return ['_design/batchDistrictDoc', 'batchDistrictIndex'];
+        }
+        if (criteria.herbType) {
+            return ['_design/batchHerbDoc', 'batchHerbIndex'];
+        }
+        return ['_design/batchStatusDoc', 'batchStatusIndex'];
+    }
+
+    /**
+     * Summarize a batch for farmer listings
+     * @param {Object} record - Provenance record
+     * @returns {Object} Batch summary
+     */
+    summarizeFarmerBatch(record) {
+        return {
+            batchId: record.batchId,
+            herbType: record.collectionEvent.herbType,
+            status: record.currentStatus,
+            collectionDate: record.collectionEvent.collectionDate,
+            quantity: record.collectionEvent.quantityKg
+        };
+    }
+
+    /**
+     * Summarize a batch for status listings
+     * @param {Object} record - Provenance record
+     * @returns {Object} Batch summary
+     */
+    summarizeStatusBatch(record) {
+        return {
+            batchId: record.batchId,
+            status: record.currentStatus,
+            herbType: this.getHerbType(record),
+            lastUpdated: record.lastUpdated,
+            version: record.version
+        };
+    }
+
+    /**
+     * Rebuild batch indexes for records written before indexing existed (for regulators)
+     * Processes the world state in slices; call again with nextStartKey until it is null
+     * @param {Context} ctx - Transaction context
+     * @param {string} startKey - Key to resume from
+     * @param {string} limit - Maximum keys to process in this transaction
+     * @returns {Object} Rebuild progress
+     */
+    async rebuildBatchIndexes(ctx, startKey = '', limit = '500') {
+        AccessControl.assertAuthorized(ctx, 'ProvenanceContract:rebuildBatchIndexes');
+
+        const { entries, nextStartKey } = await LedgerIndexes.scanRange(ctx, startKey, limit);
+        let indexedBatches = 0;
+
+        for (const { key, record } of entries) {
+            if (!record.currentStatus || record.batchId !== key) {
+                continue;
+            }
+            await LedgerIndexes.putIndex(ctx, INDEXES.STATUS_BATCH, [record.currentStatus, record.batchId]);
+            if (record.collectionEvent) {
+                await LedgerIndexes.putIndex(ctx, INDEXES.FARMER_BATCH, [record.collectionEvent.farmerId, record.batchId]);
+            }
+
+            // Older records predate the fields rich queries select on
+            if (!record.docType || !record.herbType) {
+                record.docType = DOC_TYPES.BATCH;
+                record.herbType = this.getHerbType(record);
+                await ctx.stub.putState(record.batchId, Buffer.from(JSON.stringify(record)));
+            }
+            indexedBatches++;
+        }
+
+        return {
+            success: true,
+            scannedKeys: entries.length,
+            indexedBatches,
+            nextStartKey
+        };
     }
 
     /**
      * Generate timeline from provenance record
      * @param {Object} record - Provenance record
+     * @param {Array} ancestors - Provenance records of batches this batch was split or merged from
      * @returns {Array} Timeline of events
      */
-    generateTimeline(record) {
+    generateTimeline(record, ancestors = []) {
         const timeline = [];
 
-        // Collection event
-        if (record.collectionEvent) {
-            timeline.push({
-                stage: 'Collection',
-                date: record.collectionEvent.collectionDate,
-                description: `${record.collectionEvent.quantityKg}kg of ${record.collectionEvent.herbType} collected by ${record.collectionEvent.farmerName}`,
-                location: record.collectionEvent.gpsCoordinates,
-                actor: record.collectionEvent.farmerName
-            });
-        }
+        for (const batch of [...ancestors, record]) {
+            // Collection event
+            if (batch.collectionEvent) {
+                timeline.push({
+                    stage: 'Collection',
+                    batchId: batch.batchId,
+                    date: batch.collectionEvent.collectionDate,
+                    description: `${batch.collectionEvent.quantityKg}kg of ${batch.collectionEvent.herbType} collected by ${batch.collectionEvent.farmerName}`,
+                    location: batch.collectionEvent.gpsCoordinates,
+                    actor: batch.collectionEvent.farmerName
+                });
+            }
 
-        // Processing steps
-        if (record.processingSteps) {
-            record.processingSteps.forEach(step => {
+            // Split/merge event that created this batch
+            if (batch.derivation) {
+                const sources = batch.derivation.sourceBatches
+                    .map(source => `${source.batchId} (${source.quantityKg}kg)`)
+                    .join(', ');
                 timeline.push({
-                    stage: 'Processing',
-                    date: step.processStartTime,
-                    description: `${step.processType} at ${step.facilityName}`,
-                    details: `${step.inputQuantityKg}kg → ${step.outputQuantityKg}kg (${step.yieldPercentage?.toFixed(1)}% yield)`,
-                    actor: step.facilityName
+                    stage: batch.derivation.type === 'Merge' ? 'Merge' : 'Split',
+                    batchId: batch.batchId,
+                    date: batch.derivation.derivedAt,
+                    description: batch.derivation.type === 'Merge' ?
+                        `Batch ${batch.batchId} formed by merging ${sources}` :
+                        `Batch ${batch.batchId} split from ${sources}`,
+                    details: `${batch.derivation.lossKg || 0}kg loss recorded`,
+                    actor: batch.derivation.facilityId
                 });
-            });
-        }
+            }
 
-        // Quality tests
-        if (record.qualityTests) {
-            record.qualityTests.forEach(test => {
+            // Processing steps
+            if (batch.processingSteps) {
+                batch.processingSteps.forEach(step => {
+                    timeline.push({
+                        stage: 'Processing',
+                        batchId: batch.batchId,
+                        date: step.processStartTime,
+                        description: `${step.processType} at ${step.facilityName}`,
+                        details: `${step.inputQuantityKg}kg → ${step.outputQuantityKg}kg (${step.yieldPercentage?.toFixed(1)}% yield)`,
+                        actor: step.facilityName
+                    });
+                });
+            }
+
+            // Quality tests
+            if (batch.qualityTests) {
+                batch.qualityTests.forEach(test => {
+                    timeline.push({
+                        stage: 'Quality Testing',
+                        batchId: batch.batchId,
+                        date: test.testDate,
+                        description: `${test.testType} testing at ${test.labName}`,
+                        result: test.overallResult,
+                        actor: test.labName
+                    });
+                });
+            }
+
+            // Packaging
+            if (batch.distributionInfo) {
                 timeline.push({
-                    stage: 'Quality Testing',
-                    date: test.testDate,
-                    description: `${test.testType} testing at ${test.labName}`,
-                    result: test.overallResult,
-                    actor: test.labName
+                    stage: 'Packaging',
+                    batchId: batch.batchId,
+                    date: batch.distributionInfo.packageDate,
+                    description: `Packaged for distribution`,
+                    details: `Package type: ${batch.distributionInfo.packageType}`,
+                    actor: batch.distributionInfo.distributorName
                 });
-            });
-        }
+            }
 
-        // Packaging
-        if (record.distributionInfo) {
-            timeline.push({
-                stage: 'Packaging',
-                date: record.distributionInfo.packageDate,
-                description: `Packaged for distribution`,
-                details: `Package type: ${record.distributionInfo.packageType}`,
-                actor: record.distributionInfo.distributorName
-            });
+            // Recall
+            if (batch.recall) {
+                timeline.push({
+                    stage: 'Recall',
+                    batchId: batch.batchId,
+                    date: batch.recall.recalledAt,
+                    description: `${batch.recall.severity} recall ${batch.recall.recallId}`,
+                    details: batch.recall.reason,
+                    result: 'Recalled'
+                });
+            }
         }
 
         return timeline.sort((a, b) => new Date(a.date) - new Date(b.date));
     }
 
+    /**
+     * Read all versions of a batch record from the history database, oldest first
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @returns {Array} Versions [{ txId, timestamp, isDelete, record }]
+     */
+    async readBatchVersions(ctx, batchId) {
+        const iterator = await ctx.stub.getHistoryForKey(batchId);
+        const versions = [];
+
+        while (true) {
+            const res = await iterator.next();
+            if (res.value) {
+                const value = res.value.value ? res.value.value.toString() : '';
+                versions.push({
+                    txId: res.value.txId,
+                    timestamp: TraceabilityUtils.timestampToISO(res.value.timestamp),
+                    isDelete: !!res.value.isDelete,
+                    record: value ? JSON.parse(value) : null
+                });
+            }
+            if (res.done) {
+                await iterator.close();
+                break;
+            }
+        }
+
+        if (versions.length === 0) {
+            throw new Error(`Batch ${batchId} not found`);
+        }
+
+        // The history database returns newest first; record versions break timestamp ties
+        return versions.sort((a, b) =>
+            a.timestamp.localeCompare(b.timestamp) ||
+            ((a.record && a.record.version) || 0) - ((b.record && b.record.version) || 0)
+        );
+    }
+
+    /**
+     * Get the identity that wrote a record version
+     * Only trusted when the record's lastModifiedBy stamp was written by that transaction
+     * @param {Object} version - Record version from readBatchVersions
+     * @returns {Object|null} { mspId, enrollmentId }
+     */
+    getVersionSubmitter(version) {
+        const stamp = version.record && version.record.lastModifiedBy;
+        if (!stamp || stamp.txId !== version.txId) {
+            return null;
+        }
+        return { mspId: stamp.mspId, enrollmentId: stamp.enrollmentId };
+    }
+
+    /**
+     * Get a provenance record or fail if it does not exist
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Provenance record
+     */
+    async getBatchRecord(ctx, batchId) {
+        const recordBuffer = await ctx.stub.getState(batchId);
+        if (!recordBuffer || recordBuffer.length === 0) {
+            throw new Error(`Batch ${batchId} not found`);
+        }
+        return JSON.parse(recordBuffer.toString());
+    }
+
+    /**
+     * Walk the lineage graph of a batch in both directions
+     * @param {Context} ctx - Transaction context
+     * @param {Object} record - Provenance record to start from
+     * @returns {Object} Ancestor and descendant provenance records
+     */
+    async collectLineage(ctx, record) {
+        const walk = async (startIds, linkField) => {
+            const visited = new Set([record.batchId]);
+            const records = [];
+            const queue = [...startIds];
+
+            while (queue.length > 0) {
+                const batchId = queue.shift();
+                if (visited.has(batchId)) {
+                    continue;
+                }
+                visited.add(batchId);
+
+                const linkedRecord = await this.getBatchRecord(ctx, batchId);
+                records.push(linkedRecord);
+                queue.push(...(linkedRecord[linkField] || []));
+            }
+
+            return records;
+        };
+
+        return {
+            ancestors: await walk(record.parentBatchIds || [], 'parentBatchIds'),
+            descendants: await walk(record.childBatchIds || [], 'childBatchIds')
+        };
+    }
+
+    /**
+     * Summarize a linked batch for lineage views
+     * @param {Object} record - Provenance record
+     * @returns {Object} Batch summary
+     */
+    summarizeBatch(record) {
+        return {
+            batchId: record.batchId,
+            herbType: this.getHerbType(record),
+            status: record.currentStatus,
+            quantityKg: this.getBatchQuantity(record),
+            parentBatchIds: record.parentBatchIds || [],
+            childBatchIds: record.childBatchIds || [],
+            derivationType: record.derivation ? record.derivation.type : 'Collection'
+        };
+    }
+
+    /**
+     * List the farms that contributed material to a set of batches
+     * @param {Array} records - Provenance records
+     * @returns {Array} Contributing farms
+     */
+    getContributingFarms(records) {
+        return records
+            .filter(record => record.collectionEvent)
+            .map(record => ({
+                batchId: record.batchId,
+                farmerId: record.collectionEvent.farmerId,
+                farmerName: record.collectionEvent.farmerName,
+                herbType: record.collectionEvent.herbType,
+                quantityKg: record.collectionEvent.quantityKg,
+                collectionDate: record.collectionEvent.collectionDate,
+                gpsCoordinates: record.collectionEvent.gpsCoordinates
+            }));
+    }
+
+    /**
+     * Get the herb type of a batch, whether collected or derived
+     * @param {Object} record - Provenance record
+     * @returns {string} Herb type
+     */
+    getHerbType(record) {
+        return record.collectionEvent ? record.collectionEvent.herbType : (record.herbType || 'Unknown');
+    }
+
+    /**
+     * Get the quantity currently held by a batch
+     * @param {Object} record - Provenance record
+     * @returns {number} Quantity in kg
+     */
+    getBatchQuantity(record) {
+        if (record.availableQuantityKg !== undefined) {
+            return record.availableQuantityKg;
+        }
+
+        // Older records: the last processing output, else the collected quantity
+        const steps = record.processingSteps || [];
+        if (steps.length > 0) {
+            return steps[steps.length - 1].outputQuantityKg;
+        }
+        return record.collectionEvent ? record.collectionEvent.quantityKg : 0;
+    }
+
+    /**
+     * Ensure a batch can still be split or merged
+     * @param {Object} record - Provenance record
+     */
+    assertBatchDerivable(record) {
+        const lockedStatuses = ['Packaged', 'Distributed', 'Recalled'];
+        if (lockedStatuses.includes(record.currentStatus)) {
+            throw new Error(`Batch ${record.batchId} cannot be split or merged in status ${record.currentStatus}`);
+        }
+
+        if (this.getBatchQuantity(record) <= MASS_BALANCE_TOLERANCE_KG) {
+            throw new Error(`Batch ${record.batchId} has no remaining quantity`);
+        }
+    }
+
+    /**
+     * Build a provenance record for a batch created by a split or merge
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - New batch identifier
+     * @param {string} status - Initial status
+     * @param {Object} details - herbType, quantityKg, parentBatchIds, derivation, qualityTests, compliance
+     * @returns {Object} Provenance record
+     */
+    buildDerivedRecord(ctx, batchId, status, details) {
+        return {
+            docType: DOC_TYPES.BATCH,
+            batchId,
+            currentStatus: status,
+            herbType: details.herbType,
+            availableQuantityKg: details.quantityKg,
+            parentBatchIds: details.parentBatchIds,
+            childBatchIds: [],
+            derivation: details.derivation,
+            processingSteps: [],
+            qualityTests: details.qualityTests || [],
+            distributionInfo: null,
+            compliance: {
+                organicCertified: !!(details.compliance && details.compliance.organicCertified),
+                gmpCertified: false,
+                isoCertified: false,
+                ayushCompliant: false,
+                fssaiApproved: false
+            },
+            createdAt: details.derivation.derivedAt,
+            lastUpdated: details.derivation.derivedAt,
+            lastModifiedBy: AccessControl.modifiedBy(ctx),
+            version: 1
+        };
+    }
+
+    /**
+     * Validate and store a derived provenance record
+     * @param {Context} ctx - Transaction context
+     * @param {Object} record - Derived provenance record
+     */
+    async putDerivedRecord(ctx, record) {
+        const existingRecord = await ctx.stub.getState(record.batchId);
+        if (existingRecord && existingRecord.length > 0) {
+            throw new Error(`Batch ${record.batchId} already exists`);
+        }
+
+        const { error } = provenanceRecordSchema.validate(record);
+        if (error) {
+            throw new Error(`Invalid provenance record: ${error.details[0].message}`);
+        }
+
+        await ctx.stub.putState(record.batchId, Buffer.from(JSON.stringify(record)));
+        await LedgerIndexes.updateStatusIndex(ctx, record.batchId, null, record.currentStatus);
+    }
+
+    /**
+     * Round a quantity to gram precision to keep mass balance stable
+     * @param {number} quantity - Quantity in kg
+     * @returns {number} Rounded quantity
+     */
+    roundQuantity(quantity) {
+        return Math.round(quantity * 1000) / 1000;
+    }
+
     /**
      * Calculate completion score based on available data
      * @param {Object} record - Provenance record
@@ -498,8 +1523,8 @@ class ProvenanceContract extends Contract {
     calculateCompletionScore(record) {
         let score = 0;
 
-        // Collection data (25 points)
-        if (record.collectionEvent) score += 25;
+        // Collection data (25 points) - derived batches carry it through their parents
+        if (record.collectionEvent || (record.parentBatchIds && record.parentBatchIds.length > 0)) score += 25;
 
         // Processing data (25 points)
         if (record.processingSteps && record.processingSteps.length > 0) {
@@ -579,16 +1604,22 @@ class ProvenanceContract extends Contract {
      * Update system statistics
      * @param {Context} ctx - Transaction context
      * @param {string} event - Event type
+     * @param {number} count - Number of batches affected
      */
-    async updateSystemStats(ctx, event) {
+    async updateSystemStats(ctx, event, count = 1) {
         const configBuffer = await ctx.stub.getState('PROVENANCE_CONFIG');
         const config = JSON.parse(configBuffer.toString());
 
         if (event === 'batch_created') {
-            config.totalBatches = (config.totalBatches || 0) + 1;
+            config.totalBatches = (config.totalBatches || 0) + count;
+        }
+
+        if (event === 'batch_derived') {
+            config.totalBatches = (config.totalBatches || 0) + count;
+            config.derivedBatches = (config.derivedBatches || 0) + count;
         }
 
-        config.lastUpdated = new Date().toISOString();
+        config.lastUpdated = TransactionClock.nowISO(ctx);
         await ctx.stub.putState('PROVENANCE_CONFIG', Buffer.from(JSON.stringify(config)));
     }
 
@@ -601,23 +1632,15 @@ class ProvenanceContract extends Contract {
         const configBuffer = await ctx.stub.getState('PROVENANCE_CONFIG');
         const config = JSON.parse(configBuffer.toString());
 
-        // Count batches by status
-        const iterator = await ctx.stub.getStateByRange('', '');
+        // Count batches by status from the status index - no records are loaded
         const statusCounts = {};
         let totalBatches = 0;
-        
-        while (true) {
-            const res = await iterator.next();
-            if (res.value && res.value.value.toString()) {
-                const record = JSON.parse(res.value.value.toString());
-                if (record.currentStatus) {
-                    statusCounts[record.currentStatus] = (statusCounts[record.currentStatus] || 0) + 1;
-                    totalBatches++;
-                }
-            }
-            if (res.done) {
-                await iterator.close();
-                break;
+
+        for (const status of config.activeStatuses) {
+            const count = await LedgerIndexes.countIndexed(ctx, INDEXES.STATUS_BATCH, [status]);
+            if (count > 0) {
+                statusCounts[status] = count;
+                totalBatches += count;
             }
         }
 
@@ -627,6 +1650,21 @@ class ProvenanceContract extends Contract {
             batchesByStatus: statusCounts
         };
     }
+
+    /**
+     * Location used to place a harvest in the season calendar
+     * @param {Object} collectionEvent - Collection event
+     * @returns {Object} { latitude, longitude, state }
+     */
+    static getHarvestLocation(collectionEvent) {
+        const { latitude, longitude } = collectionEvent.gpsCoordinates;
+        const state = collectionEvent.harvestLocation ? collectionEvent.harvestLocation.state : undefined;
+        return { latitude, longitude, state };
+    }
+
+    static harvestZoneKey(batchId) {
+        return `HARVEST_ZONE_${batchId}`;
+    }
 }
 
 module.exports = ProvenanceContract;
\ No newline at end of file
@@ -1,6 +1,29 @@
 const { Contract } = require('fabric-contract-api');
+const AccessControl = require('./access-control');
+const ActorRegistryContract = require('./actor-registry-contract');
+const ChaincodeEvents = require('./events');
+const HerbRegistryContract = require('./herb-registry-contract');
 const TraceabilityUtils = require('./utils');
-const { qualityTestSchema } = require('./schemas');
+const TransactionClock = require('./transaction-clock');
+const LedgerIndexes = require('./indexes');
+const DOC_TYPES = require('./doc-types');
+const { INDEXES } = LedgerIndexes;
+const { EVENT_TYPES } = ChaincodeEvents;
+const {
+    qualityTestSchema, labCertificationSchema, labRenewalSchema, labScopeSchema,
+    qualityStandardsVersionSchema, pesticideMrlSchema, RESIDUE_UNITS
+} = require('./schemas');
+
+// Quality standards were stored under this single key before they were versioned
+const LEGACY_STANDARDS_KEY = 'QUALITY_STANDARDS';
+
+// Statuses of batches released from testing to packaging and the market
+const RELEASED_STATUSES = ['Tested-Pass', 'Packaged', 'Distributed'];
+
+// Longest a lab may take to submit a result after performing the test. The lab
+// supplies the test date, so without a window an expired lab could backdate tests
+// to a day it was still certified
+const MAX_TEST_AGE_DAYS = 30;
 
 /**
  * Quality Test Smart Contract for Ayurvedic Herb Traceability
@@ -76,7 +99,11 @@ class QualityTestContract extends Contract {
             }
         };
 
-        await ctx.stub.putState('QUALITY_STANDARDS', Buffer.from(JSON.stringify(qualityStandards)));
+        // Each standards entry is versioned; the initial versions apply from today
+        const effectiveFrom = TransactionClock.nowISO(ctx).slice(0, 10);
+        for (const [standardsRef, standards] of Object.entries(qualityStandards)) {
+            await QualityTestContract.saveStandardsVersion(ctx, standardsRef, standards, effectiveFrom, 'Initial quality standards');
+        }
 
         // Initialize lab certifications
         const labCertifications = [
@@ -85,23 +112,27 @@ class QualityTestContract extends Contract {
                 labName: 'Ayurveda Research Institute Lab',
                 certification: 'NABL-ISO17025',
                 accreditationNumber: 'TC-1234',
-                validUntil: '2025-12-31',
-                testCapabilities: ['Physical', 'Chemical', 'Microbiological', 'DNA', 'Pesticide-Residue'],
-                isActive: true
+                issuingAuthority: 'NABL',
+                validUntil: '2027-12-31',
+                testCapabilities: ['Physical', 'Chemical', 'Microbiological', 'DNA', 'Pesticide-Residue']
             },
             {
                 labId: 'LAB002',
                 labName: 'Herbal Quality Control Lab',
                 certification: 'NABL-ISO17025',
                 accreditationNumber: 'TC-5678',
-                validUntil: '2025-06-30',
-                testCapabilities: ['Physical', 'Chemical', 'Pesticide-Residue'],
-                isActive: true
+                issuingAuthority: 'NABL',
+                validUntil: '2027-06-30',
+                testCapabilities: ['Physical', 'Chemical', 'Pesticide-Residue']
             }
         ];
 
         for (const lab of labCertifications) {
-            await ctx.stub.putState(`LAB_CERT_${lab.labId}`, Buffer.from(JSON.stringify(lab)));
+            lab.docType = DOC_TYPES.LAB_CERTIFICATION;
+            lab.status = 'Active';
+            lab.registeredAt = TransactionClock.nowISO(ctx);
+            lab.history = [{ action: 'Registered', modifiedBy: AccessControl.modifiedBy(ctx) }];
+            await ctx.stub.putState(QualityTestContract.labKey(lab.labId), Buffer.from(JSON.stringify(lab)));
         }
 
         console.info('============= END : Initialize Quality Test Ledger ===========');
@@ -117,10 +148,7 @@ class QualityTestContract extends Contract {
         console.info('============= START : Submit Test Results ===========');
 
         // Check permissions - only labs can submit test results
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'LabMSP') {
-            throw new Error('Only certified labs can submit test results');
-        }
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:submitTestResults');
 
         const testResult = JSON.parse(testData);
 
@@ -129,6 +157,8 @@ class QualityTestContract extends Contract {
         if (error) {
             throw new Error(`Invalid test data: ${error.details[0].message}`);
         }
+        AccessControl.assertActingAs(ctx, value.labId, 'labId');
+        await ActorRegistryContract.assertRecordSignature(ctx, 'Lab', value.labId, testResult);
 
         // Check if test already exists
         const existingTest = await ctx.stub.getState(value.testId);
@@ -136,47 +166,44 @@ class QualityTestContract extends Contract {
             throw new Error(`Test ${value.testId} already exists`);
         }
 
-        // Verify lab certification
-        const labCertBuffer = await ctx.stub.getState(`LAB_CERT_${value.labId}`);
+        // Verify lab certification on the day the test was performed
+        QualityTestContract.assertTestDate(ctx, value.testDate);
+        const labCertBuffer = await ctx.stub.getState(QualityTestContract.labKey(value.labId));
         if (!labCertBuffer || labCertBuffer.length === 0) {
             throw new Error(`Lab ${value.labId} is not certified`);
         }
+        QualityTestContract.assertLabMayTest(JSON.parse(labCertBuffer.toString()), value.testType, value.testDate);
 
-        const labCert = JSON.parse(labCertBuffer.toString());
-        if (!labCert.isActive) {
-            throw new Error(`Lab ${value.labId} certification is inactive`);
-        }
-
-        if (!labCert.testCapabilities.includes(value.testType)) {
-            throw new Error(`Lab ${value.labId} is not certified for ${value.testType} testing`);
-        }
-
-        // Get herb type from batch (we need to query the ProvenanceContract)
-        // For now, we'll validate against default standards if herb type is not provided
-        let herbType = value.herbType || 'default';
-        
-        // Validate test results against quality standards
+        // Validate test results against the quality standards of the batch's herb
+        const herbType = await this.getBatchHerbType(ctx, value.batchId);
         const validationResult = await this.validateTestResults(ctx, value, herbType);
         value.validationResult = validationResult;
+        value.overallResult = QualityTestContract.overallResult(validationResult);
 
-        // Set overall result based on validation
-        if (!validationResult.isValid) {
-            value.overallResult = 'Fail';
-        } else if (validationResult.warnings && validationResult.warnings.length > 0) {
-            value.overallResult = 'Conditional-Pass';
-        } else {
-            value.overallResult = 'Pass';
-        }
+        // Pin the standards version the test was judged against
+        value.standardsVersion = validationResult.standardsVersion;
 
         // Add timestamp and generate hash for integrity
-        value.createdAt = new Date().toISOString();
+        value.docType = DOC_TYPES.QUALITY_TEST;
+        value.failedChecks = validationResult.failedChecks;
+        value.createdAt = TransactionClock.nowISO(ctx);
         value.dataHash = TraceabilityUtils.generateDataHash(value);
 
         await ctx.stub.putState(value.testId, Buffer.from(JSON.stringify(value)));
+        await LedgerIndexes.putIndex(ctx, INDEXES.BATCH_TEST, [value.batchId, value.testId]);
 
         // Update batch test history
         await this.updateBatchTestHistory(ctx, value.batchId, value.testId, value.overallResult);
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.TEST_SUBMITTED, {
+            batchId: value.batchId,
+            testId: value.testId,
+            labId: value.labId,
+            testType: value.testType,
+            overallResult: value.overallResult,
+            residuesForReview: validationResult.residuesForReview
+        });
+
         console.info('============= END : Submit Test Results ===========');
         return {
             success: true,
@@ -188,26 +215,41 @@ class QualityTestContract extends Contract {
     }
 
     /**
-     * Validate test results against quality standards
+     * Validate test results against the quality standards in effect for a herb
+     * The version in effect at the transaction time applies, whatever the test date
      * @param {Context} ctx - Transaction context
      * @param {Object} testResult - Test result data
      * @param {string} herbType - Type of herb
      * @returns {Object} Validation result
      */
     async validateTestResults(ctx, testResult, herbType) {
-        const standardsBuffer = await ctx.stub.getState('QUALITY_STANDARDS');
-        const allStandards = JSON.parse(standardsBuffer.toString());
-        
-        const standard = allStandards[herbType] || allStandards['default'];
+        const { herbId, standardsVersion } = await QualityTestContract.resolveStandards(ctx, herbType, TransactionClock.nowISO(ctx));
+        const mrls = await QualityTestContract.loadMrls(ctx, testResult.pesticideResidues);
+        return QualityTestContract.evaluateTestResults(testResult, standardsVersion, herbId, mrls);
+    }
+
+    /**
+     * Check test results against one version of a herb's quality standards
+     * @param {Object} testResult - Test result data
+     * @param {Object} standardsVersion - Quality standards version
+     * @param {string} herbType - Herb the test belongs to
+     * @param {Object} mrls - Pesticide MRL records by pesticide key, from loadMrls
+     * @returns {Object} Validation result naming the standards version applied
+     */
+    static evaluateTestResults(testResult, standardsVersion, herbType, mrls = {}) {
+        const standard = standardsVersion.standards;
         const violations = [];
         const warnings = [];
         const passedTests = [];
+        // Categories of failed checks, stored with the test so they can be queried
+        const failedChecks = new Set();
 
         // Validate physical parameters
         if (testResult.moistureContent !== undefined) {
             const moistureStd = standard.moisture;
             if (moistureStd && testResult.moistureContent > moistureStd.max) {
                 violations.push(`Moisture content ${testResult.moistureContent}% exceeds maximum ${moistureStd.max}%`);
+                failedChecks.add('moisture');
             } else {
                 passedTests.push(`Moisture content: ${testResult.moistureContent}% (✓)`);
             }
@@ -217,6 +259,7 @@ class QualityTestContract extends Contract {
             const ashStd = standard.ash;
             if (ashStd && testResult.ashContent > ashStd.max) {
                 violations.push(`Ash content ${testResult.ashContent}% exceeds maximum ${ashStd.max}%`);
+                failedChecks.add('ash');
             } else {
                 passedTests.push(`Ash content: ${testResult.ashContent}% (✓)`);
             }
@@ -226,6 +269,7 @@ class QualityTestContract extends Contract {
             const fmStd = standard.foreignMatter;
             if (fmStd && testResult.foreignMatter > fmStd.max) {
                 violations.push(`Foreign matter ${testResult.foreignMatter}% exceeds maximum ${fmStd.max}%`);
+                failedChecks.add('foreignMatter');
             } else {
                 passedTests.push(`Foreign matter: ${testResult.foreignMatter}% (✓)`);
             }
@@ -237,6 +281,7 @@ class QualityTestContract extends Contract {
                 const stdLimit = standard[principle.toLowerCase()];
                 if (stdLimit && stdLimit.min && concentration < stdLimit.min) {
                     violations.push(`${principle} concentration ${concentration}% below minimum ${stdLimit.min}%`);
+                    failedChecks.add('activePrinciples');
                 } else if (stdLimit) {
                     passedTests.push(`${principle}: ${concentration}% (✓)`);
                 }
@@ -249,19 +294,28 @@ class QualityTestContract extends Contract {
                 const metalStd = standard.heavyMetals[metal];
                 if (metalStd && concentration > metalStd.max) {
                     violations.push(`${metal} concentration ${concentration}ppm exceeds maximum ${metalStd.max}ppm`);
+                    failedChecks.add('heavyMetals');
                 } else if (metalStd) {
                     passedTests.push(`${metal}: ${concentration}ppm (✓)`);
                 }
             }
         }
 
-        // Validate pesticide residues
+        // Validate pesticide residues against the ledger's MRL table; the MRL and status
+        // reported by the lab are not used
+        const residuesForReview = [];
         if (testResult.pesticideResidues) {
             for (const pesticide of testResult.pesticideResidues) {
-                if (pesticide.status === 'Fail' || pesticide.concentration > pesticide.mrl) {
-                    violations.push(`${pesticide.pesticideName}: ${pesticide.concentration}ppm exceeds MRL ${pesticide.mrl}ppm`);
+                const limit = QualityTestContract.findMrl(mrls, pesticide.pesticideName, herbType);
+                const concentration = QualityTestContract.toMgPerKg(pesticide.concentration, pesticide.unit);
+                if (!limit) {
+                    warnings.push(`${pesticide.pesticideName}: no MRL on the ledger for ${herbType}; residue of ${concentration} mg/kg flagged for review`);
+                    residuesForReview.push(pesticide.pesticideName);
+                } else if (concentration > limit.mrlMgPerKg) {
+                    violations.push(`${pesticide.pesticideName}: ${concentration} mg/kg exceeds MRL ${limit.mrlMgPerKg} mg/kg`);
+                    failedChecks.add('pesticideResidues');
                 } else {
-                    passedTests.push(`${pesticide.pesticideName}: ${pesticide.concentration}ppm (✓)`);
+                    passedTests.push(`${pesticide.pesticideName}: ${concentration} mg/kg (✓)`);
                 }
             }
         }
@@ -273,8 +327,10 @@ class QualityTestContract extends Contract {
                 if (microbialStd) {
                     if (typeof microbialStd === 'string' && microbialStd === 'Absent' && count !== 'Absent') {
                         violations.push(`${microbe} must be absent but found: ${count}`);
+                        failedChecks.add('microbial');
                     } else if (typeof microbialStd === 'object' && count > microbialStd.max) {
                         violations.push(`${microbe} count ${count} exceeds maximum ${microbialStd.max} ${microbialStd.unit}`);
+                        failedChecks.add('microbial');
                     } else {
                         passedTests.push(`${microbe}: ${count} (✓)`);
                     }
@@ -287,6 +343,7 @@ class QualityTestContract extends Contract {
             const dnaAuth = testResult.dnaAuthenticity;
             if (!dnaAuth.speciesConfirmed) {
                 violations.push('Species not confirmed by DNA analysis');
+                failedChecks.add('dnaAuthenticity');
             } else {
                 passedTests.push('DNA species confirmation: Pass (✓)');
             }
@@ -297,6 +354,7 @@ class QualityTestContract extends Contract {
 
             if (dnaAuth.contaminationDetected) {
                 violations.push('DNA contamination detected');
+                failedChecks.add('dnaAuthenticity');
             }
         }
 
@@ -305,14 +363,38 @@ class QualityTestContract extends Contract {
         return {
             isValid,
             violations,
+            failedChecks: [...failedChecks],
             warnings,
             passedTests,
+            residuesForReview,
             standard: standard,
             herbType,
+            standardsRef: standardsVersion.standardsRef,
+            standardsVersion: {
+                standardsRef: standardsVersion.standardsRef,
+                version: standardsVersion.version,
+                effectiveFrom: standardsVersion.effectiveFrom
+            },
             overallScore: isValid ? (warnings.length > 0 ? 85 : 100) : 0
         };
     }
 
+    /**
+     * Get the herb type of the batch a test belongs to
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @returns {string} Herb type, or 'default' if the batch is not on the ledger
+     */
+    async getBatchHerbType(ctx, batchId) {
+        const recordBuffer = await ctx.stub.getState(batchId);
+        if (!recordBuffer || recordBuffer.length === 0) {
+            return 'default';
+        }
+
+        const record = JSON.parse(recordBuffer.toString());
+        return record.herbType || (record.collectionEvent && record.collectionEvent.herbType) || 'default';
+    }
+
     /**
      * Update batch test history
      * @param {Context} ctx - Transaction context
@@ -327,14 +409,14 @@ class QualityTestContract extends Contract {
         
         let history = historyBuffer && historyBuffer.length > 0 ? 
             JSON.parse(historyBuffer.toString()) : 
-            { batchId, tests: [], lastUpdated: new Date().toISOString() };
+            { docType: DOC_TYPES.BATCH_TEST_HISTORY, batchId, tests: [], lastUpdated: TransactionClock.nowISO(ctx) };
 
         history.tests.push({
             testId,
             result,
-            timestamp: new Date().toISOString()
+            timestamp: TransactionClock.nowISO(ctx)
         });
-        history.lastUpdated = new Date().toISOString();
+        history.lastUpdated = TransactionClock.nowISO(ctx);
 
         await ctx.stub.putState(historyKey, Buffer.from(JSON.stringify(history)));
         return { success: true, historyKey };
@@ -361,24 +443,39 @@ class QualityTestContract extends Contract {
      * @returns {Array} Array of test results
      */
     async getBatchTestResults(ctx, batchId) {
-        const iterator = await ctx.stub.getStateByRange('', '');
-        const tests = [];
-        
-        while (true) {
-            const res = await iterator.next();
-            if (res.value && res.value.value.toString()) {
-                const data = JSON.parse(res.value.value.toString());
-                if (data.batchId === batchId && data.testId) {
-                    tests.push(data);
-                }
-            }
-            if (res.done) {
-                await iterator.close();
-                break;
+        const tests = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.BATCH_TEST, [batchId]);
+
+        return tests.sort((a, b) => new Date(b.testDate) - new Date(a.testDate));
+    }
+
+    /**
+     * Rebuild test indexes for results written before indexing existed (for regulators)
+     * Processes the world state in slices; call again with nextStartKey until it is null
+     * @param {Context} ctx - Transaction context
+     * @param {string} startKey - Key to resume from
+     * @param {string} limit - Maximum keys to process in this transaction
+     * @returns {Object} Rebuild progress
+     */
+    async rebuildTestIndexes(ctx, startKey = '', limit = '500') {
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:rebuildTestIndexes');
+
+        const { entries, nextStartKey } = await LedgerIndexes.scanRange(ctx, startKey, limit);
+        let indexedTests = 0;
+
+        for (const { key, record } of entries) {
+            if (record.testId !== key || !record.batchId) {
+                continue;
             }
+            await LedgerIndexes.putIndex(ctx, INDEXES.BATCH_TEST, [record.batchId, record.testId]);
+            indexedTests++;
         }
 
-        return tests.sort((a, b) => new Date(b.testDate) - new Date(a.testDate));
+        return {
+            success: true,
+            scannedKeys: entries.length,
+            indexedTests,
+            nextStartKey
+        };
     }
 
     /**
@@ -432,52 +529,294 @@ class QualityTestContract extends Contract {
     }
 
     /**
-     * Get quality standards for a herb type
+     * Get the quality standards in effect for a herb type
      * @param {Context} ctx - Transaction context
      * @param {string} herbType - Type of herb
-     * @returns {Object} Quality standards
+     * @returns {Object} Quality standards with their version
      */
     async getQualityStandards(ctx, herbType = 'default') {
-        const standardsBuffer = await ctx.stub.getState('QUALITY_STANDARDS');
-        const allStandards = JSON.parse(standardsBuffer.toString());
-        
+        const { herbId, standardsVersion } = await QualityTestContract.resolveStandards(ctx, herbType, TransactionClock.nowISO(ctx));
+        const entries = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.STANDARDS);
+
         return {
-            herbType,
-            standards: allStandards[herbType] || allStandards['default'],
-            availableHerbs: Object.keys(allStandards)
+            herbType: herbId,
+            standardsRef: standardsVersion.standardsRef,
+            version: standardsVersion.version,
+            effectiveFrom: standardsVersion.effectiveFrom,
+            standards: standardsVersion.standards,
+            availableHerbs: entries.map(entry => entry.standardsRef)
         };
     }
 
     /**
      * Update quality standards (admin function)
+     * Adds a new version; earlier versions are kept so every test can be traced to the
+     * limits it was judged against. A version may be scheduled for a later date
+     * Registered herb names update the herb's standardsRef entry; other names (e.g. default) are used as given
      * @param {Context} ctx - Transaction context
      * @param {string} herbType - Type of herb
-     * @param {string} standardsData - JSON string with new standards
-     * @returns {Object} Update result
+     * @param {string} standardsData - JSON string with standards, reason and optional effectiveFrom
+     * @returns {Object} Update result with the new version
      */
     async updateQualityStandards(ctx, herbType, standardsData) {
         // Check permissions - only regulators can update standards
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'RegulatorMSP') {
-            throw new Error('Only regulators can update quality standards');
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:updateQualityStandards');
+
+        const { error, value } = qualityStandardsVersionSchema.validate(JSON.parse(standardsData));
+        if (error) {
+            throw new Error(`Invalid quality standards: ${error.details[0].message}`);
         }
 
-        const newStandards = JSON.parse(standardsData);
-        
-        const standardsBuffer = await ctx.stub.getState('QUALITY_STANDARDS');
-        const allStandards = JSON.parse(standardsBuffer.toString());
-        
-        allStandards[herbType] = newStandards;
-        
-        await ctx.stub.putState('QUALITY_STANDARDS', Buffer.from(JSON.stringify(allStandards)));
+        const standardsRef = await QualityTestContract.standardsRefFor(ctx, herbType);
+        const today = TransactionClock.nowISO(ctx).slice(0, 10);
+        const effectiveFrom = value.effectiveFrom ? value.effectiveFrom.toISOString().slice(0, 10) : today;
+
+        // Tests already judged keep their verdict, so a version cannot apply retroactively
+        if (effectiveFrom < today) {
+            throw new Error(`Quality standards cannot take effect before today (${today})`);
+        }
+        const entry = await QualityTestContract.readStandardsEntry(ctx, standardsRef);
+        const latest = entry && entry.versions[entry.versions.length - 1];
+        if (latest && effectiveFrom < latest.effectiveFrom) {
+            throw new Error(`Version ${latest.version} of the ${standardsRef} standards takes effect on ${latest.effectiveFrom}; a new version cannot take effect before it`);
+        }
+
+        const standardsVersion = await QualityTestContract.saveStandardsVersion(ctx, standardsRef, value.standards, effectiveFrom, value.reason);
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.QUALITY_STANDARDS_UPDATED, {
+            herbType: standardsRef,
+            version: standardsVersion.version,
+            effectiveFrom,
+            reason: value.reason
+        });
 
         return {
             success: true,
-            message: `Quality standards updated for ${herbType}`,
-            updatedStandards: newStandards
+            standardsRef,
+            version: standardsVersion.version,
+            effectiveFrom,
+            message: `Quality standards for ${standardsRef} updated to version ${standardsVersion.version}, effective ${effectiveFrom}`,
+            updatedStandards: value.standards
         };
     }
 
+    /**
+     * Get every version of a herb's quality standards, oldest first
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbType - Type of herb, or a standards entry such as default
+     * @returns {Object} Standards entry with its versions
+     */
+    async getQualityStandardsHistory(ctx, herbType) {
+        const standardsRef = await QualityTestContract.standardsRefFor(ctx, herbType);
+        const entry = await QualityTestContract.requireStandardsEntry(ctx, standardsRef);
+        const versions = await LedgerIndexes.loadRecords(ctx, entry.versions.map(({ version }) =>
+            QualityTestContract.standardsVersionKey(standardsRef, version)));
+        const inEffect = QualityTestContract.versionInEffect(entry, TransactionClock.nowISO(ctx));
+
+        return {
+            standardsRef,
+            currentVersion: inEffect ? inEffect.version : null,
+            latestVersion: entry.latestVersion,
+            versions
+        };
+    }
+
+    /**
+     * Get one version of a herb's quality standards
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbType - Type of herb, or a standards entry such as default
+     * @param {string} version - Version number
+     * @returns {Object} Quality standards version
+     */
+    async getQualityStandardsVersion(ctx, herbType, version) {
+        const standardsRef = await QualityTestContract.standardsRefFor(ctx, herbType);
+        return QualityTestContract.readStandardsVersion(ctx, standardsRef, parseInt(version, 10));
+    }
+
+    /**
+     * Re-evaluate the passing tests of released batches against a version of the standards
+     * Shows which batches on the market would fail if tested today. Only tests judged
+     * against an earlier version (or before versions were pinned) are re-evaluated.
+     * Defaults to the latest version, including one scheduled for a later date, so the
+     * impact of a tightened limit can be seen before it applies
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbType - Type of herb, or a standards entry such as default
+     * @param {string} version - Version number to evaluate against
+     * @returns {Object} Tests and batches that fail the version
+     */
+    async reevaluateReleasedTests(ctx, herbType, version = '') {
+        const standardsRef = await QualityTestContract.standardsRefFor(ctx, herbType);
+        const entry = await QualityTestContract.requireStandardsEntry(ctx, standardsRef);
+        const standardsVersion = await QualityTestContract.readStandardsVersion(
+            ctx, standardsRef, version ? parseInt(version, 10) : entry.latestVersion
+        );
+
+        const evaluated = [];
+        const batchesThatWouldFail = [];
+
+        for (const status of RELEASED_STATUSES) {
+            const batches = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.STATUS_BATCH, [status]);
+            for (const batch of batches) {
+                const tests = await LedgerIndexes.getIndexedRecords(ctx, INDEXES.BATCH_TEST, [batch.batchId]);
+                const failingTests = [];
+
+                for (const test of tests) {
+                    const judgedAgainst = await QualityTestContract.getEvaluatedVersion(ctx, test);
+                    if (test.overallResult === 'Fail' || judgedAgainst.standardsRef !== standardsRef ||
+                        judgedAgainst.version >= standardsVersion.version) {
+                        continue;
+                    }
+
+                    const mrls = await QualityTestContract.loadMrls(ctx, test.pesticideResidues);
+                    const validationResult = QualityTestContract.evaluateTestResults(test, standardsVersion, test.validationResult.herbType, mrls);
+                    const result = {
+                        testId: test.testId,
+                        batchId: batch.batchId,
+                        testDate: test.testDate,
+                        evaluatedVersion: judgedAgainst.version,
+                        previousResult: test.overallResult,
+                        result: QualityTestContract.overallResult(validationResult),
+                        violations: validationResult.violations,
+                        failedChecks: validationResult.failedChecks
+                    };
+                    evaluated.push(result);
+                    if (result.result === 'Fail') {
+                        failingTests.push(result.testId);
+                    }
+                }
+
+                if (failingTests.length > 0) {
+                    batchesThatWouldFail.push({ batchId: batch.batchId, currentStatus: batch.currentStatus, failingTests });
+                }
+            }
+        }
+
+        const failing = evaluated.filter(result => result.result === 'Fail');
+        return {
+            standardsRef,
+            version: standardsVersion.version,
+            effectiveFrom: standardsVersion.effectiveFrom,
+            evaluatedTests: evaluated.length,
+            failingTests: failing,
+            batchesThatWouldFail,
+            message: `${failing.length} of ${evaluated.length} released test(s) fail version ${standardsVersion.version} of the ${standardsRef} standards`
+        };
+    }
+
+    /**
+     * Set the maximum residue limit of a pesticide for one herb, or for all herbs
+     * without their own limit (herbType default). Limits are stored in mg/kg
+     * @param {Context} ctx - Transaction context
+     * @param {string} mrlData - JSON string with pesticideName, herbType, mrl, unit and reason
+     * @returns {Object} Pesticide MRL record
+     */
+    async setPesticideMrl(ctx, mrlData) {
+        console.info('============= START : Set Pesticide MRL ===========');
+
+        // Check permissions - only regulators can set residue limits
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:setPesticideMrl');
+
+        const { error, value } = pesticideMrlSchema.validate(JSON.parse(mrlData));
+        if (error) {
+            throw new Error(`Invalid pesticide MRL: ${error.details[0].message}`);
+        }
+
+        const herbType = value.herbType === 'default' ? 'default' : (await HerbRegistryContract.requireHerb(ctx, value.herbType)).herbId;
+        const pesticideKey = QualityTestContract.pesticideKey(value.pesticideName);
+        const mrlKey = QualityTestContract.mrlKey(pesticideKey);
+        const record = await QualityTestContract.readMrl(ctx, pesticideKey) ||
+            { docType: DOC_TYPES.PESTICIDE_MRL, pesticideKey, pesticideName: value.pesticideName, limits: {}, history: [] };
+
+        const previous = record.limits[herbType];
+        const modifiedBy = AccessControl.modifiedBy(ctx);
+        record.limits[herbType] = {
+            mrl: value.mrl,
+            unit: value.unit,
+            mrlMgPerKg: QualityTestContract.toMgPerKg(value.mrl, value.unit),
+            ...(value.source ? { source: value.source } : {}),
+            setAt: modifiedBy.modifiedAt
+        };
+        record.history.push({
+            herbType,
+            mrlMgPerKg: record.limits[herbType].mrlMgPerKg,
+            previousMrlMgPerKg: previous ? previous.mrlMgPerKg : null,
+            reason: value.reason,
+            modifiedBy
+        });
+        record.lastUpdated = modifiedBy.modifiedAt;
+        record.lastModifiedBy = modifiedBy;
+
+        await ctx.stub.putState(mrlKey, Buffer.from(JSON.stringify(record)));
+        await LedgerIndexes.putIndex(ctx, INDEXES.PESTICIDE_MRL, [mrlKey]);
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.PESTICIDE_MRL_SET, {
+            pesticideName: record.pesticideName,
+            herbType,
+            mrlMgPerKg: record.limits[herbType].mrlMgPerKg,
+            previousMrlMgPerKg: previous ? previous.mrlMgPerKg : null,
+            reason: value.reason
+        });
+
+        console.info('============= END : Set Pesticide MRL ===========');
+        return {
+            success: true,
+            pesticide: record,
+            message: `MRL of ${record.pesticideName} for ${herbType} set to ${record.limits[herbType].mrlMgPerKg} mg/kg`
+        };
+    }
+
+    /**
+     * Get the residue limits of a pesticide
+     * @param {Context} ctx - Transaction context
+     * @param {string} pesticideName - Pesticide name
+     * @returns {Object} Pesticide MRL record
+     */
+    async getPesticideMrl(ctx, pesticideName) {
+        const record = await QualityTestContract.readMrl(ctx, QualityTestContract.pesticideKey(pesticideName));
+        if (!record) {
+            throw new Error(`No MRL for pesticide ${pesticideName}`);
+        }
+        return record;
+    }
+
+    /**
+     * Get the MRL table: every pesticide with residue limits
+     * @param {Context} ctx - Transaction context
+     * @returns {Array} Pesticide MRL records
+     */
+    async getPesticideMrls(ctx) {
+        return LedgerIndexes.getIndexedRecords(ctx, INDEXES.PESTICIDE_MRL);
+    }
+
+    /**
+     * Move quality standards stored under the single QUALITY_STANDARDS key to versioned
+     * entries (for regulators). Each entry becomes version 1, effective today
+     * @param {Context} ctx - Transaction context
+     * @returns {Object} Migrated standards entries
+     */
+    async migrateQualityStandards(ctx) {
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:migrateQualityStandards');
+
+        const legacyBuffer = await ctx.stub.getState(LEGACY_STANDARDS_KEY);
+        if (!legacyBuffer || legacyBuffer.length === 0) {
+            throw new Error('No unversioned quality standards to migrate');
+        }
+
+        const { docType, ...legacyStandards } = JSON.parse(legacyBuffer.toString());
+        const effectiveFrom = TransactionClock.nowISO(ctx).slice(0, 10);
+        const migrated = [];
+        for (const [standardsRef, standards] of Object.entries(legacyStandards)) {
+            if (await QualityTestContract.readStandardsEntry(ctx, standardsRef)) {
+                continue;
+            }
+            await QualityTestContract.saveStandardsVersion(ctx, standardsRef, standards, effectiveFrom, 'Migrated from unversioned quality standards');
+            migrated.push(standardsRef);
+        }
+        await ctx.stub.deleteState(LEGACY_STANDARDS_KEY);
+
+        return { success: true, migrated, effectiveFrom };
+    }
+
     /**
      * Register lab certification
      * @param {Context} ctx - Transaction context
@@ -486,26 +825,35 @@ class QualityTestContract extends Contract {
      */
     async registerLabCertification(ctx, labData) {
         // Check permissions - only regulators can register labs
-        const clientMSPID = ctx.clientIdentity.getMSPID();
-        if (clientMSPID !== 'RegulatorMSP') {
-            throw new Error('Only regulators can register lab certifications');
-        }
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:registerLabCertification');
 
-        const lab = JSON.parse(labData);
-        
-        if (!lab.labId || !lab.labName || !lab.certification) {
-            throw new Error('Lab ID, name, and certification are required');
+        const { error, value } = labCertificationSchema.validate(JSON.parse(labData));
+        if (error) {
+            throw new Error(`Invalid lab certification: ${error.details[0].message}`);
         }
 
-        const labKey = `LAB_CERT_${lab.labId}`;
+        const labKey = QualityTestContract.labKey(value.labId);
         const existingLab = await ctx.stub.getState(labKey);
         if (existingLab && existingLab.length > 0) {
-            throw new Error(`Lab ${lab.labId} already registered`);
+            throw new Error(`Lab ${value.labId} already registered`);
+        }
+
+        const lab = {
+            docType: DOC_TYPES.LAB_CERTIFICATION,
+            ...value,
+            ...QualityTestContract.toCertificateDates(value),
+            status: 'Active',
+            registeredAt: TransactionClock.nowISO(ctx)
+        };
+        if (lab.validUntil < TransactionClock.nowISO(ctx).slice(0, 10)) {
+            throw new Error(`Certification of lab ${lab.labId} expired on ${lab.validUntil}`);
         }
+        QualityTestContract.recordLabChange(ctx, lab, 'Registered');
 
-        lab.registeredAt = new Date().toISOString();
         await ctx.stub.putState(labKey, Buffer.from(JSON.stringify(lab)));
 
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.LAB_CERTIFICATION_REGISTERED, QualityTestContract.labEvent(ctx, lab));
+
         return {
             success: true,
             message: `Lab ${lab.labId} registered successfully`,
@@ -513,19 +861,484 @@ class QualityTestContract extends Contract {
         };
     }
 
+    /**
+     * Suspend a lab certification, e.g. after a failed audit
+     * A suspended lab cannot submit test results until the certification is reinstated
+     * @param {Context} ctx - Transaction context
+     * @param {string} labId - Lab identifier
+     * @param {string} reason - Reason for the suspension
+     * @returns {Object} Updated lab certification
+     */
+    async suspendLabCertification(ctx, labId, reason) {
+        console.info('============= START : Suspend Lab Certification ===========');
+
+        // Check permissions - only regulators can suspend labs
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:suspendLabCertification');
+        QualityTestContract.requireReason(reason, 'suspend');
+
+        const lab = await QualityTestContract.readLabCertification(ctx, labId);
+        if (QualityTestContract.isSuspended(lab)) {
+            throw new Error(`Lab ${labId} certification is already suspended`);
+        }
+
+        lab.status = 'Suspended';
+        lab.suspension = { reason, suspendedAt: TransactionClock.nowISO(ctx) };
+        QualityTestContract.recordLabChange(ctx, lab, 'Suspended', { reason });
+
+        await ctx.stub.putState(QualityTestContract.labKey(labId), Buffer.from(JSON.stringify(lab)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.LAB_CERTIFICATION_SUSPENDED, QualityTestContract.labEvent(ctx, lab, { reason }));
+
+        console.info('============= END : Suspend Lab Certification ===========');
+        return lab;
+    }
+
+    /**
+     * Reinstate a suspended lab certification
+     * @param {Context} ctx - Transaction context
+     * @param {string} labId - Lab identifier
+     * @param {string} reason - Reason for the reinstatement, e.g. corrective actions verified
+     * @returns {Object} Updated lab certification
+     */
+    async reinstateLabCertification(ctx, labId, reason) {
+        console.info('============= START : Reinstate Lab Certification ===========');
+
+        // Check permissions - only regulators can reinstate labs
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:reinstateLabCertification');
+        QualityTestContract.requireReason(reason, 'reinstate');
+
+        const lab = await QualityTestContract.readLabCertification(ctx, labId);
+        if (!QualityTestContract.isSuspended(lab)) {
+            throw new Error(`Lab ${labId} certification is not suspended`);
+        }
+
+        lab.status = 'Active';
+        delete lab.suspension;
+        delete lab.isActive;
+        QualityTestContract.recordLabChange(ctx, lab, 'Reinstated', { reason });
+
+        await ctx.stub.putState(QualityTestContract.labKey(labId), Buffer.from(JSON.stringify(lab)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.LAB_CERTIFICATION_REINSTATED, QualityTestContract.labEvent(ctx, lab, { reason }));
+
+        console.info('============= END : Reinstate Lab Certification ===========');
+        return lab;
+    }
+
+    /**
+     * Extend a lab certification to a new expiry date
+     * Renewal does not lift a suspension
+     * @param {Context} ctx - Transaction context
+     * @param {string} labId - Lab identifier
+     * @param {string} renewalData - JSON string { validUntil, certification?, accreditationNumber?, issuingAuthority?, issuedOn?, reason? }
+     * @returns {Object} Updated lab certification
+     */
+    async renewLabCertification(ctx, labId, renewalData) {
+        console.info('============= START : Renew Lab Certification ===========');
+
+        // Check permissions - only regulators can renew labs
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:renewLabCertification');
+
+        const { error, value } = labRenewalSchema.validate(JSON.parse(renewalData));
+        if (error) {
+            throw new Error(`Invalid renewal data: ${error.details[0].message}`);
+        }
+
+        const lab = await QualityTestContract.readLabCertification(ctx, labId);
+        const { reason, ...certificate } = { ...value, ...QualityTestContract.toCertificateDates(value) };
+        const previousValidUntil = lab.validUntil;
+
+        if (previousValidUntil && certificate.validUntil <= previousValidUntil) {
+            throw new Error(`Renewed certification must be valid after ${previousValidUntil}`);
+        }
+        if (certificate.validUntil < TransactionClock.nowISO(ctx).slice(0, 10)) {
+            throw new Error(`Renewed certification would already have expired on ${certificate.validUntil}`);
+        }
+
+        Object.assign(lab, certificate);
+        QualityTestContract.recordLabChange(ctx, lab, 'Renewed', { reason, previousValidUntil });
+
+        await ctx.stub.putState(QualityTestContract.labKey(labId), Buffer.from(JSON.stringify(lab)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.LAB_CERTIFICATION_RENEWED, QualityTestContract.labEvent(ctx, lab, { reason, previousValidUntil }));
+
+        console.info('============= END : Renew Lab Certification ===========');
+        return lab;
+    }
+
+    /**
+     * Replace the test types a lab is accredited for
+     * @param {Context} ctx - Transaction context
+     * @param {string} labId - Lab identifier
+     * @param {string} scopeData - JSON string { testCapabilities, reason }
+     * @returns {Object} Updated lab certification
+     */
+    async updateLabTestScope(ctx, labId, scopeData) {
+        console.info('============= START : Update Lab Test Scope ===========');
+
+        // Check permissions - only regulators can change a lab's scope
+        AccessControl.assertAuthorized(ctx, 'QualityTestContract:updateLabTestScope');
+
+        const { error, value } = labScopeSchema.validate(JSON.parse(scopeData));
+        if (error) {
+            throw new Error(`Invalid test scope: ${error.details[0].message}`);
+        }
+
+        const lab = await QualityTestContract.readLabCertification(ctx, labId);
+        const added = value.testCapabilities.filter(testType => !lab.testCapabilities.includes(testType));
+        const removed = lab.testCapabilities.filter(testType => !value.testCapabilities.includes(testType));
+        if (added.length === 0 && removed.length === 0) {
+            throw new Error(`Lab ${labId} is already certified for exactly these test types`);
+        }
+
+        lab.testCapabilities = value.testCapabilities;
+        QualityTestContract.recordLabChange(ctx, lab, 'ScopeChanged', { reason: value.reason, added, removed });
+
+        await ctx.stub.putState(QualityTestContract.labKey(labId), Buffer.from(JSON.stringify(lab)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.LAB_TEST_SCOPE_CHANGED, QualityTestContract.labEvent(ctx, lab, { reason: value.reason, added, removed }));
+
+        console.info('============= END : Update Lab Test Scope ===========');
+        return lab;
+    }
+
     /**
      * Get lab certification details
+     * effectiveStatus is Active, Suspended or Expired as of the query
      * @param {Context} ctx - Transaction context
      * @param {string} labId - Lab identifier
      * @returns {Object} Lab certification details
      */
     async getLabCertification(ctx, labId) {
-        const labBuffer = await ctx.stub.getState(`LAB_CERT_${labId}`);
+        const lab = await QualityTestContract.readLabCertification(ctx, labId);
+        return { ...lab, effectiveStatus: QualityTestContract.getLabStatus(lab, TransactionClock.nowISO(ctx)) };
+    }
+
+    static async readLabCertification(ctx, labId) {
+        const labBuffer = await ctx.stub.getState(QualityTestContract.labKey(labId));
         if (!labBuffer || labBuffer.length === 0) {
             throw new Error(`Lab ${labId} not found`);
         }
         return JSON.parse(labBuffer.toString());
     }
+
+    static labKey(labId) {
+        return `LAB_CERT_${labId}`;
+    }
+
+    /**
+     * Get the status of a lab certification on a date
+     * Certifications stored before suspension was introduced carry isActive instead of status
+     * @param {Object} lab - Lab certification
+     * @param {Date|string} date - Date to check
+     * @returns {string} Active, Suspended or Expired
+     */
+    static getLabStatus(lab, date) {
+        if (QualityTestContract.isSuspended(lab)) {
+            return 'Suspended';
+        }
+        if (lab.validUntil && new Date(date).toISOString().slice(0, 10) > lab.validUntil) {
+            return 'Expired';
+        }
+        return 'Active';
+    }
+
+    static isSuspended(lab) {
+        return lab.status === 'Suspended' || lab.isActive === false;
+    }
+
+    /**
+     * Check that a test date lies within MAX_TEST_AGE_DAYS before the transaction
+     * @param {Context} ctx - Transaction context
+     * @param {Date|string} testDate - Date the lab reports the test was performed
+     */
+    static assertTestDate(ctx, testDate) {
+        const age = TransactionClock.daysSince(ctx, testDate);
+        if (age < 0) {
+            throw new Error('Test date cannot be in the future');
+        }
+        if (age > MAX_TEST_AGE_DAYS) {
+            throw new Error(`Test date is more than ${MAX_TEST_AGE_DAYS} days before submission`);
+        }
+    }
+
+    /**
+     * Check that a lab may submit a test of a type performed on a date
+     * Tests performed before the certification expired are accepted if submitted within
+     * MAX_TEST_AGE_DAYS of the test (see assertTestDate)
+     * @param {Object} lab - Lab certification
+     * @param {string} testType - Test type
+     * @param {Date|string} testDate - Date the test was performed
+     */
+    static assertLabMayTest(lab, testType, testDate) {
+        const status = QualityTestContract.getLabStatus(lab, testDate);
+        if (status === 'Suspended') {
+            throw new Error(`Lab ${lab.labId} certification is suspended${lab.suspension ? `: ${lab.suspension.reason}` : ''}`);
+        }
+        if (status === 'Expired') {
+            throw new Error(`Lab ${lab.labId} certification expired on ${lab.validUntil}, before the test date ${new Date(testDate).toISOString().slice(0, 10)}`);
+        }
+        if (!lab.testCapabilities.includes(testType)) {
+            throw new Error(`Lab ${lab.labId} is not certified for ${testType} testing`);
+        }
+    }
+
+    /**
+     * Store certificate dates as calendar days (YYYY-MM-DD)
+     * @param {Object} certificate - Validated certificate fields
+     * @returns {Object} validUntil and issuedOn as calendar days
+     */
+    static toCertificateDates(certificate) {
+        const dates = { validUntil: certificate.validUntil.toISOString().slice(0, 10) };
+        if (certificate.issuedOn) {
+            dates.issuedOn = certificate.issuedOn.toISOString().slice(0, 10);
+        }
+        return dates;
+    }
+
+    static requireReason(reason, action) {
+        if (!reason || !reason.trim()) {
+            throw new Error(`A reason is required to ${action} a lab certification`);
+        }
+    }
+
+    /**
+     * Append a lifecycle change to a lab certification's history
+     * @param {Context} ctx - Transaction context
+     * @param {Object} lab - Lab certification, updated in place
+     * @param {string} action - Registered, Suspended, Reinstated, Renewed or ScopeChanged
+     * @param {Object} details - Reason and action-specific details
+     */
+    static recordLabChange(ctx, lab, action, details = {}) {
+        const modifiedBy = AccessControl.modifiedBy(ctx);
+        lab.history = [...(lab.history || []), { action, ...details, modifiedBy }];
+        lab.lastUpdated = modifiedBy.modifiedAt;
+        lab.lastModifiedBy = modifiedBy;
+    }
+
+    /**
+     * Build the payload of a lab certification event
+     * Every event carries the full certificate so off-chain copies can be replaced, not patched
+     * @param {Context} ctx - Transaction context
+     * @param {Object} lab - Lab certification
+     * @param {Object} details - Event-specific fields
+     * @returns {Object} Event payload
+     */
+    static labEvent(ctx, lab, details = {}) {
+        return {
+            labId: lab.labId,
+            labName: lab.labName,
+            certification: lab.certification,
+            accreditationNumber: lab.accreditationNumber || null,
+            issuingAuthority: lab.issuingAuthority || null,
+            issuedOn: lab.issuedOn || null,
+            validUntil: lab.validUntil || null,
+            testCapabilities: lab.testCapabilities,
+            status: QualityTestContract.getLabStatus(lab, TransactionClock.nowISO(ctx)),
+            ...details
+        };
+    }
+
+    /**
+     * Get the overall result of a validation
+     * @param {Object} validationResult - Result of evaluateTestResults
+     * @returns {string} Pass, Conditional-Pass or Fail
+     */
+    static overallResult(validationResult) {
+        if (!validationResult.isValid) {
+            return 'Fail';
+        }
+        return validationResult.warnings.length > 0 ? 'Conditional-Pass' : 'Pass';
+    }
+
+    /**
+     * Get the standards version a stored test was judged against
+     * Tests stored before versions were pinned were judged against version 1 of their
+     * herb's standards, or of default when the herb had none
+     * @param {Context} ctx - Transaction context
+     * @param {Object} test - Stored test
+     * @returns {Object} { standardsRef, version }
+     */
+    static async getEvaluatedVersion(ctx, test) {
+        if (test.standardsVersion) {
+            return test.standardsVersion;
+        }
+
+        const validationResult = test.validationResult || {};
+        if (validationResult.standardsRef) {
+            return { standardsRef: validationResult.standardsRef, version: 1 };
+        }
+        if (validationResult.herbType) {
+            const standardsRef = await QualityTestContract.standardsRefFor(ctx, validationResult.herbType);
+            if (await QualityTestContract.readStandardsEntry(ctx, standardsRef)) {
+                return { standardsRef, version: 1 };
+            }
+        }
+        return { standardsRef: 'default', version: 1 };
+    }
+
+    /**
+     * Find the standards version in effect for a herb at a time
+     * Herbs whose standards entry has no version in effect yet are tested against default
+     * @param {Context} ctx - Transaction context
+     * @param {string} herbType - Type of herb
+     * @param {string} date - ISO timestamp
+     * @returns {Object} { herbId, standardsVersion }
+     */
+    static async resolveStandards(ctx, herbType, date) {
+        const herb = await HerbRegistryContract.resolveHerb(ctx, herbType);
+        const herbId = herb ? herb.herbId : herbType;
+
+        for (const standardsRef of [herb ? herb.standardsRef : herbType, 'default']) {
+            const entry = await QualityTestContract.readStandardsEntry(ctx, standardsRef);
+            const inEffect = entry && QualityTestContract.versionInEffect(entry, date);
+            if (inEffect) {
+                return { herbId, standardsVersion: await QualityTestContract.readStandardsVersion(ctx, standardsRef, inEffect.version) };
+            }
+        }
+        throw new Error(`No quality standards in effect for ${herbId} on ${date.slice(0, 10)}`);
+    }
+
+    /**
+     * Get the latest version of a standards entry that has taken effect by a time
+     * @param {Object} entry - Standards entry
+     * @param {string} date - ISO timestamp
+     * @returns {Object|undefined} Version summary
+     */
+    static versionInEffect(entry, date) {
+        const day = date.slice(0, 10);
+        return entry.versions.filter(version => version.effectiveFrom <= day).pop();
+    }
+
+    static async standardsRefFor(ctx, herbType) {
+        const herb = await HerbRegistryContract.resolveHerb(ctx, herbType);
+        return herb ? herb.standardsRef : herbType;
+    }
+
+    static async readStandardsEntry(ctx, standardsRef) {
+        const entryBuffer = await ctx.stub.getState(QualityTestContract.standardsKey(standardsRef));
+        return entryBuffer && entryBuffer.length > 0 ? JSON.parse(entryBuffer.toString()) : null;
+    }
+
+    static async requireStandardsEntry(ctx, standardsRef) {
+        const entry = await QualityTestContract.readStandardsEntry(ctx, standardsRef);
+        if (!entry) {
+            throw new Error(`No quality standards for ${standardsRef}`);
+        }
+        return entry;
+    }
+
+    static async readStandardsVersion(ctx, standardsRef, version) {
+        const versionBuffer = await ctx.stub.getState(QualityTestContract.standardsVersionKey(standardsRef, version));
+        if (!versionBuffer || versionBuffer.length === 0) {
+            throw new Error(`Quality standards for ${standardsRef} have no version ${version}`);
+        }
+        return JSON.parse(versionBuffer.toString());
+    }
+
+    /**
+     * Store a new version of a standards entry and list it in the entry's history
+     * @param {Context} ctx - Transaction context
+     * @param {string} standardsRef - Standards entry, e.g. Ashwagandha or default
+     * @param {Object} standards - Limits per parameter
+     * @param {string} effectiveFrom - First day the version applies (YYYY-MM-DD)
+     * @param {string} reason - Reason for the change
+     * @returns {Object} Stored version
+     */
+    static async saveStandardsVersion(ctx, standardsRef, standards, effectiveFrom, reason) {
+        const entryKey = QualityTestContract.standardsKey(standardsRef);
+        const entry = await QualityTestContract.readStandardsEntry(ctx, standardsRef) ||
+            { docType: DOC_TYPES.QUALITY_STANDARDS, standardsRef, latestVersion: 0, versions: [] };
+        const modifiedBy = AccessControl.modifiedBy(ctx);
+
+        const standardsVersion = {
+            docType: DOC_TYPES.QUALITY_STANDARDS_VERSION,
+            standardsRef,
+            version: entry.latestVersion + 1,
+            effectiveFrom,
+            standards,
+            reason,
+            createdAt: modifiedBy.modifiedAt,
+            createdBy: modifiedBy
+        };
+        await ctx.stub.putState(
+            QualityTestContract.standardsVersionKey(standardsRef, standardsVersion.version),
+            Buffer.from(JSON.stringify(standardsVersion))
+        );
+
+        entry.latestVersion = standardsVersion.version;
+        entry.versions.push({ version: standardsVersion.version, effectiveFrom, reason, createdAt: modifiedBy.modifiedAt });
+        entry.lastUpdated = modifiedBy.modifiedAt;
+        entry.lastModifiedBy = modifiedBy;
+        await ctx.stub.putState(entryKey, Buffer.from(JSON.stringify(entry)));
+        await LedgerIndexes.putIndex(ctx, INDEXES.STANDARDS, [entryKey]);
+
+        return standardsVersion;
+    }
+
+    /**
+     * Load the MRL records of the pesticides in a list of residues
+     * @param {Context} ctx - Transaction context
+     * @param {Array} residues - Pesticide residues of a test
+     * @returns {Object} MRL records by pesticide key
+     */
+    static async loadMrls(ctx, residues = []) {
+        const mrls = {};
+        for (const { pesticideName } of residues) {
+            const pesticideKey = QualityTestContract.pesticideKey(pesticideName);
+            if (!(pesticideKey in mrls)) {
+                mrls[pesticideKey] = await QualityTestContract.readMrl(ctx, pesticideKey);
+            }
+        }
+        return mrls;
+    }
+
+    /**
+     * Get the limit of a pesticide for a herb, falling back to the limit for all herbs
+     * @param {Object} mrls - MRL records by pesticide key
+     * @param {string} pesticideName - Pesticide name
+     * @param {string} herbType - Herb ID
+     * @returns {Object|null} Limit with mrlMgPerKg, or null if the table has none
+     */
+    static findMrl(mrls, pesticideName, herbType) {
+        const record = mrls[QualityTestContract.pesticideKey(pesticideName)];
+        if (!record) {
+            return null;
+        }
+        return record.limits[herbType] || record.limits['default'] || null;
+    }
+
+    /**
+     * Convert a residue concentration to mg/kg
+     * @param {number} value - Concentration
+     * @param {string} unit - Unit from RESIDUE_UNITS (results stored without one are in mg/kg)
+     * @returns {number} Concentration in mg/kg
+     */
+    static toMgPerKg(value, unit = 'mg/kg') {
+        // Rounded so that e.g. 10 µg/kg compares equal to 0.01 mg/kg
+        return Number((value * RESIDUE_UNITS[unit]).toPrecision(12));
+    }
+
+    static pesticideKey(pesticideName) {
+        return pesticideName.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    }
+
+    static mrlKey(pesticideKey) {
+        return `PESTICIDE_MRL_${pesticideKey}`;
+    }
+
+    static async readMrl(ctx, pesticideKey) {
+        const mrlBuffer = await ctx.stub.getState(QualityTestContract.mrlKey(pesticideKey));
+        return mrlBuffer && mrlBuffer.length > 0 ? JSON.parse(mrlBuffer.toString()) : null;
+    }
+
+    static standardsKey(standardsRef) {
+        return `QUALITY_STANDARDS_${standardsRef}`;
+    }
+
+    static standardsVersionKey(standardsRef, version) {
+        return `QUALITY_STANDARDS_VERSION_${standardsRef}_${version}`;
+    }
 }
 
 module.exports = QualityTestContract;
\ No newline at end of file
@@ -0,0 +1,348 @@
+const { Contract } = require('fabric-contract-api');
+const AccessControl = require('./access-control');
+const ProvenanceContract = require('./provenance-contract');
+const BatchLifecycle = require('./batch-lifecycle');
+const ChaincodeEvents = require('./events');
+const TransactionClock = require('./transaction-clock');
+const DOC_TYPES = require('./doc-types');
+const { recallSchema } = require('./schemas');
+const { EVENT_TYPES } = ChaincodeEvents;
+
+/**
+ * Recall Smart Contract for Ayurvedic Herb Traceability
+ * Records regulator-issued recalls and propagates them to every derived batch and QR code
+ */
+class RecallContract extends Contract {
+
+    constructor() {
+        super('RecallContract');
+        // Reused for lineage walking so recalls follow the same split/merge graph as provenance
+        this.provenance = new ProvenanceContract();
+    }
+
+    /**
+     * Issue a recall against a batch
+     * @param {Context} ctx - Transaction context
+     * @param {string} recallData - JSON string containing recall details
+     * @returns {Object} Recall record with affected batches, distributors and farmers
+     */
+    async issueRecall(ctx, recallData) {
+        console.info('============= START : Issue Recall ===========');
+
+        // Check permissions - only regulators can issue recalls
+        const caller = AccessControl.assertAuthorized(ctx, 'RecallContract:issueRecall');
+
+        const { error, value } = recallSchema.validate(JSON.parse(recallData));
+        if (error) {
+            throw new Error(`Invalid recall data: ${error.details[0].message}`);
+        }
+
+        const recallId = value.recallId || `RCL-${ctx.stub.getTxID().slice(0, 16).toUpperCase()}`;
+        const existingRecall = await ctx.stub.getState(`RECALL_${recallId}`);
+        if (existingRecall && existingRecall.length > 0) {
+            throw new Error(`Recall ${recallId} already exists`);
+        }
+
+        const sourceRecord = await this.provenance.getBatchRecord(ctx, value.batchId);
+        if (sourceRecord.currentStatus === 'Recalled') {
+            throw new Error(`Batch ${value.batchId} is already recalled${sourceRecord.recall ? ` under ${sourceRecord.recall.recallId}` : ''}`);
+        }
+
+        // Everything split or merged out of the recalled batch carries the same material
+        const lineage = await this.provenance.collectLineage(ctx, sourceRecord);
+        const recalledAt = TransactionClock.nowISO(ctx);
+
+        const affectedBatches = [];
+        const affectedQRCodes = [];
+        const skippedBatches = [];
+
+        for (const record of [sourceRecord, ...lineage.descendants]) {
+            if (record.currentStatus === 'Recalled') {
+                skippedBatches.push({
+                    batchId: record.batchId,
+                    recallId: record.recall ? record.recall.recallId : null
+                });
+                continue;
+            }
+
+            const previousStatus = record.currentStatus;
+            record.recall = {
+                recallId,
+                sourceBatchId: value.batchId,
+                reason: value.reason,
+                severity: value.severity,
+                previousStatus,
+                recalledAt
+            };
+            await BatchLifecycle.transition(ctx, record, 'Recalled');
+            record.lastUpdated = recalledAt;
+            record.lastModifiedBy = AccessControl.modifiedBy(ctx);
+            record.version += 1;
+
+            await ctx.stub.putState(record.batchId, Buffer.from(JSON.stringify(record)));
+
+            const qrCodeId = record.distributionInfo ? record.distributionInfo.qrCodeId : null;
+            if (qrCodeId) {
+                await this.flagQRCode(ctx, qrCodeId, recallId, value, recalledAt);
+                affectedQRCodes.push(qrCodeId);
+            }
+
+            affectedBatches.push({
+                batchId: record.batchId,
+                herbType: this.provenance.getHerbType(record),
+                previousStatus,
+                quantityKg: this.provenance.getBatchQuantity(record),
+                qrCodeId,
+                distributorId: record.distributionInfo ? record.distributionInfo.distributorId : null,
+                distributorName: record.distributionInfo ? record.distributionInfo.distributorName : null
+            });
+        }
+
+        const recall = {
+            docType: DOC_TYPES.RECALL,
+            recallId,
+            batchId: value.batchId,
+            reason: value.reason,
+            severity: value.severity,
+            referenceNumber: value.referenceNumber,
+            notes: value.notes,
+            status: 'Active',
+            issuedBy: {
+                regulatorId: value.regulatorId,
+                regulatorName: value.regulatorName,
+                mspId: caller.mspId,
+                clientId: caller.clientId,
+                enrollmentId: caller.enrollmentId || null
+            },
+            affectedBatches,
+            affectedQRCodes,
+            skippedBatches,
+            affectedDistributors: this.getAffectedDistributors(affectedBatches),
+            affectedFarmers: this.getAffectedFarmers([sourceRecord, ...lineage.ancestors]),
+            issuedAt: recalledAt,
+            lastUpdated: recalledAt
+        };
+
+        await ctx.stub.putState(`RECALL_${recallId}`, Buffer.from(JSON.stringify(recall)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.RECALL_ISSUED, {
+            recallId,
+            batchId: value.batchId,
+            severity: value.severity,
+            affectedBatchIds: affectedBatches.map(batch => batch.batchId),
+            affectedQRCodes
+        });
+
+        console.info('============= END : Issue Recall ===========');
+        return {
+            success: true,
+            recallId,
+            batchId: value.batchId,
+            severity: value.severity,
+            affectedBatchCount: affectedBatches.length,
+            affectedQRCodeCount: affectedQRCodes.length,
+            recall,
+            message: `Recall ${recallId} issued for batch ${value.batchId} affecting ${affectedBatches.length} batch(es)`
+        };
+    }
+
+    /**
+     * Close a recall once the affected stock has been withdrawn
+     * @param {Context} ctx - Transaction context
+     * @param {string} recallId - Recall identifier
+     * @param {string} closureData - JSON string with resolution notes
+     * @returns {Object} Updated recall
+     */
+    async closeRecall(ctx, recallId, closureData) {
+        // Check permissions - only regulators can close recalls
+        AccessControl.assertAuthorized(ctx, 'RecallContract:closeRecall');
+
+        const { resolution, regulatorId } = JSON.parse(closureData);
+        if (!resolution) {
+            throw new Error('Resolution is required to close a recall');
+        }
+
+        const recall = await this.getRecall(ctx, recallId);
+        if (recall.status === 'Closed') {
+            throw new Error(`Recall ${recallId} is already closed`);
+        }
+
+        // Recalled batches stay recalled - closing only ends the regulator's follow-up
+        recall.status = 'Closed';
+        recall.closure = {
+            resolution,
+            regulatorId,
+            closedAt: TransactionClock.nowISO(ctx)
+        };
+        recall.lastUpdated = recall.closure.closedAt;
+        recall.lastModifiedBy = AccessControl.modifiedBy(ctx);
+
+        await ctx.stub.putState(`RECALL_${recallId}`, Buffer.from(JSON.stringify(recall)));
+
+        ChaincodeEvents.emit(ctx, EVENT_TYPES.RECALL_CLOSED, { recallId, batchId: recall.batchId });
+
+        return {
+            success: true,
+            recallId,
+            status: recall.status,
+            message: `Recall ${recallId} closed`
+        };
+    }
+
+    /**
+     * Get recall details
+     * @param {Context} ctx - Transaction context
+     * @param {string} recallId - Recall identifier
+     * @returns {Object} Recall record
+     */
+    async getRecall(ctx, recallId) {
+        const recallBuffer = await ctx.stub.getState(`RECALL_${recallId}`);
+        if (!recallBuffer || recallBuffer.length === 0) {
+            throw new Error(`Recall ${recallId} not found`);
+        }
+
+        return JSON.parse(recallBuffer.toString());
+    }
+
+    /**
+     * Get all recalls, optionally filtered by status
+     * @param {Context} ctx - Transaction context
+     * @param {string} status - Optional recall status (Active, Closed)
+     * @returns {Array} Recall summaries
+     */
+    async getAllRecalls(ctx, status = null) {
+        const iterator = await ctx.stub.getStateByRange('RECALL_', 'RECALL_~');
+        const recalls = [];
+
+        while (true) {
+            const res = await iterator.next();
+            if (res.value && res.value.value.toString()) {
+                const recall = JSON.parse(res.value.value.toString());
+                if (!status || recall.status === status) {
+                    recalls.push({
+                        recallId: recall.recallId,
+                        batchId: recall.batchId,
+                        severity: recall.severity,
+                        status: recall.status,
+                        reason: recall.reason,
+                        affectedBatchCount: recall.affectedBatches.length,
+                        issuedAt: recall.issuedAt
+                    });
+                }
+            }
+            if (res.done) {
+                await iterator.close();
+                break;
+            }
+        }
+
+        return recalls.sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+    }
+
+    /**
+     * Get the recall affecting a batch, if any
+     * @param {Context} ctx - Transaction context
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Recall status for the batch
+     */
+    async getBatchRecallStatus(ctx, batchId) {
+        const record = await this.provenance.getBatchRecord(ctx, batchId);
+
+        if (!record.recall) {
+            return { batchId, recalled: false };
+        }
+
+        const recall = await this.getRecall(ctx, record.recall.recallId);
+        return {
+            batchId,
+            recalled: true,
+            recallId: recall.recallId,
+            sourceBatchId: record.recall.sourceBatchId,
+            severity: recall.severity,
+            reason: recall.reason,
+            status: recall.status,
+            recalledAt: record.recall.recalledAt
+        };
+    }
+
+    /**
+     * Mark a QR code mapping as recalled so consumer scans surface the warning
+     * @param {Context} ctx - Transaction context
+     * @param {string} qrCodeId - QR code identifier
+     * @param {string} recallId - Recall identifier
+     * @param {Object} recall - Validated recall data
+     * @param {string} recalledAt - Recall timestamp
+     */
+    async flagQRCode(ctx, qrCodeId, recallId, recall, recalledAt) {
+        const qrBuffer = await ctx.stub.getState(`QR_${qrCodeId}`);
+        if (!qrBuffer || qrBuffer.length === 0) {
+            return;
+        }
+
+        const qrMapping = JSON.parse(qrBuffer.toString());
+        qrMapping.recalled = true;
+        qrMapping.recall = {
+            recallId,
+            reason: recall.reason,
+            severity: recall.severity,
+            recalledAt
+        };
+
+        await ctx.stub.putState(`QR_${qrCodeId}`, Buffer.from(JSON.stringify(qrMapping)));
+    }
+
+    /**
+     * Group affected batches by distributor
+     * @param {Array} affectedBatches - Affected batch summaries
+     * @returns {Array} Distributors holding recalled stock
+     */
+    getAffectedDistributors(affectedBatches) {
+        const distributors = {};
+
+        affectedBatches
+            .filter(batch => batch.distributorId || batch.distributorName)
+            .forEach(batch => {
+                const key = batch.distributorId || batch.distributorName;
+                if (!distributors[key]) {
+                    distributors[key] = {
+                        distributorId: batch.distributorId,
+                        distributorName: batch.distributorName,
+                        batchIds: [],
+                        qrCodeIds: []
+                    };
+                }
+                distributors[key].batchIds.push(batch.batchId);
+                if (batch.qrCodeId) {
+                    distributors[key].qrCodeIds.push(batch.qrCodeId);
+                }
+            });
+
+        return Object.values(distributors);
+    }
+
+    /**
+     * Group the farms whose harvest went into the recalled batch
+     * @param {Array} records - Recalled batch and its ancestors
+     * @returns {Array} Farmers who contributed material
+     */
+    getAffectedFarmers(records) {
+        const farmers = {};
+
+        this.provenance.getContributingFarms(records).forEach(farm => {
+            if (!farmers[farm.farmerId]) {
+                farmers[farm.farmerId] = {
+                    farmerId: farm.farmerId,
+                    farmerName: farm.farmerName,
+                    batchIds: [],
+                    quantityKg: 0
+                };
+            }
+            farmers[farm.farmerId].batchIds.push(farm.batchId);
+            farmers[farm.farmerId].quantityKg += farm.quantityKg;
+        });
+
+        return Object.values(farmers);
+    }
+}
+
+module.exports = RecallContract;
@@ -1,18 +1,44 @@
 const Joi = require('joi');
+const SeasonCalendar = require('./season-calendar');
 
 /**
  * JSON Schema definitions for ledger objects in Ayurvedic herb traceability system
  * These schemas ensure data integrity and validation for all blockchain transactions
  */
 
+// Season name from the season calendar; legacy names (Winter, POST_MONSOON, ...) are accepted
+const seasonNameSchema = Joi.string().custom((value, helpers) =>
+    SeasonCalendar.isKnownSeason(value) ? value : helpers.error('any.invalid'));
+
+// Allowed seasons, stored as Ritu and crop season names
+const allowedSeasonsSchema = Joi.array().items(seasonNameSchema)
+    .custom(values => SeasonCalendar.normalizeList(values));
+
 // GPS coordinates schema
 const gpsCoordinatesSchema = Joi.object({
     latitude: Joi.number().min(-90).max(90).required(),
     longitude: Joi.number().min(-180).max(180).required(),
     accuracy: Joi.number().min(0).optional(), // GPS accuracy in meters
+    altitude: Joi.number().optional(), // Meters above sea level
     timestamp: Joi.date().iso().required()
 });
 
+// GeoJSON geometry schema - [longitude, latitude] positions; rings are closed (first position repeated last)
+// Ring closure, coordinate ranges and self-intersection are checked by TraceabilityUtils.validateGeometry
+const geoJsonPositionSchema = Joi.array().items(Joi.number()).min(2).max(3);
+const geoJsonPolygonSchema = Joi.array().items(
+    Joi.array().items(geoJsonPositionSchema).min(4)
+).min(1).description('Exterior ring followed by any holes');
+
+const geoJsonGeometrySchema = Joi.object({
+    type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+    coordinates: Joi.when('type', {
+        is: 'Polygon',
+        then: geoJsonPolygonSchema.required(),
+        otherwise: Joi.array().items(geoJsonPolygonSchema).min(1).required()
+    })
+});
+
 // Collection Event Schema - represents harvest/collection of herbs
 const collectionEventSchema = Joi.object({
     batchId: Joi.string().required().description('Unique batch identifier'),
@@ -23,7 +49,13 @@ const collectionEventSchema = Joi.object({
     quantityKg: Joi.number().positive().required().description('Quantity collected in kilograms'),
     collectionDate: Joi.date().iso().required().description('Date and time of collection'),
     gpsCoordinates: gpsCoordinatesSchema.required(),
-    harvestSeason: Joi.string().valid('Spring', 'Summer', 'Monsoon', 'Autumn', 'Winter').required(),
+    harvestSeason: seasonNameSchema.optional().description('Season reported by the collector; must agree with the season derived from date and location'),
+    season: Joi.object({
+        ritu: Joi.string().valid(...SeasonCalendar.RITUS.map(ritu => ritu.name)).required(),
+        cropSeason: Joi.string().valid(...SeasonCalendar.CROP_SEASONS.map(season => season.name)).required(),
+        region: Joi.string().allow(null).optional(),
+        offsetDays: Joi.number().optional()
+    }).optional().description('Season derived from the collection date and location by the chaincode'),
     collectionMethod: Joi.string().valid('Hand-picked', 'Tool-assisted', 'Machine-harvested').required(),
     weatherConditions: Joi.object({
         temperature: Joi.number().optional(),
@@ -35,9 +67,14 @@ const collectionEventSchema = Joi.object({
         moisture: Joi.number().min(0).max(100).optional(),
         organicContent: Joi.number().min(0).max(100).optional()
     }).optional(),
+    harvestLocation: Joi.object({
+        village: Joi.string().optional(),
+        district: Joi.string().optional(),
+        state: Joi.string().optional()
+    }).optional().description('Administrative location of the harvest, used for regional queries'),
     certificationType: Joi.string().valid('Organic', 'Natural', 'Conventional').required(),
     sustainabilityScore: Joi.number().min(0).max(100).optional(),
-    createdAt: Joi.date().iso().default(() => new Date(), 'current timestamp'),
+    createdAt: Joi.date().iso().optional().description('Set by the contract from the transaction timestamp'),
     digitalSignature: Joi.string().required().description('Cryptographic signature of the farmer')
 });
 
@@ -54,9 +91,7 @@ const processingStepSchema = Joi.object({
     processDescription: Joi.string().optional().description('Detailed process description'),
     inputQuantityKg: Joi.number().positive().required().description('Input quantity in kg'),
     outputQuantityKg: Joi.number().positive().required().description('Output quantity in kg'),
-    yieldPercentage: Joi.number().min(0).max(100).computed(function() {
-        return (this.outputQuantityKg / this.inputQuantityKg) * 100;
-    }),
+    yieldPercentage: Joi.number().min(0).max(100).optional().description('Set by the contract from input and output quantities'),
     processStartTime: Joi.date().iso().required(),
     processEndTime: Joi.date().iso().required().greater(Joi.ref('processStartTime')),
     temperature: Joi.number().optional().description('Processing temperature in Celsius'),
@@ -72,10 +107,22 @@ const processingStepSchema = Joi.object({
         odor: Joi.string().optional()
     }).optional(),
     batchNotes: Joi.string().optional(),
-    createdAt: Joi.date().iso().default(() => new Date(), 'current timestamp'),
+    createdAt: Joi.date().iso().optional().description('Set by the contract from the transaction timestamp'),
     digitalSignature: Joi.string().required().description('Cryptographic signature of the processor')
 });
 
+// Test types a lab can be certified for
+const TEST_TYPES = ['Physical', 'Chemical', 'Microbiological', 'DNA', 'Pesticide-Residue'];
+
+// Units residue concentrations and MRLs may be given in, with their factor to mg/kg
+const RESIDUE_UNITS = {
+    'mg/kg': 1,
+    'ppm': 1,
+    'µg/kg': 0.001,
+    'ug/kg': 0.001,
+    'ppb': 0.001
+};
+
 // Quality Test Schema - represents laboratory testing results
 const qualityTestSchema = Joi.object({
     testId: Joi.string().required().description('Unique test identifier'),
@@ -83,7 +130,7 @@ const qualityTestSchema = Joi.object({
     labId: Joi.string().required().description('Testing laboratory identifier'),
     labName: Joi.string().required().description('Name of testing laboratory'),
     labCertification: Joi.string().required().description('Lab certification/accreditation'),
-    testType: Joi.string().valid('Physical', 'Chemical', 'Microbiological', 'DNA', 'Pesticide-Residue').required(),
+    testType: Joi.string().valid(...TEST_TYPES).required(),
     testDate: Joi.date().iso().required(),
     sampleId: Joi.string().required().description('Unique sample identifier'),
     sampleQuantity: Joi.number().positive().required().description('Sample quantity tested in grams'),
@@ -109,9 +156,10 @@ const qualityTestSchema = Joi.object({
     pesticideResidues: Joi.array().items(
         Joi.object({
             pesticideName: Joi.string().required(),
-            concentration: Joi.number().min(0).required().description('Concentration in ppm'),
-            mrl: Joi.number().min(0).required().description('Maximum Residue Limit'),
-            status: Joi.string().valid('Pass', 'Fail').required()
+            concentration: Joi.number().min(0).required().description('Measured concentration'),
+            unit: Joi.string().valid(...Object.keys(RESIDUE_UNITS)).default('mg/kg').description('Unit of the concentration'),
+            mrl: Joi.number().min(0).optional().description('Maximum Residue Limit reported by the lab; the ledger MRL table applies'),
+            status: Joi.string().valid('Pass', 'Fail').optional().description('Result reported by the lab; recomputed from the MRL table')
         })
     ).optional(),
     
@@ -133,21 +181,29 @@ const qualityTestSchema = Joi.object({
     }).optional(),
     
     overallResult: Joi.string().valid('Pass', 'Fail', 'Conditional-Pass').required(),
+    failedChecks: Joi.array().items(Joi.string().valid(
+        'moisture', 'ash', 'foreignMatter', 'activePrinciples', 'heavyMetals',
+        'pesticideResidues', 'microbial', 'dnaAuthenticity'
+    )).optional().description('Categories of checks that failed quality standards'),
     testResults: Joi.object().optional().description('Additional test-specific results'),
     remarks: Joi.string().optional(),
     testMethodology: Joi.string().optional().description('Standards/methods used for testing'),
     testerId: Joi.string().required().description('ID of the lab technician'),
-    createdAt: Joi.date().iso().default(() => new Date(), 'current timestamp'),
+    createdAt: Joi.date().iso().optional().description('Set by the contract from the transaction timestamp'),
     digitalSignature: Joi.string().required().description('Cryptographic signature of the lab')
 });
 
+// Batch statuses - allowed transitions between them are defined in batch-lifecycle.js
+const BATCH_STATUSES = [
+    'Collected', 'In-Processing', 'Quality-Testing', 'Tested-Pass',
+    'Tested-Fail', 'Packaged', 'Distributed', 'Recalled'
+];
+
 // Provenance Record Schema - links all steps in the supply chain
 const provenanceRecordSchema = Joi.object({
+    docType: Joi.string().valid('batch').required(),
     batchId: Joi.string().required().description('Unique batch identifier'),
-    currentStatus: Joi.string().valid(
-        'Collected', 'In-Processing', 'Quality-Testing', 'Tested-Pass', 
-        'Tested-Fail', 'Packaged', 'Distributed', 'Recalled'
-    ).required(),
+    currentStatus: Joi.string().valid(...BATCH_STATUSES).required(),
     
     // Collection information
     collectionEvent: collectionEventSchema.optional(),
@@ -158,6 +214,34 @@ const provenanceRecordSchema = Joi.object({
     // Quality testing history
     qualityTests: Joi.array().items(qualityTestSchema).default([]),
     
+    // Lineage information for batches created by splitting or merging other batches
+    herbType: Joi.string().optional().description('Herb type (set on derived batches without a collection event)'),
+    availableQuantityKg: Joi.number().min(0).optional().description('Quantity currently held by this batch in kg'),
+    parentBatchIds: Joi.array().items(Joi.string()).default([]),
+    childBatchIds: Joi.array().items(Joi.string()).default([]),
+    derivation: Joi.object({
+        type: Joi.string().valid('Split', 'Merge').required(),
+        sourceBatches: Joi.array().items(
+            Joi.object({
+                batchId: Joi.string().required(),
+                quantityKg: Joi.number().positive().required()
+            })
+        ).min(1).required(),
+        lossKg: Joi.number().min(0).default(0).description('Mass lost during the split/merge operation'),
+        facilityId: Joi.string().optional(),
+        operatorId: Joi.string().optional(),
+        reason: Joi.string().optional(),
+        derivedAt: Joi.date().iso().required()
+    }).optional(),
+    
+    // Identity that last changed the record
+    lastModifiedBy: Joi.object({
+        mspId: Joi.string().required(),
+        enrollmentId: Joi.string().allow(null).optional(),
+        txId: Joi.string().required(),
+        modifiedAt: Joi.date().iso().required()
+    }).optional(),
+    
     // Distribution information
     distributionInfo: Joi.object({
         distributorId: Joi.string().optional(),
@@ -175,7 +259,7 @@ const provenanceRecordSchema = Joi.object({
             country: Joi.string().optional(),
             postalCode: Joi.string().optional()
         }).optional()
-    }).optional(),
+    }).allow(null).optional(),
     
     // Compliance and certification
     compliance: Joi.object({
@@ -188,25 +272,158 @@ const provenanceRecordSchema = Joi.object({
     
     // Sustainability metrics
     sustainability: Joi.object({
+        sustainabilityScore: Joi.number().min(0).max(100).optional(),
+        overallScore: Joi.number().min(0).max(100).optional(),
         carbonFootprint: Joi.number().min(0).optional().description('CO2 equivalent in kg'),
         waterUsage: Joi.number().min(0).optional().description('Water used in liters'),
         energyConsumption: Joi.number().min(0).optional().description('Energy used in kWh'),
         biodiversityImpact: Joi.number().min(0).max(10).optional().description('Impact score 0-10'),
         socialImpact: Joi.number().min(0).max(10).optional().description('Social impact score 0-10')
     }).optional(),
+
+    // Recall details, set when a regulator recalls this batch or one of its ancestors
+    recall: Joi.object({
+        recallId: Joi.string().required(),
+        sourceBatchId: Joi.string().required().description('Batch the recall was issued against'),
+        reason: Joi.string().required(),
+        severity: Joi.string().valid('Class I', 'Class II', 'Class III').required(),
+        previousStatus: Joi.string().required(),
+        recalledAt: Joi.date().iso().required()
+    }).optional(),
     
-    createdAt: Joi.date().iso().default(() => new Date(), 'current timestamp'),
-    lastUpdated: Joi.date().iso().default(() => new Date(), 'current timestamp'),
+    createdAt: Joi.date().iso().required(),
+    lastUpdated: Joi.date().iso().required(),
     version: Joi.number().integer().min(1).default(1).description('Record version for audit trail')
 });
 
+// Recall Schema - regulator-issued recall of a batch and everything derived from it
+const recallSchema = Joi.object({
+    recallId: Joi.string().optional().description('Unique recall identifier, generated if omitted'),
+    batchId: Joi.string().required().description('Batch the recall is issued against'),
+    reason: Joi.string().min(10).max(1000).required().description('Reason for the recall'),
+    severity: Joi.string().valid('Class I', 'Class II', 'Class III').required()
+        .description('Class I: serious health risk, Class II: temporary/reversible risk, Class III: unlikely to cause harm'),
+    regulatorId: Joi.string().required().description('Issuing regulator identifier'),
+    regulatorName: Joi.string().optional(),
+    referenceNumber: Joi.string().optional().description('Regulator\'s own order or notice number'),
+    notes: Joi.string().max(2000).optional()
+});
+
+// Zone Closure Schema - temporary harvest ban on a zone, e.g. after floods or fires
+const zoneClosureSchema = Joi.object({
+    startDate: Joi.date().iso().required().description('Closure start'),
+    endDate: Joi.date().iso().greater(Joi.ref('startDate')).required().description('Zone reopens at this date'),
+    reason: Joi.string().min(5).max(500).required().description('Reason for the closure'),
+    regulatorId: Joi.string().required().description('Issuing regulator identifier'),
+    regulatorName: Joi.string().optional()
+});
+
+// Lab Certification Schema - regulator-issued accreditation of a testing lab
+const labCertificationSchema = Joi.object({
+    labId: Joi.string().required().description('Testing laboratory identifier'),
+    labName: Joi.string().required().description('Name of testing laboratory'),
+    certification: Joi.string().required().description('Accreditation scheme (e.g., NABL-ISO17025)'),
+    accreditationNumber: Joi.string().optional().description('Certificate number issued by the accreditation body'),
+    issuingAuthority: Joi.string().optional().description('Accreditation body (e.g., NABL)'),
+    issuedOn: Joi.date().iso().optional(),
+    validUntil: Joi.date().iso().required().description('Last day on which tests may be performed under the certification'),
+    testCapabilities: Joi.array().items(Joi.string().valid(...TEST_TYPES)).min(1).unique().required()
+        .description('Test types the lab is accredited for')
+});
+
+// Lab Renewal Schema - new validity period, optionally with a new certificate
+const labRenewalSchema = Joi.object({
+    validUntil: Joi.date().iso().required().description('New last day of validity'),
+    certification: Joi.string().optional(),
+    accreditationNumber: Joi.string().optional(),
+    issuingAuthority: Joi.string().optional(),
+    issuedOn: Joi.date().iso().optional(),
+    reason: Joi.string().max(500).optional()
+});
+
+// Lab Scope Schema - replaces the test types a lab is accredited for
+const labScopeSchema = Joi.object({
+    testCapabilities: Joi.array().items(Joi.string().valid(...TEST_TYPES)).min(1).unique().required(),
+    reason: Joi.string().min(5).max(500).required().description('Reason for the scope change, e.g. audit finding')
+});
+
+// Batch Split Schema - shares a batch's remaining quantity between new child batches
+const batchSplitSchema = Joi.object({
+    splits: Joi.array().items(
+        Joi.object({
+            batchId: Joi.string().optional().description('Child batch identifier (generated when omitted)'),
+            quantityKg: Joi.number().positive().required()
+        })
+    ).min(1).unique('batchId', { ignoreUndefined: true }).required(),
+    lossKg: Joi.number().min(0).default(0).description('Mass lost during the split'),
+    facilityId: Joi.string().optional(),
+    operatorId: Joi.string().optional(),
+    reason: Joi.string().optional()
+});
+
+// Batch Merge Schema - combines quantities of several batches into one new batch
+const batchMergeSchema = Joi.object({
+    batchId: Joi.string().optional().description('Merged batch identifier (generated when omitted)'),
+    sourceBatches: Joi.array().items(
+        Joi.object({
+            batchId: Joi.string().required(),
+            quantityKg: Joi.number().positive().optional().description('Quantity taken (defaults to all that remains)')
+        })
+    ).min(2).unique('batchId').required(),
+    lossKg: Joi.number().min(0).default(0).description('Mass lost during the merge'),
+    facilityId: Joi.string().optional(),
+    operatorId: Joi.string().optional(),
+    reason: Joi.string().optional()
+});
+
+// Quality Standards Version Schema - a new version of a herb's quality standards
+const qualityStandardsVersionSchema = Joi.object({
+    standards: Joi.object().min(1).required().description('Limits per parameter, e.g. { moisture: { max: 12, unit: \'%\' } }'),
+    effectiveFrom: Joi.date().iso().optional().description('First day the version applies (defaults to the transaction date)'),
+    reason: Joi.string().min(5).max(500).required().description('Reason for the change, e.g. revised pharmacopoeia monograph')
+});
+
+// Pesticide MRL Schema - maximum residue limit of a pesticide, for one herb or for all herbs
+const pesticideMrlSchema = Joi.object({
+    pesticideName: Joi.string().required().description('Pesticide, e.g. Chlorpyrifos'),
+    herbType: Joi.string().default('default').description('Herb the limit applies to; default applies to herbs without their own limit'),
+    mrl: Joi.number().min(0).required().description('Maximum residue limit'),
+    unit: Joi.string().valid(...Object.keys(RESIDUE_UNITS)).default('mg/kg'),
+    source: Joi.string().max(200).optional().description('Regulation the limit comes from, e.g. FSSAI Contaminants Regulations'),
+    reason: Joi.string().min(5).max(500).required().description('Reason for setting or changing the limit')
+});
+
+// Actor Key Schema - binds a signing public key to a farmer, processing facility or lab
+const actorKeySchema = Joi.object({
+    actorId: Joi.string().required().description('Farmer, facility or lab identifier'),
+    actorType: Joi.string().valid('Farmer', 'ProcessingFacility', 'Lab').required(),
+    publicKey: Joi.string().required().description('PEM encoded EC (P-256) or RSA public key')
+});
+
+// Herb Schema - catalog entry that every contract resolves herb names through
+const herbSchema = Joi.object({
+    herbId: Joi.string().pattern(/^[A-Za-z][A-Za-z0-9-]*$/).required().description('Canonical herb identifier (e.g., Guduchi)'),
+    botanicalName: Joi.string().required().description('Botanical name (e.g., Tinospora cordifolia)'),
+    family: Joi.string().optional().description('Botanical family'),
+    synonyms: Joi.array().items(Joi.string()).default([]).description('Other accepted names (e.g., Giloy, Amrita)'),
+    vernacularNames: Joi.object().pattern(Joi.string(), Joi.string()).default({}).description('Local names by language'),
+    smsCodes: Joi.array().items(Joi.string().uppercase().pattern(/^[A-Z0-9]+$/)).default([]).description('Codes farmers may use in harvest SMS'),
+    allowedSeasons: allowedSeasonsSchema.min(1).required().description('Ritus and/or crop seasons (Kharif, Rabi, Zaid) the herb may be harvested in'),
+    optimalMonths: Joi.array().items(Joi.number().integer().min(1).max(12)).optional().description('Months (1-12) of best potency'),
+    harvestAdvisory: Joi.string().optional().description('Warning shown for harvests outside the optimal months'),
+    defaultQuotaKg: Joi.number().positive().optional().description('Annual sustainability quota when a quota year is opened; herbs without one share the Other quota'),
+    standardsRef: Joi.string().optional().description('Quality standards entry to test against (defaults to herbId)'),
+    isActive: Joi.boolean().default(true)
+});
+
 // GeoFencing Zone Schema - defines approved harvesting areas
 const geoFencingZoneSchema = Joi.object({
     zoneId: Joi.string().required().description('Unique zone identifier'),
     zoneName: Joi.string().required().description('Human readable zone name'),
     herbTypes: Joi.array().items(Joi.string()).required().description('Approved herbs for this zone'),
-    boundaries: Joi.array().items(gpsCoordinatesSchema).min(3).required().description('Zone boundary coordinates'),
-    centerPoint: gpsCoordinatesSchema.required(),
+    boundaries: Joi.array().items(gpsCoordinatesSchema).min(3).optional().description('Zone boundary coordinates'),
+    geometry: geoJsonGeometrySchema.optional().description('GeoJSON Polygon or MultiPolygon, may contain holes'),
+    centerPoint: gpsCoordinatesSchema.optional().description('Zone center; derived from the geometry when omitted'),
     radius: Joi.number().positive().optional().description('Zone radius in meters'),
     altitude: Joi.object({
         min: Joi.number().optional(),
@@ -215,7 +432,7 @@ const geoFencingZoneSchema = Joi.object({
     soilType: Joi.string().optional(),
     climateZone: Joi.string().optional(),
     seasonalRestrictions: Joi.object({
-        allowedSeasons: Joi.array().items(Joi.string().valid('Spring', 'Summer', 'Monsoon', 'Autumn', 'Winter')).optional(),
+        allowedSeasons: allowedSeasonsSchema.optional(),
         harvestWindow: Joi.object({
             startDate: Joi.string().optional().description('MM-DD format'),
             endDate: Joi.string().optional().description('MM-DD format')
@@ -224,11 +441,14 @@ const geoFencingZoneSchema = Joi.object({
     sustainabilityLimits: Joi.object({
         maxAnnualHarvest: Joi.number().positive().optional().description('Max harvest per year in kg'),
         minRegenerationPeriod: Joi.number().positive().optional().description('Days between harvests'),
-        maxHarvestPercentage: Joi.number().min(0).max(100).optional().description('Max % of available resource')
+        maxHarvestPercentage: Joi.number().min(0).max(100).optional().description('Max % of available resource'),
+        estimatedStockKg: Joi.object().pattern(Joi.string(), Joi.number().positive()).optional().description('Estimated standing stock per herb in kg; maxHarvestPercentage applies to it')
     }).optional(),
     isActive: Joi.boolean().default(true),
-    createdAt: Joi.date().iso().default(() => new Date(), 'current timestamp')
-});
+    createdAt: Joi.date().iso().optional().description('Set by the contract from the transaction timestamp')
+}).or('boundaries', 'geometry', 'radius')
+    .with('radius', 'centerPoint')
+    .with('boundaries', 'centerPoint');
 
 module.exports = {
     collectionEventSchema,
@@ -236,5 +456,20 @@ module.exports = {
     qualityTestSchema,
     provenanceRecordSchema,
     geoFencingZoneSchema,
-    gpsCoordinatesSchema
+    geoJsonGeometrySchema,
+    gpsCoordinatesSchema,
+    recallSchema,
+    zoneClosureSchema,
+    labCertificationSchema,
+    labRenewalSchema,
+    labScopeSchema,
+    qualityStandardsVersionSchema,
+    pesticideMrlSchema,
+    batchSplitSchema,
+    batchMergeSchema,
+    actorKeySchema,
+    herbSchema,
+    BATCH_STATUSES,
+    TEST_TYPES,
+    RESIDUE_UNITS
 };
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * A signed record is accepted only if its signature verifies against the active key
+ * registered for the actor the record names, as the actor type the contract expects.
+ * Only the actor itself, through its own organization, or a regulator may manage that key.
+ */
+
+const assert = require('assert');
+const { submitTransaction, readRecord } = require('./mock-context');
+const { generateKey, sign } = require('./signing');
+const ActorRegistryContract = require('../actor-registry-contract');
+
+const REGULATOR = { mspId: 'RegulatorMSP' };
+const FARMER = { mspId: 'FarmerMSP', enrollmentId: 'F1' };
+
+const HARVEST = {
+    batchId: 'B1',
+    farmerId: 'F1',
+    farmerName: 'Ramesh',
+    herbType: 'Ashwagandha',
+    quantityKg: 100,
+    collectionDate: '2025-02-27T08:00:00.000Z'
+};
+
+describe('Actor record signatures', () => {
+    let state;
+    let actors;
+    let keys;
+    let consoleInfo;
+
+    const registerKey = (identity, actorId, actorType, key) => submitTransaction(state, identity,
+        ctx => actors.registerActorKey(ctx, JSON.stringify({ actorId, actorType, publicKey: key.publicKey })));
+    const verify = (actorType, actorId, record) => submitTransaction(state, REGULATOR,
+        ctx => ActorRegistryContract.assertRecordSignature(ctx, actorType, actorId, record));
+
+    before(() => {
+        consoleInfo = console.info;
+        console.info = () => {};
+        keys = { F1: generateKey(), F1_ROTATED: generateKey(), F2: generateKey() };
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    beforeEach(async () => {
+        state = new Map();
+        actors = new ActorRegistryContract();
+        await registerKey(FARMER, 'F1', 'Farmer', keys.F1);
+        await registerKey({ mspId: 'FarmerMSP', enrollmentId: 'F2' }, 'F2', 'Farmer', keys.F2);
+    });
+
+    describe('assertRecordSignature', () => {
+        it('accepts a record signed with the actor\'s active key', async () => {
+            await verify('Farmer', 'F1', sign(HARVEST, keys.F1));
+        });
+
+        it('rejects a record changed after it was signed', async () => {
+            const tampered = { ...sign(HARVEST, keys.F1), quantityKg: 1000 };
+            await assert.rejects(verify('Farmer', 'F1', tampered), {
+                message: 'Digital signature does not verify against the registered key of Farmer F1'
+            });
+        });
+
+        it('rejects a record without a signature', async () => {
+            await assert.rejects(verify('Farmer', 'F1', HARVEST), {
+                message: 'Digital signature does not verify against the registered key of Farmer F1'
+            });
+        });
+
+        it('rejects a record signed with the key registered for another actor', async () => {
+            await assert.rejects(verify('Farmer', 'F1', sign(HARVEST, keys.F2)), {
+                message: 'Digital signature does not verify against the registered key of Farmer F1'
+            });
+        });
+
+        it('rejects a record from an actor without a key', async () => {
+            await assert.rejects(verify('Farmer', 'F3', sign({ ...HARVEST, farmerId: 'F3' }, keys.F1)), {
+                message: 'No signing key registered for Farmer F3'
+            });
+        });
+
+        it('rejects a key registered for another actor type', async () => {
+            await assert.rejects(verify('Lab', 'F1', sign(HARVEST, keys.F1)), {
+                message: 'Signing key of F1 is registered for a Farmer, not a Lab'
+            });
+        });
+
+        it('rejects records signed with a revoked key until a new key is registered', async () => {
+            await submitTransaction(state, REGULATOR, ctx => actors.revokeActorKey(ctx, 'F1', 'Phone with the key was stolen'));
+            await assert.rejects(verify('Farmer', 'F1', sign(HARVEST, keys.F1)), {
+                message: 'Signing key of Farmer F1 has been revoked'
+            });
+
+            await registerKey(FARMER, 'F1', 'Farmer', keys.F1_ROTATED);
+            await verify('Farmer', 'F1', sign(HARVEST, keys.F1_ROTATED));
+            await assert.rejects(verify('Farmer', 'F1', sign(HARVEST, keys.F1)), /does not verify/);
+        });
+
+        it('rejects records signed with a key that was rotated out', async () => {
+            await submitTransaction(state, FARMER, ctx => actors.rotateActorKey(ctx, 'F1', keys.F1_ROTATED.publicKey));
+
+            await assert.rejects(verify('Farmer', 'F1', sign(HARVEST, keys.F1)), {
+                message: 'Digital signature does not verify against the registered key of Farmer F1'
+            });
+            await verify('Farmer', 'F1', sign(HARVEST, keys.F1_ROTATED));
+
+            const actorKey = readRecord(state, ActorRegistryContract.keyFor('F1'));
+            assert.deepStrictEqual(actorKey.previousKeys.map(previous => previous.publicKey), [keys.F1.publicKey]);
+        });
+    });
+
+    describe('registerActorKey', () => {
+        it('rejects a key for another actor of the caller\'s organization', async () => {
+            await submitTransaction(state, REGULATOR, ctx => actors.revokeActorKey(ctx, 'F1', 'Phone with the key was stolen'));
+
+            await assert.rejects(registerKey({ mspId: 'FarmerMSP', enrollmentId: 'F2' }, 'F1', 'Farmer', keys.F2), {
+                message: 'actorId F1 does not match the submitting identity F2'
+            });
+            assert.strictEqual(readRecord(state, ActorRegistryContract.keyFor('F1')).status, 'Revoked');
+        });
+
+        it('rejects a key for an actor type of another organization', async () => {
+            await assert.rejects(registerKey({ mspId: 'LabMSP', enrollmentId: 'F3' }, 'F3', 'Farmer', keys.F2), {
+                message: 'LabMSP cannot manage signing keys for a Farmer'
+            });
+            assert.strictEqual(readRecord(state, ActorRegistryContract.keyFor('F3')), null);
+        });
+
+        it('rejects rotating another actor\'s key', async () => {
+            await assert.rejects(submitTransaction(state, { mspId: 'FarmerMSP', enrollmentId: 'F2' },
+                ctx => actors.rotateActorKey(ctx, 'F1', keys.F2.publicKey)), {
+                message: 'actorId F1 does not match the submitting identity F2'
+            });
+        });
+
+        it('lets a regulator register a key for any actor', async () => {
+            await registerKey(REGULATOR, 'LAB9', 'Lab', keys.F2);
+            await verify('Lab', 'LAB9', sign({ testId: 'T1', labId: 'LAB9' }, keys.F2));
+        });
+    });
+});
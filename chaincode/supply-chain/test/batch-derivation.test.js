@@ -0,0 +1,156 @@
+/**
+ * Splitting and merging batches must conserve mass: every kilogram a child batch
+ * holds, plus the recorded loss, comes out of its parents. Lineage links must let
+ * a merged lot be traced back to every farm batch it contains.
+ */
+
+const assert = require('assert');
+const { submitTransaction, readRecord } = require('./mock-context');
+const ProvenanceContract = require('../provenance-contract');
+
+const PROCESSOR = { mspId: 'ProcessorMSP', enrollmentId: 'PROC1' };
+
+/**
+ * Put a batch straight into the world state, as recordHarvest would have left it
+ * @param {Map} state - World state
+ * @param {Object} batch - batchId, herbType, quantityKg and currentStatus
+ */
+function seedBatch(state, { batchId, herbType = 'Ashwagandha', quantityKg, currentStatus = 'In-Processing' }) {
+    state.set(batchId, Buffer.from(JSON.stringify({
+        docType: 'batch',
+        batchId,
+        currentStatus,
+        herbType,
+        availableQuantityKg: quantityKg,
+        parentBatchIds: [],
+        childBatchIds: [],
+        processingSteps: [],
+        qualityTests: [],
+        distributionInfo: null,
+        compliance: { organicCertified: true },
+        version: 1
+    })));
+}
+
+describe('Batch split and merge', () => {
+    let state;
+    let provenance;
+    let consoleInfo;
+
+    const split = (batchId, splitData) => submitTransaction(state, PROCESSOR,
+        ctx => provenance.splitBatch(ctx, batchId, JSON.stringify(splitData)));
+    const merge = mergeData => submitTransaction(state, PROCESSOR,
+        ctx => provenance.mergeBatches(ctx, JSON.stringify(mergeData)));
+
+    before(() => {
+        consoleInfo = console.info;
+        console.info = () => {};
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    beforeEach(async () => {
+        state = new Map();
+        provenance = new ProvenanceContract();
+        await submitTransaction(state, { mspId: 'RegulatorMSP' }, ctx => provenance.initLedger(ctx));
+        seedBatch(state, { batchId: 'P1', quantityKg: 100 });
+        seedBatch(state, { batchId: 'P2', quantityKg: 50 });
+    });
+
+    it('splits, then merges, conserving mass and linking lineage both ways', async () => {
+        const splitResult = await split('P1', { splits: [{ batchId: 'C1', quantityKg: 40 }, { quantityKg: 30 }], lossKg: 5 });
+        assert.deepStrictEqual(splitResult.childBatchIds, ['C1', 'P1-S2']);
+        assert.strictEqual(splitResult.remainingQuantityKg, 25);
+
+        const child = readRecord(state, 'C1');
+        assert.strictEqual(child.availableQuantityKg, 40);
+        assert.strictEqual(child.currentStatus, 'In-Processing');
+        assert.deepStrictEqual(child.parentBatchIds, ['P1']);
+        assert.strictEqual(readRecord(state, 'P1-S2').availableQuantityKg, 30);
+
+        const mergeResult = await merge({
+            batchId: 'M1',
+            sourceBatches: [{ batchId: 'C1' }, { batchId: 'P2', quantityKg: 20 }],
+            lossKg: 2
+        });
+        assert.strictEqual(mergeResult.quantityKg, 58);
+
+        const merged = readRecord(state, 'M1');
+        assert.strictEqual(merged.availableQuantityKg, 58);
+        assert.strictEqual(merged.currentStatus, 'In-Processing');
+        assert.deepStrictEqual(merged.parentBatchIds, ['C1', 'P2']);
+        assert.deepStrictEqual(merged.derivation.sourceBatches, [{ batchId: 'C1', quantityKg: 40 }, { batchId: 'P2', quantityKg: 20 }]);
+
+        assert.deepStrictEqual(readRecord(state, 'P1').childBatchIds, ['C1', 'P1-S2']);
+        assert.strictEqual(readRecord(state, 'P1').availableQuantityKg, 25);
+        assert.deepStrictEqual(readRecord(state, 'C1').childBatchIds, ['M1']);
+        assert.strictEqual(readRecord(state, 'C1').availableQuantityKg, 0);
+        assert.deepStrictEqual(readRecord(state, 'P2').childBatchIds, ['M1']);
+        assert.strictEqual(readRecord(state, 'P2').availableQuantityKg, 30);
+
+        const record = await submitTransaction(state, PROCESSOR, ctx => provenance.getProvenanceRecord(ctx, 'M1'));
+        assert.deepStrictEqual(record.lineage.ancestors.map(ancestor => ancestor.batchId).sort(), ['C1', 'P1', 'P2']);
+        const origin = await submitTransaction(state, PROCESSOR, ctx => provenance.getProvenanceRecord(ctx, 'P1'));
+        assert.deepStrictEqual(origin.lineage.descendants.map(descendant => descendant.batchId).sort(), ['C1', 'M1', 'P1-S2']);
+    });
+
+    it('lets split children keep the status of tested material', async () => {
+        seedBatch(state, { batchId: 'T1', quantityKg: 10, currentStatus: 'Tested-Pass' });
+        await split('T1', { splits: [{ batchId: 'T1-A', quantityKg: 10 }] });
+        assert.strictEqual(readRecord(state, 'T1-A').currentStatus, 'Tested-Pass');
+
+        // A merge is new material and must be tested again
+        seedBatch(state, { batchId: 'T2', quantityKg: 10, currentStatus: 'Tested-Pass' });
+        await merge({ batchId: 'T-M', sourceBatches: [{ batchId: 'T1-A' }, { batchId: 'T2' }] });
+        assert.strictEqual(readRecord(state, 'T-M').currentStatus, 'In-Processing');
+    });
+
+    const rejectedSplits = [
+        ['a negative loss', { splits: [{ batchId: 'C1', quantityKg: 100 }], lossKg: -50 }, /"lossKg" must be greater than or equal to 0/],
+        ['a non-numeric loss', { splits: [{ batchId: 'C1', quantityKg: 10 }], lossKg: 'abc' }, /"lossKg" must be a number/],
+        ['duplicate child IDs', { splits: [{ batchId: 'C1', quantityKg: 10 }, { batchId: 'C1', quantityKg: 20 }] }, /contains a duplicate value/],
+        ['a child ID equal to a generated one', { splits: [{ quantityKg: 10 }, { batchId: 'P1-S1', quantityKg: 20 }] }, /Split creates batch P1-S1 more than once/],
+        ['a zero quantity', { splits: [{ batchId: 'C1', quantityKg: 0 }] }, /"splits\[0\].quantityKg" must be a positive number/],
+        ['no splits', { splits: [] }, /"splits" must contain at least 1 items/],
+        ['more than the batch holds', { splits: [{ batchId: 'C1', quantityKg: 90 }], lossKg: 11 }, /Mass balance violated for batch P1/]
+    ];
+
+    for (const [description, splitData, message] of rejectedSplits) {
+        it(`rejects a split with ${description} and leaves the batch unchanged`, async () => {
+            const before = state.get('P1');
+            await assert.rejects(split('P1', splitData), message);
+            assert.strictEqual(state.get('P1'), before);
+            assert.strictEqual(state.has('C1'), false);
+        });
+    }
+
+    it('rejects splitting an existing batch ID and a packaged batch', async () => {
+        await assert.rejects(split('P1', { splits: [{ batchId: 'P2', quantityKg: 10 }] }), /Batch P2 already exists/);
+
+        seedBatch(state, { batchId: 'PK', quantityKg: 10, currentStatus: 'Packaged' });
+        await assert.rejects(split('PK', { splits: [{ quantityKg: 5 }] }), /cannot be split or merged in status Packaged/);
+    });
+
+    const rejectedMerges = [
+        ['a negative loss', { sourceBatches: [{ batchId: 'P1' }, { batchId: 'P2' }], lossKg: -10 }, /"lossKg" must be greater than or equal to 0/],
+        ['one source', { sourceBatches: [{ batchId: 'P1' }] }, /"sourceBatches" must contain at least 2 items/],
+        ['a repeated source', { sourceBatches: [{ batchId: 'P1' }, { batchId: 'P1' }] }, /contains a duplicate value/],
+        ['more than a source holds', { sourceBatches: [{ batchId: 'P1' }, { batchId: 'P2', quantityKg: 60 }] }, /Invalid quantity 60kg from batch P2/],
+        ['a loss of all the input', { sourceBatches: [{ batchId: 'P1' }, { batchId: 'P2' }], lossKg: 150 }, /Mass balance violated/]
+    ];
+
+    for (const [description, mergeData, message] of rejectedMerges) {
+        it(`rejects a merge with ${description}`, async () => {
+            await assert.rejects(merge({ batchId: 'M1', ...mergeData }), message);
+            assert.strictEqual(state.has('M1'), false);
+            assert.strictEqual(readRecord(state, 'P1').availableQuantityKg, 100);
+        });
+    }
+
+    it('rejects merging different herbs', async () => {
+        seedBatch(state, { batchId: 'TU', herbType: 'Turmeric', quantityKg: 10 });
+        await assert.rejects(merge({ sourceBatches: [{ batchId: 'P1' }, { batchId: 'TU' }] }), /Cannot merge Turmeric batch TU with Ashwagandha batches/);
+    });
+});
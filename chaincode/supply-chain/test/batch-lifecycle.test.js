@@ -0,0 +1,156 @@
+/**
+ * The batch lifecycle is the only way a batch changes status. These tests walk every
+ * pair of statuses, so a transition added to or dropped from the state machine by
+ * mistake shows up here, and check the guards and the status~batchId index.
+ */
+
+const assert = require('assert');
+const { createContext, submitTransaction } = require('./mock-context');
+const BatchLifecycle = require('../batch-lifecycle');
+const LedgerIndexes = require('../indexes');
+const { STATUS_POLICIES } = require('../access-control');
+const { BATCH_STATUSES } = require('../schemas');
+
+const { INDEXES } = LedgerIndexes;
+
+// Every allowed move, with the guards it needs: [from, to, guards]
+const ALLOWED = [
+    ['Collected', 'In-Processing', []],
+    ['Collected', 'Quality-Testing', []],
+    ['Collected', 'Tested-Pass', ['hasPassingTest']],
+    ['Collected', 'Tested-Fail', ['hasFailingTest']],
+    ['Collected', 'Recalled', []],
+    ['In-Processing', 'In-Processing', []],
+    ['In-Processing', 'Quality-Testing', []],
+    ['In-Processing', 'Tested-Pass', ['hasPassingTest']],
+    ['In-Processing', 'Tested-Fail', ['hasFailingTest']],
+    ['In-Processing', 'Recalled', []],
+    ['Quality-Testing', 'Quality-Testing', []],
+    ['Quality-Testing', 'Tested-Pass', ['hasPassingTest']],
+    ['Quality-Testing', 'Tested-Fail', ['hasFailingTest']],
+    ['Quality-Testing', 'Recalled', []],
+    ['Tested-Pass', 'In-Processing', []],
+    ['Tested-Pass', 'Quality-Testing', []],
+    ['Tested-Pass', 'Tested-Pass', ['hasPassingTest']],
+    ['Tested-Pass', 'Tested-Fail', ['hasFailingTest']],
+    ['Tested-Pass', 'Packaged', ['hasPassingTest', 'hasPackagingDetails']],
+    ['Tested-Pass', 'Recalled', []],
+    ['Tested-Fail', 'In-Processing', []],
+    ['Tested-Fail', 'Recalled', []],
+    ['Packaged', 'Distributed', ['hasPackagingDetails']],
+    ['Packaged', 'Recalled', []],
+    ['Distributed', 'Recalled', []]
+];
+
+// A record that satisfies every guard
+function readyBatch(currentStatus) {
+    return {
+        batchId: 'B1',
+        currentStatus,
+        qualityTests: [{ overallResult: 'Pass' }, { overallResult: 'Fail' }],
+        distributionInfo: { qrCodeId: 'QR1' }
+    };
+}
+
+// Remove what a guard checks for
+const BREAK_GUARD = {
+    hasPassingTest: record => { record.qualityTests = record.qualityTests.filter(test => test.overallResult !== 'Pass'); },
+    hasFailingTest: record => { record.qualityTests = record.qualityTests.filter(test => test.overallResult !== 'Fail'); },
+    hasPackagingDetails: record => { record.distributionInfo = null; }
+};
+
+// An identity of the organization allowed to set a status
+function identityFor(status) {
+    return { mspId: STATUS_POLICIES[status][0] };
+}
+
+function seedStatusIndex(state, status, batchId) {
+    const ctx = createContext({ state, txId: 'seed', txTime: new Date(), mspId: 'RegulatorMSP' });
+    state.set(ctx.stub.createCompositeKey(INDEXES.STATUS_BATCH, [status, batchId]), Buffer.from('\u0000'));
+}
+
+async function indexedStatuses(state, batchId) {
+    const statuses = [];
+    for (const status of BATCH_STATUSES) {
+        const keys = await submitTransaction(state, { mspId: 'RegulatorMSP' },
+            ctx => LedgerIndexes.getIndexedKeys(ctx, INDEXES.STATUS_BATCH, [status]));
+        if (keys.includes(batchId)) {
+            statuses.push(status);
+        }
+    }
+    return statuses;
+}
+
+describe('Batch lifecycle', () => {
+    it('allows exactly the listed transitions', () => {
+        for (const from of BATCH_STATUSES) {
+            const expected = ALLOWED.filter(([source]) => source === from).map(([, to]) => to);
+            assert.deepStrictEqual(BatchLifecycle.getAllowedTransitions(from).sort(), expected.sort(), `transitions from ${from}`);
+        }
+    });
+
+    for (const [from, to, guards] of ALLOWED) {
+        it(`moves ${from} → ${to} and updates the status index`, async () => {
+            const state = new Map();
+            seedStatusIndex(state, from, 'B1');
+            const record = readyBatch(from);
+
+            let event;
+            const previousStatus = await submitTransaction(state, identityFor(to), async ctx => {
+                const previous = await BatchLifecycle.transition(ctx, record, to);
+                event = ctx.stub.event;
+                return previous;
+            });
+
+            assert.strictEqual(previousStatus, from);
+            assert.strictEqual(record.currentStatus, to);
+            assert.deepStrictEqual(await indexedStatuses(state, 'B1'), [to]);
+            if (from === to) {
+                assert.strictEqual(event, null);
+            } else {
+                assert.deepStrictEqual(JSON.parse(event.payload).events,
+                    [{ type: 'StatusChanged', batchId: 'B1', previousStatus: from, newStatus: to }]);
+            }
+        });
+
+        for (const guard of guards) {
+            it(`refuses ${from} → ${to} when ${guard} fails`, () => {
+                const record = readyBatch(from);
+                BREAK_GUARD[guard](record);
+                assert.throws(() => BatchLifecycle.assertTransition(record, to),
+                    { message: `Batch B1 cannot move from ${from} to ${to}: batch ${BatchLifecycle.GUARDS[guard].message}` });
+            });
+        }
+    }
+
+    for (const from of BATCH_STATUSES) {
+        for (const to of BATCH_STATUSES) {
+            if (ALLOWED.some(([source, target]) => source === from && target === to)) {
+                continue;
+            }
+            it(`refuses ${from} → ${to}`, async () => {
+                const state = new Map();
+                seedStatusIndex(state, from, 'B1');
+                const record = readyBatch(from);
+
+                await assert.rejects(
+                    submitTransaction(state, identityFor(to), ctx => BatchLifecycle.transition(ctx, record, to)),
+                    { message: new RegExp(`^Batch B1 cannot move from ${from} to ${to}\\. `) }
+                );
+                assert.strictEqual(record.currentStatus, from);
+                assert.deepStrictEqual(await indexedStatuses(state, 'B1'), [from]);
+            });
+        }
+    }
+
+    it('refuses unknown statuses and organizations that may not set a status', async () => {
+        assert.throws(() => BatchLifecycle.assertTransition(readyBatch('Collected'), 'Shipped'), /Unknown batch status Shipped/);
+
+        const record = readyBatch('Tested-Pass');
+        await assert.rejects(
+            submitTransaction(new Map(), { mspId: 'FarmerMSP' }, ctx => BatchLifecycle.transition(ctx, record, 'Packaged')),
+            /FarmerMSP cannot set batch B1 to Packaged/
+        );
+        assert.strictEqual(record.currentStatus, 'Tested-Pass');
+    });
+});
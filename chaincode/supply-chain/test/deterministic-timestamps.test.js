@@ -0,0 +1,263 @@
+/**
+ * Every endorsing peer must produce the same write set for a transaction, so the
+ * contracts may only take "now" from the transaction timestamp. These tests run a
+ * batch through its whole life twice, on peers whose wall clocks disagree (one of
+ * them still in the previous year), and compare what each transaction wrote.
+ */
+
+const assert = require('assert');
+const { createContext } = require('./mock-context');
+const { generateKey, sign } = require('./signing');
+const GeoFencingContract = require('../geofencing-contract');
+const HarvestValidationContract = require('../harvest-validation-contract');
+const QualityTestContract = require('../quality-test-contract');
+const ProvenanceContract = require('../provenance-contract');
+const RecallContract = require('../recall-contract');
+const ActorRegistryContract = require('../actor-registry-contract');
+const HerbRegistryContract = require('../herb-registry-contract');
+
+// Proposal time of the first transaction; each later transaction is proposed a minute after the previous one
+const FIRST_TX_TIME = Date.parse('2025-01-10T06:00:00.000Z');
+const MS_PER_MINUTE = 60 * 1000;
+
+// Wall clocks of the two simulated endorsing peers
+const PEER_CLOCKS = ['2024-12-31T23:58:00.000Z', '2025-07-01T18:30:00.000Z'];
+
+const RealDate = Date;
+
+/**
+ * Run a function with the global clock set to another time
+ * @param {string} wallClock - ISO time the clock reads when fn starts
+ * @param {Function} fn - Async function to run
+ * @returns {*} Result of fn
+ */
+async function withWallClock(wallClock, fn) {
+    const offset = RealDate.parse(wallClock) - RealDate.now();
+    class ShiftedDate extends RealDate {
+        constructor(...args) {
+            if (args.length === 0) {
+                super(RealDate.now() + offset);
+            } else {
+                super(...args);
+            }
+        }
+
+        static now() {
+            return RealDate.now() + offset;
+        }
+    }
+
+    global.Date = ShiftedDate;
+    try {
+        return await fn();
+    } finally {
+        global.Date = RealDate;
+    }
+}
+
+/**
+ * Build the transaction arguments
+ * ECDSA signatures are randomized, so keys and signed records are created once and
+ * submitted unchanged to both peers
+ * @returns {Object} Keys and signed records
+ */
+function buildInputs() {
+    const keys = { F1: generateKey(), F1_ROTATED: generateKey(), PROC1: generateKey(), LAB1: generateKey() };
+
+    const harvest = sign({
+        batchId: 'B1',
+        farmerId: 'F1',
+        farmerName: 'Ramesh',
+        herbType: 'Ashwagandha',
+        quantityKg: 100,
+        collectionDate: '2025-01-05T08:00:00.000Z',
+        gpsCoordinates: { latitude: 10.17, longitude: 76.65, accuracy: 5, timestamp: '2025-01-05T08:00:00.000Z' },
+        collectionMethod: 'Hand-picked',
+        certificationType: 'Organic'
+    }, keys.F1);
+
+    const processingStep = sign({
+        stepId: 'B1-P1',
+        batchId: 'B1',
+        facilityId: 'PROC1',
+        facilityName: 'Kochi Drying Unit',
+        processType: 'Drying',
+        inputQuantityKg: 100,
+        outputQuantityKg: 40,
+        processStartTime: '2025-01-08T04:00:00.000Z',
+        processEndTime: '2025-01-08T10:00:00.000Z',
+        operatorId: 'OP1'
+    }, keys.PROC1);
+
+    const qualityTest = sign({
+        testId: 'B1-T1',
+        batchId: 'B1',
+        labId: 'LAB1',
+        labName: 'Kerala Herbal Testing Lab',
+        labCertification: 'NABL-TC-1234',
+        testType: 'Physical',
+        testDate: '2025-01-09T09:00:00.000Z',
+        sampleId: 'B1-S1',
+        sampleQuantity: 50,
+        moistureContent: 8,
+        overallResult: 'Pass',
+        testerId: 'TECH1'
+    }, keys.LAB1);
+
+    return { keys, harvest, processingStep, qualityTest };
+}
+
+/**
+ * Transactions of the scenario in submission order: [name, mspId, enrollmentId, submit]
+ * @param {Object} inputs - Result of buildInputs
+ * @returns {Array} Transactions
+ */
+function buildTransactions(inputs) {
+    const actorKey = (actorId, actorType) => JSON.stringify({ actorId, actorType, publicKey: inputs.keys[actorId].publicKey });
+
+    return [
+        ['HerbRegistryContract:initLedger', 'RegulatorMSP', null, (c, ctx) => c.herbs.initLedger(ctx)],
+        ['GeoFencingContract:initLedger', 'RegulatorMSP', null, (c, ctx) => c.geoFencing.initLedger(ctx)],
+        ['HarvestValidationContract:initLedger', 'RegulatorMSP', null, (c, ctx) => c.harvestValidation.initLedger(ctx)],
+        ['QualityTestContract:initLedger', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.initLedger(ctx)],
+        ['ProvenanceContract:initLedger', 'RegulatorMSP', null, (c, ctx) => c.provenance.initLedger(ctx)],
+        ['ActorRegistryContract:registerActorKey', 'FarmerMSP', 'F1', (c, ctx) => c.actors.registerActorKey(ctx, actorKey('F1', 'Farmer'))],
+        ['ActorRegistryContract:registerActorKey', 'ProcessorMSP', 'PROC1', (c, ctx) => c.actors.registerActorKey(ctx, actorKey('PROC1', 'ProcessingFacility'))],
+        ['ActorRegistryContract:registerActorKey', 'LabMSP', 'LAB1', (c, ctx) => c.actors.registerActorKey(ctx, actorKey('LAB1', 'Lab'))],
+        ['HerbRegistryContract:updateHerb', 'RegulatorMSP', null, (c, ctx) => c.herbs.updateHerb(ctx, 'Ashwagandha',
+            JSON.stringify({ vernacularNames: { ml: 'Amukkuram' } }))],
+        ['QualityTestContract:registerLabCertification', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.registerLabCertification(ctx,
+            JSON.stringify({ labId: 'LAB1', labName: 'Kerala Herbal Testing Lab', certification: 'NABL-ISO17025', accreditationNumber: 'TC-1234', validUntil: '2026-03-31', testCapabilities: ['Physical'] }))],
+        ['HarvestValidationContract:updateQuotaLimits', 'RegulatorMSP', null, (c, ctx) => c.harvestValidation.updateQuotaLimits(ctx,
+            JSON.stringify({ herbQuotas: { Ashwagandha: 4000 } }))],
+        ['GeoFencingContract:scheduleZoneClosure', 'RegulatorMSP', null, (c, ctx) => c.geoFencing.scheduleZoneClosure(ctx, 'ZONE003',
+            JSON.stringify({ startDate: '2025-02-01T00:00:00.000Z', endDate: '2025-03-01T00:00:00.000Z', reason: 'Forest fire recovery', regulatorId: 'REG1' }))],
+        ['GeoFencingContract:liftZoneClosure', 'RegulatorMSP', null, (c, ctx) => c.geoFencing.liftZoneClosure(ctx, 'ZONE003', 'ZONE003-CL001',
+            'Fire damage assessed as minor')],
+        ['GeoFencingContract:updateZoneStatus', 'RegulatorMSP', null, (c, ctx) => c.geoFencing.updateZoneStatus(ctx, 'ZONE002', 'false')],
+        ['ProvenanceContract:recordHarvest', 'FarmerMSP', 'F1', (c, ctx) => c.provenance.recordHarvest(ctx, JSON.stringify(inputs.harvest))],
+        ['ProvenanceContract:addProcessingStep', 'ProcessorMSP', 'PROC1', (c, ctx) => c.provenance.addProcessingStep(ctx, 'B1',
+            JSON.stringify(inputs.processingStep))],
+        ['QualityTestContract:submitTestResults', 'LabMSP', 'LAB1', (c, ctx) => c.qualityTest.submitTestResults(ctx,
+            JSON.stringify(inputs.qualityTest))],
+        ['ProvenanceContract:addQualityTestResult', 'LabMSP', 'LAB1', (c, ctx) => c.provenance.addQualityTestResult(ctx, 'B1',
+            JSON.stringify(inputs.qualityTest))],
+        ['ProvenanceContract:finalizePackaging', 'DistributorMSP', 'D1', (c, ctx) => c.provenance.finalizePackaging(ctx, 'B1',
+            JSON.stringify({ distributorId: 'D1', packageType: 'Pouch', packageSizeKg: 1 }))],
+        ['ProvenanceContract:updateDistributionStatus', 'DistributorMSP', 'D1', (c, ctx) => c.provenance.updateDistributionStatus(ctx, 'B1', 'Distributed')],
+        ['RecallContract:issueRecall', 'RegulatorMSP', null, (c, ctx) => c.recall.issueRecall(ctx,
+            JSON.stringify({ recallId: 'RCL-B1', batchId: 'B1', reason: 'Moisture above label claim in retail samples', severity: 'Class II', regulatorId: 'REG1' }))],
+        ['RecallContract:closeRecall', 'RegulatorMSP', null, (c, ctx) => c.recall.closeRecall(ctx, 'RCL-B1',
+            JSON.stringify({ resolution: 'Stock withdrawn from all outlets', regulatorId: 'REG1' }))],
+        ['ActorRegistryContract:rotateActorKey', 'FarmerMSP', 'F1', (c, ctx) => c.actors.rotateActorKey(ctx, 'F1', inputs.keys.F1_ROTATED.publicKey)],
+        ['ActorRegistryContract:revokeActorKey', 'RegulatorMSP', null, (c, ctx) => c.actors.revokeActorKey(ctx, 'PROC1', 'Facility closed')],
+        ['QualityTestContract:updateLabTestScope', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.updateLabTestScope(ctx, 'LAB1',
+            JSON.stringify({ testCapabilities: ['Physical', 'Chemical'], reason: 'HPLC accreditation added' }))],
+        ['QualityTestContract:suspendLabCertification', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.suspendLabCertification(ctx, 'LAB1',
+            'Failed surveillance audit')],
+        ['QualityTestContract:reinstateLabCertification', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.reinstateLabCertification(ctx, 'LAB1',
+            'Corrective actions verified')],
+        ['QualityTestContract:renewLabCertification', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.renewLabCertification(ctx, 'LAB1',
+            JSON.stringify({ validUntil: '2028-03-31', accreditationNumber: 'TC-1234-R1' }))],
+        ['QualityTestContract:updateQualityStandards', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.updateQualityStandards(ctx, 'Ashwagandha',
+            JSON.stringify({ standards: { moisture: { max: 10, unit: '%' }, heavyMetals: { lead: { max: 5, unit: 'ppm' } } }, reason: 'Lead limit lowered to 5 ppm' }))],
+        ['QualityTestContract:setPesticideMrl', 'RegulatorMSP', null, (c, ctx) => c.qualityTest.setPesticideMrl(ctx,
+            JSON.stringify({ pesticideName: 'Chlorpyrifos', herbType: 'Ashwagandha', mrl: 50, unit: 'µg/kg', reason: 'Limit for root drugs' }))]
+    ];
+}
+
+/**
+ * Endorse every transaction of the scenario against a fresh ledger
+ * @param {Array} transactions - Result of buildTransactions
+ * @returns {Array} Per transaction: { name, writes, event }
+ */
+async function endorseAll(transactions) {
+    const state = new Map();
+    const contracts = {
+        geoFencing: new GeoFencingContract(),
+        harvestValidation: new HarvestValidationContract(),
+        qualityTest: new QualityTestContract(),
+        provenance: new ProvenanceContract(),
+        recall: new RecallContract(),
+        actors: new ActorRegistryContract(),
+        herbs: new HerbRegistryContract()
+    };
+
+    const results = [];
+    for (const [index, [name, mspId, enrollmentId, submit]] of transactions.entries()) {
+        const ctx = createContext({
+            state,
+            txId: `tx${String(index).padStart(3, '0')}`,
+            txTime: new RealDate(FIRST_TX_TIME + index * MS_PER_MINUTE),
+            mspId,
+            enrollmentId
+        });
+        try {
+            await submit(contracts, ctx);
+        } catch (error) {
+            throw new Error(`${name} failed: ${error.message}`);
+        }
+        ctx.stub.commit();
+        results.push({ name, writes: ctx.stub.writes, event: ctx.stub.event });
+    }
+    return results;
+}
+
+describe('Deterministic transaction timestamps', () => {
+    let transactions;
+    let endorsements;
+    let consoleInfo;
+
+    before(async function () {
+        this.timeout(20000);
+
+        // Contracts log START/END banners for every transaction
+        consoleInfo = console.info;
+        console.info = () => {};
+
+        transactions = buildTransactions(buildInputs());
+        endorsements = [];
+        for (const wallClock of PEER_CLOCKS) {
+            endorsements.push(await withWallClock(wallClock, () => endorseAll(transactions)));
+        }
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    it('writes the same state on peers with different wall clocks', () => {
+        const [first, second] = endorsements;
+        first.forEach((result, index) => {
+            assert.deepStrictEqual(second[index].writes, result.writes, `write sets of ${result.name} (transaction ${index}) differ`);
+            assert.ok(result.writes.length > 0, `${result.name} (transaction ${index}) wrote nothing`);
+        });
+    });
+
+    it('emits the same chaincode events on peers with different wall clocks', () => {
+        const [first, second] = endorsements;
+        first.forEach((result, index) => {
+            assert.deepStrictEqual(second[index].event, result.event, `events of ${result.name} (transaction ${index}) differ`);
+        });
+    });
+
+    it('stamps records with the transaction time', () => {
+        const [first] = endorsements;
+        const index = transactions.findIndex(([name]) => name === 'ProvenanceContract:recordHarvest');
+        const txTime = new RealDate(FIRST_TX_TIME + index * MS_PER_MINUTE).toISOString();
+
+        const batch = JSON.parse(first[index].writes.find(write => write.key === 'B1').value);
+        assert.strictEqual(batch.createdAt, txTime);
+        assert.strictEqual(batch.lastUpdated, txTime);
+        assert.strictEqual(batch.collectionEvent.createdAt, txTime);
+        assert.strictEqual(batch.lastModifiedBy.modifiedAt, txTime);
+    });
+
+    it('opens the quota year of the transaction, not of the peer clock', () => {
+        const [first] = endorsements;
+        const index = transactions.findIndex(([name]) => name === 'HarvestValidationContract:updateQuotaLimits');
+
+        const tracker = JSON.parse(first[index].writes.find(write => write.key === 'SUSTAINABILITY_TRACKER').value);
+        assert.deepStrictEqual(Object.keys(tracker.yearlyQuotas), ['2025']);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Zone geometries are GeoJSON Polygons and MultiPolygons with holes. These tests cover
+ * the shapes that break naive ring checks: bow-ties, holes that leave their exterior,
+ * points in a cut-out, separate plots and zones that share a border.
+ */
+
+const assert = require('assert');
+const TraceabilityUtils = require('../utils');
+
+// Closed [longitude, latitude] square with its south-west corner at (lng, lat)
+function square(lng, lat, size) {
+    return [[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]];
+}
+
+const polygon = (...rings) => ({ type: 'Polygon', coordinates: rings });
+const multiPolygon = (...polygons) => ({ type: 'MultiPolygon', coordinates: polygons });
+const point = (longitude, latitude) => ({ latitude, longitude });
+
+// A reserve with a cut-out in the middle: 76.0-77.0 east, 10.0-11.0 north, hole 76.4-76.6
+const RESERVE = polygon(square(76, 10, 1), square(76.4, 10.4, 0.2));
+
+describe('Zone geometry', () => {
+    describe('validateGeometry', () => {
+        it('accepts a polygon with a hole and a multipolygon of separate plots', () => {
+            assert.deepStrictEqual(TraceabilityUtils.validateGeometry(RESERVE), { isValid: true, errors: [] });
+            assert.deepStrictEqual(
+                TraceabilityUtils.validateGeometry(multiPolygon([square(76, 10, 1)], [square(78, 10, 1)])),
+                { isValid: true, errors: [] }
+            );
+        });
+
+        const invalid = [
+            ['a bow-tie ring',
+                polygon([[76, 10], [77, 11], [77, 10], [76, 11], [76, 10]]),
+                ['polygon 0 ring 0 self-intersects']],
+            ['a hole crossing the exterior ring',
+                polygon(square(76, 10, 1), square(76.8, 10.4, 0.4)),
+                ['polygon 0 hole 1 crosses the exterior ring']],
+            ['a hole outside the exterior ring',
+                polygon(square(76, 10, 1), square(78, 10, 0.2)),
+                ['polygon 0 hole 1 lies outside the exterior ring']],
+            ['holes crossing each other',
+                polygon(square(76, 10, 1), square(76.2, 10.2, 0.3), square(76.4, 10.4, 0.3)),
+                ['polygon 0 holes 1 and 2 cross each other']],
+            ['an open ring',
+                polygon([[76, 10], [77, 10], [77, 11], [76, 11]]),
+                ['polygon 0 ring 0 is not closed (first and last positions differ)']],
+            ['too few distinct positions',
+                polygon([[76, 10], [77, 10], [76, 10], [76, 10]]),
+                ['polygon 0 ring 0 needs at least 3 distinct positions']],
+            ['positions out of range',
+                polygon(square(179.5, 10, 1)),
+                ['polygon 0 ring 0 has positions outside longitude -180..180 / latitude -90..90']],
+            ['a bow-tie in the second plot of a multipolygon',
+                multiPolygon([square(76, 10, 1)], [[[78, 10], [79, 11], [79, 10], [78, 11], [78, 10]]]),
+                ['polygon 1 ring 0 self-intersects']]
+        ];
+
+        for (const [description, geometry, errors] of invalid) {
+            it(`rejects ${description}`, () => {
+                assert.deepStrictEqual(TraceabilityUtils.validateGeometry(geometry), { isValid: false, errors });
+            });
+        }
+
+        it('rejects geometries with too many positions', () => {
+            const ring = Array.from({ length: 5001 }, (_, i) => {
+                const angle = 2 * Math.PI * i / 5000;
+                return [76 + Math.cos(angle), 10 + Math.sin(angle)];
+            });
+            ring[5000] = ring[0];
+            assert.match(TraceabilityUtils.validateGeometry(polygon(ring)).errors[0], /has 5001 positions; at most 5000 are allowed/);
+        });
+    });
+
+    describe('isPointInGeometry', () => {
+        it('treats a point in a hole as outside the zone', () => {
+            assert.strictEqual(TraceabilityUtils.isPointInGeometry(point(76.2, 10.2), RESERVE), true);
+            assert.strictEqual(TraceabilityUtils.isPointInGeometry(point(76.5, 10.5), RESERVE), false);
+            assert.strictEqual(TraceabilityUtils.isPointInGeometry(point(77.5, 10.5), RESERVE), false);
+        });
+
+        it('finds a point in any plot of a multipolygon but not between plots', () => {
+            const plots = multiPolygon([square(76, 10, 1)], [square(78, 10, 1), square(78.4, 10.4, 0.2)]);
+            assert.strictEqual(TraceabilityUtils.isPointInGeometry(point(76.5, 10.5), plots), true);
+            assert.strictEqual(TraceabilityUtils.isPointInGeometry(point(78.2, 10.2), plots), true);
+            assert.strictEqual(TraceabilityUtils.isPointInGeometry(point(78.5, 10.5), plots), false);
+            assert.strictEqual(TraceabilityUtils.isPointInGeometry(point(77.5, 10.5), plots), false);
+        });
+    });
+
+    describe('geometriesOverlap', () => {
+        const overlapping = [
+            ['crossing squares', polygon(square(76, 10, 1)), polygon(square(76.5, 10.5, 1)), true],
+            ['a zone inside another', polygon(square(76, 10, 1)), polygon(square(76.2, 10.2, 0.1)), true],
+            ['a zone inside the hole of another', RESERVE, polygon(square(76.45, 10.45, 0.1)), false],
+            // Touching edges count as overlapping, so neighbouring zones are reported to the regulator
+            ['a zone filling the hole of another', RESERVE, polygon(square(76.4, 10.4, 0.2)), true],
+            ['zones that only touch along a shared edge', polygon(square(76, 10, 1)), polygon(square(77, 10, 1)), true],
+            ['zones that only touch at a corner', polygon(square(76, 10, 1)), polygon(square(77, 11, 1)), true],
+            ['separate zones', polygon(square(76, 10, 1)), polygon(square(77.5, 10, 1)), false],
+            ['a zone and the second plot of a multipolygon',
+                multiPolygon([square(76, 10, 1)], [square(78, 10, 1)]), polygon(square(78.5, 10.5, 1)), true],
+            ['a zone between the plots of a multipolygon',
+                multiPolygon([square(76, 10, 1)], [square(78, 10, 1)]), polygon(square(77.2, 10.2, 0.5)), false]
+        ];
+
+        for (const [description, geometryA, geometryB, expected] of overlapping) {
+            it(`${expected ? 'reports' : 'does not report'} ${description}`, () => {
+                assert.strictEqual(TraceabilityUtils.geometriesOverlap(geometryA, geometryB), expected);
+                assert.strictEqual(TraceabilityUtils.geometriesOverlap(geometryB, geometryA), expected);
+            });
+        }
+    });
+});
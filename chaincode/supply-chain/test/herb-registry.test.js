@@ -0,0 +1,139 @@
+/**
+ * Every contract resolves herb names through the registry, so a harvest SMS saying
+ * "GILOY", a form saying "Giloy" and a lab report saying "Tinospora cordifolia" are all
+ * recorded as Guduchi. Only regulators may change the catalog.
+ */
+
+const assert = require('assert');
+const { submitTransaction, readRecord } = require('./mock-context');
+const HerbRegistryContract = require('../herb-registry-contract');
+
+const REGULATOR = { mspId: 'RegulatorMSP' };
+const FARMER = { mspId: 'FarmerMSP', enrollmentId: 'F1' };
+
+const PUNARNAVA = {
+    herbId: 'Punarnava',
+    botanicalName: 'Boerhavia diffusa',
+    synonyms: ['Red Hogweed'],
+    vernacularNames: { hindi: 'पुनर्नवा', tamil: 'Mukkirattai' },
+    smsCodes: ['PUNAR'],
+    allowedSeasons: ['Varsha', 'Sharad']
+};
+
+describe('Herb registry', () => {
+    let state;
+    let herbs;
+    let consoleInfo;
+
+    const resolve = name => submitTransaction(state, FARMER, ctx => HerbRegistryContract.resolveHerb(ctx, name));
+    const register = (herb, identity = REGULATOR) => submitTransaction(state, identity,
+        ctx => herbs.registerHerb(ctx, JSON.stringify(herb)));
+    const update = (herbId, fields, identity = REGULATOR) => submitTransaction(state, identity,
+        ctx => herbs.updateHerb(ctx, herbId, JSON.stringify(fields)));
+
+    before(() => {
+        consoleInfo = console.info;
+        console.info = () => {};
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    beforeEach(async () => {
+        state = new Map();
+        herbs = new HerbRegistryContract();
+        await submitTransaction(state, REGULATOR, ctx => herbs.initLedger(ctx));
+    });
+
+    describe('resolveHerb', () => {
+        const names = ['Guduchi', 'Giloy', 'GILOY', ' giloy ', 'Tinospora cordifolia', 'TINOSPORA-CORDIFOLIA', 'Seenthil', 'Heart-leaved Moonseed', 'GUDUCHI'];
+
+        for (const name of names) {
+            it(`resolves "${name}" to Guduchi`, async () => {
+                assert.strictEqual((await resolve(name)).herbId, 'Guduchi');
+            });
+        }
+
+        it('resolves SMS codes, botanical and vernacular names of other herbs', async () => {
+            assert.strictEqual((await resolve('ASHWA')).herbId, 'Ashwagandha');
+            assert.strictEqual((await resolve('Withania somnifera')).herbId, 'Ashwagandha');
+            assert.strictEqual((await resolve('Amukkuram')).herbId, 'Ashwagandha');
+            assert.strictEqual((await resolve('TURM')).herbId, 'Turmeric');
+        });
+
+        it('finds nothing for unknown or empty names', async () => {
+            assert.strictEqual(await resolve('Unlisted Root'), null);
+            assert.strictEqual(await resolve(''), null);
+            assert.strictEqual(await resolve(undefined), null);
+        });
+    });
+
+    describe('requireHerb', () => {
+        it('rejects unknown herbs', async () => {
+            await assert.rejects(submitTransaction(state, FARMER, ctx => HerbRegistryContract.requireHerb(ctx, 'Unlisted Root')), {
+                message: 'Unknown herb Unlisted Root. Herbs must be registered in the herb registry'
+            });
+        });
+
+        it('rejects deactivated herbs by any of their names', async () => {
+            await update('Guduchi', { isActive: false });
+            await assert.rejects(submitTransaction(state, FARMER, ctx => HerbRegistryContract.requireHerb(ctx, 'GILOY')), {
+                message: 'Herb Guduchi is deactivated in the herb registry'
+            });
+        });
+
+        it('returns the herb for any of its names', async () => {
+            const herb = await submitTransaction(state, FARMER, ctx => HerbRegistryContract.requireHerb(ctx, 'Giloy'));
+            assert.strictEqual(herb.botanicalName, 'Tinospora cordifolia');
+        });
+    });
+
+    describe('registerHerb', () => {
+        it('makes a herb findable by all of its names', async () => {
+            const result = await register(PUNARNAVA);
+            assert.strictEqual(result.herb.standardsRef, 'Punarnava');
+
+            for (const name of ['punarnava', 'Boerhavia diffusa', 'RED HOGWEED', 'पुनर्नवा', 'Mukkirattai', 'PUNAR']) {
+                assert.strictEqual((await resolve(name)).herbId, 'Punarnava', name);
+            }
+        });
+
+        it('may only be called by a regulator', async () => {
+            await assert.rejects(register(PUNARNAVA, FARMER), { message: 'Only regulators can register herbs' });
+            assert.strictEqual(readRecord(state, HerbRegistryContract.keyFor('Punarnava')), null);
+        });
+
+        it('rejects a name already used by another herb', async () => {
+            await assert.rejects(register({ ...PUNARNAVA, synonyms: ['Giloy'] }), {
+                message: 'Name "giloy" of Punarnava is already used by herb Guduchi'
+            });
+            await assert.rejects(register({ ...PUNARNAVA, herbId: 'Guduchi' }), { message: 'Herb Guduchi already exists' });
+        });
+    });
+
+    describe('updateHerb', () => {
+        it('moves the herb to its new names and frees the old ones', async () => {
+            await update('Guduchi', { smsCodes: ['GUDU'] });
+
+            assert.strictEqual((await resolve('GUDU')).herbId, 'Guduchi');
+            // Giloy is still a synonym and the Hindi name
+            assert.strictEqual((await resolve('GILOY')).herbId, 'Guduchi');
+
+            await update('Guduchi', { synonyms: ['Amrita'], vernacularNames: {} });
+            assert.strictEqual(await resolve('Giloy'), null);
+            assert.strictEqual(await resolve('Seenthil'), null);
+            await register({ ...PUNARNAVA, synonyms: ['Seenthil'] });
+            assert.strictEqual((await resolve('Seenthil')).herbId, 'Punarnava');
+        });
+
+        it('may only be called by a regulator', async () => {
+            await assert.rejects(update('Guduchi', { isActive: false }, FARMER), { message: 'Only regulators can update herbs' });
+            assert.strictEqual(readRecord(state, HerbRegistryContract.keyFor('Guduchi')).isActive, true);
+        });
+
+        it('rejects unknown herbs', async () => {
+            await assert.rejects(update('Giloy', { isActive: false }), { message: 'Herb Giloy does not exist' });
+        });
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * In-memory transaction context for chaincode tests
+ *
+ * Implements the parts of ChaincodeStub and ClientIdentity the contracts use. Each
+ * context is one transaction. As on a peer, reads see the world state as of the start
+ * of the transaction and not the transaction's own writes. Every putState/deleteState
+ * is recorded in `stub.writes` so tests can compare write sets, and is applied to the
+ * shared state only when the test commits the transaction with `stub.commit()`.
+ */
+
+class MockIterator {
+    constructor(results) {
+        this.results = results;
+        this.position = 0;
+    }
+
+    async next() {
+        if (this.position < this.results.length) {
+            const value = this.results[this.position++];
+            return { value, done: this.position === this.results.length };
+        }
+        return { value: undefined, done: true };
+    }
+
+    async close() {}
+}
+
+class MockStub {
+    /**
+     * @param {Map} state - World state shared by the transactions of a test
+     * @param {string} txId - Transaction ID
+     * @param {Date} txTime - Time the transaction was proposed
+     */
+    constructor(state, txId, txTime) {
+        this.state = state;
+        this.snapshot = new Map(state);
+        this.txId = txId;
+        this.txTimestamp = {
+            seconds: { low: Math.floor(txTime.getTime() / 1000), high: 0 },
+            nanos: (txTime.getTime() % 1000) * 1e6
+        };
+        this.writes = [];
+        this.event = null;
+    }
+
+    async getState(key) {
+        return this.snapshot.get(key) || Buffer.from('');
+    }
+
+    async putState(key, value) {
+        this.writes.push({ key, value: value.toString() });
+    }
+
+    async deleteState(key) {
+        this.writes.push({ key, isDelete: true });
+    }
+
+    /**
+     * Apply the transaction's writes to the shared world state, last write to a key wins
+     */
+    commit() {
+        for (const write of this.writes) {
+            if (write.isDelete) {
+                this.state.delete(write.key);
+            } else {
+                this.state.set(write.key, Buffer.from(write.value));
+            }
+        }
+    }
+
+    createCompositeKey(objectType, attributes) {
+        return `\u0000${objectType}\u0000${attributes.map(attribute => `${attribute}\u0000`).join('')}`;
+    }
+
+    splitCompositeKey(compositeKey) {
+        const parts = compositeKey.split('\u0000');
+        return { objectType: parts[1], attributes: parts.slice(2, -1) };
+    }
+
+    async getStateByPartialCompositeKey(objectType, attributes) {
+        return new MockIterator(this.scan(key => key.startsWith(this.createCompositeKey(objectType, attributes))));
+    }
+
+    async getStateByRange(startKey, endKey) {
+        return new MockIterator(this.scan(key => !key.startsWith('\u0000') &&
+            (!startKey || key >= startKey) && (!endKey || key < endKey)));
+    }
+
+    scan(filter) {
+        return [...this.snapshot.keys()].filter(filter).sort()
+            .map(key => ({ key, value: this.snapshot.get(key) }));
+    }
+
+    setEvent(name, payload) {
+        this.event = { name, payload: payload.toString() };
+    }
+
+    getTxID() {
+        return this.txId;
+    }
+
+    getTxTimestamp() {
+        return this.txTimestamp;
+    }
+}
+
+/**
+ * Create a transaction context
+ * @param {Object} options - { state, txId, txTime, mspId, enrollmentId }
+ * @returns {Object} Context with stub and clientIdentity
+ */
+function createContext({ state, txId, txTime, mspId, enrollmentId = null }) {
+    const attributes = { 'hf.EnrollmentID': enrollmentId };
+    return {
+        stub: new MockStub(state, txId, txTime),
+        clientIdentity: {
+            getMSPID: () => mspId,
+            getID: () => `x509::/CN=${enrollmentId || 'admin'}::/CN=ca.example.com`,
+            getAttributeValue: name => attributes[name] || null,
+            assertAttributeValue: (name, value) => attributes[name] === value
+        }
+    };
+}
+
+// Proposal time of transactions submitted without one
+const DEFAULT_TX_TIME = new Date('2025-03-01T06:00:00.000Z');
+
+let submittedTransactions = 0;
+
+/**
+ * Run one transaction against a world state, committing its writes only if it succeeds
+ * @param {Map} state - World state
+ * @param {Object} identity - { mspId, enrollmentId?, txTime? }
+ * @param {Function} fn - Receives the context, returns the transaction result
+ * @returns {*} Transaction result
+ */
+async function submitTransaction(state, { mspId, enrollmentId = null, txTime = DEFAULT_TX_TIME }, fn) {
+    submittedTransactions++;
+    const ctx = createContext({ state, txId: `tx-${submittedTransactions}`, txTime, mspId, enrollmentId });
+    const result = await fn(ctx);
+    ctx.stub.commit();
+    return result;
+}
+
+/**
+ * Read a JSON record from a world state
+ * @param {Map} state - World state
+ * @param {string} key - Record key
+ * @returns {Object|null} Parsed record
+ */
+function readRecord(state, key) {
+    return state.has(key) ? JSON.parse(state.get(key).toString()) : null;
+}
+
+module.exports = { MockStub, createContext, submitTransaction, readRecord };
@@ -0,0 +1,138 @@
+/**
+ * Pesticide residues are judged against the ledger's MRL table in mg/kg, whatever unit
+ * the lab or the regulator used. A herb's own limit takes precedence over the default
+ * limit, and a residue without any limit is flagged for review rather than passed.
+ */
+
+const assert = require('assert');
+const { submitTransaction, readRecord } = require('./mock-context');
+const QualityTestContract = require('../quality-test-contract');
+const HerbRegistryContract = require('../herb-registry-contract');
+
+const REGULATOR = { mspId: 'RegulatorMSP' };
+const LAB = { mspId: 'LabMSP', enrollmentId: 'LAB1' };
+
+describe('Pesticide MRLs', () => {
+    let state;
+    let qualityTests;
+    let consoleInfo;
+
+    const setMrl = mrl => submitTransaction(state, REGULATOR,
+        ctx => qualityTests.setPesticideMrl(ctx, JSON.stringify({ reason: 'FSSAI contaminants schedule', ...mrl })));
+    const evaluate = (herbType, pesticideResidues) => submitTransaction(state, LAB,
+        ctx => qualityTests.validateTestResults(ctx, { pesticideResidues }, herbType));
+
+    before(() => {
+        consoleInfo = console.info;
+        console.info = () => {};
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    beforeEach(async () => {
+        state = new Map();
+        qualityTests = new QualityTestContract();
+        await submitTransaction(state, REGULATOR, ctx => new HerbRegistryContract().initLedger(ctx));
+        await submitTransaction(state, REGULATOR, ctx => qualityTests.initLedger(ctx));
+    });
+
+    describe('toMgPerKg', () => {
+        const conversions = [
+            [0.05, 'mg/kg', 0.05],
+            [0.05, 'ppm', 0.05],
+            [50, 'µg/kg', 0.05],
+            [50, 'ug/kg', 0.05],
+            [50, 'ppb', 0.05],
+            [10, 'µg/kg', 0.01],
+            [0.05, undefined, 0.05]
+        ];
+
+        for (const [value, unit, expected] of conversions) {
+            it(`converts ${value} ${unit || 'without a unit'} to ${expected} mg/kg`, () => {
+                assert.strictEqual(QualityTestContract.toMgPerKg(value, unit), expected);
+            });
+        }
+    });
+
+    describe('setPesticideMrl', () => {
+        it('stores the limit in mg/kg under the canonical herb name', async () => {
+            const result = await setMrl({ pesticideName: 'Chlorpyrifos', herbType: 'Ashwagandha', mrl: 50, unit: 'µg/kg' });
+            assert.strictEqual(result.message, 'MRL of Chlorpyrifos for Ashwagandha set to 0.05 mg/kg');
+
+            await setMrl({ pesticideName: ' CHLORPYRIFOS ', herbType: 'Withania somnifera', mrl: 0.02, unit: 'ppm' });
+            const record = readRecord(state, QualityTestContract.mrlKey('chlorpyrifos'));
+            assert.strictEqual(record.limits.Ashwagandha.mrlMgPerKg, 0.02);
+            assert.deepStrictEqual(record.history.map(change => [change.mrlMgPerKg, change.previousMrlMgPerKg]), [[0.05, null], [0.02, 0.05]]);
+        });
+
+        it('rejects limits for herbs missing from the registry', async () => {
+            await assert.rejects(setMrl({ pesticideName: 'Chlorpyrifos', herbType: 'Unlisted Root', mrl: 0.05 }), /Unlisted Root/);
+        });
+
+        it('may only be set by a regulator', async () => {
+            await assert.rejects(submitTransaction(state, LAB, ctx => qualityTests.setPesticideMrl(ctx,
+                JSON.stringify({ pesticideName: 'Chlorpyrifos', mrl: 5, reason: 'Lab would like a higher limit' }))));
+            assert.strictEqual(readRecord(state, QualityTestContract.mrlKey('chlorpyrifos')), null);
+        });
+    });
+
+    describe('evaluateTestResults', () => {
+        beforeEach(async () => {
+            await setMrl({ pesticideName: 'Chlorpyrifos', herbType: 'Ashwagandha', mrl: 50, unit: 'µg/kg' });
+        });
+
+        it('passes residues at the limit in any unit and fails residues above it', async () => {
+            const atLimit = await evaluate('Ashwagandha', [
+                { pesticideName: 'Chlorpyrifos', concentration: 0.05, unit: 'mg/kg' },
+                { pesticideName: 'Chlorpyrifos', concentration: 0.05, unit: 'ppm' },
+                { pesticideName: 'Chlorpyrifos', concentration: 50, unit: 'µg/kg' },
+                { pesticideName: 'Chlorpyrifos', concentration: 50, unit: 'ppb' }
+            ]);
+            assert.strictEqual(atLimit.isValid, true);
+            assert.strictEqual(atLimit.passedTests.length, 4);
+
+            const aboveLimit = await evaluate('Ashwagandha', [{ pesticideName: 'Chlorpyrifos', concentration: 51, unit: 'ppb' }]);
+            assert.deepStrictEqual(aboveLimit.violations, ['Chlorpyrifos: 0.051 mg/kg exceeds MRL 0.05 mg/kg']);
+            assert.deepStrictEqual(aboveLimit.failedChecks, ['pesticideResidues']);
+        });
+
+        it('applies a herb\'s own limit before the default limit', async () => {
+            await setMrl({ pesticideName: 'Chlorpyrifos', herbType: 'default', mrl: 0.1 });
+            const residues = [{ pesticideName: 'Chlorpyrifos', concentration: 0.08 }];
+
+            const mrls = await submitTransaction(state, LAB, ctx => QualityTestContract.loadMrls(ctx, residues));
+            assert.strictEqual(QualityTestContract.findMrl(mrls, 'Chlorpyrifos', 'Ashwagandha').mrlMgPerKg, 0.05);
+            assert.strictEqual(QualityTestContract.findMrl(mrls, 'Chlorpyrifos', 'Brahmi').mrlMgPerKg, 0.1);
+
+            assert.strictEqual((await evaluate('Ashwagandha', residues)).isValid, false);
+            assert.strictEqual((await evaluate('Brahmi', residues)).isValid, true);
+        });
+
+        it('flags a residue without a limit for review and passes the test conditionally', async () => {
+            const result = await evaluate('Ashwagandha', [
+                { pesticideName: 'Chlorpyrifos', concentration: 0.01 },
+                { pesticideName: 'Endosulfan', concentration: 20, unit: 'µg/kg' }
+            ]);
+
+            assert.strictEqual(result.isValid, true);
+            assert.deepStrictEqual(result.residuesForReview, ['Endosulfan']);
+            assert.deepStrictEqual(result.warnings, ['Endosulfan: no MRL on the ledger for Ashwagandha; residue of 0.02 mg/kg flagged for review']);
+            assert.strictEqual(QualityTestContract.overallResult(result), 'Conditional-Pass');
+        });
+
+        it('ignores the MRL and status the lab reports', async () => {
+            const passedByLab = await evaluate('Ashwagandha', [
+                { pesticideName: 'Chlorpyrifos', concentration: 0.08, mrl: 1, status: 'Pass' }
+            ]);
+            assert.deepStrictEqual(passedByLab.violations, ['Chlorpyrifos: 0.08 mg/kg exceeds MRL 0.05 mg/kg']);
+
+            const failedByLab = await evaluate('Ashwagandha', [
+                { pesticideName: 'Chlorpyrifos', concentration: 0.01, mrl: 0.001, status: 'Fail' }
+            ]);
+            assert.strictEqual(failedByLab.isValid, true);
+            assert.strictEqual(QualityTestContract.overallResult(failedByLab), 'Pass');
+        });
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Re-evaluating released tests against a new standards version must find every test
+ * judged against an older version of the same standards, including tests stored
+ * before versions were pinned on them.
+ */
+
+const assert = require('assert');
+const { submitTransaction } = require('./mock-context');
+const QualityTestContract = require('../quality-test-contract');
+const HerbRegistryContract = require('../herb-registry-contract');
+const LedgerIndexes = require('../indexes');
+
+const { INDEXES } = LedgerIndexes;
+
+const REGULATOR = { mspId: 'RegulatorMSP' };
+
+/**
+ * Put a released batch and a test stored before standards versions into the world state
+ * @param {Map} state - World state
+ * @param {Object} test - batchId, testId, herbType and moistureContent
+ */
+async function seedLegacyTest(state, { batchId, testId, herbType, moistureContent }) {
+    await submitTransaction(state, REGULATOR, async ctx => {
+        await ctx.stub.putState(batchId, Buffer.from(JSON.stringify({ docType: 'batch', batchId, herbType, currentStatus: 'Tested-Pass' })));
+        await LedgerIndexes.putIndex(ctx, INDEXES.STATUS_BATCH, ['Tested-Pass', batchId]);
+        await ctx.stub.putState(testId, Buffer.from(JSON.stringify({
+            docType: 'qualityTest',
+            testId,
+            batchId,
+            moistureContent,
+            overallResult: 'Pass',
+            validationResult: { isValid: true, herbType, violations: [], warnings: [] }
+        })));
+        await LedgerIndexes.putIndex(ctx, INDEXES.BATCH_TEST, [batchId, testId]);
+    });
+}
+
+describe('Quality standards re-evaluation', () => {
+    let state;
+    let qualityTests;
+    let consoleInfo;
+
+    const reevaluate = herbType => submitTransaction(state, REGULATOR,
+        ctx => qualityTests.reevaluateReleasedTests(ctx, herbType));
+    const tighten = (herbType, moisture) => submitTransaction(state, REGULATOR,
+        ctx => qualityTests.updateQualityStandards(ctx, herbType, JSON.stringify({
+            standards: { moisture: { max: moisture, unit: '%' } },
+            reason: 'Revised pharmacopoeia monograph'
+        })));
+
+    before(() => {
+        consoleInfo = console.info;
+        console.info = () => {};
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    beforeEach(async () => {
+        state = new Map();
+        qualityTests = new QualityTestContract();
+        await submitTransaction(state, REGULATOR, ctx => new HerbRegistryContract().initLedger(ctx));
+        await submitTransaction(state, REGULATOR, ctx => qualityTests.initLedger(ctx));
+    });
+
+    it('judges a legacy test against its herb\'s standards', async () => {
+        await seedLegacyTest(state, { batchId: 'B1', testId: 'T1', herbType: 'Ashwagandha', moistureContent: 10 });
+        await tighten('Ashwagandha', 8);
+
+        const result = await reevaluate('Ashwagandha');
+        assert.strictEqual(result.version, 2);
+        assert.strictEqual(result.evaluatedTests, 1);
+        assert.deepStrictEqual(result.failingTests.map(test => [test.testId, test.evaluatedVersion]), [['T1', 1]]);
+        assert.deepStrictEqual(result.batchesThatWouldFail, [{ batchId: 'B1', currentStatus: 'Tested-Pass', failingTests: ['T1'] }]);
+
+        // The test was never judged against default, so a default change does not touch it
+        await tighten('default', 5);
+        assert.strictEqual((await reevaluate('default')).evaluatedTests, 0);
+    });
+
+    it('judges a legacy test of a herb without its own standards against default', async () => {
+        await seedLegacyTest(state, { batchId: 'B2', testId: 'T2', herbType: 'Unlisted Root', moistureContent: 10 });
+
+        const judgedAgainst = await submitTransaction(state, REGULATOR, ctx => QualityTestContract.getEvaluatedVersion(ctx, { validationResult: { herbType: 'Unlisted Root' } }));
+        assert.deepStrictEqual(judgedAgainst, { standardsRef: 'default', version: 1 });
+
+        await tighten('default', 8);
+        const result = await reevaluate('default');
+        assert.deepStrictEqual(result.failingTests.map(test => test.testId), ['T2']);
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * A lab signs and submits its test results; the ledger judges them against the
+ * standards of the batch's herb. What a lab claims about the outcome never reaches
+ * the batch: the provenance record takes the verdict QualityTestContract reached.
+ */
+
+const assert = require('assert');
+const { submitTransaction, readRecord } = require('./mock-context');
+const { generateKey, sign } = require('./signing');
+const QualityTestContract = require('../quality-test-contract');
+const ProvenanceContract = require('../provenance-contract');
+const ActorRegistryContract = require('../actor-registry-contract');
+const HerbRegistryContract = require('../herb-registry-contract');
+const LedgerIndexes = require('../indexes');
+
+const { INDEXES } = LedgerIndexes;
+
+const REGULATOR = { mspId: 'RegulatorMSP' };
+const LAB = { mspId: 'LabMSP', enrollmentId: 'LAB1' };
+
+const LAB_CERTIFICATION = {
+    labId: 'LAB1',
+    labName: 'Kerala Herbal Testing Lab',
+    certification: 'NABL-ISO17025',
+    accreditationNumber: 'TC-1234',
+    validUntil: '2026-03-31',
+    testCapabilities: ['Physical']
+};
+
+/**
+ * Put a batch awaiting testing straight into the world state
+ * @param {Map} state - World state
+ * @param {string} batchId - Batch identifier
+ */
+async function seedBatch(state, batchId) {
+    await submitTransaction(state, REGULATOR, async ctx => {
+        await ctx.stub.putState(batchId, Buffer.from(JSON.stringify({
+            docType: 'batch',
+            batchId,
+            currentStatus: 'In-Processing',
+            herbType: 'Ashwagandha',
+            availableQuantityKg: 40,
+            parentBatchIds: [],
+            childBatchIds: [],
+            processingSteps: [],
+            qualityTests: [],
+            compliance: { organicCertified: true },
+            version: 1
+        })));
+        await LedgerIndexes.putIndex(ctx, INDEXES.STATUS_BATCH, ['In-Processing', batchId]);
+    });
+}
+
+describe('Quality test results', () => {
+    let state;
+    let labKey;
+    let qualityTests;
+    let provenance;
+    let consoleInfo;
+
+    const labTest = fields => sign({
+        testId: 'B1-T1',
+        batchId: 'B1',
+        labId: 'LAB1',
+        labName: 'Kerala Herbal Testing Lab',
+        labCertification: 'NABL-TC-1234',
+        testType: 'Physical',
+        testDate: '2025-02-27T09:00:00.000Z',
+        sampleId: 'B1-S1',
+        sampleQuantity: 50,
+        moistureContent: 8,
+        overallResult: 'Pass',
+        testerId: 'TECH1',
+        ...fields
+    }, labKey);
+    const submitTest = (test, txTime) => submitTransaction(state, { ...LAB, txTime: txTime && new Date(txTime) },
+        ctx => qualityTests.submitTestResults(ctx, JSON.stringify(test)));
+    const regulate = (action, txTime) => submitTransaction(state, { ...REGULATOR, txTime: txTime && new Date(txTime) },
+        ctx => action(ctx));
+    const addToBatch = (test, identity = LAB) => submitTransaction(state, identity,
+        ctx => provenance.addQualityTestResult(ctx, test.batchId, JSON.stringify(test)));
+
+    before(() => {
+        consoleInfo = console.info;
+        console.info = () => {};
+        labKey = generateKey();
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    beforeEach(async () => {
+        state = new Map();
+        qualityTests = new QualityTestContract();
+        provenance = new ProvenanceContract();
+        await submitTransaction(state, REGULATOR, ctx => new HerbRegistryContract().initLedger(ctx));
+        await submitTransaction(state, REGULATOR, ctx => qualityTests.initLedger(ctx));
+        await submitTransaction(state, REGULATOR, ctx => provenance.initLedger(ctx));
+        await submitTransaction(state, LAB, ctx => new ActorRegistryContract().registerActorKey(ctx,
+            JSON.stringify({ actorId: 'LAB1', actorType: 'Lab', publicKey: labKey.publicKey })));
+        await submitTransaction(state, REGULATOR, ctx => qualityTests.registerLabCertification(ctx, JSON.stringify(LAB_CERTIFICATION)));
+        await seedBatch(state, 'B1');
+        await seedBatch(state, 'B2');
+    });
+
+    describe('submitTestResults', () => {
+        it('rejects tests dated after the transaction', async () => {
+            await assert.rejects(submitTest(labTest({ testDate: '2025-03-02T09:00:00.000Z' })), {
+                message: 'Test date cannot be in the future'
+            });
+        });
+
+        it('accepts a test performed before the certification expired only within the submission window', async () => {
+            await submitTest(labTest({ testId: 'T1', testDate: '2026-03-30T09:00:00.000Z' }), '2026-04-10T06:00:00.000Z');
+
+            // A lab that let its certification lapse cannot backdate tests into its certified period
+            await assert.rejects(submitTest(labTest({ testId: 'T2', testDate: '2026-03-30T09:00:00.000Z' }), '2026-05-01T06:00:00.000Z'), {
+                message: 'Test date is more than 30 days before submission'
+            });
+        });
+
+        it('rejects tests performed after the certification expired until it is renewed', async () => {
+            const afterExpiry = labTest({ testDate: '2026-04-01T09:00:00.000Z' });
+            await assert.rejects(submitTest(afterExpiry, '2026-04-10T06:00:00.000Z'), {
+                message: 'Lab LAB1 certification expired on 2026-03-31, before the test date 2026-04-01'
+            });
+
+            const lab = await regulate(ctx => qualityTests.renewLabCertification(ctx, 'LAB1',
+                JSON.stringify({ validUntil: '2027-03-31', accreditationNumber: 'TC-1234-R1' })), '2026-04-10T06:00:00.000Z');
+            assert.strictEqual(lab.validUntil, '2027-03-31');
+            assert.deepStrictEqual(lab.history.map(change => change.action), ['Registered', 'Renewed']);
+
+            const submitted = await submitTest(afterExpiry, '2026-04-10T07:00:00.000Z');
+            assert.strictEqual(submitted.testId, 'B1-T1');
+        });
+
+        it('rejects tests from a suspended lab until it is reinstated', async () => {
+            await regulate(ctx => qualityTests.suspendLabCertification(ctx, 'LAB1', 'Failed surveillance audit'));
+            await assert.rejects(submitTest(labTest()), {
+                message: 'Lab LAB1 certification is suspended: Failed surveillance audit'
+            });
+
+            // Renewal does not lift a suspension
+            await regulate(ctx => qualityTests.renewLabCertification(ctx, 'LAB1', JSON.stringify({ validUntil: '2027-03-31' })));
+            await assert.rejects(submitTest(labTest()), /certification is suspended/);
+
+            await regulate(ctx => qualityTests.reinstateLabCertification(ctx, 'LAB1', 'Corrective actions verified'));
+            assert.strictEqual((await submitTest(labTest())).overallResult, 'Pass');
+        });
+
+        it('rejects test types outside the lab\'s scope until the scope includes them', async () => {
+            const chemicalTest = labTest({ testType: 'Chemical', moistureContent: undefined, heavyMetals: { lead: 2 } });
+            await assert.rejects(submitTest(chemicalTest), {
+                message: 'Lab LAB1 is not certified for Chemical testing'
+            });
+
+            await regulate(ctx => qualityTests.updateLabTestScope(ctx, 'LAB1',
+                JSON.stringify({ testCapabilities: ['Physical', 'Chemical'], reason: 'HPLC accreditation added' })));
+            assert.strictEqual((await submitTest(chemicalTest)).overallResult, 'Pass');
+
+            await regulate(ctx => qualityTests.updateLabTestScope(ctx, 'LAB1',
+                JSON.stringify({ testCapabilities: ['Chemical'], reason: 'Physical testing withdrawn' })));
+            await assert.rejects(submitTest(labTest({ testId: 'B1-T2' })), {
+                message: 'Lab LAB1 is not certified for Physical testing'
+            });
+        });
+    });
+
+    describe('addQualityTestResult', () => {
+        it('fails a batch whose test the lab claims passed but the standards fail', async () => {
+            // Ashwagandha allows at most 12% moisture
+            const test = labTest({ moistureContent: 15, overallResult: 'Pass' });
+            const submitted = await submitTest(test);
+            assert.strictEqual(submitted.overallResult, 'Fail');
+
+            const added = await addToBatch(test);
+            assert.strictEqual(added.testResult, 'Fail');
+            assert.strictEqual(added.status, 'Tested-Fail');
+
+            const batch = readRecord(state, 'B1');
+            assert.strictEqual(batch.currentStatus, 'Tested-Fail');
+            assert.strictEqual(batch.qualityTests[0].overallResult, 'Fail');
+            assert.deepStrictEqual(batch.qualityTests[0].failedChecks, ['moisture']);
+            assert.deepStrictEqual(batch.qualityTests[0].standardsVersion, readRecord(state, 'B1-T1').standardsVersion);
+        });
+
+        it('passes a batch whose test meets the standards', async () => {
+            const test = labTest();
+            await submitTest(test);
+            await addToBatch(test);
+
+            const batch = readRecord(state, 'B1');
+            assert.strictEqual(batch.currentStatus, 'Tested-Pass');
+            assert.deepStrictEqual(batch.qualityTests[0].failedChecks, []);
+        });
+
+        it('records the failed checks QualityTestContract found, not the ones sent with the test', async () => {
+            const test = labTest({ moistureContent: 15 });
+            await submitTest(test);
+            await addToBatch({ ...test, failedChecks: ['ash'] });
+
+            assert.deepStrictEqual(readRecord(state, 'B1-T1').failedChecks, ['moisture']);
+            assert.deepStrictEqual(readRecord(state, 'B1').qualityTests[0].failedChecks, ['moisture']);
+        });
+
+        it('rejects a test that was never submitted to QualityTestContract', async () => {
+            await assert.rejects(addToBatch(labTest()), {
+                message: 'Test B1-T1 has not been submitted to QualityTestContract'
+            });
+            assert.strictEqual(readRecord(state, 'B1').currentStatus, 'In-Processing');
+        });
+
+        it('rejects a submitted test presented for another batch', async () => {
+            await submitTest(labTest({ moistureContent: 15 }));
+
+            await assert.rejects(addToBatch(labTest({ batchId: 'B2' })), {
+                message: 'Test B1-T1 was submitted by lab LAB1 for batch B1'
+            });
+            assert.deepStrictEqual(readRecord(state, 'B2').qualityTests, []);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * A recall covers the recalled batch and everything split or merged out of it, and
+ * names every farm whose harvest went into the recalled batch.
+ */
+
+const assert = require('assert');
+const { submitTransaction, readRecord } = require('./mock-context');
+const ProvenanceContract = require('../provenance-contract');
+const RecallContract = require('../recall-contract');
+
+const PROCESSOR = { mspId: 'ProcessorMSP', enrollmentId: 'PROC1' };
+const REGULATOR = { mspId: 'RegulatorMSP' };
+
+/**
+ * Put a farm batch straight into the world state, as recordHarvest would have left it
+ * @param {Map} state - World state
+ * @param {Object} batch - batchId, farmerId and quantityKg
+ */
+function seedHarvest(state, { batchId, farmerId, quantityKg }) {
+    state.set(batchId, Buffer.from(JSON.stringify({
+        docType: 'batch',
+        batchId,
+        currentStatus: 'In-Processing',
+        herbType: 'Ashwagandha',
+        availableQuantityKg: quantityKg,
+        collectionEvent: { batchId, farmerId, farmerName: `Farmer ${farmerId}`, herbType: 'Ashwagandha', quantityKg },
+        parentBatchIds: [],
+        childBatchIds: [],
+        processingSteps: [],
+        qualityTests: [],
+        distributionInfo: null,
+        compliance: { organicCertified: true },
+        version: 1
+    })));
+}
+
+/**
+ * Give a batch a distributor and QR code, as finalizePackaging would have
+ * @param {Map} state - World state
+ * @param {string} batchId - Batch identifier
+ * @param {string} qrCodeId - QR code identifier
+ */
+function seedPackaging(state, batchId, qrCodeId) {
+    const record = readRecord(state, batchId);
+    record.distributionInfo = { distributorId: 'D1', distributorName: 'Kochi Ayur Distributors', qrCodeId };
+    state.set(batchId, Buffer.from(JSON.stringify(record)));
+    state.set(`QR_${qrCodeId}`, Buffer.from(JSON.stringify({ docType: 'qrMapping', qrCodeId, batchId })));
+}
+
+describe('Recalls', () => {
+    let state;
+    let provenance;
+    let recalls;
+    let consoleInfo;
+
+    const recall = (recallId, batchId) => submitTransaction(state, REGULATOR, ctx => recalls.issueRecall(ctx, JSON.stringify({
+        recallId,
+        batchId,
+        reason: 'Lead above limit in retail samples',
+        severity: 'Class I',
+        regulatorId: 'REG1'
+    })));
+
+    before(() => {
+        consoleInfo = console.info;
+        console.info = () => {};
+    });
+
+    after(() => {
+        console.info = consoleInfo;
+    });
+
+    // P1 (F1) is split into C1 and C2; C1 is merged with P2 (F2) into M1, whose
+    // packages carry QR-M1
+    beforeEach(async () => {
+        state = new Map();
+        provenance = new ProvenanceContract();
+        recalls = new RecallContract();
+        await submitTransaction(state, REGULATOR, ctx => provenance.initLedger(ctx));
+        seedHarvest(state, { batchId: 'P1', farmerId: 'F1', quantityKg: 100 });
+        seedHarvest(state, { batchId: 'P2', farmerId: 'F2', quantityKg: 50 });
+        await submitTransaction(state, PROCESSOR, ctx => provenance.splitBatch(ctx, 'P1',
+            JSON.stringify({ splits: [{ batchId: 'C1', quantityKg: 60 }, { batchId: 'C2', quantityKg: 40 }] })));
+        await submitTransaction(state, PROCESSOR, ctx => provenance.mergeBatches(ctx,
+            JSON.stringify({ batchId: 'M1', sourceBatches: [{ batchId: 'C1' }, { batchId: 'P2' }] })));
+        seedPackaging(state, 'M1', 'QR-M1');
+    });
+
+    describe('issueRecall', () => {
+        it('recalls every batch split or merged out of the recalled batch', async () => {
+            const result = await recall('RCL-P1', 'P1');
+
+            assert.deepStrictEqual(result.recall.affectedBatches.map(batch => [batch.batchId, batch.previousStatus]),
+                [['P1', 'In-Processing'], ['C1', 'In-Processing'], ['C2', 'In-Processing'], ['M1', 'In-Processing']]);
+            for (const batchId of ['P1', 'C1', 'C2', 'M1']) {
+                const record = readRecord(state, batchId);
+                assert.strictEqual(record.currentStatus, 'Recalled');
+                assert.strictEqual(record.recall.recallId, 'RCL-P1');
+                assert.strictEqual(record.recall.sourceBatchId, 'P1');
+            }
+
+            // P2 went into M1 but is not recalled with it
+            assert.strictEqual(readRecord(state, 'P2').currentStatus, 'In-Processing');
+        });
+
+        it('flags the QR codes of recalled packages', async () => {
+            const result = await recall('RCL-P1', 'P1');
+
+            assert.deepStrictEqual(result.recall.affectedQRCodes, ['QR-M1']);
+            assert.deepStrictEqual(result.recall.affectedDistributors, [{
+                distributorId: 'D1',
+                distributorName: 'Kochi Ayur Distributors',
+                batchIds: ['M1'],
+                qrCodeIds: ['QR-M1']
+            }]);
+
+            const qrMapping = readRecord(state, 'QR_QR-M1');
+            assert.strictEqual(qrMapping.recalled, true);
+            assert.deepStrictEqual(qrMapping.recall, {
+                recallId: 'RCL-P1',
+                reason: 'Lead above limit in retail samples',
+                severity: 'Class I',
+                recalledAt: '2025-03-01T06:00:00.000Z'
+            });
+        });
+
+        it('skips descendants that are already recalled', async () => {
+            await recall('RCL-M1', 'M1');
+            const result = await recall('RCL-P1', 'P1');
+
+            assert.deepStrictEqual(result.recall.affectedBatches.map(batch => batch.batchId), ['P1', 'C1', 'C2']);
+            assert.deepStrictEqual(result.recall.skippedBatches, [{ batchId: 'M1', recallId: 'RCL-M1' }]);
+            assert.deepStrictEqual(result.recall.affectedQRCodes, []);
+            assert.strictEqual(readRecord(state, 'M1').recall.recallId, 'RCL-M1');
+        });
+
+        it('names the farmers of every batch merged into the recalled batch', async () => {
+            const result = await recall('RCL-M1', 'M1');
+
+            assert.deepStrictEqual(result.recall.affectedBatches.map(batch => batch.batchId), ['M1']);
+            assert.deepStrictEqual(result.recall.affectedFarmers, [
+                { farmerId: 'F2', farmerName: 'Farmer F2', batchIds: ['P2'], quantityKg: 50 },
+                { farmerId: 'F1', farmerName: 'Farmer F1', batchIds: ['P1'], quantityKg: 100 }
+            ]);
+        });
+
+        it('rejects recalling a recalled batch and reusing a recall ID', async () => {
+            await recall('RCL-P1', 'P1');
+
+            await assert.rejects(recall('RCL-C1', 'C1'), { message: 'Batch C1 is already recalled under RCL-P1' });
+            await assert.rejects(recall('RCL-P1', 'P2'), { message: 'Recall RCL-P1 already exists' });
+        });
+    });
+});
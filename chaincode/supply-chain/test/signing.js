@@ -0,0 +1,32 @@
+/**
+ * Signing keys and signed records for chaincode tests
+ *
+ * Actors sign the canonical JSON of a record with an EC key whose public half is
+ * registered in ActorRegistryContract.
+ */
+
+const crypto = require('crypto');
+const TraceabilityUtils = require('../utils');
+
+/**
+ * Generate an actor signing key
+ * @returns {Object} PEM publicKey and KeyObject privateKey
+ */
+function generateKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    return { publicKey: publicKey.export({ type: 'spki', format: 'pem' }), privateKey };
+}
+
+/**
+ * Sign a record as its actor would
+ * @param {Object} record - Record without digitalSignature
+ * @param {Object} key - Result of generateKey
+ * @returns {Object} Record with digitalSignature
+ */
+function sign(record, key) {
+    const signer = crypto.createSign('SHA256');
+    signer.update(TraceabilityUtils.getSignedPayload(record));
+    return { ...record, digitalSignature: signer.sign(key.privateKey, 'hex') };
+}
+
+module.exports = { generateKey, sign };
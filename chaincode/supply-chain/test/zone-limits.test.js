@@ -0,0 +1,110 @@
+/**
+ * A zone's sustainability limits are checked against the harvests recorded in it:
+ * the annual total across herbs, each herb's share of its standing stock, and the
+ * regeneration period since the herb was last harvested, which may have been last year.
+ */
+
+const assert = require('assert');
+const { submitTransaction } = require('./mock-context');
+const GeoFencingContract = require('../geofencing-contract');
+const HarvestValidationContract = require('../harvest-validation-contract');
+
+const FARMER = { mspId: 'FarmerMSP', enrollmentId: 'FARMER1' };
+
+const ZONE = {
+    zoneId: 'ZONE-T',
+    herbTypes: ['Ashwagandha', 'Brahmi'],
+    centerPoint: { latitude: 10.1632, longitude: 76.6413 },
+    radius: 50000,
+    sustainabilityLimits: {
+        maxAnnualHarvest: 1000,
+        minRegenerationPeriod: 90,
+        maxHarvestPercentage: 30,
+        estimatedStockKg: { Ashwagandha: 2000 }
+    },
+    isActive: true
+};
+
+describe('Zone sustainability limits', () => {
+    let state;
+    let batchCount;
+
+    const record = (herbType, quantityKg, harvestDate) => submitTransaction(state, FARMER,
+        ctx => HarvestValidationContract.recordZoneHarvest(ctx, ZONE.zoneId, herbType, quantityKg, harvestDate, `B${++batchCount}`));
+    const check = (herbType, quantityKg, harvestDate) => submitTransaction(state, FARMER,
+        ctx => new GeoFencingContract().checkZoneConstraints(
+            ctx, ZONE, herbType, { ...ZONE.centerPoint, accuracy: 10 }, new Date(harvestDate), quantityKg, null
+        ));
+
+    beforeEach(() => {
+        state = new Map();
+        batchCount = 0;
+    });
+
+    it('limits the annual harvest of all herbs together', async () => {
+        await record('Brahmi', 900, '2025-01-05T06:00:00.000Z');
+
+        assert.deepStrictEqual(await check('Ashwagandha', 100, '2025-06-01T06:00:00.000Z'), []);
+        assert.deepStrictEqual(await check('Ashwagandha', 200, '2025-06-01T06:00:00.000Z'), [{
+            constraint: 'maxAnnualHarvest',
+            message: 'Annual harvest limit exceeded. Limit: 1000kg, Already harvested: 900kg, Requested: 200kg'
+        }]);
+
+        // A new year starts a new total
+        assert.deepStrictEqual(await check('Ashwagandha', 200, '2026-06-01T06:00:00.000Z'), []);
+    });
+
+    it('limits the share of a herb\'s estimated stock taken in a year', async () => {
+        await record('Ashwagandha', 500, '2025-01-05T06:00:00.000Z');
+
+        assert.deepStrictEqual(await check('Ashwagandha', 100, '2025-06-01T06:00:00.000Z'), []);
+        assert.deepStrictEqual(await check('Ashwagandha', 150, '2025-06-01T06:00:00.000Z'), [{
+            constraint: 'maxHarvestPercentage',
+            message: 'Harvest would take more than 30% of the estimated 2000kg Ashwagandha stock. Allowed: 600kg, Already harvested: 500kg, Requested: 150kg'
+        }]);
+
+        // Herbs without an estimated stock have no share limit
+        assert.deepStrictEqual(await check('Brahmi', 450, '2025-06-01T06:00:00.000Z'), []);
+    });
+
+    it('reports every limit a harvest breaks', async () => {
+        await record('Ashwagandha', 550, '2025-05-01T06:00:00.000Z');
+        await record('Brahmi', 400, '2025-05-01T06:00:00.000Z');
+
+        const failures = await check('Ashwagandha', 100, '2025-06-01T06:00:00.000Z');
+        assert.deepStrictEqual(failures.map(failure => failure.constraint), ['maxAnnualHarvest', 'maxHarvestPercentage', 'minRegenerationPeriod']);
+    });
+
+    it('counts the regeneration period from a harvest in the previous year', async () => {
+        await record('Ashwagandha', 100, '2025-12-01T06:00:00.000Z');
+        // A harvest recorded late but made earlier does not restart the period
+        await record('Ashwagandha', 100, '2025-11-01T06:00:00.000Z');
+
+        assert.deepStrictEqual(await check('Ashwagandha', 100, '2026-01-15T06:00:00.000Z'), [{
+            constraint: 'minRegenerationPeriod',
+            message: 'Minimum regeneration period not met. Required: 90 days, Elapsed: 45 days'
+        }]);
+        assert.deepStrictEqual(await check('Ashwagandha', 100, '2026-02-28T06:00:00.000Z'), [{
+            constraint: 'minRegenerationPeriod',
+            message: 'Minimum regeneration period not met. Required: 90 days, Elapsed: 89 days'
+        }]);
+        assert.deepStrictEqual(await check('Ashwagandha', 100, '2026-03-01T06:00:00.000Z'), []);
+
+        // Regeneration is per herb
+        assert.deepStrictEqual(await check('Brahmi', 100, '2026-01-15T06:00:00.000Z'), []);
+    });
+
+    it('records each harvest in the history of its own year', async () => {
+        await record('Ashwagandha', 100, '2025-12-01T06:00:00.000Z');
+        await record('Ashwagandha', 50, '2026-03-02T06:00:00.000Z');
+
+        const history = year => submitTransaction(state, FARMER,
+            ctx => HarvestValidationContract.readZoneHistory(ctx, ZONE.zoneId, year));
+        const previousYear = await history('2025');
+        const currentYear = await history('2026');
+
+        assert.strictEqual(previousYear.totalHarvest, 100);
+        assert.deepStrictEqual(currentYear.herbHarvests, { Ashwagandha: 50 });
+        assert.deepStrictEqual(currentYear.lastHarvests.Ashwagandha, { batchId: 'B2', harvestDate: '2026-03-02T06:00:00.000Z', quantityKg: 50 });
+    });
+});
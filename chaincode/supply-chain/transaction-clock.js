@@ -0,0 +1,67 @@
+/**
+ * Transaction clock for the Ayurvedic Herb Traceability ledger
+ *
+ * Every endorsing peer executes a transaction independently, so anything written to
+ * the ledger must be computed from the proposal alone. The wall clock of a peer is
+ * not: two peers stamping `new Date()` produce different write sets and the
+ * transaction fails endorsement policy checks. The client's proposal timestamp
+ * (`ctx.stub.getTxTimestamp()`) is the same on every peer and is the time the
+ * transaction was submitted, so contracts take "now" from here.
+ *
+ * Years are UTC years so peers in different time zones agree on the quota year.
+ */
+
+const TraceabilityUtils = require('./utils');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class TransactionClock {
+
+    /**
+     * Get the transaction timestamp
+     * @param {Context} ctx - Transaction context
+     * @returns {Date} Transaction time
+     */
+    static now(ctx) {
+        return new Date(TransactionClock.nowISO(ctx));
+    }
+
+    /**
+     * Get the transaction timestamp as an ISO string, for storing on records
+     * @param {Context} ctx - Transaction context
+     * @returns {string} Transaction time (e.g. 2024-03-15T10:30:00.000Z)
+     */
+    static nowISO(ctx) {
+        return TraceabilityUtils.timestampToISO(ctx.stub.getTxTimestamp());
+    }
+
+    /**
+     * Get the year of the transaction
+     * @param {Context} ctx - Transaction context
+     * @returns {string} UTC year (e.g. 2024)
+     */
+    static year(ctx) {
+        return TransactionClock.yearOf(TransactionClock.now(ctx));
+    }
+
+    /**
+     * Get the year of a date, independent of the peer's time zone
+     * @param {Date|string} date - Date
+     * @returns {string} UTC year
+     */
+    static yearOf(date) {
+        return String(new Date(date).getUTCFullYear());
+    }
+
+    /**
+     * Days elapsed between a date and the transaction time; negative for dates after it
+     * @param {Context} ctx - Transaction context
+     * @param {Date|string} date - Earlier date
+     * @returns {number} Fractional days
+     */
+    static daysSince(ctx, date) {
+        return (TransactionClock.now(ctx) - new Date(date)) / MS_PER_DAY;
+    }
+}
+
+module.exports = TransactionClock;
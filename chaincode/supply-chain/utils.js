@@ -1,4 +1,8 @@
 const crypto = require('crypto');
+const SeasonCalendar = require('./season-calendar');
+
+// Upper bound on positions in a zone geometry, keeping intersection checks within endorsement time
+const MAX_GEOMETRY_VERTICES = 5000;
 
 /**
  * Utility functions for Ayurvedic herb traceability system
@@ -76,35 +80,290 @@ class TraceabilityUtils {
     }
 
     /**
-     * Validate harvest season against herb-specific rules
-     * @param {string} herbType - Type of herb
-     * @param {string} season - Current season
-     * @param {Date} harvestDate - Date of harvest
-     * @returns {Object} Validation result with isValid and message
+     * Check if a point is within a GeoJSON Polygon or MultiPolygon
+     * A point inside a hole is outside the geometry
+     * @param {Object} point - {latitude, longitude}
+     * @param {Object} geometry - GeoJSON geometry
+     * @returns {boolean} True if point is within one of the polygons
+     */
+    static isPointInGeometry(point, geometry) {
+        const position = [point.longitude, point.latitude];
+        return this.getGeometryPolygons(geometry).some(([exterior, ...holes]) =>
+            this.isPositionInRing(position, exterior) &&
+            !holes.some(hole => this.isPositionInRing(position, hole))
+        );
+    }
+
+    /**
+     * Ray-casting test of a [longitude, latitude] position against a GeoJSON ring
+     * @param {Array} position - [longitude, latitude]
+     * @param {Array} ring - Closed ring of positions
+     * @returns {boolean} True if position is within ring
+     */
+    static isPositionInRing(position, ring) {
+        const [x, y] = position;
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+
+            if (((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Validate a GeoJSON Polygon or MultiPolygon: coordinate ranges, closed rings,
+     * no self-intersecting or crossing rings, and holes inside their exterior ring
+     * @param {Object} geometry - GeoJSON geometry (structure already checked by geoJsonGeometrySchema)
+     * @returns {Object} Validation result with isValid and errors
+     */
+    static validateGeometry(geometry) {
+        const errors = [];
+        const polygons = this.getGeometryPolygons(geometry);
+        const vertexCount = polygons.reduce((sum, rings) => sum + rings.reduce((n, ring) => n + ring.length, 0), 0);
+
+        if (vertexCount > MAX_GEOMETRY_VERTICES) {
+            return {
+                isValid: false,
+                errors: [`Geometry has ${vertexCount} positions; at most ${MAX_GEOMETRY_VERTICES} are allowed`]
+            };
+        }
+
+        polygons.forEach((rings, p) => {
+            rings.forEach((ring, r) => {
+                const label = `polygon ${p} ring ${r}`;
+                const [first, last] = [ring[0], ring[ring.length - 1]];
+
+                if (ring.some(([lng, lat]) => lng < -180 || lng > 180 || lat < -90 || lat > 90)) {
+                    errors.push(`${label} has positions outside longitude -180..180 / latitude -90..90`);
+                }
+                if (first[0] !== last[0] || first[1] !== last[1]) {
+                    errors.push(`${label} is not closed (first and last positions differ)`);
+                } else if (new Set(ring.slice(1).map(([lng, lat]) => `${lng},${lat}`)).size < 3) {
+                    errors.push(`${label} needs at least 3 distinct positions`);
+                } else if (this.ringsIntersect(ring, ring)) {
+                    errors.push(`${label} self-intersects`);
+                }
+            });
+
+            const [exterior, ...holes] = rings;
+            holes.forEach((hole, h) => {
+                if (this.ringsIntersect(exterior, hole)) {
+                    errors.push(`polygon ${p} hole ${h + 1} crosses the exterior ring`);
+                } else if (!this.isPositionInRing(hole[0], exterior)) {
+                    errors.push(`polygon ${p} hole ${h + 1} lies outside the exterior ring`);
+                }
+                holes.slice(h + 1).forEach((other, o) => {
+                    if (this.ringsIntersect(hole, other)) {
+                        errors.push(`polygon ${p} holes ${h + 1} and ${h + o + 2} cross each other`);
+                    }
+                });
+            });
+        });
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Check whether any edge of one ring crosses an edge of another
+     * Passing the same ring twice checks it for self-intersection (adjacent edges may share a vertex)
+     * @param {Array} ringA - Closed ring of positions
+     * @param {Array} ringB - Closed ring of positions
+     * @returns {boolean} True if the rings intersect
      */
-    static validateHarvestSeason(herbType, season, harvestDate = new Date()) {
-        // Define seasonal rules for different herbs
-        const seasonalRules = {
-            'Ashwagandha': ['Winter', 'Spring'],
-            'Turmeric': ['Winter', 'Spring'],
-            'Ginger': ['Winter', 'Spring'],
-            'Tulsi': ['Summer', 'Monsoon', 'Autumn'],
-            'Neem': ['Summer', 'Monsoon'],
-            'Brahmi': ['Summer', 'Monsoon', 'Autumn'],
-            'Amla': ['Winter', 'Spring'],
-            'Arjuna': ['Spring', 'Summer'],
-            'Shatavari': ['Spring', 'Summer', 'Autumn'],
-            'Guduchi': ['Summer', 'Monsoon']
+    static ringsIntersect(ringA, ringB) {
+        const same = ringA === ringB;
+        const edgesA = ringA.length - 1;
+        const edgesB = ringB.length - 1;
+
+        for (let i = 0; i < edgesA; i++) {
+            for (let j = same ? i + 1 : 0; j < edgesB; j++) {
+                if (same && (j === i + 1 || (i === 0 && j === edgesA - 1))) {
+                    continue;
+                }
+                if (this.segmentsIntersect(ringA[i], ringA[i + 1], ringB[j], ringB[j + 1])) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check whether segments p1-p2 and p3-p4 touch or cross
+     * @returns {boolean} True if the segments intersect
+     */
+    static segmentsIntersect(p1, p2, p3, p4) {
+        const orientation = (a, b, c) => Math.sign((b[1] - a[1]) * (c[0] - b[0]) - (b[0] - a[0]) * (c[1] - b[1]));
+        const onSegment = (a, b, c) =>
+            Math.min(a[0], c[0]) <= b[0] && b[0] <= Math.max(a[0], c[0]) &&
+            Math.min(a[1], c[1]) <= b[1] && b[1] <= Math.max(a[1], c[1]);
+
+        const o1 = orientation(p1, p2, p3);
+        const o2 = orientation(p1, p2, p4);
+        const o3 = orientation(p3, p4, p1);
+        const o4 = orientation(p3, p4, p2);
+
+        if (o1 !== o2 && o3 !== o4) {
+            return true;
+        }
+        return (o1 === 0 && onSegment(p1, p3, p2)) ||
+            (o2 === 0 && onSegment(p1, p4, p2)) ||
+            (o3 === 0 && onSegment(p3, p1, p4)) ||
+            (o4 === 0 && onSegment(p3, p2, p4));
+    }
+
+    /**
+     * Distance from a point to the nearest edge of a geometry, holes included
+     * Uses a local flat-earth projection, accurate at zone scale
+     * @param {Object} point - {latitude, longitude}
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+     * @returns {number} Distance in meters
+     */
+    static distanceToGeometryEdge(point, geometry) {
+        const metersPerDegree = 6371e3 * Math.PI / 180;
+        const cosLat = Math.cos(point.latitude * Math.PI / 180);
+        const project = ([lng, lat]) => [
+            (lng - point.longitude) * metersPerDegree * cosLat,
+            (lat - point.latitude) * metersPerDegree
+        ];
+
+        let minDistance = Infinity;
+        for (const rings of this.getGeometryPolygons(geometry)) {
+            for (const ring of rings) {
+                for (let i = 0; i < ring.length - 1; i++) {
+                    const [ax, ay] = project(ring[i]);
+                    const [bx, by] = project(ring[i + 1]);
+                    const dx = bx - ax;
+                    const dy = by - ay;
+                    const lengthSquared = dx * dx + dy * dy;
+                    // Closest point on the edge to the origin (the projected point)
+                    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+                    minDistance = Math.min(minDistance, Math.hypot(ax + t * dx, ay + t * dy));
+                }
+            }
+        }
+        return minDistance;
+    }
+
+    /**
+     * Check a date against an MM-DD harvest window; windows may wrap the year end (e.g. 11-01 to 04-30)
+     * @param {Date} date - Harvest date
+     * @param {Object} harvestWindow - { startDate, endDate } in MM-DD format
+     * @returns {boolean} True if date falls in the window
+     */
+    static isDateInHarvestWindow(date, harvestWindow) {
+        const monthDay = `${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+        const start = harvestWindow.startDate || '01-01';
+        const end = harvestWindow.endDate || '12-31';
+
+        return start <= end ?
+            monthDay >= start && monthDay <= end :
+            monthDay >= start || monthDay <= end;
+    }
+
+    /**
+     * Get the polygons of a geometry as arrays of rings
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+     * @returns {Array} Polygons, each [exterior, ...holes]
+     */
+    static getGeometryPolygons(geometry) {
+        return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+    }
+
+    /**
+     * Center of the bounding box of a geometry's exterior rings
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+     * @returns {Object} {latitude, longitude}
+     */
+    static getGeometryCenter(geometry) {
+        const positions = this.getGeometryPolygons(geometry).flatMap(([exterior]) => exterior);
+        const longitudes = positions.map(([lng]) => lng);
+        const latitudes = positions.map(([, lat]) => lat);
+
+        return {
+            latitude: (Math.min(...latitudes) + Math.max(...latitudes)) / 2,
+            longitude: (Math.min(...longitudes) + Math.max(...longitudes)) / 2
         };
+    }
+
+    /**
+     * Convert a legacy boundaries list to a GeoJSON Polygon
+     * @param {Array} boundaries - Array of boundary coordinates
+     * @returns {Object} GeoJSON Polygon with a closed exterior ring
+     */
+    static boundariesToGeometry(boundaries) {
+        const ring = boundaries.map(point => [point.longitude, point.latitude]);
+        const [first, last] = [ring[0], ring[ring.length - 1]];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            ring.push([...first]);
+        }
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+
+    /**
+     * Approximate a circular zone by a GeoJSON Polygon
+     * @param {Object} center - Center point {latitude, longitude}
+     * @param {number} radius - Radius in meters
+     * @param {number} segments - Number of polygon edges
+     * @returns {Object} GeoJSON Polygon
+     */
+    static circleToGeometry(center, radius, segments = 32) {
+        const earthRadius = 6371e3; // Earth's radius in meters
+        const latRadians = center.latitude * Math.PI / 180;
+        const angularRadius = radius / earthRadius * 180 / Math.PI;
+
+        const ring = [];
+        for (let i = 0; i < segments; i++) {
+            const bearing = 2 * Math.PI * i / segments;
+            ring.push([
+                center.longitude + angularRadius * Math.sin(bearing) / Math.cos(latRadians),
+                center.latitude + angularRadius * Math.cos(bearing)
+            ]);
+        }
+        ring.push([...ring[0]]);
+        return { type: 'Polygon', coordinates: [ring] };
+    }
+
+    /**
+     * Check whether two geometries share any area (touching edges count as overlapping)
+     * @param {Object} geometryA - GeoJSON Polygon or MultiPolygon
+     * @param {Object} geometryB - GeoJSON Polygon or MultiPolygon
+     * @returns {boolean} True if the geometries overlap
+     */
+    static geometriesOverlap(geometryA, geometryB) {
+        const ringsA = this.getGeometryPolygons(geometryA).flat();
+        const ringsB = this.getGeometryPolygons(geometryB).flat();
+        if (ringsA.some(ringA => ringsB.some(ringB => this.ringsIntersect(ringA, ringB)))) {
+            return true;
+        }
+
+        // No edges cross, so one geometry is either inside the other or apart from it
+        const contains = (geometry, rings) => rings.some(ring =>
+            ring.some(([longitude, latitude]) => this.isPointInGeometry({ latitude, longitude }, geometry)));
+        return contains(geometryB, ringsA) || contains(geometryA, ringsB);
+    }
 
-        const allowedSeasons = seasonalRules[herbType] || ['Spring', 'Summer', 'Monsoon', 'Autumn', 'Winter'];
-        const isValid = allowedSeasons.includes(season);
+    /**
+     * Validate harvest season against the herb's registered seasons
+     * @param {Object} herb - Herb from the herb registry
+     * @param {Object} season - Season from SeasonCalendar.getSeason
+     * @returns {Object} Validation result with isValid and message
+     */
+    static validateHarvestSeason(herb, season) {
+        const allowedSeasons = SeasonCalendar.normalizeList(herb.allowedSeasons);
+        const isValid = SeasonCalendar.isAllowed(season, allowedSeasons);
 
         return {
             isValid,
             message: isValid ? 
-                `Harvest season ${season} is valid for ${herbType}` :
-                `Invalid harvest season ${season} for ${herbType}. Allowed seasons: ${allowedSeasons.join(', ')}`,
+                `Harvest season ${SeasonCalendar.describe(season)} is valid for ${herb.herbId}` :
+                `Invalid harvest season ${SeasonCalendar.describe(season)} for ${herb.herbId}. Allowed seasons: ${allowedSeasons.join(', ')}`,
             allowedSeasons
         };
     }
@@ -151,71 +410,24 @@ class TraceabilityUtils {
         return Math.min(100, Math.max(0, score));
     }
 
-    /**
-     * Validate quality test results against standards
-     * @param {Object} testResults - Quality test results
-     * @param {string} herbType - Type of herb
-     * @returns {Object} Validation result
-     */
-    static validateQualityStandards(testResults, herbType) {
-        const standards = {
-            'Ashwagandha': {
-                moisture: { max: 12 },
-                ash: { max: 8 },
-                foreignMatter: { max: 2 },
-                withanolides: { min: 0.3 }
-            },
-            'Turmeric': {
-                moisture: { max: 10 },
-                ash: { max: 9 },
-                foreignMatter: { max: 1 },
-                curcumin: { min: 2.0 }
-            },
-            'default': {
-                moisture: { max: 15 },
-                ash: { max: 10 },
-                foreignMatter: { max: 3 }
-            }
-        };
-
-        const standard = standards[herbType] || standards['default'];
-        const violations = [];
-
-        // Check each parameter
-        for (const [param, limits] of Object.entries(standard)) {
-            const value = testResults[param];
-            if (value !== undefined) {
-                if (limits.max !== undefined && value > limits.max) {
-                    violations.push(`${param}: ${value}% exceeds maximum ${limits.max}%`);
-                }
-                if (limits.min !== undefined && value < limits.min) {
-                    violations.push(`${param}: ${value}% below minimum ${limits.min}%`);
-                }
-            }
-        }
-
-        return {
-            isValid: violations.length === 0,
-            violations,
-            standard
-        };
-    }
-
     /**
      * Generate QR code data for batch traceability
+     * The QR code ID is derived from the transaction so every endorsing peer generates the same one
      * @param {string} batchId - Batch identifier
+     * @param {string} txId - ID of the packaging transaction
+     * @param {string} timestamp - Transaction timestamp (ISO)
      * @param {string} baseUrl - Base URL for traceability portal
      * @returns {Object} QR code data and URL
      */
-    static generateQRCodeData(batchId, baseUrl = 'https://traceability.ayurveda.com') {
-        const qrCodeId = crypto.randomBytes(8).toString('hex').toUpperCase();
+    static generateQRCodeData(batchId, txId, timestamp, baseUrl = 'https://traceability.ayurveda.com') {
+        const qrCodeId = crypto.createHash('sha256').update(`${txId}:${batchId}`).digest('hex').slice(0, 16).toUpperCase();
         const url = `${baseUrl}/trace/${batchId}?qr=${qrCodeId}`;
         
         const qrData = {
             batchId,
             qrCodeId,
             url,
-            timestamp: new Date().toISOString(),
+            timestamp,
             version: '1.0'
         };
 
@@ -244,6 +456,41 @@ class TraceabilityUtils {
         }
     }
 
+    /**
+     * Canonical JSON serialization used for record signatures
+     * Object keys are sorted at every level and undefined values dropped, so signer and
+     * verifier produce the same bytes regardless of key order.
+     * Must match APIUtils.canonicalize in the client.
+     * @param {*} value - JSON value
+     * @returns {string} Canonical JSON
+     */
+    static canonicalize(value) {
+        if (value && typeof value.toJSON === 'function') {
+            value = value.toJSON();
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(item => TraceabilityUtils.canonicalize(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const fields = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${TraceabilityUtils.canonicalize(value[key])}`);
+            return `{${fields.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Get the bytes a record's digitalSignature covers: the canonical record without the signature
+     * @param {Object} record - Record as submitted
+     * @returns {string} Signed payload
+     */
+    static getSignedPayload(record) {
+        const { digitalSignature, ...signedFields } = record;
+        return TraceabilityUtils.canonicalize(signedFields);
+    }
+
     /**
      * Generate hash for data integrity
      * @param {Object} data - Data to hash
@@ -255,74 +502,106 @@ class TraceabilityUtils {
     }
 
     /**
-     * Check if harvest is within sustainability limits
+     * Convert a protobuf timestamp (transaction or history timestamp) to an ISO string
+     * @param {Object} timestamp - { seconds, nanos } where seconds may be a Long
+     * @returns {string} ISO timestamp
+     */
+    static timestampToISO(timestamp) {
+        const seconds = typeof timestamp.seconds === 'object' ?
+            (typeof timestamp.seconds.toNumber === 'function' ? timestamp.seconds.toNumber() : timestamp.seconds.low) :
+            Number(timestamp.seconds);
+        return new Date(seconds * 1000 + Math.floor((timestamp.nanos || 0) / 1e6)).toISOString();
+    }
+
+    /**
+     * List field-level differences between two versions of a record
+     * Nested objects are compared field by field and arrays element by element
+     * @param {*} before - Previous value
+     * @param {*} after - New value
+     * @param {string} path - Field path of the values (e.g. processingSteps[1].outputQuantityKg)
+     * @returns {Array} Changes [{ field, change: added|removed|modified, from, to }]
+     */
+    static diffObjects(before, after, path = '') {
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return [];
+        }
+
+        const isObject = value => value !== null && typeof value === 'object';
+        if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+            const keys = Array.isArray(after) ?
+                [...Array(Math.max(before.length, after.length)).keys()] :
+                [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+            return keys.flatMap(key => {
+                const childPath = Array.isArray(after) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+                return TraceabilityUtils.diffObjects(before[key], after[key], childPath);
+            });
+        }
+
+        let change = 'modified';
+        if (before === undefined) {
+            change = 'added';
+        } else if (after === undefined) {
+            change = 'removed';
+        }
+        return [{ field: path, change, from: before, to: after }];
+    }
+
+    /**
+     * Check if harvest is within a zone's sustainability limits
      * @param {Object} zone - Geofencing zone with limits
-     * @param {number} requestedQuantity - Requested harvest quantity
-     * @param {Array} previousHarvests - Array of previous harvests in time period
-     * @returns {Object} Validation result
+     * @param {string} herbType - Canonical herb ID
+     * @param {number} requestedQuantity - Requested harvest quantity in kg
+     * @param {Object} usage - Zone usage { totalHarvest, herbHarvest, lastHarvestDate } for the harvest year
+     * @param {Date} harvestDate - Date of the requested harvest
+     * @returns {Object} Validation result with isValid, message and the violated limits
      */
-    static validateSustainabilityLimits(zone, requestedQuantity, previousHarvests = []) {
+    static validateSustainabilityLimits(zone, herbType, requestedQuantity, usage, harvestDate) {
         if (!zone.sustainabilityLimits) {
-            return { isValid: true, message: 'No sustainability limits defined' };
+            return { isValid: true, message: 'No sustainability limits defined', violations: [] };
         }
 
         const limits = zone.sustainabilityLimits;
-        const currentYear = new Date().getFullYear();
-        
-        // Check annual harvest limit
-        if (limits.maxAnnualHarvest) {
-            const yearHarvests = previousHarvests.filter(h => 
-                new Date(h.collectionDate).getFullYear() === currentYear
-            );
-            const totalHarvested = yearHarvests.reduce((sum, h) => sum + h.quantityKg, 0);
-            
-            if (totalHarvested + requestedQuantity > limits.maxAnnualHarvest) {
-                return {
-                    isValid: false,
-                    message: `Annual harvest limit exceeded. Limit: ${limits.maxAnnualHarvest}kg, Already harvested: ${totalHarvested}kg, Requested: ${requestedQuantity}kg`
-                };
-            }
+        const violations = [];
+
+        // Check annual harvest limit across all herbs of the zone
+        if (limits.maxAnnualHarvest && usage.totalHarvest + requestedQuantity > limits.maxAnnualHarvest) {
+            violations.push({
+                limit: 'maxAnnualHarvest',
+                message: `Annual harvest limit exceeded. Limit: ${limits.maxAnnualHarvest}kg, Already harvested: ${usage.totalHarvest}kg, Requested: ${requestedQuantity}kg`
+            });
         }
 
-        // Check regeneration period
-        if (limits.minRegenerationPeriod) {
-            const lastHarvest = previousHarvests
-                .sort((a, b) => new Date(b.collectionDate) - new Date(a.collectionDate))[0];
-            
-            if (lastHarvest) {
-                const daysSinceLastHarvest = (Date.now() - new Date(lastHarvest.collectionDate)) / (1000 * 60 * 60 * 24);
-                if (daysSinceLastHarvest < limits.minRegenerationPeriod) {
-                    return {
-                        isValid: false,
-                        message: `Minimum regeneration period not met. Required: ${limits.minRegenerationPeriod} days, Elapsed: ${Math.floor(daysSinceLastHarvest)} days`
-                    };
-                }
+        // Check share of the herb's estimated standing stock taken this year
+        const estimatedStock = limits.estimatedStockKg && limits.estimatedStockKg[herbType];
+        if (limits.maxHarvestPercentage !== undefined && estimatedStock) {
+            const maxHerbHarvest = estimatedStock * limits.maxHarvestPercentage / 100;
+            if (usage.herbHarvest + requestedQuantity > maxHerbHarvest) {
+                violations.push({
+                    limit: 'maxHarvestPercentage',
+                    message: `Harvest would take more than ${limits.maxHarvestPercentage}% of the estimated ${estimatedStock}kg ${herbType} stock. Allowed: ${maxHerbHarvest}kg, Already harvested: ${usage.herbHarvest}kg, Requested: ${requestedQuantity}kg`
+                });
             }
         }
 
-        return { isValid: true, message: 'Sustainability limits satisfied' };
-    }
-
-    /**
-     * Get current season based on date and location
-     * @param {Date} date - Date to check
-     * @param {string} hemisphere - 'north' or 'south'
-     * @returns {string} Season name
-     */
-    static getCurrentSeason(date = new Date(), hemisphere = 'north') {
-        const month = date.getMonth() + 1; // 1-12
-        
-        if (hemisphere === 'north') {
-            if (month >= 3 && month <= 5) return 'Spring';
-            if (month >= 6 && month <= 8) return 'Summer';
-            if (month >= 9 && month <= 11) return 'Autumn';
-            return 'Winter';
-        } else {
-            if (month >= 3 && month <= 5) return 'Autumn';
-            if (month >= 6 && month <= 8) return 'Winter';
-            if (month >= 9 && month <= 11) return 'Spring';
-            return 'Summer';
+        // Check regeneration period since the last harvest of this herb in the zone
+        if (limits.minRegenerationPeriod && usage.lastHarvestDate) {
+            const daysSinceLastHarvest = Math.abs(harvestDate - new Date(usage.lastHarvestDate)) / (1000 * 60 * 60 * 24);
+            if (daysSinceLastHarvest < limits.minRegenerationPeriod) {
+                violations.push({
+                    limit: 'minRegenerationPeriod',
+                    message: `Minimum regeneration period not met. Required: ${limits.minRegenerationPeriod} days, Elapsed: ${Math.floor(daysSinceLastHarvest)} days`
+                });
+            }
         }
+
+        return {
+            isValid: violations.length === 0,
+            message: violations.length === 0 ?
+                'Sustainability limits satisfied' :
+                violations.map(violation => violation.message).join('; '),
+            violations
+        };
     }
 }
 
@@ -0,0 +1,233 @@
+const TraceabilityAPI = require('./traceability-api');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Gateway Pool
+ * Keeps one TraceabilityAPI (and Fabric gateway) per identity so concurrent requests
+ * from different users and organizations never share a connection
+ */
+class GatewayPool {
+    /**
+     * @param {Object} options - Pool settings (defaults to config.gatewayPool)
+     * @param {Function} apiFactory - Creates an uninitialized TraceabilityAPI
+     */
+    constructor(options = config.gatewayPool, apiFactory = () => new TraceabilityAPI()) {
+        this.idleTimeoutMs = options.idleTimeoutMs;
+        this.sweepIntervalMs = options.sweepIntervalMs;
+        this.maxConnectionsPerOrg = options.maxConnectionsPerOrg || {};
+        this.defaultMaxConnections = options.defaultMaxConnections;
+        this.apiFactory = apiFactory;
+        this.entries = new Map();
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Build the pool key for an identity
+     * @param {string} org - Organization
+     * @param {string} userId - User identifier
+     * @returns {string} Pool key
+     */
+    static key(org, userId) {
+        return `${org}:${userId}`;
+    }
+
+    /**
+     * Start evicting idle connections in the background
+     */
+    start() {
+        if (this.sweepTimer) {
+            return;
+        }
+        this.sweepTimer = setInterval(() => {
+            this.evictIdle().catch(error => logger.error(`Gateway pool sweep failed: ${error.message}`));
+        }, this.sweepIntervalMs);
+
+        // The sweep must not keep the process alive on its own
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Get a connected API for an identity, connecting lazily on first use
+     * Every acquire must be paired with release()
+     * @param {string} org - Organization
+     * @param {string} userId - User identifier
+     * @returns {TraceabilityAPI} Connected API
+     */
+    async acquire(org, userId) {
+        const key = GatewayPool.key(org, userId);
+        let entry = this.entries.get(key);
+
+        if (!entry) {
+            // Reserve the slot before the first await, so concurrent requests for the
+            // identity share this entry and requests for others see the slot taken
+            const evicted = this.ensureCapacity(org);
+
+            entry = {
+                key,
+                org,
+                userId,
+                api: this.apiFactory(),
+                activeRequests: 0,
+                lastUsed: Date.now(),
+                pending: true
+            };
+            entry.ready = this.connect(entry, evicted);
+            this.entries.set(key, entry);
+            logger.info(`Gateway pool connecting ${key}`);
+        }
+
+        entry.activeRequests++;
+        entry.lastUsed = Date.now();
+
+        try {
+            await entry.ready;
+        } catch (error) {
+            entry.activeRequests--;
+            throw error;
+        }
+
+        return entry.api;
+    }
+
+    /**
+     * Open the connection of a reserved entry once the connection it replaces is closed
+     * A failed connect frees the slot so the next request can try again
+     * @param {Object} entry - Pending pool entry
+     * @param {Promise|null} evicted - Eviction made to free the slot
+     */
+    async connect(entry, evicted) {
+        try {
+            await evicted;
+            await entry.api.initialize(entry.org, entry.userId);
+            entry.pending = false;
+        } catch (error) {
+            if (this.entries.get(entry.key) === entry) {
+                this.entries.delete(entry.key);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Return a connection to the pool
+     * @param {string} org - Organization
+     * @param {string} userId - User identifier
+     */
+    release(org, userId) {
+        const entry = this.entries.get(GatewayPool.key(org, userId));
+        if (!entry) {
+            return;
+        }
+        entry.activeRequests = Math.max(0, entry.activeRequests - 1);
+        entry.lastUsed = Date.now();
+    }
+
+    /**
+     * Make room for a new connection in an organization, evicting its least recently used idle connection
+     * Runs synchronously so that the slot check and the caller's reservation cannot interleave;
+     * connections still being opened count toward the limit
+     * @param {string} org - Organization
+     * @returns {Promise|null} Eviction in progress, or null if there was room
+     */
+    ensureCapacity(org) {
+        const limit = this.maxConnectionsPerOrg[org] || this.defaultMaxConnections;
+        const orgEntries = [...this.entries.values()].filter(entry => entry.org === org);
+
+        if (orgEntries.length < limit) {
+            return null;
+        }
+
+        const idleEntries = orgEntries
+            .filter(entry => !entry.pending && entry.activeRequests === 0)
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+
+        if (idleEntries.length === 0) {
+            const error = new Error(`Connection limit reached for organization ${org}. Try again shortly`);
+            error.statusCode = 503;
+            throw error;
+        }
+
+        // evict() frees the slot before its first await
+        return this.evict(idleEntries[0]);
+    }
+
+    /**
+     * Disconnect connections that have been idle longer than the idle timeout
+     * @returns {number} Number of evicted connections
+     */
+    async evictIdle() {
+        const cutoff = Date.now() - this.idleTimeoutMs;
+        const idleEntries = [...this.entries.values()]
+            .filter(entry => !entry.pending && entry.activeRequests === 0 && entry.lastUsed < cutoff);
+
+        let evicted = 0;
+        for (const entry of idleEntries) {
+            // A request may have picked the connection up while an earlier one was closing
+            if (this.entries.get(entry.key) !== entry || entry.activeRequests > 0) {
+                continue;
+            }
+            await this.evict(entry);
+            evicted++;
+        }
+
+        return evicted;
+    }
+
+    /**
+     * Remove a connection from the pool and disconnect it
+     * @param {Object} entry - Pool entry
+     */
+    async evict(entry) {
+        if (this.entries.get(entry.key) === entry) {
+            this.entries.delete(entry.key);
+        }
+        logger.info(`Gateway pool evicting ${entry.key}`);
+        try {
+            await entry.ready;
+            await entry.api.disconnect();
+        } catch (error) {
+            logger.warn(`Gateway pool eviction of ${entry.key} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Disconnect every connection and stop the sweeper
+     */
+    async close() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+        for (const entry of [...this.entries.values()]) {
+            await this.evict(entry);
+        }
+    }
+
+    /**
+     * Get pool usage by organization
+     * @returns {Object} Pool statistics
+     */
+    getStats() {
+        const organizations = {};
+        for (const entry of this.entries.values()) {
+            if (!organizations[entry.org]) {
+                organizations[entry.org] = {
+                    connections: 0,
+                    activeRequests: 0,
+                    limit: this.maxConnectionsPerOrg[entry.org] || this.defaultMaxConnections
+                };
+            }
+            organizations[entry.org].connections++;
+            organizations[entry.org].activeRequests += entry.activeRequests;
+        }
+
+        return {
+            totalConnections: this.entries.size,
+            idleTimeoutMs: this.idleTimeoutMs,
+            organizations
+        };
+    }
+}
+
+module.exports = GatewayPool;
@@ -60,77 +60,32 @@ class TraceabilityAPI {
                 throw new Error('Invalid GPS coordinates provided');
             }
 
-            // Add timestamp and digital signature placeholder
-            harvestData.createdAt = new Date().toISOString();
-            harvestData.digitalSignature = `SIG_${APIUtils.generateDataHash(harvestData)}`;
-
-            logger.info(`Recording harvest for batch ${harvestData.batchId}`);
-
-            // Step 1: Validate GPS coordinates against geofencing zones
-            const gpsValidation = await this.fabricService.evaluateTransaction(
-                'GeoFencingContract',
-                'validateGPSCoordinates',
-                harvestData.herbType,
-                JSON.stringify(harvestData.gpsCoordinates)
-            );
-
-            if (!gpsValidation.result.isValid) {
-                throw new Error(`GPS validation failed: ${gpsValidation.result.message}`);
-            }
-
-            // Step 2: Validate harvest season
-            const seasonValidation = await this.fabricService.evaluateTransaction(
-                'HarvestValidationContract',
-                'validateHarvestSeason',
-                harvestData.herbType,
-                harvestData.collectionDate,
-                JSON.stringify(harvestData.gpsCoordinates)
-            );
-
-            if (!seasonValidation.result.isValid) {
-                throw new Error(`Season validation failed: ${seasonValidation.result.message}`);
+            // Sign with the farmer's wallet key unless the client already signed the record
+            if (!harvestData.digitalSignature) {
+                harvestData.createdAt = harvestData.createdAt || new Date().toISOString();
+                harvestData.digitalSignature = await this.signRecord(harvestData);
             }
 
-            // Step 3: Validate sustainability quota
-            const quotaValidation = await this.fabricService.evaluateTransaction(
-                'HarvestValidationContract',
-                'validateSustainabilityQuota',
-                harvestData.herbType,
-                harvestData.quantityKg.toString(),
-                harvestData.farmerId,
-                harvestData.collectionDate
-            );
-
-            if (!quotaValidation.result.isValid) {
-                throw new Error(`Sustainability quota validation failed: ${quotaValidation.result.message}`);
-            }
+            logger.info(`Recording harvest for batch ${harvestData.batchId}`);
 
-            // Step 4: Create provenance record with collection event
-            const provenanceResult = await this.fabricService.submitTransaction(
+            // Geofence, season and quota checks, the provenance record and the quota
+            // deduction are all done by one chaincode transaction
+            const harvestResult = await this.fabricService.submitTransaction(
                 'ProvenanceContract',
-                'createProvenanceRecord',
+                'recordHarvest',
                 JSON.stringify(harvestData)
             );
-
-            // Step 5: Update quota usage
-            await this.fabricService.submitTransaction(
-                'HarvestValidationContract',
-                'updateQuotaUsage',
-                harvestData.herbType,
-                harvestData.quantityKg.toString(),
-                harvestData.farmerId,
-                harvestData.collectionDate
-            );
+            const { gpsValidation, seasonValidation, quotaValidation } = harvestResult.result;
 
             logger.info(`Harvest recorded successfully for batch ${harvestData.batchId}`);
 
             return APIUtils.formatSuccessResponse(
                 {
                     batchId: harvestData.batchId,
-                    status: 'Collected',
-                    gpsValidation: gpsValidation.result,
-                    seasonValidation: seasonValidation.result,
-                    quotaValidation: quotaValidation.result
+                    status: harvestResult.result.status,
+                    gpsValidation,
+                    seasonValidation,
+                    quotaValidation
                 },
                 `Harvest recorded successfully for batch ${harvestData.batchId}`,
                 {
@@ -170,17 +125,19 @@ class TraceabilityAPI {
             // Ensure batch ID consistency
             processingData.batchId = batchId;
 
-            // Calculate yield percentage
-            if (processingData.inputQuantityKg && processingData.outputQuantityKg) {
-                processingData.yieldPercentage = APIUtils.calculateYield(
-                    processingData.inputQuantityKg,
-                    processingData.outputQuantityKg
-                );
-            }
+            // Client-signed records are submitted exactly as signed
+            if (!processingData.digitalSignature) {
+                // Calculate yield percentage
+                if (processingData.inputQuantityKg && processingData.outputQuantityKg) {
+                    processingData.yieldPercentage = APIUtils.calculateYield(
+                        processingData.inputQuantityKg,
+                        processingData.outputQuantityKg
+                    );
+                }
 
-            // Add timestamp and digital signature placeholder
-            processingData.createdAt = new Date().toISOString();
-            processingData.digitalSignature = `SIG_${APIUtils.generateDataHash(processingData)}`;
+                processingData.createdAt = processingData.createdAt || new Date().toISOString();
+                processingData.digitalSignature = await this.signRecord(processingData);
+            }
 
             logger.info(`Adding processing step ${processingData.stepId} to batch ${batchId}`);
 
@@ -236,9 +193,11 @@ class TraceabilityAPI {
             // Ensure batch ID consistency
             testData.batchId = batchId;
 
-            // Add timestamp and digital signature placeholder
-            testData.createdAt = new Date().toISOString();
-            testData.digitalSignature = `SIG_${APIUtils.generateDataHash(testData)}`;
+            // Sign with the lab's wallet key unless the client already signed the record
+            if (!testData.digitalSignature) {
+                testData.createdAt = testData.createdAt || new Date().toISOString();
+                testData.digitalSignature = await this.signRecord(testData);
+            }
 
             logger.info(`Uploading lab result ${testData.testId} for batch ${batchId}`);
 
@@ -249,7 +208,8 @@ class TraceabilityAPI {
                 JSON.stringify(testData)
             );
 
-            // Step 2: Add test result to provenance record
+            // Step 2: Add test result to provenance record; the contract takes the verdict
+            // and failed checks from the test stored in step 1
             const provenanceResult = await this.fabricService.submitTransaction(
                 'ProvenanceContract',
                 'addQualityTestResult',
@@ -365,6 +325,90 @@ class TraceabilityAPI {
         }
     }
 
+    /**
+     * Get every version of a batch record, or the version in effect at a point in time
+     * @param {string} batchId - Batch identifier
+     * @param {string} asOf - ISO date (optional)
+     * @returns {Object} Batch history or state as of the date
+     */
+    async getBatchHistory(batchId, asOf = null) {
+        try {
+            const { history } = await this.fabricService.getTransactionHistory(batchId, asOf);
+
+            return APIUtils.formatSuccessResponse(
+                history,
+                asOf ?
+                    `State of batch ${batchId} as of ${history.asOf}` :
+                    `${history.totalVersions} versions of batch ${batchId}`,
+                {
+                    queryType: asOf ? 'getBatchStateAsOf' : 'getBatchHistory',
+                    batchId,
+                    asOf
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getBatchHistory failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getBatchHistory');
+        }
+    }
+
+    /**
+     * Get the zone a batch was harvested in, as the zone was when the harvest was validated
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Harvest zone with its zone version
+     */
+    async getBatchHarvestZone(batchId) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'ProvenanceContract',
+                'getBatchHarvestZone',
+                batchId
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Batch ${batchId} was harvested in zone ${result.result.zoneId} (version ${result.result.zoneVersion})`,
+                {
+                    queryType: 'getBatchHarvestZone',
+                    batchId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getBatchHarvestZone failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getBatchHarvestZone');
+        }
+    }
+
+    /**
+     * Get the farmers, processors, labs and distributors recorded on a batch
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Batch participants
+     */
+    async getBatchParticipants(batchId) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'ProvenanceContract',
+                'getBatchParticipants',
+                batchId
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Participants retrieved for batch ${batchId}`,
+                {
+                    queryType: 'getBatchParticipants',
+                    batchId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getBatchParticipants failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getBatchParticipants');
+        }
+    }
+
     /**
      * Get provenance history by QR code
      * @param {string} qrCodeId - QR code identifier
@@ -398,9 +442,11 @@ class TraceabilityAPI {
     /**
      * Get batches by farmer
      * @param {string} farmerId - Farmer identifier
+     * @param {number} pageSize - Optional page size; returns a page with a bookmark when set
+     * @param {string} bookmark - Bookmark returned by the previous page
      * @returns {Object} Array of farmer's batches
      */
-    async getBatchesByFarmer(farmerId) {
+    async getBatchesByFarmer(farmerId, pageSize = null, bookmark = '') {
         try {
             // Check permissions - farmers can only see their own batches, regulators can see all
             if (this.currentOrg !== 'regulator' && this.currentUser !== farmerId) {
@@ -409,18 +455,27 @@ class TraceabilityAPI {
 
             logger.info(`Retrieving batches for farmer ${farmerId}`);
 
-            const result = await this.fabricService.evaluateTransaction(
-                'ProvenanceContract',
-                'getBatchesByFarmer',
-                farmerId
-            );
+            const result = pageSize ?
+                await this.fabricService.evaluateTransaction(
+                    'ProvenanceContract',
+                    'getBatchesByFarmerWithPagination',
+                    farmerId,
+                    String(pageSize),
+                    bookmark || ''
+                ) :
+                await this.fabricService.evaluateTransaction(
+                    'ProvenanceContract',
+                    'getBatchesByFarmer',
+                    farmerId
+                );
 
             return APIUtils.formatSuccessResponse(
                 result.result,
                 `Batches retrieved for farmer ${farmerId}`,
                 {
                     queryType: 'getBatchesByFarmer',
-                    farmerId
+                    farmerId,
+                    pageSize
                 }
             );
 
@@ -433,9 +488,11 @@ class TraceabilityAPI {
     /**
      * Get batches by status
      * @param {string} status - Batch status
+     * @param {number} pageSize - Optional page size; returns a page with a bookmark when set
+     * @param {string} bookmark - Bookmark returned by the previous page
      * @returns {Object} Array of batches with specified status
      */
-    async getBatchesByStatus(status) {
+    async getBatchesByStatus(status, pageSize = null, bookmark = '') {
         try {
             // Check permissions - only regulators can query by status
             if (this.currentOrg !== 'regulator') {
@@ -444,18 +501,27 @@ class TraceabilityAPI {
 
             logger.info(`Retrieving batches with status ${status}`);
 
-            const result = await this.fabricService.evaluateTransaction(
-                'ProvenanceContract',
-                'getBatchesByStatus',
-                status
-            );
+            const result = pageSize ?
+                await this.fabricService.evaluateTransaction(
+                    'ProvenanceContract',
+                    'getBatchesByStatusWithPagination',
+                    status,
+                    String(pageSize),
+                    bookmark || ''
+                ) :
+                await this.fabricService.evaluateTransaction(
+                    'ProvenanceContract',
+                    'getBatchesByStatus',
+                    status
+                );
 
             return APIUtils.formatSuccessResponse(
                 result.result,
                 `Batches retrieved with status ${status}`,
                 {
                     queryType: 'getBatchesByStatus',
-                    status
+                    status,
+                    pageSize
                 }
             );
 
@@ -465,6 +531,47 @@ class TraceabilityAPI {
         }
     }
 
+    /**
+     * Search batches with ad-hoc criteria (for regulators)
+     * @param {Object} criteria - herbType, status, farmerId, district, state, village,
+     *   collectedFrom, collectedTo, failedCheck, testResult, organicCertified
+     * @param {number} pageSize - Batches per page
+     * @param {string} bookmark - Bookmark returned by the previous page
+     * @returns {Object} Page of matching batches with bookmark
+     */
+    async searchBatches(criteria, pageSize = 50, bookmark = '') {
+        try {
+            // Check permissions - only regulators can run ad-hoc queries
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can search batches');
+            }
+
+            logger.info('Searching batches', { criteria });
+
+            const result = await this.fabricService.evaluateTransaction(
+                'ProvenanceContract',
+                'queryProvenanceRecords',
+                JSON.stringify(criteria),
+                String(pageSize),
+                bookmark || ''
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `${result.result.fetchedRecordsCount} batch(es) matched`,
+                {
+                    queryType: 'searchBatches',
+                    pageSize,
+                    bookmark: result.result.bookmark
+                }
+            );
+
+        } catch (error) {
+            logger.error(`searchBatches failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'searchBatches');
+        }
+    }
+
     /**
      * Get quality test results for a batch
      * @param {string} batchId - Batch identifier
@@ -531,6 +638,44 @@ class TraceabilityAPI {
         }
     }
 
+    /**
+     * Get harvest utilization of every geofencing zone (for regulators)
+     * @param {string} year - Year to report (optional)
+     * @param {number} threshold - Utilization percentage that flags a zone as near exhaustion (optional)
+     * @returns {Object} Zone utilization report
+     */
+    async getZoneUtilizationReport(year = null, threshold = null) {
+        try {
+            // Check permissions - only regulators can view zone utilization
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can view zone utilization');
+            }
+
+            logger.info(`Retrieving zone utilization for year ${year || 'current'}`);
+
+            const result = await this.fabricService.evaluateTransaction(
+                'HarvestValidationContract',
+                'getZoneUtilizationReport',
+                year || '',
+                threshold ? threshold.toString() : ''
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Zone utilization retrieved for year ${result.result.year}`,
+                {
+                    queryType: 'getZoneUtilizationReport',
+                    year,
+                    threshold
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getZoneUtilizationReport failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getZoneUtilizationReport');
+        }
+    }
+
     /**
      * Get geofencing zones for a herb type
      * @param {string} herbType - Type of herb
@@ -562,69 +707,1247 @@ class TraceabilityAPI {
     }
 
     /**
-     * Validate GPS coordinates against geofencing zones
-     * @param {string} herbType - Type of herb
-     * @param {Object} gpsCoordinates - GPS coordinates
-     * @returns {Object} Validation result
+     * Import geofencing zones from a GeoJSON FeatureCollection (for regulators)
+     * @param {Object} featureCollection - Features with Polygon/MultiPolygon geometry and zone properties
+     * @returns {Object} Transaction result with imported zone IDs
      */
-    async validateGPSCoordinates(herbType, gpsCoordinates) {
+    async importZones(featureCollection) {
         try {
-            logger.info(`Validating GPS coordinates for herb type ${herbType}`);
+            // Check permissions - only regulators can add zones
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can import geofencing zones');
+            }
 
-            const result = await this.fabricService.evaluateTransaction(
+            const featureCount = Array.isArray(featureCollection.features) ? featureCollection.features.length : 0;
+            logger.info(`Importing ${featureCount} geofencing zone(s) from GeoJSON`);
+
+            const result = await this.fabricService.submitTransaction(
                 'GeoFencingContract',
-                'validateGPSCoordinates',
-                herbType,
-                JSON.stringify(gpsCoordinates)
+                'importGeoJsonZones',
+                JSON.stringify(featureCollection)
             );
 
             return APIUtils.formatSuccessResponse(
                 result.result,
-                `GPS coordinates validated for herb type ${herbType}`,
+                result.result.message,
                 {
-                    queryType: 'validateGPSCoordinates',
-                    herbType
+                    transactionType: 'importZones',
+                    organization: this.currentOrg,
+                    user: this.currentUser
                 }
             );
 
         } catch (error) {
-            logger.error(`validateGPSCoordinates failed: ${error.message}`);
-            return APIUtils.formatErrorResponse(error, 'validateGPSCoordinates');
+            logger.error(`importZones failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'importZones');
         }
     }
 
     /**
-     * Get system statistics (for regulators)
-     * @returns {Object} System statistics
+     * Amend a geofencing zone; the previous version is kept (for regulators)
+     * @param {string} zoneId - Zone identifier
+     * @param {Object} amendment - Zone fields to change and the reason for the amendment
+     * @returns {Object} Transaction result with the new version and overlapping zones
      */
-    async getSystemStats() {
+    async amendZone(zoneId, amendment) {
         try {
-            // Check permissions - only regulators can view system stats
+            // Check permissions - only regulators can amend zones
             if (this.currentOrg !== 'regulator') {
-                throw new Error('Only regulators can view system statistics');
+                throw new Error('Only regulators can amend geofencing zones');
             }
 
-            logger.info('Retrieving system statistics');
+            logger.info(`Amending geofencing zone ${zoneId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'GeoFencingContract',
+                'amendZone',
+                zoneId,
+                JSON.stringify(amendment)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                result.result.message,
+                {
+                    transactionType: 'amendZone',
+                    zoneId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`amendZone failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'amendZone');
+        }
+    }
+
+    /**
+     * Close a geofencing zone to harvesting for a period (for regulators)
+     * @param {string} zoneId - Zone identifier
+     * @param {Object} closureData - { startDate, endDate, reason, regulatorId?, regulatorName? }
+     * @returns {Object} Transaction result with the scheduled closure
+     */
+    async scheduleZoneClosure(zoneId, closureData) {
+        try {
+            // Check permissions - only regulators can close zones
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can close geofencing zones');
+            }
+
+            logger.info(`Closing zone ${zoneId} from ${closureData.startDate} to ${closureData.endDate}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'GeoFencingContract',
+                'scheduleZoneClosure',
+                zoneId,
+                JSON.stringify({
+                    ...closureData,
+                    regulatorId: closureData.regulatorId || this.currentUser
+                })
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                result.result.message,
+                {
+                    transactionType: 'scheduleZoneClosure',
+                    zoneId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`scheduleZoneClosure failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'scheduleZoneClosure');
+        }
+    }
+
+    /**
+     * Reopen a zone before its closure ends (for regulators)
+     * @param {string} zoneId - Zone identifier
+     * @param {string} closureId - Closure identifier
+     * @param {string} reason - Reason for lifting the closure
+     * @returns {Object} Transaction result
+     */
+    async liftZoneClosure(zoneId, closureId, reason) {
+        try {
+            // Check permissions - only regulators can reopen zones
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can lift zone closures');
+            }
+
+            const result = await this.fabricService.submitTransaction(
+                'GeoFencingContract',
+                'liftZoneClosure',
+                zoneId,
+                closureId,
+                reason || ''
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                result.result.message,
+                {
+                    transactionType: 'liftZoneClosure',
+                    zoneId,
+                    closureId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`liftZoneClosure failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'liftZoneClosure');
+        }
+    }
+
+    /**
+     * Get the closures of a geofencing zone
+     * @param {string} zoneId - Zone identifier
+     * @param {boolean} includePast - Include ended and lifted closures
+     * @returns {Object} Zone closures
+     */
+    async getZoneClosures(zoneId, includePast = false) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'GeoFencingContract',
+                'getZoneClosures',
+                zoneId,
+                includePast.toString()
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `${result.result.length} closure(s) of zone ${zoneId}`,
+                {
+                    queryType: 'getZoneClosures',
+                    zoneId,
+                    includePast
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getZoneClosures failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getZoneClosures');
+        }
+    }
 
+    /**
+     * Get every version of a geofencing zone, oldest first
+     * @param {string} zoneId - Zone identifier
+     * @returns {Object} Zone versions
+     */
+    async getZoneHistory(zoneId) {
+        try {
             const result = await this.fabricService.evaluateTransaction(
-                'ProvenanceContract',
-                'getSystemStats'
+                'GeoFencingContract',
+                'getZoneHistory',
+                zoneId
             );
 
             return APIUtils.formatSuccessResponse(
                 result.result,
-                'System statistics retrieved successfully',
+                `${result.result.length} version(s) of zone ${zoneId}`,
                 {
-                    queryType: 'getSystemStats'
+                    queryType: 'getZoneHistory',
+                    zoneId
                 }
             );
 
         } catch (error) {
-            logger.error(`getSystemStats failed: ${error.message}`);
-            return APIUtils.formatErrorResponse(error, 'getSystemStats');
+            logger.error(`getZoneHistory failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getZoneHistory');
         }
     }
 
+    /**
+     * Export geofencing zones as a GeoJSON FeatureCollection (for regulators)
+     * @param {Object} filter - { zoneIds?, herbType?, includeInactive? }; empty exports all active zones
+     * @returns {Object} FeatureCollection
+     */
+    async exportZones(filter = {}) {
+        try {
+            // Check permissions - only regulators can export zones
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can export geofencing zones');
+            }
+
+            const result = await this.fabricService.evaluateTransaction(
+                'GeoFencingContract',
+                'exportZonesAsGeoJson',
+                JSON.stringify(filter)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Exported ${result.result.features.length} geofencing zone(s)`,
+                {
+                    queryType: 'exportZones',
+                    ...filter
+                }
+            );
+
+        } catch (error) {
+            logger.error(`exportZones failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'exportZones');
+        }
+    }
+
+    /**
+     * Validate GPS coordinates against geofencing zones
+     * @param {string} herbType - Type of herb
+     * @param {Object} gpsCoordinates - GPS coordinates
+     * @param {Object} harvest - Optional { collectionDate, quantityKg } for harvest window and sustainability checks
+     * @returns {Object} Validation result
+     */
+    async validateGPSCoordinates(herbType, gpsCoordinates, harvest = {}) {
+        try {
+            logger.info(`Validating GPS coordinates for herb type ${herbType}`);
+
+            const result = await this.fabricService.evaluateTransaction(
+                'GeoFencingContract',
+                'validateGPSCoordinates',
+                herbType,
+                JSON.stringify(gpsCoordinates),
+                JSON.stringify(harvest)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `GPS coordinates validated for herb type ${herbType}`,
+                {
+                    queryType: 'validateGPSCoordinates',
+                    herbType
+                }
+            );
+
+        } catch (error) {
+            logger.error(`validateGPSCoordinates failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'validateGPSCoordinates');
+        }
+    }
+
+    /**
+     * Get system statistics (for regulators)
+     * @returns {Object} System statistics
+     */
+    async getSystemStats() {
+        try {
+            // Check permissions - only regulators can view system stats
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can view system statistics');
+            }
+
+            logger.info('Retrieving system statistics');
+
+            const result = await this.fabricService.evaluateTransaction(
+                'ProvenanceContract',
+                'getSystemStats'
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                'System statistics retrieved successfully',
+                {
+                    queryType: 'getSystemStats'
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getSystemStats failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getSystemStats');
+        }
+    }
+
+    /**
+     * Issue a recall against a batch and everything derived from it (for regulators)
+     * @param {Object} recallData - batchId, reason, severity and regulator details
+     * @returns {Object} Recall with affected batches, distributors and farmers
+     */
+    async issueRecall(recallData) {
+        try {
+            // Check permissions - only regulators can issue recalls
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can issue recalls');
+            }
+
+            logger.info(`Issuing ${recallData.severity} recall for batch ${recallData.batchId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'RecallContract',
+                'issueRecall',
+                JSON.stringify({
+                    ...recallData,
+                    regulatorId: recallData.regulatorId || this.currentUser
+                })
+            );
+
+            logger.info(`Recall ${result.result.recallId} issued affecting ${result.result.affectedBatchCount} batch(es)`);
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Recall issued for batch ${recallData.batchId}`,
+                {
+                    transactionType: 'issueRecall',
+                    organization: this.currentOrg,
+                    user: this.currentUser,
+                    batchId: recallData.batchId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`issueRecall failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'issueRecall');
+        }
+    }
+
+    /**
+     * Close a recall once affected stock has been withdrawn (for regulators)
+     * @param {string} recallId - Recall identifier
+     * @param {string} resolution - How the recall was resolved
+     * @returns {Object} Transaction result
+     */
+    async closeRecall(recallId, resolution) {
+        try {
+            // Check permissions - only regulators can close recalls
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can close recalls');
+            }
+
+            logger.info(`Closing recall ${recallId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'RecallContract',
+                'closeRecall',
+                recallId,
+                JSON.stringify({ resolution, regulatorId: this.currentUser })
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Recall ${recallId} closed`,
+                {
+                    transactionType: 'closeRecall',
+                    organization: this.currentOrg,
+                    user: this.currentUser,
+                    recallId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`closeRecall failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'closeRecall');
+        }
+    }
+
+    /**
+     * Get all recalls (for regulators)
+     * @param {string} status - Optional recall status filter (Active, Closed)
+     * @returns {Object} Array of recall summaries
+     */
+    async getRecalls(status = null) {
+        try {
+            // Check permissions - only regulators can list recalls
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can list recalls');
+            }
+
+            logger.info(`Retrieving recalls${status ? ` with status ${status}` : ''}`);
+
+            const args = status ? [status] : [];
+            const result = await this.fabricService.evaluateTransaction(
+                'RecallContract',
+                'getAllRecalls',
+                ...args
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                'Recalls retrieved successfully',
+                {
+                    queryType: 'getRecalls',
+                    status
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getRecalls failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getRecalls');
+        }
+    }
+
+    /**
+     * Get recall details (for regulators)
+     * @param {string} recallId - Recall identifier
+     * @returns {Object} Recall record
+     */
+    async getRecall(recallId) {
+        try {
+            // Check permissions - only regulators can view recall details
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can view recall details');
+            }
+
+            logger.info(`Retrieving recall ${recallId}`);
+
+            const result = await this.fabricService.evaluateTransaction(
+                'RecallContract',
+                'getRecall',
+                recallId
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Recall ${recallId} retrieved`,
+                {
+                    queryType: 'getRecall',
+                    recallId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getRecall failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getRecall');
+        }
+    }
+
+    /**
+     * Get the batches, distributors and farmers affected by a recall (for regulators)
+     * @param {string} recallId - Recall identifier
+     * @returns {Object} Recall impact
+     */
+    async getRecallImpact(recallId) {
+        try {
+            // Check permissions - only regulators can view recall impact
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can view recall impact');
+            }
+
+            logger.info(`Retrieving impact of recall ${recallId}`);
+
+            const result = await this.fabricService.evaluateTransaction(
+                'RecallContract',
+                'getRecall',
+                recallId
+            );
+            const recall = result.result;
+
+            return APIUtils.formatSuccessResponse(
+                {
+                    recallId: recall.recallId,
+                    batchId: recall.batchId,
+                    severity: recall.severity,
+                    status: recall.status,
+                    affectedBatches: recall.affectedBatches,
+                    affectedQRCodes: recall.affectedQRCodes,
+                    affectedDistributors: recall.affectedDistributors,
+                    affectedFarmers: recall.affectedFarmers,
+                    summary: {
+                        batches: recall.affectedBatches.length,
+                        qrCodes: recall.affectedQRCodes.length,
+                        distributors: recall.affectedDistributors.length,
+                        farmers: recall.affectedFarmers.length,
+                        quantityKg: recall.affectedBatches.reduce((sum, batch) => sum + (batch.quantityKg || 0), 0)
+                    }
+                },
+                `Impact retrieved for recall ${recallId}`,
+                {
+                    queryType: 'getRecallImpact',
+                    recallId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getRecallImpact failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getRecallImpact');
+        }
+    }
+
+    /**
+     * Get recall status of a batch
+     * @param {string} batchId - Batch identifier
+     * @returns {Object} Recall status for the batch
+     */
+    async getBatchRecallStatus(batchId) {
+        try {
+            logger.info(`Retrieving recall status for batch ${batchId}`);
+
+            const result = await this.fabricService.evaluateTransaction(
+                'RecallContract',
+                'getBatchRecallStatus',
+                batchId
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Recall status retrieved for batch ${batchId}`,
+                {
+                    queryType: 'getBatchRecallStatus',
+                    batchId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getBatchRecallStatus failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getBatchRecallStatus');
+        }
+    }
+
+    /**
+     * Get the herb catalog
+     * @param {boolean} includeInactive - Include deactivated herbs
+     * @returns {Object} Herbs
+     */
+    async getHerbs(includeInactive = false) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'HerbRegistryContract',
+                'getAllHerbs',
+                includeInactive ? 'true' : 'false'
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Retrieved ${result.result.length} herbs`,
+                {
+                    queryType: 'getHerbs',
+                    includeInactive
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getHerbs failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getHerbs');
+        }
+    }
+
+    /**
+     * Resolve a herb by ID, botanical name, synonym, vernacular name or SMS code
+     * @param {string} name - Herb name (e.g. Giloy resolves to Guduchi)
+     * @returns {Object} Herb
+     */
+    async getHerb(name) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'HerbRegistryContract',
+                'getHerb',
+                name
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `${name} resolved to herb ${result.result.herbId}`,
+                {
+                    queryType: 'getHerb',
+                    name
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getHerb failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getHerb');
+        }
+    }
+
+    /**
+     * Register a herb in the catalog (for regulators)
+     * @param {Object} herbData - Herb names, SMS codes, seasons, default quota and standards reference
+     * @returns {Object} Transaction result
+     */
+    async registerHerb(herbData) {
+        try {
+            // Check permissions - only regulators can manage the herb catalog
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can register herbs');
+            }
+
+            logger.info(`Registering herb ${herbData.herbId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'HerbRegistryContract',
+                'registerHerb',
+                JSON.stringify(herbData)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Herb ${herbData.herbId} registered successfully`,
+                {
+                    transactionType: 'registerHerb',
+                    organization: this.currentOrg,
+                    user: this.currentUser,
+                    herbId: herbData.herbId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`registerHerb failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'registerHerb');
+        }
+    }
+
+    /**
+     * Update a herb in the catalog (for regulators)
+     * @param {string} herbId - Canonical herb identifier
+     * @param {Object} herbData - Fields to change
+     * @returns {Object} Transaction result
+     */
+    async updateHerb(herbId, herbData) {
+        try {
+            // Check permissions - only regulators can manage the herb catalog
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can update herbs');
+            }
+
+            logger.info(`Updating herb ${herbId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'HerbRegistryContract',
+                'updateHerb',
+                herbId,
+                JSON.stringify(herbData)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Herb ${herbId} updated successfully`,
+                {
+                    transactionType: 'updateHerb',
+                    organization: this.currentOrg,
+                    user: this.currentUser,
+                    herbId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`updateHerb failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'updateHerb');
+        }
+    }
+
+    /**
+     * Register a lab's certification on the ledger (for regulators)
+     * @param {string} labId - Lab identifier
+     * @param {Object} labData - { labName, certification, accreditationNumber?, issuingAuthority?, issuedOn?, validUntil, testCapabilities }
+     * @returns {Object} Transaction result
+     */
+    async registerLabCertification(labId, labData) {
+        try {
+            // Check permissions - only regulators can manage lab certifications
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can register lab certifications');
+            }
+
+            logger.info(`Registering certification of lab ${labId} valid until ${labData.validUntil}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'QualityTestContract',
+                'registerLabCertification',
+                JSON.stringify({ ...labData, labId })
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Lab ${labId} certified until ${labData.validUntil}`,
+                {
+                    transactionType: 'registerLabCertification',
+                    labId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`registerLabCertification failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'registerLabCertification');
+        }
+    }
+
+    /**
+     * Suspend a lab's certification, e.g. after a failed audit (for regulators)
+     * @param {string} labId - Lab identifier
+     * @param {string} reason - Reason for the suspension
+     * @returns {Object} Transaction result with the updated certification
+     */
+    async suspendLabCertification(labId, reason) {
+        try {
+            // Check permissions - only regulators can manage lab certifications
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can suspend lab certifications');
+            }
+
+            logger.info(`Suspending certification of lab ${labId}: ${reason}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'QualityTestContract',
+                'suspendLabCertification',
+                labId,
+                reason || ''
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Lab ${labId} certification suspended`,
+                {
+                    transactionType: 'suspendLabCertification',
+                    labId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`suspendLabCertification failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'suspendLabCertification');
+        }
+    }
+
+    /**
+     * Reinstate a suspended lab certification (for regulators)
+     * @param {string} labId - Lab identifier
+     * @param {string} reason - Reason for the reinstatement
+     * @returns {Object} Transaction result with the updated certification
+     */
+    async reinstateLabCertification(labId, reason) {
+        try {
+            // Check permissions - only regulators can manage lab certifications
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can reinstate lab certifications');
+            }
+
+            const result = await this.fabricService.submitTransaction(
+                'QualityTestContract',
+                'reinstateLabCertification',
+                labId,
+                reason || ''
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Lab ${labId} certification reinstated`,
+                {
+                    transactionType: 'reinstateLabCertification',
+                    labId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`reinstateLabCertification failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'reinstateLabCertification');
+        }
+    }
+
+    /**
+     * Extend a lab's certification to a new expiry date (for regulators)
+     * @param {string} labId - Lab identifier
+     * @param {Object} renewalData - { validUntil, certification?, accreditationNumber?, issuingAuthority?, issuedOn?, reason? }
+     * @returns {Object} Transaction result with the updated certification
+     */
+    async renewLabCertification(labId, renewalData) {
+        try {
+            // Check permissions - only regulators can manage lab certifications
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can renew lab certifications');
+            }
+
+            const result = await this.fabricService.submitTransaction(
+                'QualityTestContract',
+                'renewLabCertification',
+                labId,
+                JSON.stringify(renewalData)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Lab ${labId} certification renewed until ${result.result.validUntil}`,
+                {
+                    transactionType: 'renewLabCertification',
+                    labId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`renewLabCertification failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'renewLabCertification');
+        }
+    }
+
+    /**
+     * Replace the test types a lab is certified for (for regulators)
+     * @param {string} labId - Lab identifier
+     * @param {Object} scopeData - { testCapabilities, reason }
+     * @returns {Object} Transaction result with the updated certification
+     */
+    async updateLabTestScope(labId, scopeData) {
+        try {
+            // Check permissions - only regulators can manage lab certifications
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can change a lab\'s test scope');
+            }
+
+            const result = await this.fabricService.submitTransaction(
+                'QualityTestContract',
+                'updateLabTestScope',
+                labId,
+                JSON.stringify(scopeData)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Lab ${labId} certified for ${result.result.testCapabilities.join(', ')}`,
+                {
+                    transactionType: 'updateLabTestScope',
+                    labId,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`updateLabTestScope failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'updateLabTestScope');
+        }
+    }
+
+    /**
+     * Get a lab's certification, with its status as of now
+     * @param {string} labId - Lab identifier
+     * @returns {Object} Lab certification
+     */
+    async getLabCertification(labId) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'QualityTestContract',
+                'getLabCertification',
+                labId
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Lab ${labId} certification is ${result.result.effectiveStatus}`,
+                {
+                    queryType: 'getLabCertification',
+                    labId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getLabCertification failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getLabCertification');
+        }
+    }
+
+    /**
+     * Add a new version of a herb's quality standards (for regulators)
+     * @param {string} herbType - Herb, or a standards entry such as default
+     * @param {Object} standardsData - { standards, reason, effectiveFrom? }
+     * @returns {Object} Transaction result with the new version
+     */
+    async updateQualityStandards(herbType, standardsData) {
+        try {
+            // Check permissions - only regulators can update quality standards
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can update quality standards');
+            }
+
+            const result = await this.fabricService.submitTransaction(
+                'QualityTestContract',
+                'updateQualityStandards',
+                herbType,
+                JSON.stringify(standardsData)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                result.result.message,
+                {
+                    transactionType: 'updateQualityStandards',
+                    herbType,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`updateQualityStandards failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'updateQualityStandards');
+        }
+    }
+
+    /**
+     * Get the quality standards in effect for a herb
+     * @param {string} herbType - Herb, or a standards entry such as default
+     * @returns {Object} Quality standards with their version
+     */
+    async getQualityStandards(herbType) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'QualityTestContract',
+                'getQualityStandards',
+                herbType
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Version ${result.result.version} of the ${result.result.standardsRef} quality standards`,
+                {
+                    queryType: 'getQualityStandards',
+                    herbType
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getQualityStandards failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getQualityStandards');
+        }
+    }
+
+    /**
+     * Get every version of a herb's quality standards, oldest first
+     * @param {string} herbType - Herb, or a standards entry such as default
+     * @returns {Object} Standards versions
+     */
+    async getQualityStandardsHistory(herbType) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'QualityTestContract',
+                'getQualityStandardsHistory',
+                herbType
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `${result.result.versions.length} version(s) of the ${result.result.standardsRef} quality standards`,
+                {
+                    queryType: 'getQualityStandardsHistory',
+                    herbType
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getQualityStandardsHistory failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getQualityStandardsHistory');
+        }
+    }
+
+    /**
+     * Re-evaluate passing tests of released batches against a version of a herb's
+     * quality standards (for regulators)
+     * @param {string} herbType - Herb, or a standards entry such as default
+     * @param {number|string} version - Version to evaluate against; defaults to the latest
+     * @returns {Object} Tests and batches that fail the version
+     */
+    async reevaluateReleasedTests(herbType, version = '') {
+        try {
+            // Check permissions - only regulators can re-evaluate released batches
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can re-evaluate released batches');
+            }
+
+            const result = await this.fabricService.evaluateTransaction(
+                'QualityTestContract',
+                'reevaluateReleasedTests',
+                herbType,
+                version ? version.toString() : ''
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                result.result.message,
+                {
+                    queryType: 'reevaluateReleasedTests',
+                    herbType,
+                    version: result.result.version
+                }
+            );
+
+        } catch (error) {
+            logger.error(`reevaluateReleasedTests failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'reevaluateReleasedTests');
+        }
+    }
+
+    /**
+     * Set the maximum residue limit of a pesticide (for regulators)
+     * @param {Object} mrlData - { pesticideName, herbType?, mrl, unit?, source?, reason }; herbType defaults to all herbs
+     * @returns {Object} Transaction result with the pesticide's limits
+     */
+    async setPesticideMrl(mrlData) {
+        try {
+            // Check permissions - only regulators can set residue limits
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can set pesticide residue limits');
+            }
+
+            const result = await this.fabricService.submitTransaction(
+                'QualityTestContract',
+                'setPesticideMrl',
+                JSON.stringify(mrlData)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                result.result.message,
+                {
+                    transactionType: 'setPesticideMrl',
+                    pesticideName: mrlData.pesticideName,
+                    organization: this.currentOrg,
+                    user: this.currentUser
+                }
+            );
+
+        } catch (error) {
+            logger.error(`setPesticideMrl failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'setPesticideMrl');
+        }
+    }
+
+    /**
+     * Get the pesticide MRL table, or the limits of one pesticide
+     * @param {string} pesticideName - Pesticide name; omit for the whole table
+     * @returns {Object} Pesticide MRL records
+     */
+    async getPesticideMrls(pesticideName = null) {
+        try {
+            const result = pesticideName
+                ? await this.fabricService.evaluateTransaction('QualityTestContract', 'getPesticideMrl', pesticideName)
+                : await this.fabricService.evaluateTransaction('QualityTestContract', 'getPesticideMrls');
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                pesticideName ? `MRLs of ${pesticideName}` : `MRLs of ${result.result.length} pesticide(s)`,
+                {
+                    queryType: pesticideName ? 'getPesticideMrl' : 'getPesticideMrls',
+                    pesticideName
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getPesticideMrls failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getPesticideMrls');
+        }
+    }
+
+    /**
+     * Register the signing key of a farmer, processing facility or lab
+     * Defaults to the public key of the connected wallet identity, which is the key
+     * signRecord() signs with
+     * @param {Object} actorData - { actorId, actorType, publicKey? }
+     * @returns {Object} Transaction result with key fingerprint
+     */
+    async registerActorKey(actorData) {
+        try {
+            const actorKey = {
+                actorId: actorData.actorId || this.currentUser,
+                actorType: actorData.actorType,
+                publicKey: actorData.publicKey || await this.fabricService.getPublicKey()
+            };
+
+            logger.info(`Registering signing key for ${actorKey.actorType} ${actorKey.actorId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'ActorRegistryContract',
+                'registerActorKey',
+                JSON.stringify(actorKey)
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Signing key registered for ${actorKey.actorId}`,
+                {
+                    transactionType: 'registerActorKey',
+                    organization: this.currentOrg,
+                    user: this.currentUser,
+                    actorId: actorKey.actorId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`registerActorKey failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'registerActorKey');
+        }
+    }
+
+    /**
+     * Replace an actor's signing key
+     * @param {string} actorId - Actor identifier
+     * @param {string} publicKey - New PEM public key (defaults to the wallet identity's key)
+     * @returns {Object} Transaction result
+     */
+    async rotateActorKey(actorId, publicKey = null) {
+        try {
+            logger.info(`Rotating signing key for ${actorId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'ActorRegistryContract',
+                'rotateActorKey',
+                actorId,
+                publicKey || await this.fabricService.getPublicKey()
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Signing key rotated for ${actorId}`,
+                {
+                    transactionType: 'rotateActorKey',
+                    organization: this.currentOrg,
+                    user: this.currentUser,
+                    actorId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`rotateActorKey failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'rotateActorKey');
+        }
+    }
+
+    /**
+     * Revoke an actor's signing key (for regulators)
+     * @param {string} actorId - Actor identifier
+     * @param {string} reason - Revocation reason
+     * @returns {Object} Transaction result
+     */
+    async revokeActorKey(actorId, reason) {
+        try {
+            // Check permissions - only regulators can revoke signing keys
+            if (this.currentOrg !== 'regulator') {
+                throw new Error('Only regulators can revoke signing keys');
+            }
+
+            logger.info(`Revoking signing key for ${actorId}`);
+
+            const result = await this.fabricService.submitTransaction(
+                'ActorRegistryContract',
+                'revokeActorKey',
+                actorId,
+                reason
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Signing key revoked for ${actorId}`,
+                {
+                    transactionType: 'revokeActorKey',
+                    organization: this.currentOrg,
+                    user: this.currentUser,
+                    actorId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`revokeActorKey failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'revokeActorKey');
+        }
+    }
+
+    /**
+     * Get an actor's registered signing key
+     * @param {string} actorId - Actor identifier
+     * @returns {Object} Key record with status and previous keys
+     */
+    async getActorKey(actorId) {
+        try {
+            const result = await this.fabricService.evaluateTransaction(
+                'ActorRegistryContract',
+                'getActorKey',
+                actorId
+            );
+
+            return APIUtils.formatSuccessResponse(
+                result.result,
+                `Signing key retrieved for ${actorId}`,
+                {
+                    queryType: 'getActorKey',
+                    actorId
+                }
+            );
+
+        } catch (error) {
+            logger.error(`getActorKey failed: ${error.message}`);
+            return APIUtils.formatErrorResponse(error, 'getActorKey');
+        }
+    }
+
+    /**
+     * Sign a collection, processing or test record with the wallet identity's key
+     * The signature covers the canonical JSON of the record without digitalSignature,
+     * which is what the chaincode verifies against the actor's registered key
+     * @param {Object} record - Record to sign
+     * @returns {string} Hex encoded signature
+     */
+    async signRecord(record) {
+        const { digitalSignature, ...signedFields } = record;
+        return this.fabricService.signPayload(APIUtils.canonicalize(signedFields));
+    }
+
     /**
      * Disconnect from blockchain network
      */
@@ -78,7 +78,45 @@ module.exports = {
     // JWT authentication
     jwt: {
         secret: process.env.JWT_SECRET || 'ayurveda-traceability-secret-key',
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m', // access token lifetime
+        refreshTokenTtlMs: parseInt(process.env.REFRESH_TOKEN_TTL_MS, 10) || 7 * 24 * 60 * 60 * 1000 // 7 days
+    },
+
+    // Login sessions and token revocation (in-memory when REDIS_URL is not set)
+    sessions: {
+        redisUrl: process.env.REDIS_URL,
+        keyPrefix: process.env.SESSION_KEY_PREFIX || 'ayurveda:auth:',
+        maxSessionsPerUser: parseInt(process.env.MAX_SESSIONS_PER_USER, 10) || 10
+    },
+
+    // Chaincode event listener feeding the in-process event dispatcher
+    events: {
+        enabled: process.env.EVENT_LISTENER_ENABLED !== 'false',
+        chaincodeEventName: 'TraceabilityEvents',
+        checkpointFile: process.env.EVENT_CHECKPOINT_FILE || './checkpoints/chaincode-events.json',
+        // Identity the listener connects with; any member of the channel receives all blocks
+        identity: {
+            organization: process.env.EVENT_LISTENER_ORG || 'regulator',
+            userId: process.env.EVENT_LISTENER_USER || 'event-listener'
+        }
+    },
+
+    // User accounts and credential storage
+    auth: {
+        bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
+        passwordMinLength: 8,
+        maxFailedAttempts: parseInt(process.env.AUTH_MAX_FAILED_ATTEMPTS, 10) || 5,
+        lockDurationMs: parseInt(process.env.AUTH_LOCK_DURATION_MS, 10) || 15 * 60 * 1000, // 15 minutes
+        passwordResetTtlMs: 60 * 60 * 1000, // 1 hour
+
+        // Shared secret for onboarding services calling POST /api/auth/register
+        registrationKey: process.env.REGISTRATION_API_KEY,
+
+        // AES-256 key (64 hex chars) for credentials the onboarding services hold on behalf of users
+        credentialStoreKey: process.env.CREDENTIAL_STORE_KEY,
+
+        // Fabric CA registrar identity in the wallet
+        caAdminId: process.env.CA_ADMIN_ID || 'admin'
     },
 
     // Role-based access control
@@ -90,6 +128,13 @@ module.exports = {
         REGULATOR: 'regulator'
     },
 
+    // Ledger actor type whose records each role signs (see ActorRegistryContract)
+    actorTypes: {
+        farmer: 'Farmer',
+        processor: 'ProcessingFacility',
+        lab: 'Lab'
+    },
+
     // API rate limiting
     rateLimiting: {
         windowMs: 15 * 60 * 1000, // 15 minutes
@@ -121,6 +166,26 @@ module.exports = {
         uploadPath: './uploads'
     },
 
+    // Per-identity Fabric gateway pool
+    gatewayPool: {
+        idleTimeoutMs: parseInt(process.env.GATEWAY_IDLE_TIMEOUT_MS, 10) || 10 * 60 * 1000, // 10 minutes
+        sweepIntervalMs: parseInt(process.env.GATEWAY_SWEEP_INTERVAL_MS, 10) || 60 * 1000, // 1 minute
+        defaultMaxConnections: parseInt(process.env.GATEWAY_MAX_CONNECTIONS_PER_ORG, 10) || 20,
+        maxConnectionsPerOrg: {
+            farmer: parseInt(process.env.GATEWAY_MAX_CONNECTIONS_FARMER, 10) || 50,
+            processor: parseInt(process.env.GATEWAY_MAX_CONNECTIONS_PROCESSOR, 10) || 20,
+            lab: parseInt(process.env.GATEWAY_MAX_CONNECTIONS_LAB, 10) || 20,
+            distributor: parseInt(process.env.GATEWAY_MAX_CONNECTIONS_DISTRIBUTOR, 10) || 20,
+            regulator: parseInt(process.env.GATEWAY_MAX_CONNECTIONS_REGULATOR, 10) || 10
+        },
+
+        // Identity used for unauthenticated consumer lookups (QR trace)
+        publicIdentity: {
+            organization: process.env.PUBLIC_QUERY_ORG || 'distributor',
+            userId: process.env.PUBLIC_QUERY_USER || 'public-query'
+        }
+    },
+
     // Blockchain query configuration
     blockchain: {
         retryAttempts: 3,
@@ -1,6 +1,7 @@
-const { Gateway, Wallets } = require('fabric-network');
+const { Gateway, Wallets, DefaultCheckpointers } = require('fabric-network');
 const { X509Identity } = require('fabric-network');
 const FabricCAServices = require('fabric-ca-client');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
@@ -16,6 +17,8 @@ class FabricService {
         this.wallet = null;
         this.contract = null;
         this.network = null;
+        this.eventListener = null;
+        this.userId = null;
     }
 
     /**
@@ -56,6 +59,7 @@ class FabricService {
             // Get network and contract
             this.network = await this.gateway.getNetwork(config.fabric.channelName);
             this.contract = this.network.getContract(config.fabric.chaincodeName);
+            this.userId = userId;
 
             logger.info(`Fabric service initialized successfully for ${org}/${userId}`);
             return true;
@@ -172,6 +176,86 @@ class FabricService {
         }
     }
 
+    /**
+     * Register a new user with the organization's CA and enroll it into the wallet
+     * Uses the CA registrar identity (config.auth.caAdminId) from the wallet
+     * Fails with statusCode 409 if the wallet already holds an identity under userId
+     * @param {string} org - Organization name
+     * @param {string} userId - User identifier
+     * @param {string} role - User role
+     * @param {Object} attributes - Certificate attributes
+     * @returns {Object} Enrollment details
+     */
+    async registerUser(org, userId, role, attributes = {}) {
+        try {
+            logger.info(`Registering user ${userId} with CA for organization ${org}`);
+
+            if (!this.wallet) {
+                this.wallet = await Wallets.newFileSystemWallet(config.fabric.wallet.path);
+            }
+
+            const orgConfig = config.fabric.connectionProfiles[org];
+            if (!orgConfig) {
+                throw new Error(`Connection profile not found for organization: ${org}`);
+            }
+
+            // A new account must never be bound to an identity someone already holds,
+            // least of all the CA registrar's
+            if (userId === config.auth.caAdminId) {
+                throw FabricService.conflictError(`Identity ${userId} is reserved for the CA registrar`);
+            }
+            const existingIdentity = await this.wallet.get(userId);
+            if (existingIdentity) {
+                throw FabricService.conflictError(existingIdentity.mspId === orgConfig.mspId
+                    ? `Identity ${userId} is already enrolled in the wallet`
+                    : `Identity ${userId} is already enrolled in the wallet for ${existingIdentity.mspId}, not ${orgConfig.mspId}`);
+            }
+
+            const adminIdentity = await this.wallet.get(config.auth.caAdminId);
+            if (!adminIdentity) {
+                throw new Error(`CA registrar identity ${config.auth.caAdminId} not found in wallet`);
+            }
+
+            const provider = this.wallet.getProviderRegistry().getProvider(adminIdentity.type);
+            const adminUser = await provider.getUserContext(adminIdentity, config.auth.caAdminId);
+
+            const caInfo = this.getCAInfo(org);
+            const ca = new FabricCAServices(caInfo.url, { trustedRoots: [], verify: false }, caInfo.caName);
+
+            // Role and attributes are embedded in the certificate for chaincode access control
+            const attrs = [{ name: 'role', value: role, ecert: true }].concat(
+                Object.entries(attributes)
+                    .filter(([, value]) => value !== undefined && value !== null)
+                    .map(([name, value]) => ({ name, value: String(value), ecert: true }))
+            );
+
+            const secret = await ca.register({
+                enrollmentID: userId,
+                role: 'client',
+                attrs
+            }, adminUser);
+
+            await this.enrollUser(org, userId, secret);
+
+            return { enrollmentId: userId, mspId: orgConfig.mspId };
+
+        } catch (error) {
+            logger.error(`Failed to register user ${userId}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Create an error for an identity that cannot be registered because it exists
+     * @param {string} message - Error message
+     * @returns {Error} Error with statusCode 409
+     */
+    static conflictError(message) {
+        const error = new Error(message);
+        error.statusCode = 409;
+        return error;
+    }
+
     /**
      * Get CA information for organization
      * @param {string} org - Organization name
@@ -259,11 +343,74 @@ class FabricService {
         }
     }
 
+    /**
+     * Listen for chaincode events and hand each one to a dispatcher
+     * The checkpoint file records the last processed block and transactions, so a
+     * restarted listener resumes where it stopped instead of missing or replaying events
+     * @param {Object} dispatcher - Object with async dispatch(event)
+     * @param {Object} options - { checkpointFile, eventName }
+     */
+    async startEventListener(dispatcher, options = {}) {
+        if (!this.contract) {
+            throw new Error('Contract not initialized. Call initialize() first.');
+        }
+        if (this.eventListener) {
+            return;
+        }
+
+        const checkpointFile = path.resolve(options.checkpointFile || config.events.checkpointFile);
+        const eventName = options.eventName || config.events.chaincodeEventName;
+        fs.mkdirSync(path.dirname(checkpointFile), { recursive: true });
+        const checkpointer = await DefaultCheckpointers.file(checkpointFile);
+
+        this.eventListener = async (contractEvent) => {
+            if (contractEvent.eventName !== eventName || !contractEvent.payload) {
+                return;
+            }
+
+            const transactionEvent = contractEvent.getTransactionEvent();
+            const blockNumber = transactionEvent.getBlockEvent().blockNumber.toString();
+
+            let envelope;
+            try {
+                envelope = JSON.parse(contractEvent.payload.toString());
+            } catch (error) {
+                logger.error(`Unreadable chaincode event in tx ${transactionEvent.transactionId}: ${error.message}`);
+                return;
+            }
+
+            // A transaction publishes all of its events in one envelope
+            for (const event of envelope.events || []) {
+                await dispatcher.dispatch({
+                    ...event,
+                    txId: envelope.txId || transactionEvent.transactionId,
+                    blockNumber,
+                    timestamp: envelope.timestamp
+                });
+            }
+        };
+
+        await this.contract.addContractListener(this.eventListener, { checkpointer });
+        logger.info(`Listening for ${eventName} chaincode events (checkpoint: ${checkpointFile})`);
+    }
+
+    /**
+     * Stop listening for chaincode events
+     */
+    stopEventListener() {
+        if (this.eventListener && this.contract) {
+            this.contract.removeContractListener(this.eventListener);
+            logger.info('Chaincode event listener stopped');
+        }
+        this.eventListener = null;
+    }
+
     /**
      * Disconnect from gateway
      */
     async disconnect() {
         try {
+            this.stopEventListener();
             if (this.gateway) {
                 await this.gateway.disconnect();
                 this.gateway = null;
@@ -277,26 +424,62 @@ class FabricService {
     }
 
     /**
-     * Get transaction history for a key
-     * @param {string} key - Ledger key to get history for
-     * @returns {Array} Transaction history
+     * Sign a payload with the private key of the connected wallet identity
+     * @param {string} payload - Data to sign (canonical JSON for ledger records)
+     * @returns {string} Hex encoded SHA256 signature
      */
-    async getTransactionHistory(key) {
-        try {
-            if (!this.contract) {
-                throw new Error('Contract not initialized. Call initialize() first.');
-            }
+    async signPayload(payload) {
+        const identity = await this.getConnectedIdentity();
+        const sign = crypto.createSign('SHA256');
+        sign.update(payload);
+        return sign.sign(identity.credentials.privateKey, 'hex');
+    }
+
+    /**
+     * Get the public key of the connected wallet identity
+     * @returns {string} PEM (SPKI) public key taken from the identity's certificate
+     */
+    async getPublicKey() {
+        const identity = await this.getConnectedIdentity();
+        return crypto.createPublicKey(identity.credentials.certificate)
+            .export({ type: 'spki', format: 'pem' });
+    }
+
+    /**
+     * Get the wallet identity the service is connected as
+     * @returns {Object} X.509 identity
+     */
+    async getConnectedIdentity() {
+        if (!this.wallet || !this.userId) {
+            throw new Error('Fabric service is not initialized');
+        }
 
-            const historyResult = await this.contract.evaluateTransaction('GetHistoryForKey', key);
-            const history = JSON.parse(historyResult.toString());
+        const identity = await this.wallet.get(this.userId);
+        if (!identity) {
+            throw new Error(`Identity for user ${this.userId} not found in wallet`);
+        }
+        return identity;
+    }
+
+    /**
+     * Get transaction history for a batch record
+     * @param {string} batchId - Batch identifier
+     * @param {string} asOf - ISO date; when set, only the version in effect at that time is returned
+     * @returns {Object} Versions with txId, timestamp, submitting MSP and field changes, or the version as of asOf
+     */
+    async getTransactionHistory(batchId, asOf = null) {
+        try {
+            const { result } = asOf ?
+                await this.evaluateTransaction('ProvenanceContract', 'getBatchStateAsOf', batchId, asOf) :
+                await this.evaluateTransaction('ProvenanceContract', 'getBatchHistory', batchId);
 
             return {
                 success: true,
-                history: history
+                history: result
             };
 
         } catch (error) {
-            logger.error(`Failed to get transaction history for key ${key}: ${error.message}`);
+            logger.error(`Failed to get transaction history for batch ${batchId}: ${error.message}`);
             throw error;
         }
     }
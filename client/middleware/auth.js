@@ -1,7 +1,9 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config');
 const logger = require('../utils/logger');
 const APIUtils = require('../utils/api-utils');
+const sessionStore = require('../utils/session-store');
 
 /**
  * Authentication and Authorization Middleware
@@ -30,13 +32,26 @@ class AuthMiddleware {
 
             // Verify JWT token
             const decoded = jwt.verify(token, config.jwt.secret);
+
+            // Tokens are tied to a login session so they can be revoked before they expire
+            if (!decoded.sid || await sessionStore.isRevoked(decoded.sid)) {
+                logger.warn(`Rejected token for revoked session ${decoded.sid} (${decoded.userId})`);
+                return res.status(401).json(
+                    APIUtils.formatErrorResponse(
+                        new Error('Session revoked'),
+                        'authentication'
+                    )
+                );
+            }
             
             // Add user information to request
             req.user = {
                 userId: decoded.userId,
                 organization: decoded.organization,
                 role: decoded.role,
-                permissions: decoded.permissions || [],
+                sessionId: decoded.sid,
+                // Resolved from the role on every request so permission changes apply to issued tokens
+                permissions: AuthMiddleware.getRolePermissions(decoded.role),
                 iat: decoded.iat,
                 exp: decoded.exp
             };
@@ -131,6 +146,38 @@ class AuthMiddleware {
         };
     }
 
+    /**
+     * Authenticate a caller allowed to register accounts:
+     * an onboarding service presenting X-Registration-Key, or a regulator JWT
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @param {Function} next - Next middleware function
+     */
+    static authenticateRegistrar(req, res, next) {
+        const registrationKey = req.headers['x-registration-key'];
+        const expectedKey = config.auth.registrationKey;
+
+        if (registrationKey && expectedKey &&
+            registrationKey.length === expectedKey.length &&
+            crypto.timingSafeEqual(Buffer.from(registrationKey), Buffer.from(expectedKey))) {
+            req.registrar = 'service';
+            return next();
+        }
+
+        return AuthMiddleware.authenticate(req, res, () => {
+            if (req.user.role !== config.roles.REGULATOR) {
+                return res.status(403).json(
+                    APIUtils.formatErrorResponse(
+                        new Error('Only regulators or onboarding services can register users'),
+                        'registration'
+                    )
+                );
+            }
+            req.registrar = req.user.userId;
+            next();
+        });
+    }
+
     /**
      * Check specific permissions
      * @param {...string} requiredPermissions - Permissions required to access the resource
@@ -181,6 +228,39 @@ class AuthMiddleware {
         };
     }
 
+    /**
+     * Check that the user holds at least one of several permissions
+     * Used where different roles reach the same route through different permissions
+     * @param {...string} acceptedPermissions - Permissions that grant access
+     * @returns {Function} Express middleware function
+     */
+    static requireAnyPermission(...acceptedPermissions) {
+        return (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json(
+                    APIUtils.formatErrorResponse(
+                        new Error('Authentication required'),
+                        'permission_check'
+                    )
+                );
+            }
+
+            const userPermissions = req.user.permissions || [];
+            if (!acceptedPermissions.some(permission => userPermissions.includes(permission))) {
+                logger.warn(`Access denied for user ${req.user.userId}. Requires one of: ${acceptedPermissions.join(', ')}`);
+
+                return res.status(403).json(
+                    APIUtils.formatErrorResponse(
+                        new Error(`Missing permission: one of ${acceptedPermissions.join(', ')}`),
+                        'permission_check'
+                    )
+                );
+            }
+
+            next();
+        };
+    }
+
     /**
      * Validate resource ownership (for data access control)
      * @param {string} resourceParam - Request parameter containing resource ID
@@ -240,6 +320,7 @@ class AuthMiddleware {
                 userId: userData.userId,
                 organization: userData.organization,
                 role: userData.role,
+                sid: userData.sessionId,
                 permissions: userData.permissions || AuthMiddleware.getRolePermissions(userData.role),
                 iat: Math.floor(Date.now() / 1000)
             };
@@ -259,6 +340,50 @@ class AuthMiddleware {
         }
     }
 
+    /**
+     * Start a login session and issue its access and refresh tokens
+     * @param {Object} userData - { userId, organization, role }
+     * @param {Object} req - Express request object (for client details)
+     * @returns {Object} Token pair and session details
+     */
+    static async issueSessionTokens(userData, req) {
+        const { session, refreshToken } = await sessionStore.createSession(userData, {
+            ip: req.ip,
+            userAgent: req.headers['user-agent']
+        });
+
+        return {
+            token: AuthMiddleware.generateToken({ ...userData, sessionId: session.sessionId }),
+            expiresIn: config.jwt.expiresIn,
+            refreshToken,
+            refreshExpiresAt: session.expiresAt,
+            sessionId: session.sessionId
+        };
+    }
+
+    /**
+     * Rotate a refresh token and issue a new access token for its session
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object} New token pair and session details
+     */
+    static async refreshSessionTokens(refreshToken) {
+        const rotated = await sessionStore.rotateRefreshToken(refreshToken);
+        const { session } = rotated;
+
+        return {
+            token: AuthMiddleware.generateToken({
+                userId: session.userId,
+                organization: session.organization,
+                role: session.role,
+                sessionId: session.sessionId
+            }),
+            expiresIn: config.jwt.expiresIn,
+            refreshToken: rotated.refreshToken,
+            refreshExpiresAt: session.expiresAt,
+            sessionId: session.sessionId
+        };
+    }
+
     /**
      * Get default permissions for a role
      * @param {string} role - User role
@@ -270,34 +395,50 @@ class AuthMiddleware {
                 'harvest:create',
                 'harvest:view_own',
                 'batch:view_own',
-                'geofencing:validate'
+                'geofencing:validate',
+                'geofencing:view',
+                'actor_key:register'
             ],
             [config.roles.PROCESSOR]: [
                 'processing:create',
                 'processing:view_own',
                 'batch:view_assigned',
-                'batch:update_status'
+                'batch:update_status',
+                'geofencing:view',
+                'actor_key:register'
             ],
             [config.roles.LAB]: [
                 'test:create',
                 'test:view_own',
                 'test:validate',
                 'batch:view_assigned',
-                'quality:manage'
+                'quality:manage',
+                'geofencing:view',
+                'actor_key:register'
             ],
             [config.roles.DISTRIBUTOR]: [
                 'packaging:create',
                 'packaging:finalize',
                 'batch:view_assigned',
                 'distribution:manage',
-                'qr:generate'
+                'qr:generate',
+                'geofencing:view'
             ],
             [config.roles.REGULATOR]: [
                 'audit:view_all',
+                'batch:view_all',
+                'test:view_all',
                 'system:manage',
                 'quota:manage',
                 'geofencing:manage',
+                'geofencing:validate',
+                'geofencing:view',
                 'quality:standards',
+                'herb:manage',
+                'lab:manage',
+                'recall:manage',
+                'actor_key:register',
+                'actor_key:revoke',
                 'reports:generate',
                 'user:manage'
             ]
@@ -333,7 +474,11 @@ class AuthMiddleware {
     }
 
     /**
-     * Validate batch access permissions
+     * Validate batch access against the participants recorded on the ledger
+     * batch:view_all - any batch
+     * batch:view_own - batches the farmer harvested (including batches split or merged from them)
+     * batch:view_assigned - batches the processor, lab or distributor has worked on
+     * Must run after the gateway is attached (uses req.api)
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Next middleware function
@@ -349,8 +494,8 @@ class AuthMiddleware {
                 );
             }
 
-            // Regulators have access to all batches
-            if (req.user.role === config.roles.REGULATOR) {
+            const permissions = req.user.permissions || [];
+            if (permissions.includes('batch:view_all')) {
                 return next();
             }
 
@@ -364,10 +509,25 @@ class AuthMiddleware {
                 );
             }
 
-            // For other roles, batch access validation would require
-            // querying the blockchain to check if the user has rights to this batch
-            // This is a simplified check - in production, this would query the actual batch ownership
-            
+            const participantsResult = await req.api.getBatchParticipants(batchId);
+            if (!participantsResult.success) {
+                const notFound = /not found/i.test(participantsResult.error.message);
+                return res.status(notFound ? 404 : 500).json(participantsResult);
+            }
+
+            const participants = participantsResult.data;
+            req.batchParticipants = participants;
+
+            if (!AuthMiddleware.isBatchParticipant(req.user, participants)) {
+                logger.warn(`Batch access denied for user ${req.user.userId} on batch ${batchId}`);
+                return res.status(403).json(
+                    APIUtils.formatErrorResponse(
+                        new Error(`Access denied: ${req.user.userId} is not a participant of batch ${batchId}`),
+                        'batch_access_validation'
+                    )
+                );
+            }
+
             logger.info(`Batch access validated for user ${req.user.userId} on batch ${batchId}`);
             next();
 
@@ -379,6 +539,32 @@ class AuthMiddleware {
         }
     }
 
+    /**
+     * Check whether a user appears on a batch in a way their permissions cover
+     * @param {Object} user - Authenticated user (req.user)
+     * @param {Object} participants - Result of ProvenanceContract:getBatchParticipants
+     * @returns {boolean} True if the user may view the batch
+     */
+    static isBatchParticipant(user, participants) {
+        const permissions = user.permissions || [];
+
+        if (permissions.includes('batch:view_own') && participants.farmerIds.includes(user.userId)) {
+            return true;
+        }
+
+        if (permissions.includes('batch:view_assigned')) {
+            const assignedIds = {
+                [config.roles.PROCESSOR]: participants.processorIds,
+                [config.roles.LAB]: participants.labIds,
+                [config.roles.DISTRIBUTOR]: participants.distributorIds
+            }[user.role] || [];
+
+            return assignedIds.includes(user.userId);
+        }
+
+        return false;
+    }
+
     /**
      * Log user activity for audit purposes
      * @param {Object} req - Express request object
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * User Schema - Login accounts for API users
+ * Each account maps to one Fabric identity in the organization's wallet
+ */
+const UserSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    unique: true,
+    required: true,
+    index: true
+  },
+  organization: {
+    type: String,
+    required: true,
+    enum: ['farmer', 'processor', 'lab', 'distributor', 'regulator']
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['farmer', 'processor', 'lab', 'distributor', 'regulator']
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  contact: {
+    phone: String,
+    email: String
+  },
+  profile: {
+    type: {
+      type: String,
+      enum: ['Farmer', 'Lab', 'ProcessingFacility']
+    },
+    id: String
+  },
+  blockchainIdentity: {
+    mspId: String,
+    enrollmentId: String,
+    enrolled: { type: Boolean, default: false }
+  },
+  // Password held by an onboarding service to act for users without their own device (AES-256-GCM)
+  delegatedCredential: {
+    ciphertext: String,
+    iv: String,
+    authTag: String
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'PENDING_ENROLLMENT', 'DISABLED'],
+    default: 'ACTIVE'
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  passwordResetTokenHash: String,
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+UserSchema.index({ organization: 1 });
+UserSchema.index({ 'profile.id': 1 });
+
+// Method to set a new password
+UserSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, config.auth.bcryptRounds);
+  this.passwordChangedAt = new Date();
+};
+
+// Method to check a password
+UserSchema.methods.verifyPassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Method to check if the account is locked after failed logins
+UserSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to record a failed login, locking the account once the limit is reached
+UserSchema.methods.registerFailedLogin = async function() {
+  this.failedLoginAttempts += 1;
+  if (this.failedLoginAttempts >= config.auth.maxFailedAttempts) {
+    this.lockUntil = new Date(Date.now() + config.auth.lockDurationMs);
+    this.failedLoginAttempts = 0;
+  }
+  await this.save();
+};
+
+// Method to record a successful login
+UserSchema.methods.registerSuccessfulLogin = async function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  this.lastLoginAt = new Date();
+  await this.save();
+};
+
+// Method to create a one-time password reset token (only its hash is stored)
+UserSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + config.auth.passwordResetTtlMs);
+  return token;
+};
+
+// Method to check a password reset token
+UserSchema.methods.verifyPasswordResetToken = function(token) {
+  if (!this.passwordResetTokenHash || !this.passwordResetExpires || this.passwordResetExpires < new Date()) {
+    return false;
+  }
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(tokenHash), Buffer.from(this.passwordResetTokenHash));
+};
+
+// Method to get the account without secrets
+UserSchema.methods.toPublicJSON = function() {
+  return {
+    userId: this.userId,
+    organization: this.organization,
+    role: this.role,
+    status: this.status,
+    profile: this.profile,
+    enrollmentId: this.blockchainIdentity ? this.blockchainIdentity.enrollmentId : undefined,
+    blockchainEnrollment: this.blockchainIdentity ? this.blockchainIdentity.enrolled : false,
+    lastLoginAt: this.lastLoginAt
+  };
+};
+
+module.exports = mongoose.model('User', UserSchema);
@@ -160,6 +160,7 @@ class Database {
             require('../models/Farmer');
             require('../models/Lab');
             require('../models/ProcessingFacility');
+            require('../models/User');
 
             // Create indexes
             await mongoose.connection.db.collection('farmers').createIndex({ farmerId: 1 }, { unique: true });
@@ -174,6 +175,9 @@ class Database {
             await mongoose.connection.db.collection('processingfacilities').createIndex({ 'location.state': 1 });
             await mongoose.connection.db.collection('processingfacilities').createIndex({ capabilities: 1 });
 
+            await mongoose.connection.db.collection('users').createIndex({ userId: 1 }, { unique: true });
+            await mongoose.connection.db.collection('users').createIndex({ organization: 1 });
+
             logger.info('Database indexes created successfully');
         } catch (error) {
             logger.error('Error creating database indexes:', error);
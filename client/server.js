@@ -6,7 +6,14 @@ const rateLimit = require('express-rate-limit');
 const config = require('./config');
 const logger = require('./utils/logger');
 const AuthMiddleware = require('./middleware/auth');
-const TraceabilityAPI = require('./api/traceability-api');
+const GatewayPool = require('./api/gateway-pool');
+const FabricService = require('./fabric-service');
+const UserService = require('./services/user-service');
+const ZoneClosureNotifier = require('./services/zone-closure-notifier');
+const LabCertificationSync = require('./services/lab-certification-sync');
+const database = require('./models/database');
+const sessionStore = require('./utils/session-store');
+const eventDispatcher = require('./utils/event-dispatcher');
 const APIUtils = require('./utils/api-utils');
 
 /**
@@ -16,7 +23,10 @@ const APIUtils = require('./utils/api-utils');
 class TraceabilityServer {
     constructor() {
         this.app = express();
-        this.api = new TraceabilityAPI();
+        this.gatewayPool = new GatewayPool(config.gatewayPool);
+        this.userService = new UserService();
+        this.eventService = null;
+        this.zoneClosureNotifier = null;
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
@@ -80,6 +90,37 @@ class TraceabilityServer {
         });
     }
 
+    /**
+     * Attach a pooled TraceabilityAPI for the caller's identity as req.api
+     * The connection is returned to the pool once the response is sent
+     * @param {Object} identity - Fixed identity to use instead of req.user (optional)
+     * @returns {Function} Express middleware
+     */
+    attachGateway(identity = null) {
+        return async (req, res, next) => {
+            const { organization, userId } = identity || req.user;
+            try {
+                req.api = await this.gatewayPool.acquire(organization, userId);
+            } catch (error) {
+                logger.error(`Gateway connection failed for ${organization}:${userId}: ${error.message}`);
+                return res.status(error.statusCode || 500).json(
+                    APIUtils.formatErrorResponse(error, 'gateway_connection')
+                );
+            }
+
+            let released = false;
+            const release = () => {
+                if (!released) {
+                    released = true;
+                    this.gatewayPool.release(organization, userId);
+                }
+            };
+            res.on('finish', release);
+            res.on('close', release);
+            next();
+        };
+    }
+
     /**
      * Set up API routes with role-based access control
      */
@@ -90,7 +131,12 @@ class TraceabilityServer {
                 status: 'healthy',
                 timestamp: new Date().toISOString(),
                 version: '1.0.0',
-                uptime: process.uptime()
+                uptime: process.uptime(),
+                gatewayPool: this.gatewayPool.getStats(),
+                events: {
+                    listening: !!(this.eventService && this.eventService.eventListener),
+                    ...eventDispatcher.getStats()
+                }
             });
         });
 
@@ -98,57 +144,214 @@ class TraceabilityServer {
         this.app.post('/api/auth/login', async (req, res) => {
             try {
                 const { userId, organization, password } = req.body;
-                
-                // In a real implementation, this would validate credentials against a database
-                // For demo purposes, we'll create a token for valid combinations
-                const validCredentials = {
-                    'farmer001': { org: 'farmer', role: config.roles.FARMER },
-                    'processor001': { org: 'processor', role: config.roles.PROCESSOR },
-                    'lab001': { org: 'lab', role: config.roles.LAB },
-                    'distributor001': { org: 'distributor', role: config.roles.DISTRIBUTOR },
-                    'regulator001': { org: 'regulator', role: config.roles.REGULATOR }
-                };
-
-                const userInfo = validCredentials[userId];
-                if (!userInfo || userInfo.org !== organization) {
-                    return res.status(401).json(
-                        APIUtils.formatErrorResponse(
-                            new Error('Invalid credentials'),
-                            'authentication'
-                        )
-                    );
-                }
-
-                const token = AuthMiddleware.generateToken({
-                    userId,
-                    organization,
-                    role: userInfo.role
-                });
+                const user = await this.userService.authenticate(userId, organization, password);
+
+                const tokens = await AuthMiddleware.issueSessionTokens({
+                    userId: user.userId,
+                    organization: user.organization,
+                    role: user.role
+                }, req);
 
                 res.json(APIUtils.formatSuccessResponse(
-                    { token, expiresIn: config.jwt.expiresIn },
+                    {
+                        ...tokens,
+                        user: user.toPublicJSON(),
+                        organization: user.organization
+                    },
                     'Login successful'
                 ));
 
             } catch (error) {
                 logger.error(`Login failed: ${error.message}`);
-                res.status(500).json(APIUtils.formatErrorResponse(error, 'authentication'));
+                res.status(error.statusCode || 500).json(APIUtils.formatErrorResponse(error, 'authentication'));
+            }
+        });
+
+        // Exchange refresh token for a new token pair (the old refresh token stops working)
+        this.app.post('/api/auth/refresh', async (req, res) => {
+            try {
+                const tokens = await AuthMiddleware.refreshSessionTokens(req.body.refreshToken);
+                res.json(APIUtils.formatSuccessResponse(tokens, 'Token refreshed'));
+            } catch (error) {
+                logger.error(`Token refresh failed: ${error.message}`);
+                res.status(401).json(APIUtils.formatErrorResponse(error, 'token_refresh'));
             }
         });
 
+        // Logout (revokes the current session)
+        this.app.post('/api/auth/logout',
+            AuthMiddleware.authenticate,
+            async (req, res) => {
+                try {
+                    await sessionStore.revokeSession(req.user.sessionId);
+                    res.json(APIUtils.formatSuccessResponse({ loggedOut: true }, 'Logged out'));
+                } catch (error) {
+                    logger.error(`Logout failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'logout'));
+                }
+            }
+        );
+
+        // List own active sessions
+        this.app.get('/api/auth/sessions',
+            AuthMiddleware.authenticate,
+            async (req, res) => {
+                try {
+                    const sessions = await sessionStore.listSessions(req.user.userId);
+                    res.json(APIUtils.formatSuccessResponse(
+                        sessions.map(session => ({ ...session, current: session.sessionId === req.user.sessionId })),
+                        `${sessions.length} active sessions`
+                    ));
+                } catch (error) {
+                    logger.error(`List sessions failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'list_sessions'));
+                }
+            }
+        );
+
+        // Revoke one of own sessions (regulators can revoke any session)
+        this.app.delete('/api/auth/sessions/:sessionId',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.auditLog,
+            async (req, res) => {
+                try {
+                    const session = await sessionStore.getSession(req.params.sessionId);
+                    if (!session) {
+                        return res.status(404).json(APIUtils.formatErrorResponse(new Error('Session not found'), 'revoke_session'));
+                    }
+                    if (session.userId !== req.user.userId && req.user.role !== config.roles.REGULATOR) {
+                        return res.status(403).json(APIUtils.formatErrorResponse(new Error('Access denied'), 'revoke_session'));
+                    }
+
+                    await sessionStore.revokeSession(session.sessionId);
+                    res.json(APIUtils.formatSuccessResponse({ sessionId: session.sessionId, revoked: true }, 'Session revoked'));
+                } catch (error) {
+                    logger.error(`Revoke session failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'revoke_session'));
+                }
+            }
+        );
+
+        // List a user's active sessions (only regulators)
+        this.app.get('/api/auth/users/:userId/sessions',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('user:manage'),
+            async (req, res) => {
+                try {
+                    const sessions = await sessionStore.listSessions(req.params.userId);
+                    res.json(APIUtils.formatSuccessResponse(sessions, `${sessions.length} active sessions`));
+                } catch (error) {
+                    logger.error(`List user sessions failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'list_sessions'));
+                }
+            }
+        );
+
+        // Revoke all sessions of a user, e.g. staff leaving or a lost phone (only regulators)
+        this.app.delete('/api/auth/users/:userId/sessions',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('user:manage'),
+            AuthMiddleware.auditLog,
+            async (req, res) => {
+                try {
+                    const revoked = await sessionStore.revokeUserSessions(req.params.userId);
+                    res.json(APIUtils.formatSuccessResponse(
+                        { userId: req.params.userId, revokedSessions: revoked },
+                        'All sessions revoked'
+                    ));
+                } catch (error) {
+                    logger.error(`Revoke user sessions failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'revoke_sessions'));
+                }
+            }
+        );
+
+        // Register user account and Fabric identity (regulators and onboarding services)
+        this.app.post('/api/auth/register',
+            AuthMiddleware.authenticateRegistrar,
+            async (req, res) => {
+                try {
+                    const user = await this.userService.register(req.body);
+                    res.status(201).json(APIUtils.formatSuccessResponse(user, 'User registered successfully'));
+                } catch (error) {
+                    logger.error(`User registration failed: ${error.message}`);
+                    res.status(error.statusCode || 500).json(APIUtils.formatErrorResponse(error, 'registration'));
+                }
+            }
+        );
+
+        // Request password reset code (sent by SMS)
+        this.app.post('/api/auth/password/forgot', async (req, res) => {
+            try {
+                await this.userService.requestPasswordReset(req.body.userId);
+                res.json(APIUtils.formatSuccessResponse(
+                    { requested: true },
+                    'If the account exists, a reset code has been sent'
+                ));
+            } catch (error) {
+                logger.error(`Password reset request failed: ${error.message}`);
+                res.status(500).json(APIUtils.formatErrorResponse(error, 'password_reset'));
+            }
+        });
+
+        // Reset password with reset code
+        this.app.post('/api/auth/password/reset', async (req, res) => {
+            try {
+                await this.userService.resetPassword(req.body);
+                res.json(APIUtils.formatSuccessResponse({ reset: true }, 'Password reset successfully'));
+            } catch (error) {
+                logger.error(`Password reset failed: ${error.message}`);
+                res.status(error.statusCode || 500).json(APIUtils.formatErrorResponse(error, 'password_reset'));
+            }
+        });
+
+        // Issue reset code for a user (only regulators)
+        this.app.post('/api/auth/users/:userId/password-reset',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('user:manage'),
+            AuthMiddleware.auditLog,
+            async (req, res) => {
+                try {
+                    const result = await this.userService.requestPasswordReset(req.params.userId, true);
+                    res.json(APIUtils.formatSuccessResponse(result, 'Password reset code issued'));
+                } catch (error) {
+                    logger.error(`Password reset issue failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'password_reset'));
+                }
+            }
+        );
+
+        // Unlock account after failed logins (only regulators)
+        this.app.post('/api/auth/users/:userId/unlock',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('user:manage'),
+            AuthMiddleware.auditLog,
+            async (req, res) => {
+                try {
+                    const user = await this.userService.unlock(req.params.userId);
+                    res.json(APIUtils.formatSuccessResponse(user, 'Account unlocked'));
+                } catch (error) {
+                    logger.error(`Account unlock failed: ${error.message}`);
+                    res.status(error.statusCode || 500).json(APIUtils.formatErrorResponse(error, 'account_unlock'));
+                }
+            }
+        );
+
         // Initialize API connection for authenticated user
         this.app.post('/api/init', 
             AuthMiddleware.authenticate,
             async (req, res) => {
                 try {
-                    await this.api.initialize(req.user.organization, req.user.userId);
+                    const { organization, userId } = req.user;
+                    await this.gatewayPool.acquire(organization, userId);
+                    this.gatewayPool.release(organization, userId);
                     res.json(APIUtils.formatSuccessResponse(
                         { initialized: true },
                         'API connection initialized'
                     ));
                 } catch (error) {
                     logger.error(`API initialization failed: ${error.message}`);
-                    res.status(500).json(APIUtils.formatErrorResponse(error, 'initialization'));
+                    res.status(error.statusCode || 500).json(APIUtils.formatErrorResponse(error, 'initialization'));
                 }
             }
         );
@@ -158,11 +361,12 @@ class TraceabilityServer {
         // Record harvest (only farmers)
         this.app.post('/api/harvest',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.FARMER),
+            AuthMiddleware.requirePermissions('harvest:create'),
             AuthMiddleware.auditLog,
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.recordHarvest(req.body);
+                    const result = await req.api.recordHarvest(req.body);
                     res.status(result.success ? 201 : 400).json(result);
                 } catch (error) {
                     logger.error(`Record harvest failed: ${error.message}`);
@@ -174,11 +378,13 @@ class TraceabilityServer {
         // Get farmer's batches
         this.app.get('/api/farmer/:farmerId/batches',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.FARMER, config.roles.REGULATOR),
+            AuthMiddleware.requireAnyPermission('batch:view_own', 'batch:view_all'),
             AuthMiddleware.validateOwnership('farmerId'),
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.getBatchesByFarmer(req.params.farmerId);
+                    const { pageSize, bookmark } = req.query;
+                    const result = await req.api.getBatchesByFarmer(req.params.farmerId, pageSize, bookmark);
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get farmer batches failed: ${error.message}`);
@@ -192,12 +398,12 @@ class TraceabilityServer {
         // Add processing step (only processors)
         this.app.post('/api/batch/:batchId/processing',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.PROCESSOR),
-            AuthMiddleware.validateBatchAccess,
+            AuthMiddleware.requirePermissions('processing:create'),
             AuthMiddleware.auditLog,
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.addProcessingStep(req.params.batchId, req.body);
+                    const result = await req.api.addProcessingStep(req.params.batchId, req.body);
                     res.status(result.success ? 201 : 400).json(result);
                 } catch (error) {
                     logger.error(`Add processing step failed: ${error.message}`);
@@ -211,12 +417,12 @@ class TraceabilityServer {
         // Upload lab result (only labs)
         this.app.post('/api/batch/:batchId/test',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.LAB),
-            AuthMiddleware.validateBatchAccess,
+            AuthMiddleware.requirePermissions('test:create'),
             AuthMiddleware.auditLog,
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.uploadLabResult(req.params.batchId, req.body);
+                    const result = await req.api.uploadLabResult(req.params.batchId, req.body);
                     res.status(result.success ? 201 : 400).json(result);
                 } catch (error) {
                     logger.error(`Upload lab result failed: ${error.message}`);
@@ -228,11 +434,12 @@ class TraceabilityServer {
         // Get test results for a batch
         this.app.get('/api/batch/:batchId/tests',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.LAB, config.roles.REGULATOR),
+            AuthMiddleware.requireAnyPermission('test:view_own', 'test:view_all'),
+            this.attachGateway(),
             AuthMiddleware.validateBatchAccess,
             async (req, res) => {
                 try {
-                    const result = await this.api.getBatchTestResults(req.params.batchId);
+                    const result = await req.api.getBatchTestResults(req.params.batchId);
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get test results failed: ${error.message}`);
@@ -246,12 +453,12 @@ class TraceabilityServer {
         // Finalize packaging (only distributors)
         this.app.post('/api/batch/:batchId/package',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.DISTRIBUTOR),
-            AuthMiddleware.validateBatchAccess,
+            AuthMiddleware.requirePermissions('packaging:create'),
             AuthMiddleware.auditLog,
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.finalizePackaging(req.params.batchId, req.body);
+                    const result = await req.api.finalizePackaging(req.params.batchId, req.body);
                     res.status(result.success ? 201 : 400).json(result);
                 } catch (error) {
                     logger.error(`Finalize packaging failed: ${error.message}`);
@@ -265,10 +472,12 @@ class TraceabilityServer {
         // Get provenance history (all authenticated users)
         this.app.get('/api/batch/:batchId/provenance',
             AuthMiddleware.authenticate,
+            AuthMiddleware.requireAnyPermission('batch:view_own', 'batch:view_assigned', 'batch:view_all'),
+            this.attachGateway(),
             AuthMiddleware.validateBatchAccess,
             async (req, res) => {
                 try {
-                    const result = await this.api.getProvenanceHistory(req.params.batchId);
+                    const result = await req.api.getProvenanceHistory(req.params.batchId);
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get provenance history failed: ${error.message}`);
@@ -277,11 +486,51 @@ class TraceabilityServer {
             }
         );
 
+        // Get every version of a batch with who changed what and when (?asOf=ISO date for a point-in-time state)
+        this.app.get('/api/batch/:batchId/history',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requireAnyPermission('batch:view_own', 'batch:view_assigned', 'batch:view_all'),
+            this.attachGateway(),
+            AuthMiddleware.validateBatchAccess,
+            async (req, res) => {
+                try {
+                    const { asOf } = req.query;
+                    if (asOf && isNaN(new Date(asOf).getTime())) {
+                        return res.status(400).json(APIUtils.formatErrorResponse(new Error('asOf must be an ISO date'), 'get_batch_history'));
+                    }
+
+                    const result = await req.api.getBatchHistory(req.params.batchId, asOf || null);
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get batch history failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_batch_history'));
+                }
+            }
+        );
+
+        // Get the zone a batch was harvested in, as it was at harvest time
+        this.app.get('/api/batch/:batchId/harvest-zone',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requireAnyPermission('batch:view_own', 'batch:view_assigned', 'batch:view_all'),
+            this.attachGateway(),
+            AuthMiddleware.validateBatchAccess,
+            async (req, res) => {
+                try {
+                    const result = await req.api.getBatchHarvestZone(req.params.batchId);
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get batch harvest zone failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_batch_harvest_zone'));
+                }
+            }
+        );
+
         // Get provenance by QR code (public endpoint for consumers)
         this.app.get('/api/trace/:qrCodeId',
+            this.attachGateway(config.gatewayPool.publicIdentity),
             async (req, res) => {
                 try {
-                    const result = await this.api.getProvenanceByQRCode(req.params.qrCodeId);
+                    const result = await req.api.getProvenanceByQRCode(req.params.qrCodeId);
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get provenance by QR failed: ${error.message}`);
@@ -290,14 +539,32 @@ class TraceabilityServer {
             }
         );
 
+        // Get recall status of a batch (all authenticated users)
+        this.app.get('/api/batch/:batchId/recall',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requireAnyPermission('batch:view_own', 'batch:view_assigned', 'batch:view_all'),
+            this.attachGateway(),
+            AuthMiddleware.validateBatchAccess,
+            async (req, res) => {
+                try {
+                    const result = await req.api.getBatchRecallStatus(req.params.batchId);
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get batch recall status failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_batch_recall_status'));
+                }
+            }
+        );
+
         // Validate GPS coordinates (farmers and regulators)
         this.app.post('/api/validate/gps',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.FARMER, config.roles.REGULATOR),
+            AuthMiddleware.requirePermissions('geofencing:validate'),
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const { herbType, coordinates } = req.body;
-                    const result = await this.api.validateGPSCoordinates(herbType, coordinates);
+                    const { herbType, coordinates, collectionDate, quantityKg } = req.body;
+                    const result = await req.api.validateGPSCoordinates(herbType, coordinates, { collectionDate, quantityKg });
                     res.json(result);
                 } catch (error) {
                     logger.error(`GPS validation failed: ${error.message}`);
@@ -306,12 +573,160 @@ class TraceabilityServer {
             }
         );
 
+        // Get zone harvest utilization (only regulators)
+        this.app.get('/api/zones/utilization',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('quota:manage'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const { year, threshold } = req.query;
+                    const result = await req.api.getZoneUtilizationReport(year, threshold);
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get zone utilization failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_zone_utilization'));
+                }
+            }
+        );
+
+        // Import zones from a GeoJSON FeatureCollection (only regulators)
+        this.app.post('/api/zones/import',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.importZones(req.body);
+                    res.status(result.success ? 201 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Import zones failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'import_zones'));
+                }
+            }
+        );
+
+        // Export zones as GeoJSON for mapping tools (only regulators)
+        this.app.get('/api/zones/export',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:manage'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const { herbType, zoneIds, includeInactive } = req.query;
+                    const result = await req.api.exportZones({
+                        herbType,
+                        zoneIds: zoneIds ? zoneIds.split(',') : undefined,
+                        includeInactive: includeInactive === 'true'
+                    });
+
+                    if (!result.success) {
+                        return res.status(400).json(result);
+                    }
+                    // Plain FeatureCollection so the response can be loaded directly into GIS tools
+                    res.type('application/geo+json').send(JSON.stringify(result.data));
+                } catch (error) {
+                    logger.error(`Export zones failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'export_zones'));
+                }
+            }
+        );
+
+        // Amend a zone; the previous version is kept (only regulators)
+        this.app.put('/api/zones/:zoneId',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.amendZone(req.params.zoneId, req.body);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Amend zone failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'amend_zone'));
+                }
+            }
+        );
+
+        // Close a zone for a period (only regulators)
+        this.app.post('/api/zones/:zoneId/closures',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.scheduleZoneClosure(req.params.zoneId, {
+                        ...req.body,
+                        regulatorId: req.user.userId
+                    });
+                    res.status(result.success ? 201 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Schedule zone closure failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'schedule_zone_closure'));
+                }
+            }
+        );
+
+        // Lift a zone closure early (only regulators)
+        this.app.post('/api/zones/:zoneId/closures/:closureId/lift',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.liftZoneClosure(req.params.zoneId, req.params.closureId, req.body.reason);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Lift zone closure failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'lift_zone_closure'));
+                }
+            }
+        );
+
+        // Get current and upcoming closures of a zone (all authenticated users)
+        this.app.get('/api/zones/:zoneId/closures',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:view'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getZoneClosures(req.params.zoneId, req.query.includePast === 'true');
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get zone closures failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_zone_closures'));
+                }
+            }
+        );
+
+        // Get every version of a zone (all authenticated users)
+        this.app.get('/api/zones/:zoneId/history',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:view'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getZoneHistory(req.params.zoneId);
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get zone history failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_zone_history'));
+                }
+            }
+        );
+
         // Get zones for herb type (all authenticated users)
         this.app.get('/api/zones/:herbType',
             AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('geofencing:view'),
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.getZonesForHerbType(req.params.herbType);
+                    const result = await req.api.getZonesForHerbType(req.params.herbType);
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get zones failed: ${error.message}`);
@@ -320,15 +735,288 @@ class TraceabilityServer {
             }
         );
 
+        // HERB CATALOG ENDPOINTS
+
+        // Get herb catalog (public, e.g. for collector apps and the SMS gateway)
+        this.app.get('/api/herbs',
+            this.attachGateway(config.gatewayPool.publicIdentity),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getHerbs(req.query.includeInactive === 'true');
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get herbs failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_herbs'));
+                }
+            }
+        );
+
+        // Resolve a herb name, synonym or SMS code to the catalog entry (public)
+        this.app.get('/api/herbs/resolve/:name',
+            this.attachGateway(config.gatewayPool.publicIdentity),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getHerb(req.params.name);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Resolve herb failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'resolve_herb'));
+                }
+            }
+        );
+
+        // Register herb (only regulators)
+        this.app.post('/api/herbs',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('herb:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.registerHerb(req.body);
+                    res.status(result.success ? 201 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Register herb failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'register_herb'));
+                }
+            }
+        );
+
+        // Update herb (only regulators)
+        this.app.put('/api/herbs/:herbId',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('herb:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.updateHerb(req.params.herbId, req.body);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Update herb failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'update_herb'));
+                }
+            }
+        );
+
+        // Register a lab certification (only regulators)
+        this.app.post('/api/labs/:labId/certification',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('lab:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.registerLabCertification(req.params.labId, req.body);
+                    res.status(result.success ? 201 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Register lab certification failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'register_lab_certification'));
+                }
+            }
+        );
+
+        // Suspend a lab certification (only regulators)
+        this.app.post('/api/labs/:labId/certification/suspend',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('lab:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.suspendLabCertification(req.params.labId, req.body.reason);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Suspend lab certification failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'suspend_lab_certification'));
+                }
+            }
+        );
+
+        // Reinstate a suspended lab certification (only regulators)
+        this.app.post('/api/labs/:labId/certification/reinstate',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('lab:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.reinstateLabCertification(req.params.labId, req.body.reason);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Reinstate lab certification failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'reinstate_lab_certification'));
+                }
+            }
+        );
+
+        // Renew a lab certification (only regulators)
+        this.app.post('/api/labs/:labId/certification/renew',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('lab:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.renewLabCertification(req.params.labId, req.body);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Renew lab certification failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'renew_lab_certification'));
+                }
+            }
+        );
+
+        // Change the test types a lab is certified for (only regulators)
+        this.app.put('/api/labs/:labId/certification/scope',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('lab:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.updateLabTestScope(req.params.labId, req.body);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Update lab test scope failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'update_lab_test_scope'));
+                }
+            }
+        );
+
+        // Get a lab certification (public, so buyers can check the lab behind a result)
+        this.app.get('/api/labs/:labId/certification',
+            this.attachGateway(config.gatewayPool.publicIdentity),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getLabCertification(req.params.labId);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Get lab certification failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_lab_certification'));
+                }
+            }
+        );
+
+        // QUALITY STANDARDS ENDPOINTS
+
+        // Get the quality standards in effect for a herb (public)
+        this.app.get('/api/quality-standards/:herbType',
+            this.attachGateway(config.gatewayPool.publicIdentity),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getQualityStandards(req.params.herbType);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Get quality standards failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_quality_standards'));
+                }
+            }
+        );
+
+        // Get every version of a herb's quality standards (public)
+        this.app.get('/api/quality-standards/:herbType/history',
+            this.attachGateway(config.gatewayPool.publicIdentity),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getQualityStandardsHistory(req.params.herbType);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Get quality standards history failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_quality_standards_history'));
+                }
+            }
+        );
+
+        // Add a new version of a herb's quality standards (only regulators)
+        this.app.put('/api/quality-standards/:herbType',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('quality:standards'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.updateQualityStandards(req.params.herbType, req.body);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Update quality standards failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'update_quality_standards'));
+                }
+            }
+        );
+
+        // Re-evaluate released batches against a version of the standards (only regulators)
+        this.app.get('/api/quality-standards/:herbType/reevaluation',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('quality:standards'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.reevaluateReleasedTests(req.params.herbType, req.query.version);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Re-evaluate released tests failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'reevaluate_released_tests'));
+                }
+            }
+        );
+
+        // Get the pesticide MRL table (public)
+        this.app.get('/api/pesticide-mrls',
+            this.attachGateway(config.gatewayPool.publicIdentity),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getPesticideMrls();
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get pesticide MRLs failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_pesticide_mrls'));
+                }
+            }
+        );
+
+        // Get the limits of one pesticide (public)
+        this.app.get('/api/pesticide-mrls/:pesticideName',
+            this.attachGateway(config.gatewayPool.publicIdentity),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getPesticideMrls(req.params.pesticideName);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Get pesticide MRL failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_pesticide_mrl'));
+                }
+            }
+        );
+
+        // Set a pesticide's residue limit for one herb or all herbs (only regulators)
+        this.app.post('/api/pesticide-mrls',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('quality:standards'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.setPesticideMrl(req.body);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Set pesticide MRL failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'set_pesticide_mrl'));
+                }
+            }
+        );
+
         // REGULATOR-ONLY ENDPOINTS
 
         // Get batches by status
         this.app.get('/api/batches/status/:status',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.REGULATOR),
+            AuthMiddleware.requirePermissions('audit:view_all'),
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.getBatchesByStatus(req.params.status);
+                    const { pageSize, bookmark } = req.query;
+                    const result = await req.api.getBatchesByStatus(req.params.status, pageSize, bookmark);
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get batches by status failed: ${error.message}`);
@@ -337,13 +1025,31 @@ class TraceabilityServer {
             }
         );
 
+        // Search batches with ad-hoc criteria
+        this.app.post('/api/batches/search',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('audit:view_all'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const { pageSize, bookmark, ...criteria } = req.body;
+                    const result = await req.api.searchBatches(criteria, pageSize, bookmark);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Search batches failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'search_batches'));
+                }
+            }
+        );
+
         // Get quota status
         this.app.get('/api/quota/:year?',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.REGULATOR),
+            AuthMiddleware.requirePermissions('quota:manage'),
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.getQuotaStatus(req.params.year);
+                    const result = await req.api.getQuotaStatus(req.params.year);
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get quota status failed: ${error.message}`);
@@ -355,10 +1061,11 @@ class TraceabilityServer {
         // Get system statistics
         this.app.get('/api/stats',
             AuthMiddleware.authenticate,
-            AuthMiddleware.authorize(config.roles.REGULATOR),
+            AuthMiddleware.requirePermissions('reports:generate'),
+            this.attachGateway(),
             async (req, res) => {
                 try {
-                    const result = await this.api.getSystemStats();
+                    const result = await req.api.getSystemStats();
                     res.json(result);
                 } catch (error) {
                     logger.error(`Get system stats failed: ${error.message}`);
@@ -367,6 +1074,165 @@ class TraceabilityServer {
             }
         );
 
+        // RECALL ENDPOINTS
+
+        // Issue recall (only regulators)
+        this.app.post('/api/recalls',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('recall:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.issueRecall({
+                        ...req.body,
+                        regulatorId: req.user.userId
+                    });
+                    res.status(result.success ? 201 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Issue recall failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'issue_recall'));
+                }
+            }
+        );
+
+        // List recalls
+        this.app.get('/api/recalls',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('recall:manage'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getRecalls(req.query.status);
+                    res.json(result);
+                } catch (error) {
+                    logger.error(`Get recalls failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_recalls'));
+                }
+            }
+        );
+
+        // Get recall details
+        this.app.get('/api/recalls/:recallId',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('recall:manage'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getRecall(req.params.recallId);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Get recall failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_recall'));
+                }
+            }
+        );
+
+        // Get affected batches, distributors and farmers
+        this.app.get('/api/recalls/:recallId/impact',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('recall:manage'),
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getRecallImpact(req.params.recallId);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Get recall impact failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_recall_impact'));
+                }
+            }
+        );
+
+        // Close recall
+        this.app.post('/api/recalls/:recallId/close',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('recall:manage'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.closeRecall(req.params.recallId, req.body.resolution);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Close recall failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'close_recall'));
+                }
+            }
+        );
+
+        // ACTOR SIGNING KEY ENDPOINTS
+
+        // Register signing key (defaults to the caller's wallet key)
+        this.app.post('/api/actors/keys',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('actor_key:register'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.registerActorKey({
+                        ...req.body,
+                        actorId: req.body.actorId || req.user.userId,
+                        actorType: req.body.actorType || config.actorTypes[req.user.role]
+                    });
+                    res.status(result.success ? 201 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Register actor key failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'register_actor_key'));
+                }
+            }
+        );
+
+        // Rotate signing key
+        this.app.put('/api/actors/:actorId/key',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('actor_key:register'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.rotateActorKey(req.params.actorId, req.body.publicKey);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Rotate actor key failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'rotate_actor_key'));
+                }
+            }
+        );
+
+        // Revoke signing key (only regulators)
+        this.app.delete('/api/actors/:actorId/key',
+            AuthMiddleware.authenticate,
+            AuthMiddleware.requirePermissions('actor_key:revoke'),
+            AuthMiddleware.auditLog,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.revokeActorKey(req.params.actorId, req.body.reason);
+                    res.status(result.success ? 200 : 400).json(result);
+                } catch (error) {
+                    logger.error(`Revoke actor key failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'revoke_actor_key'));
+                }
+            }
+        );
+
+        // Get signing key (all authenticated users, to verify record signatures)
+        this.app.get('/api/actors/:actorId/key',
+            AuthMiddleware.authenticate,
+            this.attachGateway(),
+            async (req, res) => {
+                try {
+                    const result = await req.api.getActorKey(req.params.actorId);
+                    res.status(result.success ? 200 : 404).json(result);
+                } catch (error) {
+                    logger.error(`Get actor key failed: ${error.message}`);
+                    res.status(500).json(APIUtils.formatErrorResponse(error, 'get_actor_key'));
+                }
+            }
+        );
+
         // API documentation endpoint
         this.app.get('/api/docs', (req, res) => {
             res.json({
@@ -375,12 +1241,23 @@ class TraceabilityServer {
                 description: 'Blockchain-based traceability system for Ayurvedic herbs',
                 endpoints: {
                     authentication: {
-                        'POST /api/auth/login': 'Login and get JWT token',
-                        'POST /api/init': 'Initialize API connection'
+                        'POST /api/auth/login': 'Login and get access and refresh tokens',
+                        'POST /api/auth/refresh': 'Rotate refresh token and get a new access token',
+                        'POST /api/auth/logout': 'Revoke current session',
+                        'GET /api/auth/sessions': 'List own active sessions',
+                        'DELETE /api/auth/sessions/:sessionId': 'Revoke a session',
+                        'GET /api/auth/users/:userId/sessions': 'List a user\'s sessions (regulator)',
+                        'DELETE /api/auth/users/:userId/sessions': 'Revoke all of a user\'s sessions (regulator)',
+                        'POST /api/auth/register': 'Register user and enroll Fabric identity (regulator or X-Registration-Key)',
+                        'POST /api/auth/password/forgot': 'Send password reset code by SMS',
+                        'POST /api/auth/password/reset': 'Reset password with reset code',
+                        'POST /api/auth/users/:userId/password-reset': 'Issue password reset code (regulator)',
+                        'POST /api/auth/users/:userId/unlock': 'Unlock account after failed logins (regulator)',
+                        'POST /api/init': 'Open a pooled blockchain connection for the caller'
                     },
                     farmer: {
                         'POST /api/harvest': 'Record harvest event',
-                        'GET /api/farmer/:farmerId/batches': 'Get farmer\'s batches'
+                        'GET /api/farmer/:farmerId/batches': 'Get farmer\'s batches (?pageSize=&bookmark=)'
                     },
                     processor: {
                         'POST /api/batch/:batchId/processing': 'Add processing step'
@@ -394,14 +1271,66 @@ class TraceabilityServer {
                     },
                     shared: {
                         'GET /api/batch/:batchId/provenance': 'Get provenance history',
+                        'GET /api/batch/:batchId/history': 'Get batch versions with field changes (?asOf= for state at a date)',
+                        'GET /api/batch/:batchId/harvest-zone': 'Get the zone version the harvest was validated against',
                         'GET /api/trace/:qrCodeId': 'Get provenance by QR code',
+                        'GET /api/batch/:batchId/recall': 'Get recall status of a batch',
                         'POST /api/validate/gps': 'Validate GPS coordinates',
-                        'GET /api/zones/:herbType': 'Get zones for herb type'
+                        'GET /api/zones/:herbType': 'Get zones for herb type',
+                        'GET /api/zones/:zoneId/history': 'Get every version of a zone',
+                        'GET /api/zones/:zoneId/closures': 'Get current and upcoming zone closures (?includePast=true)'
+                    },
+                    zones: {
+                        'POST /api/zones/import': 'Import zones from a GeoJSON FeatureCollection (regulator)',
+                        'GET /api/zones/export': 'Export zones as GeoJSON (?herbType=&zoneIds=a,b&includeInactive=true) (regulator)',
+                        'PUT /api/zones/:zoneId': 'Amend a zone with a reason; reports overlapping zones (regulator)',
+                        'POST /api/zones/:zoneId/closures': 'Close a zone from startDate to endDate with a reason; farmers in the zone are notified by SMS (regulator)',
+                        'POST /api/zones/:zoneId/closures/:closureId/lift': 'Reopen a zone before the closure ends (regulator)'
                     },
                     regulator: {
-                        'GET /api/batches/status/:status': 'Get batches by status',
+                        'GET /api/batches/status/:status': 'Get batches by status (?pageSize=&bookmark=)',
+                        'POST /api/batches/search': 'Search batches by herb, location, dates and test results',
                         'GET /api/quota/:year?': 'Get quota status',
+                        'GET /api/zones/utilization': 'Get zone harvest utilization (?year=&threshold=80)',
                         'GET /api/stats': 'Get system statistics'
+                    },
+                    recalls: {
+                        'POST /api/recalls': 'Issue recall for a batch and its derived batches',
+                        'GET /api/recalls': 'List recalls (?status=Active|Closed)',
+                        'GET /api/recalls/:recallId': 'Get recall details',
+                        'GET /api/recalls/:recallId/impact': 'Get affected batches, distributors and farmers',
+                        'POST /api/recalls/:recallId/close': 'Close recall'
+                    },
+                    herbs: {
+                        'GET /api/herbs': 'Get herb catalog (?includeInactive=true)',
+                        'GET /api/herbs/resolve/:name': 'Resolve herb name, synonym or SMS code (e.g. Giloy → Guduchi)',
+                        'POST /api/herbs': 'Register herb (regulator)',
+                        'PUT /api/herbs/:herbId': 'Update herb (regulator)'
+                    },
+                    labs: {
+                        'GET /api/labs/:labId/certification': 'Get lab certification with its current status (Active, Suspended or Expired)',
+                        'POST /api/labs/:labId/certification': 'Register lab certification with expiry date and test scope (regulator)',
+                        'POST /api/labs/:labId/certification/suspend': 'Suspend lab certification with a reason (regulator)',
+                        'POST /api/labs/:labId/certification/reinstate': 'Reinstate suspended lab certification with a reason (regulator)',
+                        'POST /api/labs/:labId/certification/renew': 'Extend lab certification to a new validUntil date (regulator)',
+                        'PUT /api/labs/:labId/certification/scope': 'Replace the test types a lab is certified for, with a reason (regulator)'
+                    },
+                    qualityStandards: {
+                        'GET /api/quality-standards/:herbType': 'Get the quality standards version in effect for a herb',
+                        'GET /api/quality-standards/:herbType/history': 'Get every version of a herb\'s quality standards',
+                        'PUT /api/quality-standards/:herbType': 'Add a new standards version, optionally effective from a later date, with a reason (regulator)',
+                        'GET /api/quality-standards/:herbType/reevaluation': 'Re-evaluate released batches against a standards version (?version=, defaults to latest) (regulator)'
+                    },
+                    pesticideMrls: {
+                        'GET /api/pesticide-mrls': 'Get the pesticide maximum residue limit table',
+                        'GET /api/pesticide-mrls/:pesticideName': 'Get the residue limits of a pesticide',
+                        'POST /api/pesticide-mrls': 'Set a pesticide MRL for one herb or all herbs, with unit and reason (regulator)'
+                    },
+                    actors: {
+                        'POST /api/actors/keys': 'Register signing key for collection, processing or test records',
+                        'PUT /api/actors/:actorId/key': 'Rotate signing key',
+                        'DELETE /api/actors/:actorId/key': 'Revoke signing key (regulator)',
+                        'GET /api/actors/:actorId/key': 'Get registered signing key'
                     }
                 },
                 roles: config.roles
@@ -454,18 +1383,47 @@ class TraceabilityServer {
         });
     }
 
+    /**
+     * Connect the chaincode event listener to the event dispatcher
+     * The API keeps serving requests if the listener cannot connect
+     */
+    async startEventListener() {
+        if (!config.events.enabled) {
+            return;
+        }
+
+        const { organization, userId } = config.events.identity;
+        try {
+            this.eventService = new FabricService();
+            await this.eventService.initialize(organization, userId);
+            this.zoneClosureNotifier = new ZoneClosureNotifier(this.eventService, this.userService.smsService);
+            this.zoneClosureNotifier.subscribe(eventDispatcher);
+            new LabCertificationSync().subscribe(eventDispatcher);
+            await this.eventService.startEventListener(eventDispatcher);
+        } catch (error) {
+            logger.warn(`Chaincode event listener not started: ${error.message}`);
+            this.eventService = null;
+        }
+    }
+
     /**
      * Start the server
      * @param {number} port - Port number
      * @returns {Promise} Server instance
      */
     async start(port = config.server.port) {
+        // User accounts are required for login
+        await database.connect();
+        await sessionStore.connect();
+
         return new Promise((resolve, reject) => {
             try {
                 const server = this.app.listen(port, config.server.host, () => {
                     logger.info(`🚀 Ayurvedic Herb Traceability API Server running on http://${config.server.host}:${port}`);
                     logger.info(`📚 API Documentation available at http://${config.server.host}:${port}/api/docs`);
                     logger.info(`🏥 Health check available at http://${config.server.host}:${port}/health`);
+                    this.gatewayPool.start();
+                    this.startEventListener();
                     resolve(server);
                 });
 
@@ -493,7 +1451,16 @@ class TraceabilityServer {
         return new Promise((resolve) => {
             server.close(async () => {
                 logger.info('Server stopped');
-                await this.api.disconnect();
+                await this.gatewayPool.close();
+                // Queued closure notifications still need the event service and database
+                if (this.zoneClosureNotifier) {
+                    await this.zoneClosureNotifier.idle();
+                }
+                if (this.eventService) {
+                    await this.eventService.disconnect();
+                }
+                await sessionStore.disconnect();
+                await database.disconnect();
                 resolve();
             });
         });
@@ -9,6 +9,7 @@ class BlockchainAPIClient {
     constructor(config = {}) {
         this.baseURL = config.baseURL || process.env.BLOCKCHAIN_API_BASE || 'http://localhost:3000/api';
         this.timeout = config.timeout || 30000; // 30 seconds
+        this.registrationKey = config.registrationKey || process.env.REGISTRATION_API_KEY;
         this.defaultHeaders = {
             'Content-Type': 'application/json',
             'Accept': 'application/json'
@@ -77,7 +78,11 @@ class BlockchainAPIClient {
      */
     async registerUser(userData) {
         try {
-            const response = await this.client.post('/auth/register', userData);
+            const response = await this.client.post('/auth/register', userData, {
+                headers: {
+                    'X-Registration-Key': this.registrationKey
+                }
+            });
             if (response.data.success) {
                 logger.info(`User ${userData.userId} registered successfully`);
                 return response.data.data;
@@ -229,17 +234,42 @@ class BlockchainAPIClient {
         }
     }
 
+    /**
+     * Resolve a herb name, synonym or SMS code through the on-ledger herb catalog (Public API)
+     */
+    async resolveHerb(name) {
+        try {
+            const response = await this.client.get(`/herbs/resolve/${encodeURIComponent(name)}`);
+
+            if (response.data.success) {
+                return response.data.data;
+            }
+            throw new Error(response.data.error?.message || 'Herb resolution failed');
+        } catch (error) {
+            if (error.response?.status === 404) {
+                throw new Error(`Unknown herb ${name}`);
+            }
+            logger.error(`Herb resolution failed for ${name}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Validate GPS coordinates for herb type
+     * Pass the harvest date and quantity to also check zone harvest windows and sustainability limits
      */
-    async validateGPS(herbType, coordinates, token) {
+    async validateGPS(herbType, coordinates, token, harvest = {}) {
         try {
             const response = await this.client.post('/validate/gps', {
                 herbType,
                 coordinates: {
                     latitude: coordinates.lat || coordinates.latitude,
-                    longitude: coordinates.lng || coordinates.longitude
-                }
+                    longitude: coordinates.lng || coordinates.longitude,
+                    accuracy: coordinates.accuracy,
+                    altitude: coordinates.altitude
+                },
+                collectionDate: harvest.collectionDate,
+                quantityKg: harvest.quantityKg
             }, {
                 headers: {
                     'Authorization': `Bearer ${token}`
@@ -307,7 +337,7 @@ class BlockchainAPIClient {
      */
     async searchBatches(searchCriteria, token) {
         try {
-            const response = await this.client.post('/batch/search', searchCriteria, {
+            const response = await this.client.post('/batches/search', searchCriteria, {
                 headers: {
                     'Authorization': `Bearer ${token}`
                 }
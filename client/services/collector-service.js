@@ -2,6 +2,8 @@ const express = require('express');
 const Joi = require('joi');
 const Farmer = require('../models/Farmer');
 const BlockchainAPIClient = require('./blockchain-api-client');
+const CredentialStore = require('../utils/credential-store');
+const SeasonCalendar = require('../utils/season-calendar');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
 
@@ -60,10 +62,14 @@ class CollectorService {
             herbVariety: Joi.string().required(),
             quantityKg: Joi.number().positive().required(),
             collectionDate: Joi.date().max('now').required(),
-            harvestSeason: Joi.string().valid('WINTER', 'SUMMER', 'MONSOON', 'POST_MONSOON').required(),
+            // Derived from date and GPS when omitted; Ritus, crop seasons and legacy names (WINTER, POST_MONSOON) are accepted
+            harvestSeason: Joi.string().custom((season, helpers) =>
+                SeasonCalendar.isKnownSeason(season) ? season : helpers.error('any.invalid')).optional(),
             gpsCoordinates: Joi.object({
                 latitude: Joi.number().min(-90).max(90).required(),
-                longitude: Joi.number().min(-180).max(180).required()
+                longitude: Joi.number().min(-180).max(180).required(),
+                accuracy: Joi.number().min(0).optional(),
+                altitude: Joi.number().optional()
             }).required(),
             weatherConditions: Joi.object({
                 temperature: Joi.number().optional(),
@@ -146,8 +152,8 @@ class CollectorService {
             const farmer = new Farmer(value);
             await farmer.save();
 
-            // Generate password for blockchain identity
-            const blockchainPassword = this.generateSecurePassword();
+            // Generate login password; the service keeps it encrypted to act for the farmer
+            const blockchainPassword = CredentialStore.generatePassword();
             
             // Register farmer in blockchain network
             try {
@@ -156,6 +162,8 @@ class CollectorService {
                     organization: 'farmer',
                     password: blockchainPassword,
                     role: 'farmer',
+                    contact: { phone: `+91${farmer.contactNumber}`, email: farmer.email },
+                    profile: { type: 'Farmer', id: farmer.farmerId },
                     attributes: {
                         name: farmer.name,
                         district: farmer.address.district,
@@ -166,7 +174,6 @@ class CollectorService {
 
                 // Update farmer with blockchain identity
                 farmer.blockchainIdentity = {
-                    publicKey: blockchainResult.publicKey,
                     enrollmentId: blockchainResult.enrollmentId,
                     mspId: 'FarmerMSP'
                 };
@@ -183,7 +190,7 @@ class CollectorService {
                         farmerId: farmer.farmerId,
                         name: farmer.name,
                         status: farmer.status,
-                        blockchainEnrollment: !!blockchainResult.enrollmentId
+                        blockchainEnrollment: blockchainResult.blockchainEnrollment
                     },
                     message: 'Farmer registered successfully'
                 });
@@ -249,6 +256,15 @@ class CollectorService {
                 });
             }
 
+            // Season from the same calendar the chaincode validates against
+            const season = SeasonCalendar.getSeason(value.collectionDate, value.gpsCoordinates);
+            if (value.harvestSeason && !SeasonCalendar.isAllowed(season, [value.harvestSeason])) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Harvest season ${value.harvestSeason} does not match ${SeasonCalendar.describe(season)}, the season of the collection date and location`
+                });
+            }
+
             // Validate herb authorization
             if (!farmer.canHarvestHerb(value.herbType, value.herbVariety)) {
                 return res.status(403).json({
@@ -277,14 +293,16 @@ class CollectorService {
             const gpsValidation = await this.blockchainClient.validateGPS(
                 value.herbType,
                 value.gpsCoordinates,
-                loginResult.token
+                loginResult.token,
+                { collectionDate: value.collectionDate, quantityKg: value.quantityKg }
             );
 
             if (!gpsValidation.isValid) {
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid GPS coordinates for this herb type',
-                    details: gpsValidation.reason
+                    details: gpsValidation.message,
+                    rejectedZones: gpsValidation.rejectedZones
                 });
             }
 
@@ -300,7 +318,7 @@ class CollectorService {
                 herbVariety: value.herbVariety,
                 quantityKg: value.quantityKg,
                 collectionDate: value.collectionDate,
-                harvestSeason: value.harvestSeason,
+                harvestSeason: season.ritu,
                 gpsCoordinates: value.gpsCoordinates,
                 weatherConditions: value.weatherConditions,
                 soilConditions: value.soilConditions,
@@ -518,28 +536,12 @@ class CollectorService {
     /**
      * Utility methods
      */
-    generateSecurePassword() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
-        let password = '';
-        for (let i = 0; i < 16; i++) {
-            password += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return password;
-    }
-
     async storeUserCredentials(userId, password) {
-        // In production, use proper secret management like AWS Secrets Manager or HashiCorp Vault
-        // For now, store in environment or encrypted file
-        logger.info(`Storing credentials for user ${userId}`);
-        // Implementation depends on chosen secret management solution
+        await CredentialStore.store(userId, password);
     }
 
     async getUserCredentials(userId) {
-        // Retrieve stored credentials
-        // This is a placeholder - implement based on chosen secret management
-        return {
-            password: 'stored_password' // Replace with actual implementation
-        };
+        return CredentialStore.retrieve(userId);
     }
 
     calculateSustainabilityScore(farmer, harvestData) {
@@ -0,0 +1,92 @@
+const Lab = require('../models/Lab');
+const logger = require('../utils/logger');
+
+// Accreditation schemes of the Lab model and how they appear in ledger certification names
+const ACCREDITATION_PATTERNS = [
+    ['NABL', /NABL/i],
+    ['ISO_17025', /ISO[\s_-]*17025/i],
+    ['AYUSH', /AYUSH/i],
+    ['FSSAI', /FSSAI/i],
+    ['WHO_GMP', /WHO[\s_-]*GMP/i]
+];
+
+/**
+ * Lab Certification Sync
+ * Keeps the accreditation, licence and status of Mongo lab profiles in step with
+ * the lab certifications regulators register, suspend, reinstate, renew and rescope
+ * on the ledger
+ */
+class LabCertificationSync {
+    /**
+     * Subscribe to lab certification events
+     * @param {EventDispatcher} dispatcher - Event dispatcher
+     */
+    subscribe(dispatcher) {
+        for (const eventType of [
+            'LabCertificationRegistered',
+            'LabCertificationSuspended',
+            'LabCertificationReinstated',
+            'LabCertificationRenewed',
+            'LabTestScopeChanged'
+        ]) {
+            dispatcher.subscribe(eventType, event => this.syncLab(event));
+        }
+    }
+
+    /**
+     * Apply a lab certification event to the lab's profile
+     * Labs certified on the ledger without a registered profile are skipped
+     * @param {Object} event - Lab certification event
+     */
+    async syncLab(event) {
+        const result = await Lab.updateOne({ labId: event.labId }, { $set: LabCertificationSync.toLabUpdate(event) });
+        if (result.matchedCount === 0) {
+            logger.warn(`No lab profile for ${event.labId}; ${event.type} not applied`);
+            return;
+        }
+        logger.info(`Lab ${event.labId} profile updated from ${event.type} (${event.status})`);
+    }
+
+    /**
+     * Build the profile update for a lab certification event
+     * @param {Object} event - Lab certification event carrying the full certificate
+     * @returns {Object} Fields to set on the Lab document
+     */
+    static toLabUpdate(event) {
+        // A renewed certificate in force is VALID like any other; Lab.isOperational() relies on it
+        let licenseStatus = 'VALID';
+        if (event.status === 'Suspended') {
+            licenseStatus = 'SUSPENDED';
+        } else if (event.status === 'Expired') {
+            licenseStatus = 'EXPIRED';
+        }
+
+        const accreditation = LabCertificationSync.toAccreditations(event.certification);
+        const update = {
+            accreditation: accreditation.length > 0 ? accreditation : null,
+            status: event.status === 'Suspended' ? 'SUSPENDED' : 'ACTIVE',
+            'licenseInfo.licenseNumber': event.accreditationNumber,
+            'licenseInfo.issuingAuthority': event.issuingAuthority,
+            'licenseInfo.issueDate': event.issuedOn,
+            'licenseInfo.expiryDate': event.validUntil,
+            'licenseInfo.status': licenseStatus,
+            'qualityMetrics.certificationRenewalDate': event.type === 'LabCertificationRenewed' ? event.timestamp : null
+        };
+
+        // Fields the certificate does not state keep their profile values
+        return Object.fromEntries(Object.entries(update).filter(([, value]) => value !== null && value !== undefined));
+    }
+
+    /**
+     * Map a ledger certification name to Lab model accreditation schemes
+     * @param {string} certification - Certification, e.g. NABL-ISO17025
+     * @returns {Array} Accreditation schemes, e.g. ['NABL', 'ISO_17025']
+     */
+    static toAccreditations(certification = '') {
+        return ACCREDITATION_PATTERNS
+            .filter(([, pattern]) => pattern.test(certification))
+            .map(([scheme]) => scheme);
+    }
+}
+
+module.exports = LabCertificationSync;
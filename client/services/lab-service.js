@@ -0,0 +1,266 @@
+const express = require('express');
+const Joi = require('joi');
+const Lab = require('../models/Lab');
+const BlockchainAPIClient = require('./blockchain-api-client');
+const CredentialStore = require('../utils/credential-store');
+const logger = require('../utils/logger');
+
+/**
+ * Lab Service - Laboratory registration and lookup
+ * As specified in Person 3 Backend Integration Guide
+ */
+class LabService {
+    constructor() {
+        this.router = express.Router();
+        this.blockchainClient = new BlockchainAPIClient();
+        this.setupRoutes();
+        this.setupValidation();
+    }
+
+    setupValidation() {
+        // Lab registration schema
+        this.labRegistrationSchema = Joi.object({
+            labId: Joi.string().optional(),
+            labName: Joi.string().required().min(2).max(100),
+            registrationNumber: Joi.string().required(),
+            contactInfo: Joi.object({
+                phone: Joi.string().required().pattern(/^[6-9]\d{9}$/),
+                email: Joi.string().email().required(),
+                website: Joi.string().uri().optional()
+            }).required(),
+            location: Joi.object({
+                address: Joi.string().required(),
+                city: Joi.string().required(),
+                state: Joi.string().required(),
+                pincode: Joi.string().required().pattern(/^\d{6}$/),
+                coordinates: Joi.object({
+                    latitude: Joi.number().min(-90).max(90).required(),
+                    longitude: Joi.number().min(-180).max(180).required()
+                }).optional()
+            }).required(),
+            accreditation: Joi.array().items(
+                Joi.string().valid('NABL', 'ISO_17025', 'AYUSH', 'FSSAI', 'WHO_GMP')
+            ).required().min(1),
+            testCapabilities: Joi.array().items(
+                Joi.object({
+                    testType: Joi.string().valid('MOISTURE_CONTENT', 'ASH_CONTENT', 'FOREIGN_MATTER', 'ACTIVE_PRINCIPLES',
+                                                 'HEAVY_METALS', 'PESTICIDE_RESIDUES', 'MICROBIAL_COUNT', 'AFLATOXIN',
+                                                 'IDENTITY_TEST', 'PURITY_TEST').required(),
+                    methodology: Joi.string().optional(),
+                    turnaroundTime: Joi.number().positive().optional(),
+                    cost: Joi.number().min(0).optional()
+                })
+            ).required().min(1),
+            licenseInfo: Joi.object({
+                licenseNumber: Joi.string().required(),
+                issuingAuthority: Joi.string().required(),
+                issueDate: Joi.date().required(),
+                expiryDate: Joi.date().min(Joi.ref('issueDate')).required()
+            }).required()
+        });
+    }
+
+    setupRoutes() {
+        // Register lab
+        this.router.post('/labs/register', this.registerLab.bind(this));
+
+        // Get lab details
+        this.router.get('/labs/:labId', this.getLab.bind(this));
+
+        // Get all labs (for admin)
+        this.router.get('/labs', this.getAllLabs.bind(this));
+    }
+
+    /**
+     * Register new lab
+     */
+    async registerLab(req, res) {
+        try {
+            // Validate request data
+            const { error, value } = this.labRegistrationSchema.validate(req.body);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation failed',
+                    details: error.details.map(d => d.message)
+                });
+            }
+
+            // Generate lab ID if not provided
+            if (!value.labId) {
+                value.labId = `LAB_${value.location.state.substring(0, 2).toUpperCase()}_${Date.now()}_${Math.random().toString(36).substring(2, 8).toUpperCase()}`;
+            }
+
+            // Check if lab already exists
+            const existingLab = await Lab.findOne({
+                $or: [
+                    { labId: value.labId },
+                    { registrationNumber: value.registrationNumber }
+                ]
+            });
+
+            if (existingLab) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Lab already exists with this ID or registration number'
+                });
+            }
+
+            // Create lab in database
+            const lab = new Lab(value);
+            await lab.save();
+
+            // Generate login password; the service keeps it encrypted to act for the lab
+            const blockchainPassword = CredentialStore.generatePassword();
+
+            // Register lab in blockchain network
+            try {
+                const blockchainResult = await this.blockchainClient.registerUser({
+                    userId: lab.labId,
+                    organization: 'lab',
+                    password: blockchainPassword,
+                    role: 'lab',
+                    contact: { phone: `+91${lab.contactInfo.phone}`, email: lab.contactInfo.email },
+                    profile: { type: 'Lab', id: lab.labId },
+                    attributes: {
+                        name: lab.labName,
+                        city: lab.location.city,
+                        state: lab.location.state,
+                        accreditation: lab.accreditation.join(',')
+                    }
+                });
+
+                // Update lab with blockchain identity
+                lab.blockchainIdentity = {
+                    enrollmentId: blockchainResult.enrollmentId,
+                    mspId: 'LabMSP'
+                };
+                await lab.save();
+
+                await this.storeUserCredentials(lab.labId, blockchainPassword);
+
+                logger.info(`Lab ${lab.labId} registered successfully`);
+
+                res.status(201).json({
+                    success: true,
+                    data: {
+                        labId: lab.labId,
+                        labName: lab.labName,
+                        status: lab.status,
+                        blockchainEnrollment: blockchainResult.blockchainEnrollment
+                    },
+                    message: 'Lab registered successfully'
+                });
+
+            } catch (blockchainError) {
+                logger.error('Blockchain registration failed:', blockchainError);
+                lab.status = 'UNDER_REVIEW';
+                await lab.save();
+
+                res.status(201).json({
+                    success: true,
+                    data: {
+                        labId: lab.labId,
+                        labName: lab.labName,
+                        status: lab.status,
+                        blockchainEnrollment: false
+                    },
+                    warning: 'Lab registered but blockchain enrollment pending',
+                    error: blockchainError.message
+                });
+            }
+
+        } catch (error) {
+            logger.error('Lab registration error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get lab details
+     */
+    async getLab(req, res) {
+        try {
+            const { labId } = req.params;
+
+            const lab = await Lab.findOne({ labId });
+            if (!lab) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Lab not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: lab
+            });
+
+        } catch (error) {
+            logger.error('Get lab error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Get all labs (for admin)
+     */
+    async getAllLabs(req, res) {
+        try {
+            const { page = 1, limit = 10, state, accreditation } = req.query;
+
+            const query = {};
+            if (state) query['location.state'] = state;
+            if (accreditation) query.accreditation = accreditation;
+
+            const labs = await Lab.find(query)
+                .limit(limit * 1)
+                .skip((page - 1) * limit)
+                .sort({ createdAt: -1 });
+
+            const total = await Lab.countDocuments(query);
+
+            res.json({
+                success: true,
+                data: labs,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Get all labs error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Utility methods
+     */
+    async storeUserCredentials(userId, password) {
+        await CredentialStore.store(userId, password);
+    }
+
+    async getUserCredentials(userId) {
+        return CredentialStore.retrieve(userId);
+    }
+
+    getRouter() {
+        return this.router;
+    }
+}
+
+module.exports = LabService;
@@ -2,6 +2,7 @@ const express = require('express');
 const Joi = require('joi');
 const ProcessingFacility = require('../models/ProcessingFacility');
 const BlockchainAPIClient = require('./blockchain-api-client');
+const CredentialStore = require('../utils/credential-store');
 const logger = require('../utils/logger');
 
 /**
@@ -163,8 +164,8 @@ class ProcessingService {
             const facility = new ProcessingFacility(value);
             await facility.save();
 
-            // Generate password for blockchain identity
-            const blockchainPassword = this.generateSecurePassword();
+            // Generate login password; the service keeps it encrypted to act for the facility
+            const blockchainPassword = CredentialStore.generatePassword();
             
             // Register facility in blockchain network
             try {
@@ -173,6 +174,8 @@ class ProcessingService {
                     organization: 'processor',
                     password: blockchainPassword,
                     role: 'processor',
+                    contact: { phone: `+91${facility.contactInfo.phone}`, email: facility.contactInfo.email },
+                    profile: { type: 'ProcessingFacility', id: facility.facilityId },
                     attributes: {
                         name: facility.facilityName,
                         city: facility.location.city,
@@ -184,7 +187,6 @@ class ProcessingService {
 
                 // Update facility with blockchain identity
                 facility.blockchainIdentity = {
-                    publicKey: blockchainResult.publicKey,
                     enrollmentId: blockchainResult.enrollmentId,
                     mspId: 'ProcessorMSP'
                 };
@@ -201,7 +203,7 @@ class ProcessingService {
                         facilityId: facility.facilityId,
                         facilityName: facility.facilityName,
                         status: facility.status,
-                        blockchainEnrollment: !!blockchainResult.enrollmentId
+                        blockchainEnrollment: blockchainResult.blockchainEnrollment
                     },
                     message: 'Processing facility registered successfully'
                 });
@@ -549,24 +551,12 @@ class ProcessingService {
     /**
      * Utility methods
      */
-    generateSecurePassword() {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*';
-        let password = '';
-        for (let i = 0; i < 16; i++) {
-            password += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return password;
-    }
-
     async storeUserCredentials(userId, password) {
-        logger.info(`Storing credentials for facility ${userId}`);
-        // Implementation depends on chosen secret management solution
+        await CredentialStore.store(userId, password);
     }
 
     async getUserCredentials(userId) {
-        return {
-            password: 'stored_password' // Replace with actual implementation
-        };
+        return CredentialStore.retrieve(userId);
     }
 
     calculateProcessingSustainability(facility, processingData) {
@@ -4,11 +4,14 @@
  */
 
 const twilio = require('twilio');
+const BlockchainAPIClient = require('./blockchain-api-client');
+const SeasonCalendar = require('../utils/season-calendar');
 
 class SMSService {
     constructor() {
         this.client = null;
         this.isEnabled = false;
+        this.apiClient = new BlockchainAPIClient();
         this.initializeTwilio();
     }
 
@@ -65,43 +68,26 @@ class SMSService {
         const lat = parseFloat(latMatch[1]);
         const lng = parseFloat(lngMatch[1]);
         const certification = parts[5] || 'CONVENTIONAL';
+        const collectionDate = new Date().toISOString();
         
         return {
-            herbType: this.mapHerbCode(herbType),
+            herbType: await this.mapHerbCode(herbType),
             quantityKg: quantity,
             gpsCoordinates: { latitude: lat, longitude: lng },
             certificationType: certification,
-            collectionDate: new Date().toISOString(),
-            harvestSeason: this.getCurrentSeason(),
+            collectionDate,
+            harvestSeason: SeasonCalendar.getSeason(collectionDate, { latitude: lat, longitude: lng }).ritu,
             sourcePhone: fromNumber
         };
     }
 
     /**
-     * Map herb codes to full names
+     * Map herb codes to canonical herb IDs through the on-ledger herb catalog
+     * Any registered SMS code, synonym or local name works (e.g. GILOY → Guduchi)
      */
-    mapHerbCode(code) {
-        const herbMap = {
-            'ASHWA': 'Ashwagandha',
-            'BRAHMI': 'Brahmi',
-            'NEEM': 'Neem',
-            'TULSI': 'Tulsi',
-            'GILOY': 'Giloy',
-            'AMLA': 'Amla',
-            'TURMERIC': 'Turmeric',
-            'GINGER': 'Ginger'
-        };
-        return herbMap[code] || code;
-    }
-
-    /**
-     * Get current harvest season
-     */
-    getCurrentSeason() {
-        const month = new Date().getMonth() + 1;
-        if (month >= 3 && month <= 6) return 'Summer';
-        if (month >= 7 && month <= 10) return 'Monsoon';
-        return 'Winter';
+    async mapHerbCode(code) {
+        const herb = await this.apiClient.resolveHerb(code);
+        return herb.herbId;
     }
 
     /**
@@ -184,6 +170,24 @@ class SMSService {
         return await this.sendSMS(phoneNumber, message);
     }
 
+    /**
+     * Send notification SMS for a zone closure
+     */
+    async sendZoneClosureSMS(phoneNumber, zoneName, startDate, endDate, reason) {
+        const message = `🚫 Harvest Zone Closure\nZone: ${zoneName}\nClosed: ${new Date(startDate).toLocaleDateString()} to ${new Date(endDate).toLocaleDateString()}\nReason: ${reason}\nHarvests in this zone will not be accepted during the closure`;
+        
+        return await this.sendSMS(phoneNumber, message);
+    }
+
+    /**
+     * Send notification SMS when a zone closure is lifted early
+     */
+    async sendZoneReopenedSMS(phoneNumber, zoneName, reason) {
+        const message = `✅ Harvest Zone Reopened\nZone: ${zoneName}\nThe closure has been lifted: ${reason}`;
+        
+        return await this.sendSMS(phoneNumber, message);
+    }
+
     /**
      * Send SMS notification for supply chain updates
      */
@@ -277,6 +281,7 @@ class SMSService {
                 'Confirmation SMS',
                 'Error Notifications',
                 'Quality Alerts',
+                'Zone Closure Alerts',
                 'Supply Chain Updates'
             ]
         };
@@ -0,0 +1,269 @@
+const Joi = require('joi');
+const User = require('../models/User');
+const FabricService = require('../fabric-service');
+const TraceabilityAPI = require('../api/traceability-api');
+const SMSService = require('./sms-service');
+const sessionStore = require('../utils/session-store');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const ORGANIZATIONS = ['farmer', 'processor', 'lab', 'distributor', 'regulator'];
+
+/**
+ * User Service - Account registration, login with lockout and password reset
+ * Registration enrolls the matching Fabric identity so the user can connect through the gateway
+ */
+class UserService {
+    constructor() {
+        this.fabricService = new FabricService();
+        this.smsService = new SMSService();
+        this.setupValidation();
+    }
+
+    setupValidation() {
+        const password = Joi.string().min(config.auth.passwordMinLength).max(128);
+
+        this.registrationSchema = Joi.object({
+            userId: Joi.string().pattern(/^[A-Za-z0-9_.-]{3,64}$/).required(),
+            organization: Joi.string().valid(...ORGANIZATIONS).required(),
+            role: Joi.string().valid(...ORGANIZATIONS).optional(),
+            password: password.required(),
+            contact: Joi.object({
+                phone: Joi.string().optional(),
+                email: Joi.string().email().optional()
+            }).optional(),
+            profile: Joi.object({
+                type: Joi.string().valid('Farmer', 'Lab', 'ProcessingFacility').required(),
+                id: Joi.string().required()
+            }).optional(),
+            attributes: Joi.object().pattern(Joi.string(), Joi.alternatives(Joi.string(), Joi.number(), Joi.boolean())).optional()
+        });
+
+        this.passwordResetSchema = Joi.object({
+            userId: Joi.string().required(),
+            token: Joi.string().hex().length(64).required(),
+            newPassword: password.required()
+        });
+    }
+
+    /**
+     * Create an error carrying an HTTP status code
+     * @param {string} message - Error message
+     * @param {number} statusCode - HTTP status code
+     * @returns {Error} Error
+     */
+    static httpError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Register a user account and its Fabric identity
+     * Fails with 502 and leaves no account behind when the identity cannot be enrolled,
+     * or with 409 when the wallet already holds an identity under the user ID
+     * @param {Object} userData - Registration data
+     * @returns {Object} Public account details
+     */
+    async register(userData) {
+        const { error, value } = this.registrationSchema.validate(userData);
+        if (error) {
+            throw UserService.httpError(`Validation failed: ${error.details.map(d => d.message).join(', ')}`, 400);
+        }
+
+        // Each organization has exactly one role
+        if (value.role && value.role !== value.organization) {
+            throw UserService.httpError(`Role ${value.role} does not belong to organization ${value.organization}`, 400);
+        }
+
+        if (value.userId === config.auth.caAdminId) {
+            throw UserService.httpError(`User ID ${value.userId} is reserved`, 409);
+        }
+
+        if (await User.exists({ userId: value.userId })) {
+            throw UserService.httpError(`User ${value.userId} already exists`, 409);
+        }
+
+        const user = new User({
+            userId: value.userId,
+            organization: value.organization,
+            role: value.organization,
+            contact: value.contact,
+            profile: value.profile,
+            status: 'PENDING_ENROLLMENT',
+            blockchainIdentity: {
+                mspId: config.fabric.connectionProfiles[value.organization].mspId
+            }
+        });
+        await user.setPassword(value.password);
+        await user.save();
+
+        // The account stays pending until its Fabric identity is enrolled; an account
+        // whose identity cannot be enrolled is removed rather than left unusable
+        try {
+            const enrollment = await this.fabricService.registerUser(
+                value.organization,
+                value.userId,
+                value.organization,
+                value.attributes
+            );
+
+            user.blockchainIdentity = {
+                mspId: enrollment.mspId,
+                enrollmentId: enrollment.enrollmentId,
+                enrolled: true
+            };
+            user.status = 'ACTIVE';
+            await user.save();
+        } catch (enrollError) {
+            logger.error(`Fabric enrollment failed for ${value.userId}: ${enrollError.message}`);
+            await user.deleteOne();
+            if (enrollError.statusCode === 409) {
+                throw UserService.httpError(`${enrollError.message}; the account was not created`, 409);
+            }
+            throw UserService.httpError(
+                `Fabric enrollment failed for ${value.userId}; the account was not created: ${enrollError.message}`, 502
+            );
+        }
+
+        await this.registerSigningKey(user);
+
+        logger.info(`User ${user.userId} registered (${user.organization}, ${user.status})`);
+        return user.toPublicJSON();
+    }
+
+    /**
+     * Register the new identity's key on the ledger so records it signs are accepted
+     * A failure is logged only; the user can register the key later through /api/actors/keys
+     * @param {Object} user - Enrolled user document
+     */
+    async registerSigningKey(user) {
+        const actorType = config.actorTypes[user.organization];
+        if (!actorType) {
+            return;
+        }
+
+        const api = new TraceabilityAPI();
+        try {
+            await api.initialize(user.organization, user.userId);
+            const result = await api.registerActorKey({ actorId: user.userId, actorType });
+            if (!result.success) {
+                throw new Error(result.error.message);
+            }
+            logger.info(`Signing key registered for ${actorType} ${user.userId}`);
+        } catch (error) {
+            logger.error(`Signing key registration failed for ${user.userId}: ${error.message}`);
+        } finally {
+            await api.disconnect();
+        }
+    }
+
+    /**
+     * Check a user's credentials, applying account lockout
+     * @param {string} userId - User identifier
+     * @param {string} organization - Organization
+     * @param {string} password - Password
+     * @returns {Object} Authenticated user document
+     */
+    async authenticate(userId, organization, password) {
+        const user = await User.findOne({ userId });
+
+        // Same message for unknown users and wrong passwords
+        if (!user || user.organization !== organization || !password) {
+            throw UserService.httpError('Invalid credentials', 401);
+        }
+
+        if (user.isLocked()) {
+            throw UserService.httpError('Account locked after repeated failed logins. Try again later', 423);
+        }
+
+        if (!(await user.verifyPassword(password))) {
+            await user.registerFailedLogin();
+            throw UserService.httpError('Invalid credentials', 401);
+        }
+
+        if (user.status !== 'ACTIVE') {
+            throw UserService.httpError(`Account is ${user.status.toLowerCase().replace('_', ' ')}`, 403);
+        }
+
+        await user.registerSuccessfulLogin();
+        return user;
+    }
+
+    /**
+     * Issue a password reset token and send it to the user's phone
+     * Always resolves so callers cannot probe which accounts exist
+     * @param {string} userId - User identifier
+     * @param {boolean} issuedByRegulator - Return the token to the caller instead of only sending it
+     * @returns {Object} Result (includes the token only when requested by a regulator)
+     */
+    async requestPasswordReset(userId, issuedByRegulator = false) {
+        const user = await User.findOne({ userId });
+        if (!user) {
+            logger.warn(`Password reset requested for unknown user ${userId}`);
+            return { requested: true };
+        }
+
+        const token = user.createPasswordResetToken();
+        await user.save();
+
+        if (user.contact && user.contact.phone) {
+            await this.smsService.sendSMS(
+                user.contact.phone,
+                `Your Ayurveda Traceability password reset code is ${token}. It expires in ${config.auth.passwordResetTtlMs / 60000} minutes.`
+            );
+        }
+
+        logger.info(`Password reset token issued for ${userId}`);
+        return issuedByRegulator ? { requested: true, resetToken: token } : { requested: true };
+    }
+
+    /**
+     * Reset a password with a reset token
+     * @param {Object} resetData - { userId, token, newPassword }
+     */
+    async resetPassword(resetData) {
+        const { error, value } = this.passwordResetSchema.validate(resetData);
+        if (error) {
+            throw UserService.httpError(`Validation failed: ${error.details.map(d => d.message).join(', ')}`, 400);
+        }
+
+        const user = await User.findOne({ userId: value.userId });
+        if (!user || !user.verifyPasswordResetToken(value.token)) {
+            throw UserService.httpError('Invalid or expired reset token', 400);
+        }
+
+        await user.setPassword(value.newPassword);
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
+        await user.save();
+
+        // Sign out everywhere after a password reset
+        await sessionStore.revokeUserSessions(value.userId);
+
+        logger.info(`Password reset for ${value.userId}`);
+    }
+
+    /**
+     * Clear a lockout
+     * @param {string} userId - User identifier
+     * @returns {Object} Public account details
+     */
+    async unlock(userId) {
+        const user = await User.findOne({ userId });
+        if (!user) {
+            throw UserService.httpError(`User ${userId} not found`, 404);
+        }
+
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
+        await user.save();
+
+        logger.info(`User ${userId} unlocked`);
+        return user.toPublicJSON();
+    }
+}
+
+module.exports = UserService;
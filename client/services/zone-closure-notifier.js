@@ -0,0 +1,180 @@
+const Farmer = require('../models/Farmer');
+const SMSService = require('./sms-service');
+const logger = require('../utils/logger');
+
+// Farmer locations checked against a zone per getPointsInZone query
+const POINTS_PER_QUERY = 500;
+
+// SMS sent at the same time for one notification
+const SMS_CONCURRENCY = 5;
+
+// Closure events remembered for deduplication; the oldest are forgotten first
+const MAX_REMEMBERED_EVENTS = 1000;
+
+/**
+ * Zone Closure Notifier
+ * Sends an SMS to every active farmer whose registered coordinates lie in a zone
+ * when a regulator closes the zone or lifts a closure early.
+ * Notifications are queued and sent one at a time outside the event dispatch, so a
+ * large zone does not hold up the listener's checkpoint. Delivery is at most once:
+ * the queue and the events already notified are kept in memory only, so notifications
+ * still queued when the server stops are not sent, and an event delivered again is
+ * skipped only while it is among the last MAX_REMEMBERED_EVENTS the notifier handled.
+ */
+class ZoneClosureNotifier {
+    /**
+     * @param {FabricService} fabricService - Connected Fabric service used to test farmer locations
+     * @param {SMSService} smsService - SMS gateway
+     */
+    constructor(fabricService, smsService = new SMSService()) {
+        this.fabricService = fabricService;
+        this.smsService = smsService;
+        this.queue = [];
+        this.notified = new Set();
+        this.draining = null;
+    }
+
+    /**
+     * Subscribe to zone closure events
+     * @param {EventDispatcher} dispatcher - Event dispatcher
+     */
+    subscribe(dispatcher) {
+        dispatcher.subscribe('ZoneClosureScheduled', event => this.enqueue(event, () => this.notifyClosure(event)));
+        dispatcher.subscribe('ZoneClosureLifted', event => this.enqueue(event, () => this.notifyReopening(event)));
+    }
+
+    /**
+     * Queue a notification unless its closure event has recently been handled
+     * Returns without waiting for the notification to be sent
+     * @param {Object} event - Zone closure event
+     * @param {Function} notify - async () => void
+     */
+    enqueue(event, notify) {
+        const key = `${event.type}:${event.closureId}`;
+        if (this.notified.has(key)) {
+            logger.info(`Skipping ${event.type} for closure ${event.closureId}; farmers were already notified`);
+            return;
+        }
+        this.notified.add(key);
+        if (this.notified.size > MAX_REMEMBERED_EVENTS) {
+            this.notified.delete(this.notified.values().next().value);
+        }
+        this.queue.push({ key, notify });
+
+        if (!this.draining) {
+            this.draining = this.drain();
+        }
+    }
+
+    /**
+     * Send queued notifications in order
+     * A failed notification is forgotten so a redelivered event can retry it
+     */
+    async drain() {
+        while (this.queue.length > 0) {
+            const { key, notify } = this.queue.shift();
+            try {
+                await notify();
+            } catch (error) {
+                this.notified.delete(key);
+                logger.error(`Zone closure notification ${key} failed: ${error.message}`);
+            }
+        }
+        this.draining = null;
+    }
+
+    /**
+     * Wait until every queued notification has been sent (for shutdown and tests)
+     */
+    async idle() {
+        while (this.draining) {
+            await this.draining;
+        }
+    }
+
+    /**
+     * Notify farmers in a zone that it has been closed
+     * @param {Object} event - ZoneClosureScheduled event
+     */
+    async notifyClosure(event) {
+        const farmers = await this.findFarmersInZone(event.zoneId);
+        const failed = await this.sendToFarmers(farmers, farmer => this.smsService.sendZoneClosureSMS(
+            farmer.contactNumber, event.zoneName, event.startDate, event.endDate, event.reason
+        ));
+        logger.info(`Notified ${farmers.length - failed} of ${farmers.length} farmer(s) of closure ${event.closureId} on zone ${event.zoneId}`);
+    }
+
+    /**
+     * Notify farmers in a zone that a closure has been lifted
+     * @param {Object} event - ZoneClosureLifted event
+     */
+    async notifyReopening(event) {
+        const farmers = await this.findFarmersInZone(event.zoneId);
+        const failed = await this.sendToFarmers(farmers, farmer => this.smsService.sendZoneReopenedSMS(
+            farmer.contactNumber, event.zoneName, event.reason
+        ));
+        logger.info(`Notified ${farmers.length - failed} of ${farmers.length} farmer(s) that closure ${event.closureId} on zone ${event.zoneId} was lifted`);
+    }
+
+    /**
+     * Send an SMS to each farmer, at most SMS_CONCURRENCY at a time
+     * @param {Array} farmers - Farmers to notify
+     * @param {Function} send - async (farmer) => SMS result
+     * @returns {number} Number of SMS that could not be sent
+     */
+    async sendToFarmers(farmers, send) {
+        let next = 0;
+        let failed = 0;
+
+        const worker = async () => {
+            while (next < farmers.length) {
+                const farmer = farmers[next++];
+                try {
+                    const result = await send(farmer);
+                    if (result && result.success === false) {
+                        throw new Error(result.error || 'SMS gateway rejected the message');
+                    }
+                } catch (error) {
+                    failed++;
+                    logger.warn(`Zone closure SMS to farmer ${farmer.farmerId} failed: ${error.message}`);
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(SMS_CONCURRENCY, farmers.length) }, worker));
+        return failed;
+    }
+
+    /**
+     * Find active farmers whose registered coordinates fall inside a zone
+     * The zone boundary is tested on the ledger so holes and amended geometries are respected
+     * @param {string} zoneId - Zone identifier
+     * @returns {Array} Farmers
+     */
+    async findFarmersInZone(zoneId) {
+        const farmers = await Farmer.find({
+            status: 'ACTIVE',
+            'address.coordinates.latitude': { $ne: null },
+            'address.coordinates.longitude': { $ne: null }
+        }).select('farmerId contactNumber address.coordinates').lean();
+
+        const affected = [];
+        for (let i = 0; i < farmers.length; i += POINTS_PER_QUERY) {
+            const chunk = farmers.slice(i, i + POINTS_PER_QUERY);
+            const points = chunk.map(farmer => ({ id: farmer.farmerId, ...farmer.address.coordinates }));
+
+            const result = await this.fabricService.evaluateTransaction(
+                'GeoFencingContract',
+                'getPointsInZone',
+                zoneId,
+                JSON.stringify(points)
+            );
+            const inside = new Set(result.result);
+            affected.push(...chunk.filter(farmer => inside.has(farmer.farmerId)));
+        }
+        return affected;
+    }
+}
+
+module.exports = ZoneClosureNotifier;
+module.exports.MAX_REMEMBERED_EVENTS = MAX_REMEMBERED_EVENTS;
@@ -8,6 +8,7 @@ require('dotenv').config();
 // Import services
 const CollectorService = require('./services/collector-service');
 const ProcessingService = require('./services/processing-service');
+const LabService = require('./services/lab-service');
 const BlockchainAPIClient = require('./services/blockchain-api-client');
 const SMSService = require('./services/sms-service');
 const database = require('./models/database');
@@ -113,9 +114,11 @@ class TestServer {
         // Mount service routers
         const collectorService = new CollectorService();
         const processingService = new ProcessingService();
+        const labService = new LabService();
         
         this.app.use('/api/collector', collectorService.getRouter());
         this.app.use('/api/processing', processingService.getRouter());
+        this.app.use('/api/lab', labService.getRouter());
 
         // Sample test endpoints for each service
         this.app.post('/api/test/farmer', async (req, res) => {
@@ -175,7 +178,6 @@ class TestServer {
                     herbVariety: 'PREMIUM',
                     quantityKg: 100,
                     collectionDate: new Date().toISOString(),
-                    harvestSeason: 'WINTER',
                     gpsCoordinates: {
                         latitude: 12.9716,
                         longitude: 77.5946
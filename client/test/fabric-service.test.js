@@ -0,0 +1,51 @@
+const FabricService = require('../fabric-service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+describe('FabricService.registerUser', () => {
+    let service;
+    let identities;
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+        identities = new Map([
+            [config.auth.caAdminId, { type: 'X.509', mspId: 'FarmerMSP' }],
+            ['LAB_KL_001', { type: 'X.509', mspId: 'LabMSP' }],
+            ['FARMER_KA_001', { type: 'X.509', mspId: 'FarmerMSP' }]
+        ]);
+        service = new FabricService();
+        service.wallet = {
+            get: jest.fn(async userId => identities.get(userId)),
+            getProviderRegistry: jest.fn()
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('refuses an identity already enrolled for the same organization', async () => {
+        await expect(service.registerUser('farmer', 'FARMER_KA_001', 'farmer')).rejects.toMatchObject({
+            statusCode: 409,
+            message: 'Identity FARMER_KA_001 is already enrolled in the wallet'
+        });
+        expect(service.wallet.getProviderRegistry).not.toHaveBeenCalled();
+    });
+
+    test('refuses an identity enrolled for another organization', async () => {
+        await expect(service.registerUser('farmer', 'LAB_KL_001', 'farmer')).rejects.toMatchObject({
+            statusCode: 409,
+            message: 'Identity LAB_KL_001 is already enrolled in the wallet for LabMSP, not FarmerMSP'
+        });
+    });
+
+    test('refuses the CA registrar identity', async () => {
+        await expect(service.registerUser('farmer', config.auth.caAdminId, 'farmer')).rejects.toMatchObject({
+            statusCode: 409,
+            message: `Identity ${config.auth.caAdminId} is reserved for the CA registrar`
+        });
+        expect(service.wallet.getProviderRegistry).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,121 @@
+const GatewayPool = require('../api/gateway-pool');
+const logger = require('../utils/logger');
+
+// A promise settled from the test
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+// A pool whose APIs connect when the test settles their initialize() call
+function createPool(maxConnections) {
+    const connects = [];
+    const disconnects = [];
+    const apis = [];
+    const pool = new GatewayPool(
+        { idleTimeoutMs: 1000, sweepIntervalMs: 1000, defaultMaxConnections: maxConnections },
+        () => {
+            const api = {
+                initialize: jest.fn((org, userId) => {
+                    const connect = deferred();
+                    connects.push({ userId, ...connect });
+                    return connect.promise;
+                }),
+                disconnect: jest.fn(async () => {
+                    disconnects.push(api);
+                })
+            };
+            apis.push(api);
+            return api;
+        }
+    );
+    return { pool, connects, disconnects, apis };
+}
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('GatewayPool.acquire', () => {
+    beforeAll(() => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('shares one connection between concurrent requests of an identity', async () => {
+        const { pool, connects, apis } = createPool(5);
+
+        const requests = [pool.acquire('farmer', 'F1'), pool.acquire('farmer', 'F1'), pool.acquire('farmer', 'F1')];
+        await settle();
+        expect(apis).toHaveLength(1);
+        expect(connects).toHaveLength(1);
+
+        connects[0].resolve();
+        const acquired = await Promise.all(requests);
+        expect(acquired).toEqual([apis[0], apis[0], apis[0]]);
+        expect(pool.getStats().organizations.farmer).toMatchObject({ connections: 1, activeRequests: 3 });
+    });
+
+    test('counts connections still being opened toward the organization limit', async () => {
+        const { pool, connects, apis } = createPool(2);
+
+        const requests = ['F1', 'F2', 'F3'].map(userId => pool.acquire('farmer', userId));
+        const [first, second, third] = requests.map(request => request.then(api => ({ api }), error => ({ error })));
+
+        expect((await third).error).toMatchObject({ statusCode: 503, message: 'Connection limit reached for organization farmer. Try again shortly' });
+        expect(apis).toHaveLength(2);
+
+        await settle();
+        connects.forEach(connect => connect.resolve());
+        expect((await first).api).toBe(apis[0]);
+        expect((await second).api).toBe(apis[1]);
+        expect(pool.getStats().totalConnections).toBe(2);
+    });
+
+    test('lets only one of concurrent new identities take an idle connection\'s slot', async () => {
+        const { pool, connects, disconnects, apis } = createPool(1);
+
+        const idle = pool.acquire('lab', 'L1');
+        await settle();
+        connects[0].resolve();
+        await idle;
+        pool.release('lab', 'L1');
+
+        const [second, third] = [pool.acquire('lab', 'L2'), pool.acquire('lab', 'L3')]
+            .map(request => request.then(api => ({ api }), error => ({ error })));
+
+        expect((await third).error).toMatchObject({ statusCode: 503 });
+        await settle();
+
+        // The evicted connection is closed before its replacement connects
+        expect(disconnects).toEqual([apis[0]]);
+        expect(connects.map(connect => connect.userId)).toEqual(['L1', 'L2']);
+
+        connects[1].resolve();
+        expect((await second).api).toBe(apis[1]);
+        expect(pool.getStats().organizations.lab).toMatchObject({ connections: 1, activeRequests: 1 });
+    });
+
+    test('fails every waiting request when the connect fails and frees the slot', async () => {
+        const { pool, connects, apis } = createPool(1);
+
+        const requests = [pool.acquire('farmer', 'F1'), pool.acquire('farmer', 'F1')];
+        await settle();
+        connects[0].reject(new Error('Identity F1 not found in wallet'));
+        await expect(Promise.all(requests)).rejects.toThrow('Identity F1 not found in wallet');
+        expect(pool.getStats().totalConnections).toBe(0);
+
+        const retry = pool.acquire('farmer', 'F1');
+        await settle();
+        connects[1].resolve();
+        expect(await retry).toBe(apis[1]);
+    });
+});
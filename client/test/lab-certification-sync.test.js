@@ -0,0 +1,39 @@
+const LabCertificationSync = require('../services/lab-certification-sync');
+
+const certificate = {
+    labId: 'LAB001',
+    certification: 'NABL-ISO17025',
+    accreditationNumber: 'TC-1234',
+    issuingAuthority: 'NABL',
+    issuedOn: '2025-01-01',
+    validUntil: '2027-01-01',
+    timestamp: '2026-01-10T08:00:00.000Z'
+};
+
+describe('LabCertificationSync.toLabUpdate', () => {
+    test('keeps a renewed certificate VALID and records when it was renewed', () => {
+        const update = LabCertificationSync.toLabUpdate({ ...certificate, type: 'LabCertificationRenewed', status: 'Active' });
+
+        expect(update['licenseInfo.status']).toBe('VALID');
+        expect(update['licenseInfo.expiryDate']).toBe('2027-01-01');
+        expect(update['qualityMetrics.certificationRenewalDate']).toBe('2026-01-10T08:00:00.000Z');
+        expect(update.status).toBe('ACTIVE');
+        expect(update.accreditation).toEqual(['NABL', 'ISO_17025']);
+    });
+
+    test('leaves the renewal date alone for other certificate changes', () => {
+        const update = LabCertificationSync.toLabUpdate({ ...certificate, type: 'LabTestScopeChanged', status: 'Active' });
+
+        expect(update['licenseInfo.status']).toBe('VALID');
+        expect(update).not.toHaveProperty(['qualityMetrics.certificationRenewalDate']);
+    });
+
+    test('maps suspended and expired certificates', () => {
+        const suspended = LabCertificationSync.toLabUpdate({ ...certificate, type: 'LabCertificationSuspended', status: 'Suspended' });
+        expect(suspended['licenseInfo.status']).toBe('SUSPENDED');
+        expect(suspended.status).toBe('SUSPENDED');
+
+        const expired = LabCertificationSync.toLabUpdate({ ...certificate, type: 'LabCertificationRenewed', status: 'Expired' });
+        expect(expired['licenseInfo.status']).toBe('EXPIRED');
+    });
+});
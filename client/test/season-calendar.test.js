@@ -0,0 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+const SeasonCalendar = require('../utils/season-calendar');
+
+const CHAINCODE_CALENDAR = path.join(__dirname, '../../chaincode/supply-chain/season-calendar.js');
+const CLIENT_CALENDAR = path.join(__dirname, '../utils/season-calendar.js');
+
+describe('Season calendar', () => {
+    // The API server must name the same season for a harvest as the chaincode that validates it
+    test('is identical to the chaincode calendar', () => {
+        expect(fs.readFileSync(CLIENT_CALENDAR, 'utf8')).toBe(fs.readFileSync(CHAINCODE_CALENDAR, 'utf8'));
+    });
+
+    test('has no dependencies', () => {
+        expect(fs.readFileSync(CLIENT_CALENDAR, 'utf8')).not.toMatch(/require\(/);
+        expect(typeof SeasonCalendar.getSeason).toBe('function');
+    });
+});
@@ -0,0 +1,91 @@
+jest.mock('../fabric-service');
+jest.mock('../services/sms-service');
+
+const User = require('../models/User');
+const UserService = require('../services/user-service');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const REGISTRATION = {
+    userId: 'FARMER_KA_001',
+    organization: 'farmer',
+    password: 'at-least-8-chars'
+};
+
+describe('UserService.register', () => {
+    let service;
+    let saved;
+    let deleted;
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        jest.spyOn(User.prototype, 'setPassword').mockImplementation(async function() {
+            this.passwordHash = 'hash';
+        });
+
+        // The user collection, as far as this test needs one
+        saved = new Map();
+        deleted = [];
+        jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+            saved.set(this.userId, this.toObject());
+            return this;
+        });
+        jest.spyOn(User.prototype, 'deleteOne').mockImplementation(async function() {
+            saved.delete(this.userId);
+            deleted.push(this.userId);
+        });
+
+        service = new UserService();
+        jest.spyOn(service, 'registerSigningKey').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('activates the account once its Fabric identity is enrolled', async () => {
+        service.fabricService.registerUser.mockResolvedValue({ enrollmentId: 'FARMER_KA_001', mspId: 'FarmerMSP' });
+
+        const user = await service.register(REGISTRATION);
+
+        expect(user).toMatchObject({ userId: 'FARMER_KA_001', status: 'ACTIVE' });
+        expect(saved.get('FARMER_KA_001').blockchainIdentity).toMatchObject({ enrollmentId: 'FARMER_KA_001', enrolled: true });
+        expect(service.registerSigningKey).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails with 502 and removes the pending account when enrollment fails', async () => {
+        service.fabricService.registerUser.mockRejectedValue(new Error('CA unreachable'));
+
+        await expect(service.register(REGISTRATION)).rejects.toMatchObject({
+            statusCode: 502,
+            message: 'Fabric enrollment failed for FARMER_KA_001; the account was not created: CA unreachable'
+        });
+        expect(deleted).toEqual(['FARMER_KA_001']);
+        expect(saved.size).toBe(0);
+        expect(service.registerSigningKey).not.toHaveBeenCalled();
+    });
+
+    test('fails with 409 and removes the pending account when the wallet already holds the identity', async () => {
+        const conflict = new Error('Identity FARMER_KA_001 is already enrolled in the wallet');
+        conflict.statusCode = 409;
+        service.fabricService.registerUser.mockRejectedValue(conflict);
+
+        await expect(service.register(REGISTRATION)).rejects.toMatchObject({
+            statusCode: 409,
+            message: 'Identity FARMER_KA_001 is already enrolled in the wallet; the account was not created'
+        });
+        expect(deleted).toEqual(['FARMER_KA_001']);
+        expect(saved.size).toBe(0);
+    });
+
+    test('refuses the CA registrar\'s user ID before creating an account', async () => {
+        await expect(service.register({ ...REGISTRATION, userId: config.auth.caAdminId })).rejects.toMatchObject({
+            statusCode: 409,
+            message: `User ID ${config.auth.caAdminId} is reserved`
+        });
+        expect(saved.size).toBe(0);
+        expect(service.fabricService.registerUser).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,149 @@
+const Farmer = require('../models/Farmer');
+const ZoneClosureNotifier = require('../services/zone-closure-notifier');
+const { MAX_REMEMBERED_EVENTS } = ZoneClosureNotifier;
+const logger = require('../utils/logger');
+
+const CLOSURE = {
+    type: 'ZoneClosureScheduled',
+    closureId: 'ZONE001-CL001',
+    zoneId: 'ZONE001',
+    zoneName: 'Kerala Highlands',
+    startDate: '2026-01-01',
+    endDate: '2026-03-31',
+    reason: 'Regeneration after overharvest'
+};
+const LIFT = { ...CLOSURE, type: 'ZoneClosureLifted', reason: 'Stock recovered' };
+
+const farmers = count => Array.from({ length: count }, (_, i) => ({
+    farmerId: `F${i + 1}`,
+    contactNumber: `+9190000000${String(i + 1).padStart(2, '0')}`,
+    address: { coordinates: { latitude: 10.16, longitude: 76.64 } }
+}));
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ZoneClosureNotifier', () => {
+    let handlers;
+    let fabricService;
+    let smsService;
+    let notifier;
+
+    beforeEach(() => {
+        jest.spyOn(logger, 'info').mockImplementation(() => {});
+        jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+        const registered = farmers(3);
+        jest.spyOn(Farmer, 'find').mockReturnValue({ select: () => ({ lean: async () => registered }) });
+        fabricService = {
+            evaluateTransaction: jest.fn(async (contract, fn, zoneId, points) => ({
+                success: true,
+                result: JSON.parse(points).map(point => point.id)
+            }))
+        };
+        smsService = {
+            sendZoneClosureSMS: jest.fn(async () => ({ success: true })),
+            sendZoneReopenedSMS: jest.fn(async () => ({ success: true }))
+        };
+
+        handlers = {};
+        notifier = new ZoneClosureNotifier(fabricService, smsService);
+        notifier.subscribe({ subscribe: (eventType, handler) => { handlers[eventType] = handler; } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('queues notifications without holding up the event dispatch', async () => {
+        expect(handlers.ZoneClosureScheduled(CLOSURE)).toBeUndefined();
+        expect(smsService.sendZoneClosureSMS).not.toHaveBeenCalled();
+
+        await notifier.idle();
+        expect(smsService.sendZoneClosureSMS.mock.calls.map(([phone]) => phone))
+            .toEqual(['+919000000001', '+919000000002', '+919000000003']);
+        expect(smsService.sendZoneClosureSMS).toHaveBeenCalledWith(
+            '+919000000001', 'Kerala Highlands', '2026-01-01', '2026-03-31', 'Regeneration after overharvest'
+        );
+    });
+
+    test('notifies each closure and each lift once however often the event is delivered', async () => {
+        handlers.ZoneClosureScheduled(CLOSURE);
+        handlers.ZoneClosureScheduled(CLOSURE);
+        await notifier.idle();
+        handlers.ZoneClosureScheduled(CLOSURE);
+        handlers.ZoneClosureLifted(LIFT);
+        handlers.ZoneClosureLifted(LIFT);
+        handlers.ZoneClosureScheduled({ ...CLOSURE, closureId: 'ZONE001-CL002' });
+        await notifier.idle();
+
+        expect(smsService.sendZoneClosureSMS).toHaveBeenCalledTimes(6);
+        expect(smsService.sendZoneReopenedSMS).toHaveBeenCalledTimes(3);
+        expect(fabricService.evaluateTransaction).toHaveBeenCalledTimes(3);
+    });
+
+    test('sends at most five SMS at a time', async () => {
+        const registered = farmers(12);
+        Farmer.find.mockReturnValue({ select: () => ({ lean: async () => registered }) });
+
+        let inFlight = 0;
+        let maxInFlight = 0;
+        smsService.sendZoneClosureSMS.mockImplementation(async () => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await settle();
+            inFlight--;
+            return { success: true };
+        });
+
+        handlers.ZoneClosureScheduled(CLOSURE);
+        await notifier.idle();
+
+        expect(smsService.sendZoneClosureSMS).toHaveBeenCalledTimes(12);
+        expect(maxInFlight).toBe(5);
+    });
+
+    test('keeps sending when some SMS fail', async () => {
+        smsService.sendZoneClosureSMS
+            .mockResolvedValueOnce({ success: false, error: 'Invalid number' })
+            .mockRejectedValueOnce(new Error('Gateway timeout'));
+
+        handlers.ZoneClosureScheduled(CLOSURE);
+        await notifier.idle();
+
+        expect(smsService.sendZoneClosureSMS).toHaveBeenCalledTimes(3);
+        expect(logger.warn).toHaveBeenCalledTimes(2);
+        expect(logger.info).toHaveBeenCalledWith('Notified 1 of 3 farmer(s) of closure ZONE001-CL001 on zone ZONE001');
+    });
+
+    test('retries a notification that failed when its event is delivered again', async () => {
+        fabricService.evaluateTransaction.mockRejectedValueOnce(new Error('Peer unavailable'));
+
+        handlers.ZoneClosureScheduled(CLOSURE);
+        await notifier.idle();
+        expect(smsService.sendZoneClosureSMS).not.toHaveBeenCalled();
+        expect(logger.error).toHaveBeenCalledWith('Zone closure notification ZoneClosureScheduled:ZONE001-CL001 failed: Peer unavailable');
+
+        handlers.ZoneClosureScheduled(CLOSURE);
+        await notifier.idle();
+        expect(smsService.sendZoneClosureSMS).toHaveBeenCalledTimes(3);
+    });
+
+    test('remembers only the most recent closure events', async () => {
+        Farmer.find.mockReturnValue({ select: () => ({ lean: async () => [] }) });
+
+        for (let i = 0; i <= MAX_REMEMBERED_EVENTS; i++) {
+            handlers.ZoneClosureScheduled({ ...CLOSURE, closureId: `ZONE001-CL${i}` });
+        }
+        await notifier.idle();
+        expect(notifier.notified.size).toBe(MAX_REMEMBERED_EVENTS);
+        expect(Farmer.find).toHaveBeenCalledTimes(MAX_REMEMBERED_EVENTS + 1);
+
+        // The oldest event has been forgotten, so its redelivery is notified again
+        handlers.ZoneClosureScheduled({ ...CLOSURE, closureId: `ZONE001-CL${MAX_REMEMBERED_EVENTS}` });
+        handlers.ZoneClosureScheduled({ ...CLOSURE, closureId: 'ZONE001-CL0' });
+        await notifier.idle();
+        expect(Farmer.find).toHaveBeenCalledTimes(MAX_REMEMBERED_EVENTS + 2);
+    });
+});
@@ -2,6 +2,7 @@ const QRCode = require('qrcode');
 const crypto = require('crypto');
 const config = require('../config');
 const logger = require('./logger');
+const SeasonCalendar = require('./season-calendar');
 
 /**
  * Utility functions for the API
@@ -184,25 +185,13 @@ class APIUtils {
     }
 
     /**
-     * Get current season based on date
+     * Get the Ritu and crop season of a date from the shared season calendar
      * @param {Date} date - Date to check
-     * @param {string} hemisphere - 'north' or 'south'
-     * @returns {string} Season name
+     * @param {Object} location - { latitude, longitude, state } of the harvest
+     * @returns {Object} { ritu, cropSeason, region, offsetDays }
      */
-    static getCurrentSeason(date = new Date(), hemisphere = 'north') {
-        const month = date.getMonth() + 1; // 1-12
-        
-        if (hemisphere === 'north') {
-            if (month >= 3 && month <= 5) return 'Spring';
-            if (month >= 6 && month <= 8) return 'Summer';
-            if (month >= 9 && month <= 11) return 'Autumn';
-            return 'Winter';
-        } else {
-            if (month >= 3 && month <= 5) return 'Autumn';
-            if (month >= 6 && month <= 8) return 'Winter';
-            if (month >= 9 && month <= 11) return 'Spring';
-            return 'Summer';
-        }
+    static getCurrentSeason(date = new Date(), location = {}) {
+        return SeasonCalendar.getSeason(date, location);
     }
 
     /**
@@ -257,6 +246,30 @@ class APIUtils {
         }
     }
 
+    /**
+     * Serialize a value to canonical JSON: object keys sorted, undefined fields dropped.
+     * Records are signed over this form so the signature does not depend on key order.
+     * Must match TraceabilityUtils.canonicalize in the chaincode.
+     * @param {*} value - JSON value
+     * @returns {string} Canonical JSON
+     */
+    static canonicalize(value) {
+        if (value && typeof value.toJSON === 'function') {
+            value = value.toJSON();
+        }
+        if (Array.isArray(value)) {
+            return `[${value.map(item => APIUtils.canonicalize(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const fields = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${APIUtils.canonicalize(value[key])}`);
+            return `{${fields.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
     /**
      * Generate hash for data integrity
      * @param {Object} data - Data to hash
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('./logger');
+const User = require('../models/User');
+
+/**
+ * Credential Store
+ * Encrypted storage for passwords the onboarding services keep on behalf of users
+ * (e.g. farmers recording harvests by SMS), so they can log in to the API for them
+ */
+class CredentialStore {
+    /**
+     * Generate a random password for a new account
+     * @param {number} length - Password length
+     * @returns {string} Password
+     */
+    static generatePassword(length = 20) {
+        return crypto.randomBytes(length).toString('base64url').substring(0, length);
+    }
+
+    /**
+     * Get the encryption key
+     * @returns {Buffer} 32-byte key
+     */
+    static getKey() {
+        const key = config.auth.credentialStoreKey;
+        if (!key || !/^[0-9a-fA-F]{64}$/.test(key)) {
+            throw new Error('CREDENTIAL_STORE_KEY must be set to 64 hex characters');
+        }
+        return Buffer.from(key, 'hex');
+    }
+
+    /**
+     * Store a user's password
+     * @param {string} userId - User identifier
+     * @param {string} password - Plain password
+     */
+    static async store(userId, password) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', CredentialStore.getKey(), iv);
+        const ciphertext = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+
+        const result = await User.updateOne(
+            { userId },
+            {
+                delegatedCredential: {
+                    ciphertext: ciphertext.toString('base64'),
+                    iv: iv.toString('base64'),
+                    authTag: cipher.getAuthTag().toString('base64')
+                }
+            }
+        );
+
+        if (result.matchedCount === 0) {
+            throw new Error(`User ${userId} not found`);
+        }
+
+        logger.info(`Stored credentials for user ${userId}`);
+    }
+
+    /**
+     * Retrieve a user's password
+     * @param {string} userId - User identifier
+     * @returns {Object|null} { password } or null if none is stored
+     */
+    static async retrieve(userId) {
+        const user = await User.findOne({ userId }).select('delegatedCredential');
+        if (!user || !user.delegatedCredential || !user.delegatedCredential.ciphertext) {
+            return null;
+        }
+
+        const { ciphertext, iv, authTag } = user.delegatedCredential;
+        const decipher = crypto.createDecipheriv('aes-256-gcm', CredentialStore.getKey(), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+        const password = Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+
+        return { password };
+    }
+}
+
+module.exports = CredentialStore;
@@ -0,0 +1,90 @@
+const logger = require('./logger');
+
+/**
+ * Event Dispatcher
+ * Fans chaincode events (HarvestRecorded, TestSubmitted, StatusChanged, ...) out to
+ * in-process subscribers such as notifications, analytics and ERP sync.
+ * Handlers run in order and are awaited, so the listener's checkpoint only moves
+ * past a transaction once every subscriber has handled its events. Work a subscriber
+ * queues and finishes later (as the zone closure notifier does) is not covered: it is
+ * lost if the server stops first.
+ */
+class EventDispatcher {
+    constructor() {
+        this.handlers = new Map();
+        this.stats = { dispatched: 0, handlerErrors: 0, lastEvent: null };
+    }
+
+    /**
+     * Subscribe to an event type
+     * @param {string} eventType - Event type, or '*' for every event
+     * @param {Function} handler - async (event) => void
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(eventType, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error('Event handler must be a function');
+        }
+
+        if (!this.handlers.has(eventType)) {
+            this.handlers.set(eventType, new Set());
+        }
+        this.handlers.get(eventType).add(handler);
+
+        return () => this.unsubscribe(eventType, handler);
+    }
+
+    /**
+     * Remove a subscription
+     * @param {string} eventType - Event type
+     * @param {Function} handler - Handler passed to subscribe()
+     */
+    unsubscribe(eventType, handler) {
+        const handlers = this.handlers.get(eventType);
+        if (handlers) {
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                this.handlers.delete(eventType);
+            }
+        }
+    }
+
+    /**
+     * Deliver an event to its subscribers
+     * A failing handler is logged and does not stop the others
+     * @param {Object} event - { type, txId, blockNumber, timestamp, ...payload }
+     */
+    async dispatch(event) {
+        const handlers = [
+            ...(this.handlers.get(event.type) || []),
+            ...(this.handlers.get('*') || [])
+        ];
+
+        for (const handler of handlers) {
+            try {
+                await handler(event);
+            } catch (error) {
+                this.stats.handlerErrors += 1;
+                logger.error(`Event handler failed for ${event.type} (tx ${event.txId}): ${error.message}`);
+            }
+        }
+
+        this.stats.dispatched += 1;
+        this.stats.lastEvent = { type: event.type, txId: event.txId, blockNumber: event.blockNumber };
+    }
+
+    /**
+     * Dispatcher statistics for health checks
+     * @returns {Object} Counts and subscriptions per event type
+     */
+    getStats() {
+        const subscriptions = {};
+        for (const [eventType, handlers] of this.handlers) {
+            subscriptions[eventType] = handlers.size;
+        }
+        return { ...this.stats, subscriptions };
+    }
+}
+
+// Export singleton instance
+module.exports = new EventDispatcher();
@@ -0,0 +1,196 @@
+/**
+ * Agro-climatic season calendar for Indian herb harvests
+ *
+ * Every harvest date falls in one of the six Ritus of the Ayurvedic year and in one
+ * of the three crop seasons (Kharif, Rabi, Zaid). The reference calendar below is
+ * for central India; each state shifts it by the number of days its monsoon and
+ * winter arrive earlier (negative) or later (positive). Herbs and zones may list
+ * allowed seasons from either vocabulary.
+ *
+ * Older records and clients used Spring/Summer/Monsoon/Autumn/Winter (and
+ * WINTER/POST_MONSOON from the collector app); LEGACY_SEASONS maps them to Ritus.
+ *
+ * This module has no dependencies so the API server, SMS gateway and collector
+ * service use the same calendar as the chaincode. The chaincode package is deployed
+ * on its own, so the API server keeps an identical copy in client/utils; a client
+ * test fails when the two differ.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Six Ritus of the Ayurvedic year, by MM-DD in the reference calendar
+const RITUS = [
+    { name: 'Vasanta', english: 'Spring', start: '03-15', end: '05-14' },
+    { name: 'Grishma', english: 'Summer', start: '05-15', end: '07-14' },
+    { name: 'Varsha', english: 'Monsoon', start: '07-15', end: '09-14' },
+    { name: 'Sharad', english: 'Autumn', start: '09-15', end: '11-14' },
+    { name: 'Hemanta', english: 'Pre-winter', start: '11-15', end: '01-14' },
+    { name: 'Shishira', english: 'Winter', start: '01-15', end: '03-14' }
+];
+
+// Crop seasons, by MM-DD in the reference calendar
+const CROP_SEASONS = [
+    { name: 'Kharif', english: 'Monsoon crop', start: '06-15', end: '10-14' },
+    { name: 'Rabi', english: 'Winter crop', start: '10-15', end: '03-14' },
+    { name: 'Zaid', english: 'Summer crop', start: '03-15', end: '06-14' }
+];
+
+// Earlier season names and the Ritus they cover
+const LEGACY_SEASONS = {
+    SPRING: ['Vasanta'],
+    SUMMER: ['Grishma'],
+    MONSOON: ['Varsha'],
+    POST_MONSOON: ['Sharad'],
+    AUTUMN: ['Sharad'],
+    WINTER: ['Hemanta', 'Shishira']
+};
+
+// State offsets in days, with approximate bounding boxes [minLat, maxLat, minLng, maxLng]
+// used when only GPS is known. Boxes overlap near borders, so smaller states come first
+// and the harvest's recorded state, when given, takes precedence
+const STATE_OFFSETS = [
+    { state: 'Goa', offsetDays: -7, bounds: [14.9, 15.8, 73.7, 74.3] },
+    { state: 'Kerala', offsetDays: -14, bounds: [8.2, 12.8, 74.8, 77.4] },
+    { state: 'Tamil Nadu', offsetDays: -7, bounds: [8.0, 13.6, 76.2, 80.4] },
+    { state: 'Karnataka', offsetDays: -7, bounds: [11.5, 18.5, 74.0, 78.6] },
+    { state: 'Telangana', offsetDays: 0, bounds: [15.8, 19.9, 77.2, 81.3] },
+    { state: 'Andhra Pradesh', offsetDays: -3, bounds: [12.6, 19.2, 76.7, 84.8] },
+    { state: 'Odisha', offsetDays: 0, bounds: [17.8, 22.6, 81.3, 87.5] },
+    { state: 'Maharashtra', offsetDays: 0, bounds: [15.6, 22.1, 72.6, 80.9] },
+    { state: 'Chhattisgarh', offsetDays: 3, bounds: [17.8, 24.1, 80.2, 84.4] },
+    { state: 'Gujarat', offsetDays: 10, bounds: [20.1, 24.7, 68.1, 74.5] },
+    { state: 'Jharkhand', offsetDays: 3, bounds: [21.9, 25.3, 83.3, 87.9] },
+    { state: 'West Bengal', offsetDays: -3, bounds: [21.5, 27.3, 85.8, 89.9] },
+    { state: 'Bihar', offsetDays: 5, bounds: [24.3, 27.5, 83.3, 88.3] },
+    { state: 'Madhya Pradesh', offsetDays: 5, bounds: [21.0, 26.9, 74.0, 82.8] },
+    { state: 'Assam', offsetDays: -7, bounds: [24.0, 28.0, 89.7, 96.0] },
+    { state: 'Punjab', offsetDays: 15, bounds: [29.5, 32.5, 73.8, 77.0] },
+    { state: 'Haryana', offsetDays: 12, bounds: [27.6, 30.9, 74.4, 77.6] },
+    { state: 'Himachal Pradesh', offsetDays: 20, bounds: [30.4, 33.3, 75.5, 79.0] },
+    { state: 'Uttarakhand', offsetDays: 15, bounds: [28.7, 31.5, 77.5, 81.1] },
+    { state: 'Jammu and Kashmir', offsetDays: 25, bounds: [32.2, 37.1, 73.2, 80.3] },
+    { state: 'Rajasthan', offsetDays: 15, bounds: [23.0, 30.2, 69.5, 78.3] },
+    { state: 'Uttar Pradesh', offsetDays: 10, bounds: [23.8, 30.4, 77.0, 84.6] }
+];
+
+const SEASON_NAMES = [...RITUS.map(ritu => ritu.name), ...CROP_SEASONS.map(season => season.name)];
+
+class SeasonCalendar {
+
+    /**
+     * Get the Ritu and crop season of a harvest
+     * @param {Date|string} date - Harvest date
+     * @param {Object} location - { latitude, longitude, state }; state wins over GPS
+     * @returns {Object} { ritu, cropSeason, region, offsetDays }
+     */
+    static getSeason(date, location = {}) {
+        const region = SeasonCalendar.getRegion(location);
+        let offsetDays = region ? region.offsetDays : 0;
+
+        // Outside India the calendar is only meaningful with the hemisphere flipped
+        if (!region && location.latitude < 0) {
+            offsetDays = 182;
+        }
+
+        const shifted = new Date(new Date(date).getTime() - offsetDays * MS_PER_DAY);
+        const monthDay = shifted.toISOString().slice(5, 10);
+
+        return {
+            ritu: SeasonCalendar.findPeriod(RITUS, monthDay).name,
+            cropSeason: SeasonCalendar.findPeriod(CROP_SEASONS, monthDay).name,
+            region: region ? region.state : null,
+            offsetDays
+        };
+    }
+
+    /**
+     * Find the state offset for a location
+     * @param {Object} location - { latitude, longitude, state }
+     * @returns {Object|null} State offset entry
+     */
+    static getRegion(location = {}) {
+        if (location.state) {
+            const state = location.state.trim().toLowerCase();
+            const byName = STATE_OFFSETS.find(entry => entry.state.toLowerCase() === state);
+            if (byName) {
+                return byName;
+            }
+        }
+
+        const { latitude, longitude } = location;
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+            return null;
+        }
+        return STATE_OFFSETS.find(({ bounds: [minLat, maxLat, minLng, maxLng] }) =>
+            latitude >= minLat && latitude <= maxLat && longitude >= minLng && longitude <= maxLng) || null;
+    }
+
+    /**
+     * Translate a season name, current or legacy, to the seasons it stands for
+     * Names are matched without regard to case, spaces, hyphens or underscores
+     * @param {string} value - Season name (e.g. Varsha, kharif, WINTER, Post-monsoon)
+     * @returns {Array} Ritu or crop season names
+     */
+    static normalize(value) {
+        const key = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+        const current = SEASON_NAMES.find(name => name.toUpperCase() === key);
+        if (current) {
+            return [current];
+        }
+        if (LEGACY_SEASONS[key]) {
+            return LEGACY_SEASONS[key];
+        }
+        throw new Error(`Unknown season ${value}. Use a Ritu (${RITUS.map(ritu => ritu.name).join(', ')}) or crop season (${CROP_SEASONS.map(season => season.name).join(', ')})`);
+    }
+
+    /**
+     * Translate a list of season names to unique current names
+     * @param {Array} values - Season names
+     * @returns {Array} Ritu or crop season names
+     */
+    static normalizeList(values) {
+        return [...new Set(values.flatMap(value => SeasonCalendar.normalize(value)))];
+    }
+
+    static isKnownSeason(value) {
+        try {
+            SeasonCalendar.normalize(value);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a harvest season is one of the allowed seasons
+     * @param {Object} season - Result of getSeason
+     * @param {Array} allowedSeasons - Season names, current or legacy
+     * @returns {boolean} True if the Ritu or crop season is allowed
+     */
+    static isAllowed(season, allowedSeasons) {
+        const allowed = SeasonCalendar.normalizeList(allowedSeasons);
+        return allowed.includes(season.ritu) || allowed.includes(season.cropSeason);
+    }
+
+    /**
+     * Describe a season for messages, e.g. "Varsha (Kharif, Kerala)"
+     * @param {Object} season - Result of getSeason
+     * @returns {string} Description
+     */
+    static describe(season) {
+        return `${season.ritu} (${season.cropSeason}${season.region ? `, ${season.region}` : ''})`;
+    }
+
+    static findPeriod(periods, monthDay) {
+        return periods.find(({ start, end }) => start <= end ?
+            monthDay >= start && monthDay <= end :
+            monthDay >= start || monthDay <= end);
+    }
+}
+
+module.exports = SeasonCalendar;
+module.exports.RITUS = RITUS;
+module.exports.CROP_SEASONS = CROP_SEASONS;
+module.exports.LEGACY_SEASONS = LEGACY_SEASONS;
+module.exports.STATE_OFFSETS = STATE_OFFSETS;
+module.exports.SEASON_NAMES = SEASON_NAMES;
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const config = require('../config');
+const logger = require('./logger');
+
+/**
+ * In-memory key/value backend with expiry, used when Redis is not configured
+ * Sessions are lost on restart and not shared between server instances
+ */
+class MemoryBackend {
+    constructor() {
+        this.values = new Map();
+        this.sets = new Map();
+    }
+
+    async get(key) {
+        const entry = this.values.get(key);
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.values.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttlMs) {
+        this.values.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    async del(key) {
+        this.values.delete(key);
+    }
+
+    async sAdd(key, member) {
+        if (!this.sets.has(key)) {
+            this.sets.set(key, new Set());
+        }
+        this.sets.get(key).add(member);
+    }
+
+    async sRem(key, member) {
+        const set = this.sets.get(key);
+        if (set) {
+            set.delete(member);
+            if (set.size === 0) {
+                this.sets.delete(key);
+            }
+        }
+    }
+
+    async sMembers(key) {
+        return [...(this.sets.get(key) || [])];
+    }
+}
+
+/**
+ * Redis key/value backend shared by all API server instances
+ */
+class RedisBackend {
+    constructor(client) {
+        this.client = client;
+    }
+
+    async get(key) {
+        return this.client.get(key);
+    }
+
+    async set(key, value, ttlMs) {
+        await this.client.set(key, value, { PX: ttlMs });
+    }
+
+    async del(key) {
+        await this.client.del(key);
+    }
+
+    async sAdd(key, member) {
+        await this.client.sAdd(key, member);
+    }
+
+    async sRem(key, member) {
+        await this.client.sRem(key, member);
+    }
+
+    async sMembers(key) {
+        return this.client.sMembers(key);
+    }
+}
+
+/**
+ * Session Store
+ * Tracks login sessions, rotating refresh tokens and revoked sessions.
+ * Access tokens carry the session id (sid) so revoking a session cuts off
+ * its access tokens immediately instead of waiting for them to expire.
+ */
+class SessionStore {
+    constructor() {
+        this.backend = new MemoryBackend();
+        this.redisClient = null;
+        this.prefix = config.sessions.keyPrefix;
+        this.refreshTokenTtlMs = config.jwt.refreshTokenTtlMs;
+    }
+
+    /**
+     * Connect to Redis when REDIS_URL is set, otherwise keep the in-memory backend
+     */
+    async connect() {
+        if (!config.sessions.redisUrl || this.redisClient) {
+            if (!config.sessions.redisUrl) {
+                logger.warn('REDIS_URL not set - sessions and revocations are kept in memory');
+            }
+            return;
+        }
+
+        try {
+            const client = createClient({ url: config.sessions.redisUrl });
+            client.on('error', (error) => logger.error(`Session store Redis error: ${error.message}`));
+            await client.connect();
+
+            this.redisClient = client;
+            this.backend = new RedisBackend(client);
+            logger.info('Session store connected to Redis');
+        } catch (error) {
+            logger.warn(`Session store could not connect to Redis, using memory: ${error.message}`);
+        }
+    }
+
+    /**
+     * Disconnect from Redis
+     */
+    async disconnect() {
+        if (this.redisClient) {
+            await this.redisClient.quit();
+            this.redisClient = null;
+            this.backend = new MemoryBackend();
+        }
+    }
+
+    sessionKey(sessionId) {
+        return `${this.prefix}session:${sessionId}`;
+    }
+
+    userSessionsKey(userId) {
+        return `${this.prefix}user-sessions:${userId}`;
+    }
+
+    revokedKey(sessionId) {
+        return `${this.prefix}revoked:${sessionId}`;
+    }
+
+    static hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * Build a refresh token for a session and return its secret hash
+     * @param {string} sessionId - Session identifier
+     * @returns {Object} { refreshToken, refreshTokenHash }
+     */
+    static newRefreshToken(sessionId) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        return {
+            refreshToken: `${sessionId}.${secret}`,
+            refreshTokenHash: SessionStore.hashSecret(secret)
+        };
+    }
+
+    /**
+     * Create a session for a user
+     * @param {Object} user - { userId, organization, role }
+     * @param {Object} client - { ip, userAgent }
+     * @returns {Object} { session, refreshToken }
+     */
+    async createSession(user, client = {}) {
+        const sessionId = crypto.randomBytes(16).toString('hex');
+        const { refreshToken, refreshTokenHash } = SessionStore.newRefreshToken(sessionId);
+        const now = Date.now();
+
+        const session = {
+            sessionId,
+            userId: user.userId,
+            organization: user.organization,
+            role: user.role,
+            ip: client.ip,
+            userAgent: client.userAgent,
+            createdAt: new Date(now).toISOString(),
+            lastRefreshedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.refreshTokenTtlMs).toISOString(),
+            refreshTokenHash
+        };
+
+        await this.backend.set(this.sessionKey(sessionId), JSON.stringify(session), this.refreshTokenTtlMs);
+        await this.backend.sAdd(this.userSessionsKey(user.userId), sessionId);
+        await this.enforceSessionLimit(user.userId);
+
+        return { session, refreshToken };
+    }
+
+    /**
+     * Exchange a refresh token for a new one (rotation)
+     * Presenting an already-rotated refresh token revokes the whole session,
+     * since it means the token was copied
+     * @param {string} refreshToken - Refresh token
+     * @returns {Object} { session, refreshToken }
+     */
+    async rotateRefreshToken(refreshToken) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+        if (!sessionId || !secret) {
+            throw new Error('Invalid refresh token');
+        }
+
+        const session = await this.getSession(sessionId);
+        if (!session || await this.isRevoked(sessionId)) {
+            throw new Error('Session expired or revoked');
+        }
+
+        const presentedHash = SessionStore.hashSecret(secret);
+        if (!crypto.timingSafeEqual(Buffer.from(presentedHash), Buffer.from(session.refreshTokenHash))) {
+            logger.warn(`Refresh token reuse detected for session ${sessionId} (${session.userId}) - revoking session`);
+            await this.revokeSession(sessionId);
+            throw new Error('Refresh token already used - session revoked');
+        }
+
+        const rotated = SessionStore.newRefreshToken(sessionId);
+        session.refreshTokenHash = rotated.refreshTokenHash;
+        session.lastRefreshedAt = new Date().toISOString();
+
+        const ttlMs = new Date(session.expiresAt).getTime() - Date.now();
+        await this.backend.set(this.sessionKey(sessionId), JSON.stringify(session), Math.max(ttlMs, 1));
+
+        return { session, refreshToken: rotated.refreshToken };
+    }
+
+    /**
+     * Get a session
+     * @param {string} sessionId - Session identifier
+     * @returns {Object|null} Session
+     */
+    async getSession(sessionId) {
+        const value = await this.backend.get(this.sessionKey(sessionId));
+        return value ? JSON.parse(value) : null;
+    }
+
+    /**
+     * List a user's active sessions (without refresh token hashes)
+     * @param {string} userId - User identifier
+     * @returns {Array} Sessions, newest first
+     */
+    async listSessions(userId) {
+        const sessionIds = await this.backend.sMembers(this.userSessionsKey(userId));
+        const sessions = [];
+
+        for (const sessionId of sessionIds) {
+            const session = await this.getSession(sessionId);
+            if (!session) {
+                // Expired - drop it from the user's index
+                await this.backend.sRem(this.userSessionsKey(userId), sessionId);
+                continue;
+            }
+            const { refreshTokenHash, ...publicSession } = session;
+            sessions.push(publicSession);
+        }
+
+        return sessions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Revoke a session and every access token issued for it
+     * @param {string} sessionId - Session identifier
+     * @returns {boolean} True if the session existed
+     */
+    async revokeSession(sessionId) {
+        const session = await this.getSession(sessionId);
+
+        // Access tokens can outlive the session record only up to the refresh token lifetime
+        await this.backend.set(this.revokedKey(sessionId), '1', this.refreshTokenTtlMs);
+        await this.backend.del(this.sessionKey(sessionId));
+
+        if (session) {
+            await this.backend.sRem(this.userSessionsKey(session.userId), sessionId);
+            logger.info(`Session ${sessionId} revoked for user ${session.userId}`);
+        }
+
+        return !!session;
+    }
+
+    /**
+     * Revoke all sessions of a user
+     * @param {string} userId - User identifier
+     * @returns {number} Number of revoked sessions
+     */
+    async revokeUserSessions(userId) {
+        const sessionIds = await this.backend.sMembers(this.userSessionsKey(userId));
+        for (const sessionId of sessionIds) {
+            await this.revokeSession(sessionId);
+        }
+        return sessionIds.length;
+    }
+
+    /**
+     * Check the revocation list
+     * @param {string} sessionId - Session identifier
+     * @returns {boolean} True if revoked
+     */
+    async isRevoked(sessionId) {
+        return !!(await this.backend.get(this.revokedKey(sessionId)));
+    }
+
+    /**
+     * Revoke the oldest sessions once a user has more than the allowed number
+     * @param {string} userId - User identifier
+     */
+    async enforceSessionLimit(userId) {
+        const sessions = await this.listSessions(userId);
+        const excess = sessions.slice(config.sessions.maxSessionsPerUser);
+        for (const session of excess) {
+            await this.revokeSession(session.sessionId);
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new SessionStore();